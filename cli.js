@@ -0,0 +1,447 @@
+/**
+ * Command-line interface to decompress data in any detected format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module inflate-auto/cli.js
+ */
+
+'use strict';
+
+const { open, rm, unlink } = require('node:fs/promises');
+const path = require('node:path');
+const { finished, pipeline } = require('node:stream/promises');
+const { parseArgs } = require('node:util');
+const zlib = require('node:zlib');
+
+const InflateAuto = require('./index.js');
+const packageJson = require('./package.json');
+
+/** Exit code for data which can not be decompressed. */
+const EXIT_DATA_ERROR = 1;
+/** Exit code for invalid command-line arguments. */
+const EXIT_USAGE_ERROR = 2;
+/** Exit code for files which can not be read or written. */
+const EXIT_FILE_ERROR = 3;
+/** Exit code for data in a format which is not supported. */
+const EXIT_FORMAT_ERROR = 4;
+
+/** Formats which can be chosen by name with <code>--format</code>.
+ *
+ * @private
+ */
+const formats = {
+  __proto__: null, // eslint-disable-line unicorn/no-null
+  brotli: zlib.BrotliDecompress,
+  bzip2: InflateAuto.Bunzip2,
+  compress: InflateAuto.Uncompress,
+  'deflate-raw': zlib.InflateRaw,
+  gzip: zlib.Gunzip,
+  identity: InflateAuto.Identity,
+  lz4: InflateAuto.Unlz4,
+  lzma: InflateAuto.Unlzma,
+  pack: InflateAuto.Unpack,
+  snappy: InflateAuto.Unsnappy,
+  xz: InflateAuto.Unxz,
+  zlib: zlib.Inflate,
+};
+// eslint-disable-next-line n/no-unsupported-features/node-builtins
+const { ZstdDecompress } = zlib;
+if (typeof ZstdDecompress === 'function') {
+  formats.zstd = ZstdDecompress;
+}
+
+/** Detectors for formats recognized from the start of the data:  by their
+ * signatures, or for lzma (which has none) by plausible header values.
+ * Brotli and "raw" DEFLATE, which are only recognized by decoding, are
+ * excluded.  Data which does not match is decoded as "raw" DEFLATE.
+ *
+ * @private
+ */
+const detectors = Object.entries(InflateAuto.detectors)
+  .filter(([name]) => name !== 'detectBrotli' && name !== 'detectDeflateRaw')
+  .map(([, detector]) => detector);
+
+/** Suffixes of compressed files, with the suffix of the decompressed file.
+ *
+ * @private
+ */
+const defaultSuffixes = [
+  ['.gz', ''],
+  ['-gz', ''],
+  ['.z', ''],
+  ['-z', ''],
+  ['_z', ''],
+  ['.Z', ''],
+  ['.tgz', '.tar'],
+  ['.taz', '.tar'],
+  ['.zz', ''],
+  ['.zlib', ''],
+  ['.deflate', ''],
+  ['.br', ''],
+  ['.bz2', ''],
+  ['.tbz', '.tar'],
+  ['.tbz2', '.tar'],
+  ['.xz', ''],
+  ['.txz', '.tar'],
+  ['.lzma', ''],
+  ['.lz4', ''],
+  ['.sz', ''],
+  ['.zst', ''],
+  ['.tzst', '.tar'],
+];
+
+const usage = `Usage: inflate-auto [options] [file...]
+
+Decompress files (or stdin, if no files or -) in any detected format.
+
+Options:
+  -c, --stdout         write to stdout and keep input files
+      --detect-only    print the detected format of each file
+  -f, --force          overwrite existing output files
+      --format <name>  decompress as <name> instead of detecting the format:
+                       ${Object.keys(formats).join(', ')}
+  -h, --help           print this help message and exit
+  -k, --keep           keep input files
+  -o, --output <path>  write to <path> and keep input files
+  -S, --suffix <suf>   strip suffix <suf> from input file names
+  -V, --version        print the version and exit
+
+Exit status:
+  ${EXIT_DATA_ERROR}  data could not be decompressed
+  ${EXIT_USAGE_ERROR}  invalid arguments
+  ${EXIT_FILE_ERROR}  a file could not be read or written
+  ${EXIT_FORMAT_ERROR}  data format is not supported
+`;
+
+/** Gets the exit code for an error which occurred while processing a file.
+ *
+ * @private
+ * @param {!Error} err Error.
+ * @returns {number} Exit code.
+ */
+function getExitCode(err) {
+  if (err.syscall) {
+    return EXIT_FILE_ERROR;
+  }
+
+  if (err.code === 'ERR_FORMAT_NOT_SUPPORTED'
+    || err.code === 'ERR_INFLATE_AUTO_DETECT_LIMIT') {
+    return EXIT_FORMAT_ERROR;
+  }
+
+  return EXIT_DATA_ERROR;
+}
+
+/** Gets the name of a format.
+ *
+ * @private
+ * @param {function(new:module:stream.Duplex, object=)} format Format.
+ * @returns {string} Name of <code>format</code> as accepted by
+ * <code>--format</code>, or the name of its constructor.
+ */
+function getFormatName(format) {
+  for (const [name, formatCtor] of Object.entries(formats)) {
+    if (format === formatCtor || format.prototype instanceof formatCtor) {
+      return name;
+    }
+  }
+
+  if (format === InflateAuto.GunzipMembers
+    || format === InflateAuto.OldGunzip) {
+    return 'gzip';
+  }
+
+  return format.name;
+}
+
+/** Gets the path of the decompressed file for a compressed file.
+ *
+ * @private
+ * @param {string} file Path of the compressed file.
+ * @param {!Array<!Array<string>>} suffixes Suffixes of compressed files, with
+ * the suffix of the decompressed file.
+ * @returns {string|undefined} Path of the decompressed file, or
+ * <code>undefined</code> if <code>file</code> does not have a suffix in
+ * <code>suffixes</code>.
+ */
+function getOutputPath(file, suffixes) {
+  const basename = path.basename(file);
+  for (const [suffix, outSuffix] of suffixes) {
+    if (basename.length > suffix.length && basename.endsWith(suffix)) {
+      return file.slice(0, -suffix.length) + outSuffix;
+    }
+  }
+
+  return undefined;
+}
+
+/** Detects the format of data.
+ *
+ * @private
+ * @param {!module:stream.Readable} input Compressed data.
+ * @param {!object} inflateOpts Options for InflateAutoSync.
+ * @returns {!Promise<function(new:module:stream.Duplex, object=)>} Promise
+ * for the detected format.
+ */
+async function detectFormat(input, inflateOpts) {
+  const inflater = new InflateAuto.InflateAutoSync(inflateOpts);
+  try {
+    for await (const chunk of input) {
+      inflater.push(chunk);
+      if (inflater.getFormat()) {
+        return inflater.getFormat();
+      }
+    }
+
+    inflater.finish();
+  } catch (err) {
+    // Errors decoding data are ignored once the format is detected.
+    if (!inflater.getFormat()) {
+      throw err;
+    }
+  } finally {
+    // Only the format is needed.  Free the decoder without decoding.
+    inflater.close();
+  }
+
+  return inflater.getFormat();
+}
+
+/** Decompresses a file (or stdin), or prints its format.
+ *
+ * @private
+ * @param {string} file Path of the file to process, or <code>'-'</code> for
+ * stdin.
+ * @param {!object} options Options.
+ * @param {boolean=} options.detectOnly Print the format instead of
+ * decompressing.
+ * @param {boolean=} options.force Overwrite an existing output file.
+ * @param {!object} options.inflateOpts Options for InflateAuto.
+ * @param {boolean=} options.keep Keep the input file.
+ * @param {module:stream.Writable=} options.output Stream to which output is
+ * written, instead of a file named for <code>file</code>.
+ * @param {!module:stream.Writable} options.stderr Stream to which errors are
+ * written.
+ * @param {!module:stream.Readable} options.stdin Stream from which stdin is
+ * read.
+ * @param {!module:stream.Writable} options.stdout Stream to which output
+ * from stdin and formats are written.
+ * @param {!Array<!Array<string>>} options.suffixes Suffixes of compressed
+ * files, with the suffix of the decompressed file.
+ * @returns {!Promise<number>} Promise for the exit code.
+ */
+async function processFile(file, options) {
+  const isStdin = file === '-';
+  const name = isStdin ? 'stdin' : file;
+  const { stderr, stdout } = options;
+
+  let outputPath;
+  if (!isStdin && !options.output && !options.detectOnly) {
+    outputPath = getOutputPath(file, options.suffixes);
+    if (outputPath === undefined) {
+      stderr.write(`inflate-auto: ${name}: unknown suffix -- ignored\n`);
+      return EXIT_FILE_ERROR;
+    }
+  }
+
+  let inputHandle, outputHandle;
+  try {
+    let input = options.stdin;
+    if (!isStdin) {
+      inputHandle = await open(file);
+      input = inputHandle.createReadStream();
+    }
+
+    if (options.detectOnly) {
+      const format = await detectFormat(input, options.inflateOpts);
+      const formatName = getFormatName(format);
+      stdout.write(isStdin ? `${formatName}\n` : `${file}: ${formatName}\n`);
+      return 0;
+    }
+
+    let output = options.output || stdout;
+    if (outputPath !== undefined) {
+      outputHandle = await open(outputPath, options.force ? 'w' : 'wx');
+      output = outputHandle.createWriteStream();
+    }
+
+    try {
+      await pipeline(
+        input,
+        new InflateAuto(options.inflateOpts),
+        output,
+        // Shared output is ended after all files are written.
+        { end: outputHandle !== undefined },
+      );
+    } catch (err) {
+      if (outputHandle) {
+        // Remove partial output, as done by gzip.
+        await rm(outputPath, { force: true });
+      }
+
+      throw err;
+    }
+
+    if (outputHandle && !options.keep) {
+      await unlink(file);
+    }
+
+    return 0;
+  } catch (err) {
+    stderr.write(`inflate-auto: ${name}: ${err.message}\n`);
+    return getExitCode(err);
+  } finally {
+    // Close handles of streams which were not read or written.
+    await Promise.all([
+      inputHandle && inputHandle.close().catch(() => {}),
+      outputHandle && outputHandle.close().catch(() => {}),
+    ]);
+  }
+}
+
+/** Options for command entry points.
+ *
+ * @typedef {{
+ *   stdin: !module:stream.Readable,
+ *   stdout: !module:stream.Writable,
+ *   stderr: !module:stream.Writable
+ * }} CommandOptions
+ * @property {!module:stream.Readable} stdin Stream from which input is read.
+ * @property {!module:stream.Writable} stdout Stream to which output is
+ * written.
+ * @property {!module:stream.Writable} stderr Stream to which errors and
+ * non-output status messages are written.
+ */
+// const CommandOptions;
+
+/** Entry point for this command.
+ *
+ * @param {!Array<string>} args Command-line arguments.
+ * @param {!CommandOptions} options Options.
+ * @returns {!Promise<number>} Promise for exit code.  Only rejected for
+ * arguments with invalid type (or args.length < 2).
+ */
+async function inflateAutoMain(args, options) {
+  if (!Array.isArray(args) || args.length < 2) {
+    throw new TypeError('args must be an Array with at least 2 items');
+  }
+
+  if (!options || typeof options !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  if (!options.stdin || typeof options.stdin.on !== 'function') {
+    throw new TypeError('options.stdin must be a stream.Readable');
+  }
+  if (!options.stdout || typeof options.stdout.write !== 'function') {
+    throw new TypeError('options.stdout must be a stream.Writable');
+  }
+  if (!options.stderr || typeof options.stderr.write !== 'function') {
+    throw new TypeError('options.stderr must be a stream.Writable');
+  }
+
+  const { stdin, stdout, stderr } = options;
+
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: args.slice(2),
+      allowPositionals: true,
+      options: {
+        'detect-only': { type: 'boolean' },
+        force: { type: 'boolean', short: 'f' },
+        format: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+        keep: { type: 'boolean', short: 'k' },
+        output: { type: 'string', short: 'o' },
+        stdout: { type: 'boolean', short: 'c' },
+        suffix: { type: 'string', short: 'S' },
+        version: { type: 'boolean', short: 'V' },
+      },
+    }));
+  } catch (err) {
+    stderr.write(`${err.message}\nTry 'inflate-auto --help'.\n`);
+    return EXIT_USAGE_ERROR;
+  }
+
+  if (values.help) {
+    stdout.write(usage);
+    return 0;
+  }
+
+  if (values.version) {
+    stdout.write(`${packageJson.version}\n`);
+    return 0;
+  }
+
+  let inflateOpts = { detectors };
+  if (values.format !== undefined) {
+    const format = formats[values.format];
+    if (!format) {
+      stderr.write(`Unknown format '${values.format}'.\n`
+        + "Try 'inflate-auto --help'.\n");
+      return EXIT_USAGE_ERROR;
+    }
+
+    inflateOpts = { defaultFormat: format, detectors: [] };
+  }
+
+  if (values.suffix === '') {
+    stderr.write('Suffix must not be empty.\n');
+    return EXIT_USAGE_ERROR;
+  }
+
+  if (values.output !== undefined && values.stdout) {
+    stderr.write('--output and --stdout must not be combined.\n');
+    return EXIT_USAGE_ERROR;
+  }
+
+  const suffixes = values.suffix === undefined ? defaultSuffixes
+    : [[values.suffix, '']];
+  const files = positionals.length > 0 ? positionals : ['-'];
+
+  // Stream to which output of every file is written, if any.
+  let sharedOutput;
+  if (values.output !== undefined && !values['detect-only']) {
+    try {
+      const outputHandle =
+        await open(values.output, values.force ? 'w' : 'wx');
+      sharedOutput = outputHandle.createWriteStream();
+    } catch (err) {
+      stderr.write(`inflate-auto: ${err.message}\n`);
+      return getExitCode(err);
+    }
+  } else if (values.stdout) {
+    sharedOutput = stdout;
+  }
+
+  let exitCode = 0;
+  try {
+    for (const file of files) {
+      // Files are processed sequentially, as by gzip.
+      // eslint-disable-next-line no-await-in-loop
+      const fileExitCode = await processFile(file, {
+        detectOnly: values['detect-only'],
+        force: values.force,
+        inflateOpts,
+        keep: values.keep,
+        output: sharedOutput,
+        stderr,
+        stdin,
+        stdout,
+        suffixes,
+      });
+      exitCode ||= fileExitCode;
+    }
+  } finally {
+    if (sharedOutput && sharedOutput !== stdout) {
+      sharedOutput.end();
+      await finished(sharedOutput);
+    }
+  }
+
+  return exitCode;
+}
+
+module.exports = inflateAutoMain;
@@ -12,7 +12,7 @@
 'use strict';
 
 const assert = require('node:assert');
-const { Transform } = require('node:stream');
+const { Readable, Transform, pipeline } = require('node:stream');
 const {
   debuglog,
   types: {
@@ -22,15 +22,42 @@ const {
 } = require('node:util');
 const zlib = require('node:zlib');
 
+const { isBrotli } = require('./lib/brotli.js');
+const Bunzip2 = require('./lib/bunzip2.js');
 const {
+  checkDeflateRawHeader,
+  isDeflateRaw,
+} = require('./lib/deflate-raw.js');
+const {
+  AbortError,
+  ERR_FORMAT_NOT_SUPPORTED,
+  ERR_INFLATE_AUTO_DETECT_LIMIT,
+  ERR_INFLATE_AUTO_HEADER_LIMIT,
+  ERR_INFLATE_AUTO_OUTPUT_LIMIT,
   ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_OUT_OF_RANGE,
   ERR_STREAM_PREMATURE_CLOSE,
   ERR_SYNC_NOT_SUPPORTED,
+  ERR_TRAILING_DATA,
 } = require('./lib/errors.js');
+const GunzipMembers = require('./lib/gunzip-members.js');
+const { checkGzipHeader, readGzipHeader } = require('./lib/gzip.js');
+const Identity = require('./lib/identity.js');
+const InflateAutoStream = require('./lib/inflate-auto-stream.js');
+const InflateAutoSync = require('./lib/inflate-auto-sync.js');
+const OldGunzip = require('./lib/old-gunzip.js');
+const Uncompress = require('./lib/uncompress.js');
+const Unlz4 = require('./lib/unlz4.js');
+const Unlzma = require('./lib/unlzma.js');
+const Unpack = require('./lib/unpack.js');
+const Unsnappy = require('./lib/unsnappy.js');
+const Unxz = require('./lib/unxz.js');
+const { readZlibHeader } = require('./lib/zlib-header.js');
 const zlibInternal = require('./lib/zlib-internal.js');
 
 const {
-  INFLATE, Z_NO_FLUSH, Z_BLOCK, Z_FULL_FLUSH, Z_FINISH,
+  INFLATE, Z_NO_FLUSH, Z_SYNC_FLUSH, Z_BLOCK, Z_FULL_FLUSH, Z_FINISH,
 } = zlib.constants;
 
 const debug = debuglog('inflate-auto');
@@ -71,13 +98,68 @@ function isNotFunction(val) {
   return typeof val !== 'function';
 }
 
-function runDetectors(chunk, detectors, detectorsLeft) {
+/** Compares the start of a chunk of data to a format signature.
+ *
+ * @private
+ * @param {!Buffer} chunk Data to check.
+ * @param {!Array<number>} signature Expected bytes at the start of
+ * <code>chunk</code>.
+ * @param {number=} start Offset in <code>chunk</code> and
+ * <code>signature</code> at which to start comparing.  (default: 0)
+ * @returns {boolean|undefined} <code>true</code> if <code>chunk</code> starts
+ * with <code>signature</code>, <code>false</code> if it does not,
+ * <code>undefined</code> if <code>chunk</code> is a prefix of
+ * <code>signature</code>.
+ */
+function checkSignature(chunk, signature, start = 0) {
+  const len = Math.min(chunk.length, signature.length);
+  for (let i = start; i < len; i += 1) {
+    if (chunk[i] !== signature[i]) {
+      return false;
+    }
+  }
+
+  return chunk.length >= signature.length ? true : undefined;
+}
+
+function runDetectors(
+  chunk,
+  opts,
+  detectors,
+  detectorsLeft,
+  candidates,
+  unsupportedErrors,
+) {
   for (const detector of detectors) {
-    const format = detector(chunk);
-    if (format) {
-      return format;
+    let result;
+    try {
+      result = detector(chunk, opts);
+    } catch (err) {
+      // Detector recognized the format, but can't decode it.
+      // Record the error and check if other detectors can decode it.
+      if (err && err.code === 'ERR_FORMAT_NOT_SUPPORTED') {
+        unsupportedErrors.push(err);
+        continue;
+      }
+
+      throw err;
+    }
+
+    if (typeof result === 'function') {
+      return result;
     }
-    if (format === undefined) {
+
+    if (result && typeof result.format === 'function') {
+      if (result.confidence >= 1) {
+        return result.format;
+      }
+
+      if (result.confidence > 0) {
+        // Check again with more data, which may change the confidence.
+        candidates.push(result);
+        detectorsLeft.push(detector);
+      }
+    } else if (result === undefined) {
       detectorsLeft.push(detector);
     }
   }
@@ -85,6 +167,53 @@ function runDetectors(chunk, detectors, detectorsLeft) {
   return undefined;
 }
 
+/** Gets the function which parses the header of data decoded by a given
+ * decoder.
+ *
+ * @private
+ * @param {!module:stream.Duplex} decoder Decoder for the data.
+ * @returns {function(!Buffer): (?object|number)|undefined} Function which
+ * reads the header (returning the length of data needed if incomplete), or
+ * <code>undefined</code> if the header of the format is not parsed.
+ */
+function getHeaderParser(decoder) {
+  if (decoder instanceof zlib.Gunzip || decoder instanceof GunzipMembers) {
+    return readGzipHeader;
+  }
+
+  if (decoder instanceof zlib.Inflate) {
+    return readZlibHeader;
+  }
+
+  return undefined;
+}
+
+/** Chooses the candidate format with the highest confidence.
+ *
+ * @private
+ * @param {!Array<!InflateAuto.DetectionResult>} candidates Candidate formats,
+ * in detector order.
+ * @param {boolean} end Is there no more data to break ties?
+ * @returns {!InflateAuto.DetectionResult|undefined} Candidate with the highest
+ * confidence, or <code>undefined</code> if multiple candidates have the
+ * highest confidence and <code>end</code> is <code>false</code>.  If
+ * <code>end</code> is <code>true</code>, ties are broken by detector order.
+ */
+function chooseCandidate(candidates, end) {
+  let best;
+  let tied = false;
+  for (const candidate of candidates) {
+    if (!best || candidate.confidence > best.confidence) {
+      best = candidate;
+      tied = false;
+    } else if (candidate.confidence === best.confidence) {
+      tied = true;
+    }
+  }
+
+  return tied && !end ? undefined : best;
+}
+
 /** A function which detects the format for a given chunk of data.
  *
  * The function may be called any number of times with non-<code>null</code>,
@@ -95,6 +224,15 @@ function runDetectors(chunk, detectors, detectorsLeft) {
  * <code>stream.Duplex</code> class of the format which takes the
  * <code>options</code> Object as an argument.  An instance of the class will
  * be used to decode data written to this stream.</li>
+ * <li>If a format is likely, but not certain:  A {@link
+ * InflateAuto.DetectionResult} with the constructor and a
+ * <code>confidence</code> between 0 and 1.  Once all other detectors have
+ * matched or ruled out the data, the format with the highest confidence is
+ * used.  If multiple formats have the same confidence, more data is buffered
+ * to break the tie (with detector order breaking ties at the end of the
+ * data).  The function will be called again with more data until a format
+ * is chosen.  A <code>confidence</code> of 1 is equivalent to returning the
+ * constructor.</li>
  * <li>If all formats supported by this detector can be definitively ruled out:
  * <code>null</code>.  This function will not be called again unless the
  * stream is reset.</li>
@@ -102,15 +240,87 @@ function runDetectors(chunk, detectors, detectorsLeft) {
  * again when more data is available.</li>
  * </ol>
  *
+ * <p>If the format is recognized, but can not be decoded (e.g. because the
+ * decoder is not available in the current version of Node.js), the function
+ * should throw an <code>Error</code> with <code>code</code>
+ * <code>'ERR_FORMAT_NOT_SUPPORTED'</code>.  The error is reported, instead of
+ * using <code>defaultFormat</code>, if no other detector matches.</p>
+ *
  * @callback InflateAuto.FormatDetector
  * @param {!Buffer} chunk Non-empty chunk of data to check.
- * @returns {?function(new: module:stream.Duplex, object=)|undefined}
+ * @param {InflateAuto.InflateAutoOptions=} opts Options passed to the
+ * {@link InflateAuto} constructor.
+ * @returns {?function(new: module:stream.Duplex, object=)|
+ * !InflateAuto.DetectionResult|undefined}
  * Constructor for a <code>stream.Duplex</code> class to decode
  * <code>chunk</code> and subsequent data written to the stream,
+ * a <code>DetectionResult</code> if the format is likely,
  * <code>null</code> if the format is unrecognized/unsupported,
  * <code>undefined</code> if format detection requires more data.
  */
 
+/** A format which is likely, but not certain, returned by a {@link
+ * InflateAuto.FormatDetector}.
+ *
+ * @typedef {{
+ *   format: function(new:module:stream.Duplex, object=),
+ *   confidence: number
+ * }} InflateAuto.DetectionResult
+ * @property {function(new:module:stream.Duplex, object=)} format Constructor
+ * for a <code>stream.Duplex</code> class to decode the data.
+ * @property {number} confidence Likelihood that the data is in
+ * <code>format</code>, greater than 0 and at most 1.
+ */
+
+/** Header of a gzip member (RFC 1952 Section 2.3).
+ *
+ * @typedef {{
+ *   text: boolean,
+ *   mtime: number,
+ *   extraFlags: number,
+ *   os: number,
+ *   extra: (Buffer|undefined),
+ *   extraFields: (Array<!{id: string, data: !Buffer}>|undefined),
+ *   name: (string|undefined),
+ *   comment: (string|undefined),
+ *   headerCrc: (number|undefined),
+ *   headerLength: number
+ * }} InflateAuto.GzipHeader
+ * @property {boolean} text Is the data probably text (FTEXT)?
+ * @property {number} mtime Modification time of the original file, in seconds
+ * since the epoch, or 0 if not available (MTIME).
+ * @property {number} extraFlags Extra flags (XFL).
+ * @property {number} os Type of file system where compression took place
+ * (OS).
+ * @property {Buffer|undefined} extra Content of the extra field (FEXTRA),
+ * if present.
+ * @property {Array<!{id: string, data: !Buffer}>|undefined} extraFields
+ * Subfields of the extra field with their two-character subfield IDs (e.g.
+ * <code>'BC'</code> for BGZF), if present and well-formed.
+ * @property {string|undefined} name Original file name (FNAME), if present.
+ * @property {string|undefined} comment File comment (FCOMMENT), if present.
+ * @property {number|undefined} headerCrc CRC16 of the header (FHCRC), if
+ * present.
+ * @property {number} headerLength Length of the header, in bytes.
+ */
+
+/** Header of a zlib stream (RFC 1950 Section 2.2).
+ *
+ * @typedef {{
+ *   windowSize: number,
+ *   level: number,
+ *   dictionaryId: (number|undefined),
+ *   headerLength: number
+ * }} InflateAuto.ZlibHeader
+ * @property {number} windowSize Size of the LZ77 window, in bytes (from
+ * CINFO).
+ * @property {number} level Compression level, from 0 (fastest) to 3
+ * (maximum compression) (FLEVEL).
+ * @property {number|undefined} dictionaryId Adler-32 checksum of the preset
+ * dictionary (DICTID), if FDICT is set.
+ * @property {number} headerLength Length of the header, in bytes.
+ */
+
 /**
  * Define JSDoc type for [<code>ArrayBufferView</code>]{@link
  * https://developer.mozilla.org/en-US/docs/Web/API/ArrayBufferView}
@@ -138,19 +348,78 @@ function runDetectors(chunk, detectors, detectorsLeft) {
  *
  * @typedef {{
  *   defaultFormat:
- *     ?function(new:module:stream.Duplex, object=)|boolean|undefined,
- *   detectors: Array<!InflateAuto.FormatDetector>|undefined
+ *     ?function(new:module:stream.Duplex, object=)|string|boolean|undefined,
+ *   detectors: Array<!InflateAuto.FormatDetector>|undefined,
+ *   dictionaryResolver: (function(number): ?Buffer|undefined),
+ *   members: string|undefined,
+ *   maxDetectBytes: number|undefined,
+ *   maxOutputLength: number|undefined,
+ *   maxRatio: number|undefined,
+ *   multiFormat: boolean|undefined,
+ *   trailingData: string|undefined,
+ *   strictGzipHeader: boolean|undefined
  * }} InflateAuto.InflateAutoOptions
  * @augments zlib.Zlib.options
- * @property {function(new:module:stream.Duplex, object=)|boolean=
+ * @property {function(new:module:stream.Duplex, object=)|string|boolean=
  * } defaultFormat Constructor of the format which is used if no detectors
- * match.  Pass <code>null</code> or <code>false</code> for no default.
+ * match.  Pass <code>'identity'</code> to use <code>InflateRaw</code> if a
+ * prefix of the data can be decoded as "raw" DEFLATE, or {@link
+ * InflateAuto.Identity} (which passes data through unchanged) otherwise.
+ * Pass <code>null</code> or <code>false</code> for no default.
  * (default: <code>InflateRaw</code>)
  * @property {Array<!InflateAuto.FormatDetector>=} detectors Functions which
  * detect the data format for a chunk of data and return the constructor for a
  * class to decode the data.  If any detector requires large amounts of data,
  * adjust <code>highWaterMark</code> appropriately.  (default:
  * <code>[detectDeflate, detectGzip]</code>)
+ * @property {(function(number): ?Buffer)=} dictionaryResolver
+ * Function which returns the preset dictionary with a given Adler-32 checksum
+ * (the DICTID in the zlib header), or <code>null</code> or
+ * <code>undefined</code> if it is not available.  Used for zlib data with a
+ * preset dictionary when the <code>dictionary</code> option is not given.
+ * @property {string=} members How to decode gzip data with multiple members.
+ * Pass <code>'split'</code> to decode each member separately using {@link
+ * InflateAuto.GunzipMembers}, which emits <code>'member'</code> at the end of
+ * each member.  Synchronous decompression is not supported in this mode.
+ * (default: decode members as one stream with <code>zlib.Gunzip</code>)
+ * @property {number=} maxDetectBytes Maximum number of bytes to buffer while
+ * detecting the format.  Once reached, the format is chosen as if the data
+ * had ended (e.g. <code>defaultFormat</code> for undecided detectors).  If
+ * <code>defaultFormat</code> is <code>null</code> and no format is likely, an
+ * <code>Error</code> with <code>code</code>
+ * <code>'ERR_INFLATE_AUTO_DETECT_LIMIT'</code> is emitted instead.  Also
+ * limits the data buffered to parse the gzip or zlib header, which emits an
+ * <code>Error</code> with <code>code</code>
+ * <code>'ERR_INFLATE_AUTO_HEADER_LIMIT'</code> if exceeded.
+ * (default: no limit)
+ * @property {number=} maxOutputLength Maximum number of bytes of
+ * decompressed data.  If exceeded, the stream emits an <code>Error</code>
+ * with <code>code</code> <code>'ERR_INFLATE_AUTO_OUTPUT_LIMIT'</code> and
+ * further output is discarded.  Unlike zlib, applies to the stream, not only
+ * to convenience methods.  (default: no limit)
+ * @property {number=} maxRatio Maximum ratio of the number of bytes of
+ * decompressed data to the number of bytes of compressed data written.  If
+ * exceeded, the stream emits an <code>Error</code> as for
+ * <code>maxOutputLength</code>.  (default: no limit)
+ * @property {boolean=} multiFormat Detect the format again when the decoder
+ * ends before the end of its input (e.g. after the end of a zlib stream or
+ * when gzip members are followed by non-gzip data) and decode the remaining
+ * data with a new decoder.  Only data written asynchronously is re-detected.
+ * gzip data is decoded by {@link InflateAuto.GunzipMembers} in this mode.
+ * (default: <code>false</code>, remaining data is handled by the decoder,
+ * which usually ignores it)
+ * @property {string=} trailingData Behavior for data after the end of the
+ * compressed data, which is the same for every format:
+ * <code>'ignore'</code> to discard it, <code>'error'</code> to emit an
+ * <code>Error</code> with <code>code</code> <code>'ERR_TRAILING_DATA'</code>,
+ * or <code>'emit'</code> to emit it as a <code>'trailing'</code> event before
+ * <code>'end'</code> and set the <code>trailingData</code> property.  gzip
+ * data is decoded by {@link InflateAuto.GunzipMembers} if this option is
+ * set.  Not used if <code>multiFormat</code> is <code>true</code>.
+ * (default: depends on the format and Node.js version)
+ * @property {boolean=} strictGzipHeader Check the complete gzip header
+ * (including reserved flags and header CRC) before detecting gzip data.
+ * (default: <code>false</code>)
  */
 // var InflateAutoOptions;
 
@@ -163,7 +432,23 @@ function runDetectors(chunk, detectors, detectorsLeft) {
  *
  * <p>This class emits the additional event <code>'format'</code> when the
  * compression format has been set or detected with the instance of the format
- * class which will be used to decode the data.</p>
+ * class which will be used to decode the data.  If the
+ * <code>multiFormat</code> option is <code>true</code>, it is emitted again
+ * for the format of data after the end of each decoder's input.</p>
+ *
+ * <p>For gzip and zlib data, this class also emits <code>'header'</code> with
+ * the parsed header (see {@link #getHeader}) once the header has been written,
+ * before the data it precedes is decoded.</p>
+ *
+ * <p>If the <code>members</code> option is <code>'split'</code>, gzip data is
+ * decoded by {@link InflateAuto.GunzipMembers} and this class emits
+ * <code>'member'</code> at the end of each gzip member with its header,
+ * offsets, and lengths, as documented for {@link
+ * InflateAuto.GunzipMembers}.</p>
+ *
+ * <p>If the <code>trailingData</code> option is <code>'emit'</code>, this
+ * class emits <code>'trailing'</code> with any data after the end of the
+ * compressed data before <code>'end'</code>.</p>
  *
  * @class
  * @augments module:stream.Transform
@@ -252,6 +537,16 @@ function InflateAuto(opts) {
     ];
   }
 
+  if (opts
+    && opts.dictionaryResolver !== undefined
+    && typeof opts.dictionaryResolver !== 'function') {
+    throw new ERR_INVALID_ARG_TYPE(
+      'opts.dictionaryResolver',
+      'function',
+      opts.dictionaryResolver,
+    );
+  }
+
   /**
    * Detectors which are still plausible given previous data.
    *
@@ -259,6 +554,20 @@ function InflateAuto(opts) {
    */
   this._detectorsLeft = this._detectors;
 
+  /**
+   * Errors from detectors which recognized a format which is not supported.
+   *
+   * @private
+   */
+  this._unsupportedErrors = [];
+
+  /**
+   * Likely formats from detectors in {@link #_detectorsLeft}.
+   *
+   * @private
+   */
+  this._candidates = [];
+
   /**
    * Default format which is used if no detectors match.
    *
@@ -266,7 +575,8 @@ function InflateAuto(opts) {
    */
   this._defaultFormat = undefined;
   if (opts && opts.defaultFormat) {
-    if (typeof opts.defaultFormat !== 'function') {
+    if (typeof opts.defaultFormat !== 'function'
+      && opts.defaultFormat !== 'identity') {
       throw new ERR_INVALID_ARG_TYPE(
         'opts.defaultFormat',
         'function',
@@ -286,10 +596,131 @@ function InflateAuto(opts) {
   this._opts = opts;
 
   /* Invariant:
-   * At most one of _decoder or _writeBuf is not undefined.
+   * At most one of _decoder or _writeBufs is non-empty.
    * Since writes are being forwarded or buffered.
    */
-  this._writeBuf = undefined;
+  this._writeBufs = [];
+  this._writeBufLength = 0;
+
+  /**
+   * Buffer in which <code>_writeBufs</code> are combined, with room for
+   * later writes.
+   *
+   * @private
+   */
+  this._writeBufSpace = undefined;
+
+  /**
+   * Parsed header of the data, once available.
+   *
+   * @private
+   */
+  this._header = undefined;
+
+  /**
+   * Function to parse the header of the data, while it is being parsed.
+   *
+   * @private
+   */
+  this._headerParser = undefined;
+
+  /**
+   * Chunks written to the decoder which do not contain the complete header.
+   *
+   * @private
+   */
+  this._headerBufs = [];
+
+  /**
+   * Total length of <code>_headerBufs</code>.
+   *
+   * @private
+   */
+  this._headerBufLength = 0;
+
+  /**
+   * Minimum length of data which may contain the complete header.
+   *
+   * @private
+   */
+  this._headerNeeded = 0;
+
+  /**
+   * Detect the format again when the decoder ends before its input?
+   *
+   * @private
+   */
+  this._multiFormat = Boolean(opts && opts.multiFormat);
+
+  /**
+   * Behavior for data after the end of the compressed data, if any.
+   *
+   * @private
+   */
+  this._trailingData = undefined;
+  if (opts && opts.trailingData !== undefined) {
+    if (!['ignore', 'error', 'emit'].includes(opts.trailingData)) {
+      throw new ERR_INVALID_ARG_VALUE(
+        'opts.trailingData',
+        opts.trailingData,
+        'must be one of \'ignore\', \'error\', or \'emit\'',
+      );
+    }
+    this._trailingData = opts.trailingData;
+  }
+
+  if (opts && opts.members !== undefined && opts.members !== 'split') {
+    throw new ERR_INVALID_ARG_VALUE(
+      'opts.members',
+      opts.members,
+      'must be \'split\'',
+    );
+  }
+
+  /**
+   * Limits on the data buffered for format detection and the decompressed
+   * data, and the amount of data written and decompressed.
+   *
+   * @private
+   */
+  this._maxDetectBytes = Infinity;
+  this._maxOutputLength = Infinity;
+  this._maxRatio = Infinity;
+  for (const option of ['maxDetectBytes', 'maxOutputLength', 'maxRatio']) {
+    const limit = opts && opts[option];
+    if (limit !== undefined) {
+      if (typeof limit !== 'number' || Number.isNaN(limit)) {
+        throw new ERR_INVALID_ARG_TYPE(`opts.${option}`, 'number', limit);
+      }
+      if (limit <= 0) {
+        throw new ERR_OUT_OF_RANGE(`opts.${option}`, '> 0', limit);
+      }
+      this[`_${option}`] = limit;
+    }
+  }
+  this._inputLength = 0;
+  this._outputLength = 0;
+  this._outputLimitError = undefined;
+
+  /** Data after the end of the compressed data, once the stream has ended,
+   * if the <code>trailingData</code> option is <code>'emit'</code>.
+   *
+   * @type {Buffer|undefined}
+   */
+  this.trailingData = undefined;
+
+  /* State for multiFormat and trailingData:
+   * Data written to _decoder which it may not have consumed, starting at
+   * offset _decoderInputStart of the data written to _decoder, the number of
+   * writes to _decoder which have not completed, whether _decoder has ended,
+   * and the callback for _flush while the last decoder is ending.
+   */
+  this._decoderInput = [];
+  this._decoderInputStart = 0;
+  this._decoderWrites = 0;
+  this._decoderEnded = false;
+  this._flushCallback = undefined;
+  this._formatsEnded = 0;
 }
 inheritsES6(InflateAuto, useZlibBase ? ZlibBase : Transform);
 
@@ -315,46 +746,118 @@ InflateAuto.createInflateAuto = function createInflateAuto(opts) {
 };
 
 /**
- * Format detectors supported by default.
+ * Format detectors provided by this module.
+ *
+ * <p>Only {@link InflateAuto.detectors.detectDeflate} and {@link
+ * InflateAuto.detectors.detectGzip} are used by default.  Others can be
+ * enabled using {@link InflateAuto.InflateAutoOptions.detectors}.</p>
  *
  * @constant
  * @enum {InflateAuto.FormatDetector}
  */
 InflateAuto.detectors = {
   /** Detects the ZLIB DEFLATE format, as specified in RFC 1950.
+   *
+   * <p>Data with a preset dictionary (FDICT) only matches if the
+   * <code>dictionary</code> option is given or the
+   * <code>dictionaryResolver</code> option returns the dictionary, since
+   * zlib can not decode it otherwise.  This avoids misrouting "raw" DEFLATE
+   * data which happens to start with a valid zlib header.</p>
    *
    * @param {!Buffer} chunk Chunk of data to check.
-   * @returns {?zlib.Inflate|undefined} <code>zlib.Inflate</code> if the data
-   * conforms to RFC 1950 Section 2.2, <code>undefined</code> if the data may
-   * conform, <code>null</code> if it does not conform.
+   * @param {InflateAuto.InflateAutoOptions=} opts Options, which may include
+   * <code>dictionary</code> or <code>dictionaryResolver</code>.
+   * @returns {?function(new:zlib.Inflate, object=)|undefined}
+   * <code>zlib.Inflate</code> (or a subclass which uses the dictionary from
+   * <code>dictionaryResolver</code>) if the data conforms to RFC 1950 Section
+   * 2.2, <code>undefined</code> if the data may conform, <code>null</code> if
+   * it does not conform.
    */
-  detectDeflate: function detectDeflate(chunk) {
+  detectDeflate: function detectDeflate(chunk, opts) {
+    /* eslint-disable no-bitwise */
     // CM field (least-significant 4 bits) must be 8
-    // eslint-disable-next-line no-bitwise
-    if ((chunk[0] & 0x0F) === 8) {
-      if (chunk.length === 1) {
-        // Can't know yet whether header is valid
-        return undefined;
-      }
+    // CINFO field (most-significant 4 bits) must be at most 7
+    if ((chunk[0] & 0x0F) !== 8 || chunk[0] >> 4 > 7) {
+      // eslint-disable-next-line unicorn/no-null
+      return null;
+    }
 
-      // FCHECK field ensures first 16-bit BE int is a multiple of 31
-      if ((chunk.readUInt16BE(0) % 31) === 0) {
-        // Valid ZLIB header
-        return zlib.Inflate;
-      }
+    if (chunk.length === 1) {
+      // Can't know yet whether header is valid
+      return undefined;
     }
 
-    // eslint-disable-next-line unicorn/no-null
-    return null;
+    // FCHECK field ensures first 16-bit BE int is a multiple of 31
+    if ((chunk.readUInt16BE(0) % 31) !== 0) {
+      // eslint-disable-next-line unicorn/no-null
+      return null;
+    }
+
+    // FDICT flag indicates DICTID follows the header
+    if ((chunk[1] & 0x20) === 0 || (opts && opts.dictionary)) {
+      // Valid ZLIB header
+      return zlib.Inflate;
+    }
+    /* eslint-enable no-bitwise */
+
+    if (!opts || typeof opts.dictionaryResolver !== 'function') {
+      // eslint-disable-next-line unicorn/no-null
+      return null;
+    }
+
+    if (chunk.length < 6) {
+      return undefined;
+    }
+
+    const dictionary = opts.dictionaryResolver(chunk.readUInt32BE(2));
+    if (!dictionary) {
+      // eslint-disable-next-line unicorn/no-null
+      return null;
+    }
+
+    return class InflateDictionary extends zlib.Inflate {
+      constructor(inflateOpts) {
+        super({ ...inflateOpts, dictionary });
+      }
+    };
   },
   /** Detects the GZIP format, as specified in RFC 1952.
+   *
+   * <p>By default, only the first three bytes of the header are checked.  If
+   * the <code>strictGzipHeader</code> option is <code>true</code>, the
+   * complete header is checked, including the optional fields, that the
+   * reserved flag bits are zero, and the header CRC16 (if present).</p>
    *
    * @param {!Buffer} chunk Chunk of data to check.
-   * @returns {?zlib.Gunzip|undefined} <code>zlib.Gunzip</code> if the data
-   * conforms to RFC 1952, <code>undefined</code> if the data may conform,
+   * @param {InflateAuto.InflateAutoOptions=} opts Options, which may include
+   * <code>members</code>, <code>multiFormat</code>,
+   * <code>strictGzipHeader</code>, and <code>trailingData</code>.
+   * @returns {?zlib.Gunzip|?InflateAuto.GunzipMembers|undefined}
+   * <code>zlib.Gunzip</code> (or {@link InflateAuto.GunzipMembers} if the
+   * <code>members</code> option is <code>'split'</code>,
+   * <code>multiFormat</code> is <code>true</code>, or
+   * <code>trailingData</code> is set) if the data conforms
+   * to RFC 1952, <code>undefined</code> if the data may conform,
    * <code>null</code> if it does not conform.
    */
-  detectGzip: function detectGzip(chunk) {
+  detectGzip: function detectGzip(chunk, opts) {
+    // zlib.Gunzip decodes data after a member as another member, so it can't
+    // be followed by another format or by trailing data.
+    const Gunzip = opts
+      && (opts.members === 'split' || opts.multiFormat || opts.trailingData)
+      ? GunzipMembers
+      : zlib.Gunzip;
+
+    if (opts && opts.strictGzipHeader) {
+      const headerValid = checkGzipHeader(chunk);
+      if (headerValid === undefined) {
+        return undefined;
+      }
+
+      // eslint-disable-next-line unicorn/no-null
+      return headerValid ? Gunzip : null;
+    }
+
     // Check for gzip header per Section 2.3.1 of RFC 1952
     if (chunk[0] === 0x1F) {
       if (chunk.length === 1) {
@@ -370,7 +873,7 @@ InflateAuto.detectors = {
 
         if (chunk[2] === 8) {
           // Valid gzip header
-          return zlib.Gunzip;
+          return Gunzip;
         }
       }
     }
@@ -378,103 +881,808 @@ InflateAuto.detectors = {
     // eslint-disable-next-line unicorn/no-null
     return null;
   },
-};
+  /** Detects the Zstandard format, as specified in RFC 8878.
+   *
+   * <p>Both Zstandard frames and skippable frames are recognized.  Decoding
+   * requires <code>zlib.ZstdDecompress</code>, which was added in Node.js
+   * v23.8.0 and v22.15.0.</p>
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?zlib.ZstdDecompress|undefined} <code>zlib.ZstdDecompress</code>
+   * if the data starts with a Zstandard frame or skippable frame,
+   * <code>undefined</code> if the data may start with one,
+   * <code>null</code> if it does not.
+   * @throws {Error} With <code>code</code>
+   * <code>'ERR_FORMAT_NOT_SUPPORTED'</code> if the data is Zstandard and
+   * <code>zlib.ZstdDecompress</code> is not available.
+   */
+  detectZstd: function detectZstd(chunk) {
+    // Magic_Number 0xFD2FB528 (little-endian) per Section 3.1.1 of RFC 8878
+    let isZstd = checkSignature(chunk, [0x28, 0xB5, 0x2F, 0xFD]);
+    // eslint-disable-next-line no-bitwise
+    if (isZstd === false && (chunk[0] & 0xF0) === 0x50) {
+      // Skippable frame magic 0x184D2A5? per Section 3.1.2 of RFC 8878
+      isZstd = checkSignature(chunk, [0x50, 0x2A, 0x4D, 0x18], 1);
+    }
 
-/** Decompresses a compressed <code>Buffer</code>.
- * Analogous to {@link zlib.inflate}.
- *
- * @param {!Buffer} buffer Compressed data to decompress.
- * @param {object=} opts Decompression options.
- * @param {!function(Error, Buffer=)} callback Callback which receives the
- * decompressed data.
- */
-InflateAuto.inflateAuto = function inflateAuto(buffer, opts, callback) {
-  if (typeof opts === 'function') {
-    callback = opts;
-    opts = {};
-  }
-  zlibInternal.zlibBuffer(new InflateAuto(opts), buffer, callback);
-};
+    if (isZstd === undefined) {
+      return undefined;
+    }
 
-/** Decompresses a compressed Buffer synchronously.
- * Analogous to {@link zlib.inflateSync}.
- *
- * @param {!Buffer} buffer Compressed data to decompress.
- * @param {object=} opts Decompression options.
- * @returns {!Buffer} Decompressed data.
- */
-InflateAuto.inflateAutoSync = function inflateAutoSync(buffer, opts) {
-  // eslint-disable-next-line n/no-sync
-  return zlibInternal.zlibBufferSync(new InflateAuto(opts), buffer);
-};
+    if (!isZstd) {
+      // eslint-disable-next-line unicorn/no-null
+      return null;
+    }
 
-/** Implements {@link #destroy} on this stream by ensuring
- * <code>_handle</code> is set <code>null</code> (for <code>_closed</code>)
- * as done by {@link zlib.ZlibBase#_destroy} since nodejs/node@8a02d941b6c
- * (v12) and nodejs/node@c6a43fa2ef (v10.15.1).
- *
- * @param {Error} err Error passed to {@link #destroy}.
- * @param {function(Error=)} callback Callback once destroyed.
- */
-InflateAuto.prototype._destroy = function _destroy(err, callback) {
-  // eslint-disable-next-line unicorn/no-null
-  this._handle = null;
-  callback(err);
-};
+    // eslint-disable-next-line n/no-unsupported-features/node-builtins
+    const { ZstdDecompress } = zlib;
+    if (typeof ZstdDecompress !== 'function') {
+      throw new ERR_FORMAT_NOT_SUPPORTED(
+        'Zstandard',
+        `zlib.ZstdDecompress is not available in Node.js ${process.version}`,
+      );
+    }
 
-/** Detects the format of a given <code>Buffer</code>.
- *
- * This method passes <code>chunk</code> to each of the {@link
- * module:inflate-auto.InflateAutoOptions.detectors}.  The first detector to
- * match is returned.  If at least one detector is indeterminate and
- * <code>end</code> is <code>false</code>, <code>null</code> is returned.
- * Otherwise {@link module:inflate-auto.InflateAutoOptions.defaultFormat} is
- * returned or an <code>Error</code> is thrown.
- *
- * @protected
- * @param {Buffer} chunk Beginning of data for which to detect the
- * compression format.
- * @param {boolean} end Is <code>chunk</code> the end of the data stream?
- * @returns {?function(new:module:stream.Duplex, object=)}
- * An instance of the zlib type which will decode <code>chunk</code> and
- * subsequent data, or <code>null</code> if <code>chunk</code> is too short to
- * deduce the format conclusively and <code>end</code> is <code>false</code>.
- * @throws {Error} If any detector throws or <code>end</code> is
- * <code>true</code> and no default format is given.
- */
-InflateAuto.prototype._detectFormat = function _detectFormat(chunk, end) {
-  if (chunk && chunk.length > 0) {
-    const newDetectorsLeft = [];
-    const format = runDetectors(chunk, this._detectorsLeft, newDetectorsLeft);
-    if (format) {
-      return format;
+    return ZstdDecompress;
+  },
+  /** Detects the bzip2 format.
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?InflateAuto.Bunzip2|undefined} {@link InflateAuto.Bunzip2} if
+   * the data starts with a bzip2 stream header followed by a block header or
+   * end-of-stream marker, <code>undefined</code> if the data may start with
+   * one, <code>null</code> if it does not.
+   */
+  detectBzip2: function detectBzip2(chunk) {
+    // "BZh" followed by block size digit '1' to '9'
+    const isHeader = checkSignature(chunk, [0x42, 0x5A, 0x68]);
+    if (isHeader === false
+      || (chunk.length > 3 && (chunk[3] < 0x31 || chunk[3] > 0x39))) {
+      // eslint-disable-next-line unicorn/no-null
+      return null;
     }
-    this._detectorsLeft = newDetectorsLeft;
-  }
 
-  if (this._detectorsLeft.length === 0 || end) {
-    if (this._defaultFormat) {
-      return this._defaultFormat;
+    // Followed by block magic (BCD pi) or end-of-stream magic (BCD sqrt(pi))
+    const prefix = [0x42, 0x5A, 0x68, chunk[3]];
+    const isBlock = checkSignature(
+      chunk,
+      [...prefix, 0x31, 0x41, 0x59, 0x26, 0x53, 0x59],
+      4,
+    );
+    const isEos = checkSignature(
+      chunk,
+      [...prefix, 0x17, 0x72, 0x45, 0x38, 0x50, 0x90],
+      4,
+    );
+    if (isBlock || isEos) {
+      return Bunzip2;
     }
 
-    const err = new Error('data did not match any supported formats');
-    err.data = chunk;
-    throw err;
-  }
+    if (isBlock === undefined || isEos === undefined) {
+      return undefined;
+    }
 
-  return undefined;
-};
+    // eslint-disable-next-line unicorn/no-null
+    return null;
+  },
+  /** Detects the xz format.
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?InflateAuto.Unxz|undefined} {@link InflateAuto.Unxz} if the
+   * data starts with the xz magic bytes, <code>undefined</code> if the data
+   * is a prefix of them, <code>null</code> if it does not.
+   */
+  detectXz: function detectXz(chunk) {
+    const isXz = checkSignature(chunk, [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00]);
+    if (isXz === undefined) {
+      return undefined;
+    }
 
-/** Flushes any buffered data when the stream is ending.
- *
- * @protected
- * @param {function(Error=)} callback Callback once stream has ended.
- */
-InflateAuto.prototype._flush = function _flush(callback) {
+    // eslint-disable-next-line unicorn/no-null
+    return isXz ? Unxz : null;
+  },
+  /** Detects the pack (.z) format.
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?InflateAuto.Unpack|undefined} {@link InflateAuto.Unpack} if
+   * the data starts with the pack magic bytes, <code>undefined</code> if the
+   * data is a prefix of them, <code>null</code> if it does not.
+   */
+  detectPack: function detectPack(chunk) {
+    const isPack = checkSignature(chunk, [0x1F, 0x1E]);
+    if (isPack === undefined) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    return isPack ? Unpack : null;
+  },
+  /** Detects the gzip format with the magic number used by gzip 0.5
+   * (<code>1F 9E</code>), which is also accepted by current versions of gzip.
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?InflateAuto.OldGunzip|undefined} {@link InflateAuto.OldGunzip}
+   * if the data starts with the old gzip magic bytes and deflate method,
+   * <code>undefined</code> if the data is a prefix of them, <code>null</code>
+   * if it does not.
+   */
+  detectOldGzip: function detectOldGzip(chunk) {
+    const isOldGzip = checkSignature(chunk, [0x1F, 0x9E, 0x08]);
+    if (isOldGzip === undefined) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    return isOldGzip ? OldGunzip : null;
+  },
+  /** Detects the LZ4 frame format, including the legacy frame format.
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?InflateAuto.Unlz4|undefined} {@link InflateAuto.Unlz4} if the
+   * data starts with an LZ4 frame or legacy frame, <code>undefined</code> if
+   * the data may start with one, <code>null</code> if it does not.
+   */
+  detectLz4: function detectLz4(chunk) {
+    // Legacy frame magic number 0x184C2102 (little-endian)
+    const isLegacy = checkSignature(chunk, [0x02, 0x21, 0x4C, 0x18]);
+    if (isLegacy) {
+      return Unlz4;
+    }
+
+    // Frame magic number 0x184D2204 (little-endian) followed by FLG byte with
+    // version number 01 in the high bits
+    const isFrame = checkSignature(chunk, [0x04, 0x22, 0x4D, 0x18]);
+    if (isFrame === undefined || (isFrame && chunk.length < 5)) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line no-bitwise
+    if (isFrame && (chunk[4] & 0xC0) === 0x40) {
+      return Unlz4;
+    }
+
+    if (isLegacy === undefined) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    return null;
+  },
+  /** Detects the Snappy framing format.
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?InflateAuto.Unsnappy|undefined} {@link InflateAuto.Unsnappy}
+   * if the data starts with the Snappy stream identifier chunk,
+   * <code>undefined</code> if the data is a prefix of it, <code>null</code>
+   * if it does not.
+   */
+  detectSnappy: function detectSnappy(chunk) {
+    // Stream identifier chunk:  Type 0xFF, length 6, "sNaPpY"
+    const isSnappy = checkSignature(
+      chunk,
+      [0xFF, 0x06, 0x00, 0x00, 0x73, 0x4E, 0x61, 0x50, 0x70, 0x59],
+    );
+    if (isSnappy === undefined) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    return isSnappy ? Unsnappy : null;
+  },
+  /** Detects the Unix compress (.Z) format.
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?InflateAuto.Uncompress|undefined} {@link
+   * InflateAuto.Uncompress} if the data starts with a compress header,
+   * <code>undefined</code> if the data is a prefix of one, <code>null</code>
+   * if it does not.
+   */
+  detectCompress: function detectCompress(chunk) {
+    // Magic bytes followed by flags with the maximum code size (9-16) in the
+    // low 5 bits, block mode in the high bit, and unused bits 5-6 unset
+    const isCompress = checkSignature(chunk, [0x1F, 0x9D]);
+    if (isCompress === false) {
+      // eslint-disable-next-line unicorn/no-null
+      return null;
+    }
+
+    if (chunk.length < 3) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line no-bitwise
+    const maxBits = chunk[2] & 0x7F;
+    // eslint-disable-next-line unicorn/no-null
+    return maxBits >= 9 && maxBits <= 16 ? Uncompress : null;
+  },
+  /** Detects the legacy lzma ("LZMA alone") format.
+   *
+   * <p>The lzma format has no magic number, so detection is heuristic:  The
+   * properties byte must be in the valid range, the dictionary size must be
+   * 2^n or 2^n + 2^(n-1) bytes (as created by lzma and xz), the uncompressed
+   * size must be unknown or less than 256 GiB, and the first byte of range
+   * coded data (if present) must be 0.  Since it may match data in other
+   * formats, it is not used by default and should be placed after detectors
+   * for formats with deterministic signatures.</p>
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?InflateAuto.Unlzma|undefined} {@link InflateAuto.Unlzma} if
+   * the data starts with a plausible lzma header, <code>undefined</code> if
+   * the data is shorter than the 13-byte header, <code>null</code> if it does
+   * not.
+   */
+  detectLzmaAlone: function detectLzmaAlone(chunk) {
+    if (chunk.length < 13) {
+      return undefined;
+    }
+
+    // Properties byte encodes (pb * 5 + lp) * 9 + lc, each within limits
+    const propsValid = chunk[0] < 9 * 5 * 5;
+
+    const dictSize = chunk.readUInt32LE(1);
+    const dictHighBit = 2 ** (31 - Math.clz32(dictSize));
+    const dictSizeValid = dictSize === 0xFFFFFFFF
+      || (dictSize > 0
+        && (dictSize === dictHighBit || dictSize === dictHighBit * 1.5));
+
+    const sizeLow = chunk.readUInt32LE(5);
+    const sizeHigh = chunk.readUInt32LE(9);
+    const sizeValid = (sizeLow === 0xFFFFFFFF && sizeHigh === 0xFFFFFFFF)
+      || sizeHigh < 2 ** (38 - 32);
+
+    if (propsValid
+      && dictSizeValid
+      && sizeValid
+      && (chunk.length === 13 || chunk[13] === 0)) {
+      return Unlzma;
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    return null;
+  },
+  /** Detects the Brotli format, as specified in RFC 7932.
+   *
+   * <p>Brotli has no magic number, so detection is heuristic:  The stream
+   * header and meta-block headers are validated up to the first compressed
+   * meta-block, then a prefix of the data (up to 512 bytes of the compressed
+   * meta-block) is trial-decoded and must produce output.  Data with only
+   * uncompressed meta-blocks (e.g. incompressible data) is detected once
+   * the complete stream is available.  Since it may match data in other
+   * formats which happens to be valid Brotli, it is not used by default and
+   * should be placed after detectors for formats with deterministic
+   * signatures.</p>
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?zlib.BrotliDecompress|undefined}
+   * <code>zlib.BrotliDecompress</code> if the data appears to be Brotli,
+   * <code>undefined</code> if more data is required to decide,
+   * <code>null</code> if it is not Brotli.
+   */
+  detectBrotli: function detectBrotli(chunk) {
+    const result = isBrotli(chunk);
+    if (result === undefined) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    return result ? zlib.BrotliDecompress : null;
+  },
+  /** Detects the "raw" DEFLATE format, as specified in RFC 1951.
+   *
+   * <p>"Raw" DEFLATE has no magic number, so detection is heuristic:  The
+   * header of the first block is validated (the block type is not reserved,
+   * the length of a stored block matches its complement, and the code lengths
+   * of a block with dynamic Huffman codes describe valid codes).  Since data
+   * in other formats may have a valid block header, it should be placed after
+   * all other detectors.  It can be combined with <code>defaultFormat:
+   * false</code> to reject data which is not "raw" DEFLATE before it is
+   * decoded.</p>
+   *
+   * @param {!Buffer} chunk Chunk of data to check.
+   * @returns {?zlib.InflateRaw|undefined} <code>zlib.InflateRaw</code> if
+   * the data appears to be "raw" DEFLATE, <code>undefined</code> if more data
+   * is required to decide, <code>null</code> if it is not "raw" DEFLATE.
+   */
+  detectDeflateRaw: function detectDeflateRaw(chunk) {
+    const result = checkDeflateRawHeader(chunk);
+    if (result === undefined) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line unicorn/no-null
+    return result ? zlib.InflateRaw : null;
+  },
+};
+
+/** Decompressor for data in the bzip2 format.
+ *
+ * <p>Returned by {@link InflateAuto.detectors.detectBzip2}.  Concatenated
+ * bzip2 streams are decoded as one stream and the block and stream CRCs are
+ * checked.  Since a block is decoded once all of its compressed data is
+ * available, up to 900k of compressed data may be buffered.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.Bunzip2 = Bunzip2;
+
+/** Decompressor for data in the xz format.
+ *
+ * <p>Returned by {@link InflateAuto.detectors.detectXz}.  Only blocks which
+ * use the LZMA2 filter alone (the <code>xz</code> default) are supported.
+ * Integrity checks of type CRC32, CRC64, and SHA-256 are verified.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.Unxz = Unxz;
+
+/** Decompressor for data in the pack (.z) format.
+ *
+ * <p>Returned by {@link InflateAuto.detectors.detectPack}.  The format has
+ * no check value, so only the length in the header is compared to the
+ * decoded length.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.Unpack = Unpack;
+
+/** Decompressor for data in the gzip format with the magic number used by
+ * gzip 0.5.
+ *
+ * <p>This class extends {@link zlib.Gunzip} and accepts the same options.
+ * It is returned by {@link InflateAuto.detectors.detectOldGzip}.</p>
+ *
+ * @class
+ * @augments zlib.Gunzip
+ * @param {object=} opts Options for {@link zlib.Gunzip}.
+ */
+InflateAuto.OldGunzip = OldGunzip;
+
+/** Decompressor for data in the LZ4 frame format or the legacy LZ4 format.
+ *
+ * <p>Returned by {@link InflateAuto.detectors.detectLz4}.  Block and content
+ * checksums are verified when present.  Frames which require a preset
+ * dictionary are not supported.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.Unlz4 = Unlz4;
+
+/** Decompressor for data in the Snappy framing format.
+ *
+ * <p>Returned by {@link InflateAuto.detectors.detectSnappy}.  The masked
+ * CRC-32C of each chunk is verified.  Raw (unframed) Snappy data is not
+ * supported.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.Unsnappy = Unsnappy;
+
+/** Decompressor for data in the Unix compress (.Z) format.
+ *
+ * <p>Returned by {@link InflateAuto.detectors.detectCompress}.  The format
+ * has no end marker or check value, so data which is truncated after the
+ * header can not be detected.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.Uncompress = Uncompress;
+
+/** Decompressor for data in the legacy lzma ("LZMA alone") format.
+ *
+ * <p>Returned by {@link InflateAuto.detectors.detectLzmaAlone}.  Data ends at
+ * the uncompressed size from the header or, if the size is unknown, at the
+ * end marker.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.Unlzma = Unlzma;
+
+/** Decompressor for data which is not compressed.  Passes data through
+ * unchanged.
+ *
+ * <p>Used for data which does not match any detector when {@link
+ * module:inflate-auto.InflateAutoOptions.defaultFormat} is
+ * <code>'identity'</code>.  Unlike {@link module:stream.PassThrough}, it
+ * supports <code>flush</code>, <code>reset</code>, and
+ * <code>_processChunk</code> like the zlib classes.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.Identity = Identity;
+
+/** Decompressor for gzip data which decodes each member separately and emits
+ * <code>'member'</code> at the end of each member.
+ *
+ * <p>Used for gzip data when {@link
+ * module:inflate-auto.InflateAutoOptions.members} is <code>'split'</code>.
+ * The compressed data of each member is decoded by a separate {@link
+ * zlib.InflateRaw}, while headers and trailers are parsed by this class.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+InflateAuto.GunzipMembers = GunzipMembers;
+
+/** Decompression stream with the interface of <code>DecompressionStream</code>
+ * (a <code>readable</code> and <code>writable</code> web stream) which
+ * detects the compression format using <code>InflateAuto</code>.
+ *
+ * <p>The format name is a hint, which is used as the
+ * <code>defaultFormat</code> for data which does not match any detector.
+ * Since it wraps <code>InflateAuto</code>, it requires Node.js and is not
+ * available on runtimes which only provide web streams.</p>
+ *
+ * @class
+ * @param {string=} format Format hint: <code>'auto'</code>,
+ * <code>'deflate'</code>, <code>'deflate-raw'</code>, or
+ * <code>'gzip'</code>.  (default: <code>'auto'</code>)
+ * @param {module:inflate-auto.InflateAutoOptions=} opts Options for
+ * <code>InflateAuto</code>.
+ */
+InflateAuto.InflateAutoStream = InflateAutoStream;
+
+/** Decompressor which detects the format of data pushed incrementally and
+ * decodes it synchronously, with methods <code>push(chunk)</code> and
+ * <code>finish()</code> which return an <code>Array</code> of decompressed
+ * <code>Buffer</code>s.
+ *
+ * @class
+ * @param {module:inflate-auto.InflateAutoOptions=} opts Options for
+ * <code>InflateAuto</code>.
+ */
+InflateAuto.InflateAutoSync = InflateAutoSync;
+
+/** Adds the trailing data of an engine to a result of {@link
+ * zlibInternal.zlibBuffer} or {@link zlibInternal.zlibBufferSync}, if the
+ * <code>trailingData</code> option is <code>'emit'</code>.
+ *
+ * @private
+ * @param {!Buffer|!{buffer: !Buffer, engine: !InflateAuto}} result Result.
+ * @param {!InflateAuto} engine Engine which produced the result.
+ * @returns {!Buffer|!object} <code>result</code>, or an object with
+ * properties <code>buffer</code> and <code>trailingData</code> (and
+ * <code>engine</code>, if present in <code>result</code>).
+ */
+function addTrailingData(result, engine) {
+  if (engine._trailingData !== 'emit') {
+    return result;
+  }
+
+  return {
+    ...Buffer.isBuffer(result) ? { buffer: result } : result,
+    trailingData: engine.trailingData,
+  };
+}
+
+/** Decompresses a compressed <code>Buffer</code>.
+ * Analogous to {@link zlib.inflate}.
+ *
+ * <p>If the <code>trailingData</code> option is <code>'emit'</code>, the
+ * result is an object with properties <code>buffer</code> (the decompressed
+ * data) and <code>trailingData</code> (the data after the compressed
+ * data).</p>
+ *
+ * @param {!Buffer} buffer Compressed data to decompress.
+ * @param {object=} opts Decompression options.
+ * @param {!function(Error, (Buffer|object)=)} callback Callback which
+ * receives the decompressed data.
+ */
+InflateAuto.inflateAuto = function inflateAuto(buffer, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  // Checked by zlibBuffer, which is passed a wrapper for callback
+  if (typeof callback !== 'function') {
+    throw new ERR_INVALID_ARG_TYPE('callback', 'function', callback);
+  }
+  const engine = new InflateAuto(opts);
+  zlibInternal.zlibBuffer(engine, buffer, (err, result) => {
+    callback(err, err ? undefined : addTrailingData(result, engine));
+  });
+};
+
+/** Decompresses a compressed Buffer synchronously.
+ * Analogous to {@link zlib.inflateSync}.
+ *
+ * <p>If the <code>trailingData</code> option is <code>'emit'</code>, the
+ * result is an object as described for {@link InflateAuto.inflateAuto}.</p>
+ *
+ * @param {!Buffer} buffer Compressed data to decompress.
+ * @param {object=} opts Decompression options.
+ * @returns {!Buffer|!object} Decompressed data.
+ */
+InflateAuto.inflateAutoSync = function inflateAutoSync(buffer, opts) {
+  const engine = new InflateAuto(opts);
+  return addTrailingData(
+    // eslint-disable-next-line n/no-sync
+    zlibInternal.zlibBufferSync(engine, buffer),
+    engine,
+  );
+};
+
+/** Decompresses data from an iterable of compressed chunks.
+ *
+ * <p>The returned async iterator has a <code>format</code> property with the
+ * format of the data (as for {@link InflateAuto#getFormat}), once detected.
+ * Errors from <code>source</code> and decompression are thrown by the
+ * iterator.  If iteration stops early, <code>source</code> is closed.</p>
+ *
+ * @param {!object|!Iterable<!Uint8Array>} source
+ * <code>AsyncIterable</code> or <code>Iterable</code> of compressed data
+ * (e.g. a file handle, fetch body, or generator).
+ * @param {module:inflate-auto.InflateAutoOptions=} opts Decompression
+ * options.
+ * @returns {!object} Async iterable iterator of decompressed chunks.
+ * @throws {TypeError} If <code>source</code> is not iterable.
+ */
+InflateAuto.decompressIterable = function decompressIterable(source, opts) {
+  if (source === null
+    || source === undefined
+    || (typeof source[Symbol.asyncIterator] !== 'function'
+      && typeof source[Symbol.iterator] !== 'function')) {
+    throw new ERR_INVALID_ARG_TYPE(
+      'source',
+      ['AsyncIterable', 'Iterable'],
+      source,
+    );
+  }
+
+  const inflateAuto = new InflateAuto(opts);
+  // Errors are thrown by the iterator, which destroys the streams on return.
+  pipeline(
+    Readable.from(source, { objectMode: false }),
+    inflateAuto,
+    () => {},
+  );
+
+  const iterator = inflateAuto[Symbol.asyncIterator]();
+  Object.defineProperty(iterator, 'format', {
+    configurable: true,
+    enumerable: true,
+    get: () => inflateAuto.getFormat(),
+  });
+  return iterator;
+};
+
+// Defined, rather than assigned, since InflateAuto inherits a getter for
+// promises from Stream.
+Object.defineProperty(InflateAuto, 'promises', {
+  configurable: true,
+  enumerable: true,
+  writable: true,
+  /** Promise-based functions for decompressing data.
+   *
+   * <p>Also available as <code>require('inflate-auto/promises')</code>.</p>
+   *
+   * @name InflateAuto.promises
+   * @namespace
+   */
+  value: {},
+});
+
+/** Decompresses a compressed <code>Buffer</code>.
+ * Analogous to {@link InflateAuto.inflateAuto}, with a <code>Promise</code>
+ * for the result.
+ *
+ * <p>If <code>opts.signal</code> is aborted before decompression completes,
+ * the returned <code>Promise</code> is rejected with an <code>Error</code>
+ * named <code>'AbortError'</code> with <code>code</code>
+ * <code>'ABORT_ERR'</code>.</p>
+ *
+ * @param {!Buffer} buffer Compressed data to decompress.
+ * @param {object=} opts Decompression options, and <code>signal</code>.
+ * @param {AbortSignal=} opts.signal Signal to abort decompression.
+ * @returns {!Promise<{
+ *   data: !Buffer,
+ *   format: ?function(new:module:stream.Duplex, object=),
+ *   header: (InflateAuto.GzipHeader|InflateAuto.ZlibHeader|undefined),
+ *   trailing: (Buffer|undefined)
+ * }>} Promise for the decompressed data, the format of the data (as for
+ * {@link InflateAuto#getFormat}), its parsed header (as for {@link
+ * InflateAuto#getHeader}), and the data after the compressed data (if the
+ * <code>trailingData</code> option is <code>'emit'</code>).
+ */
+InflateAuto.promises.inflateAuto = function inflateAuto(buffer, opts) {
+  return new Promise((resolve, reject) => {
+    const signal = opts && opts.signal;
+    if (signal !== undefined
+      && (signal === null
+        || typeof signal !== 'object'
+        || !('aborted' in signal))) {
+      throw new ERR_INVALID_ARG_TYPE('opts.signal', 'AbortSignal', signal);
+    }
+
+    if (signal && signal.aborted) {
+      throw new AbortError(undefined, { cause: signal.reason });
+    }
+
+    const engine = new InflateAuto({
+      ...opts,
+      info: false,
+      signal: undefined,
+    });
+    function onAbort() {
+      engine.destroy(new AbortError(undefined, { cause: signal.reason }));
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    zlibInternal.zlibBuffer(engine, buffer, (err, data) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (err) {
+        reject(err);
+      } else {
+        resolve({
+          data,
+          format: engine.getFormat(),
+          header: engine.getHeader(),
+          trailing: engine.trailingData,
+        });
+      }
+    });
+  });
+};
+
+/** Implements {@link #destroy} on this stream by ensuring
+ * <code>_handle</code> is set <code>null</code> (for <code>_closed</code>)
+ * as done by {@link zlib.ZlibBase#_destroy} since nodejs/node@8a02d941b6c
+ * (v12) and nodejs/node@c6a43fa2ef (v10.15.1).
+ *
+ * @param {Error} err Error passed to {@link #destroy}.
+ * @param {function(Error=)} callback Callback once destroyed.
+ */
+InflateAuto.prototype._destroy = function _destroy(err, callback) {
+  // eslint-disable-next-line unicorn/no-null
+  this._handle = null;
+  if (this._decoder) {
+    this._decoder.destroy();
+  }
+  callback(err);
+};
+
+/** Detects the format of a given <code>Buffer</code>.
+ *
+ * This method passes <code>chunk</code> to each of the {@link
+ * module:inflate-auto.InflateAutoOptions.detectors}.  The first detector to
+ * match with certainty is returned.  Otherwise, if any detectors returned a
+ * {@link InflateAuto.DetectionResult}, the format with the highest confidence
+ * is returned once the other detectors are determinate and there is no tie,
+ * or once <code>end</code> is <code>true</code>.  If at least one detector is
+ * indeterminate and <code>end</code> is <code>false</code>,
+ * <code>null</code> is returned.
+ * Otherwise {@link module:inflate-auto.InflateAutoOptions.defaultFormat} is
+ * returned or an <code>Error</code> is thrown.  If a detector recognized the
+ * format but threw an <code>Error</code> with <code>code</code>
+ * <code>'ERR_FORMAT_NOT_SUPPORTED'</code> and no other detector matches, the
+ * <code>Error</code> is thrown instead of using the default format.  If the
+ * default format is <code>'identity'</code>, <code>null</code> may also be
+ * returned while more data is required to choose between
+ * <code>InflateRaw</code> and {@link InflateAuto.Identity}.
+ *
+ * @protected
+ * @param {Buffer} chunk Beginning of data for which to detect the
+ * compression format.
+ * @param {boolean} end Is <code>chunk</code> the end of the data stream?
+ * @returns {?function(new:module:stream.Duplex, object=)}
+ * An instance of the zlib type which will decode <code>chunk</code> and
+ * subsequent data, or <code>null</code> if <code>chunk</code> is too short to
+ * deduce the format conclusively and <code>end</code> is <code>false</code>.
+ * @throws {Error} If any detector throws or <code>end</code> is
+ * <code>true</code> and no default format is given.
+ */
+InflateAuto.prototype._detectFormat = function _detectFormat(chunk, end) {
+  if (chunk && chunk.length > 0) {
+    const newDetectorsLeft = [];
+    const newCandidates = [];
+    const format = runDetectors(
+      chunk,
+      this._opts,
+      this._detectorsLeft,
+      newDetectorsLeft,
+      newCandidates,
+      this._unsupportedErrors,
+    );
+    if (format) {
+      return format;
+    }
+    this._detectorsLeft = newDetectorsLeft;
+    this._candidates = newCandidates;
+  }
+
+  const candidates = this._candidates;
+  if (candidates.length > 0) {
+    // Wait for undecided detectors, which may be more confident.
+    if (end || this._detectorsLeft.length === candidates.length) {
+      const candidate = chooseCandidate(candidates, end);
+      if (candidate) {
+        return candidate.format;
+      }
+    }
+
+    return undefined;
+  }
+
+  if (this._detectorsLeft.length === 0 || end) {
+    if (this._unsupportedErrors.length > 0) {
+      throw this._unsupportedErrors[0];
+    }
+
+    if (this._defaultFormat === 'identity') {
+      // Empty data is passed through, since it is not valid DEFLATE.
+      if (!chunk || chunk.length === 0) {
+        return Identity;
+      }
+
+      const deflateRaw = isDeflateRaw(chunk, end);
+      if (deflateRaw === undefined) {
+        return undefined;
+      }
+
+      return deflateRaw ? zlib.InflateRaw : Identity;
+    }
+
+    if (this._defaultFormat) {
+      return this._defaultFormat;
+    }
+
+    const err = new Error('data did not match any supported formats');
+    err.data = chunk;
+    throw err;
+  }
+
+  return undefined;
+};
+
+/** Flushes any buffered data when the stream is ending.
+ *
+ * @protected
+ * @param {function(Error=)} callback Callback once stream has ended.
+ */
+InflateAuto.prototype._flush = function _flush(callback) {
+  if (!this._decoder
+    && this._writeBufs.length === 0
+    && this._formatsEnded > 0) {
+    // All data was decoded by previous formats.
+    callback();
+    return;
+  }
+
+  const chunk = this._takeWriteBuf();
   if (!this._decoder) {
     // Previous header checks inconclusive.  Must choose one now.
     try {
-      this.setFormat(this._detectFormat(this._writeBuf, true));
+      this.setFormat(this._detectFormat(chunk, true));
     } catch (err) {
       // Before nodejs/node#28979 (v13) _flush would be called after a write
       // error.  If it returned an error, both would be emitted.  This occurrs
@@ -488,15 +1696,34 @@ InflateAuto.prototype._flush = function _flush(callback) {
     }
   }
 
+  const headerErr = this._parseHeader(chunk);
+  if (headerErr) {
+    callback(headerErr);
+    return;
+  }
+
   // callback must not be called until all data has been pushed to this stream.
   // So call on 'end', not 'finish'.
   //
   // Note:  Not called on 'error' since errors events already forwarded
   // and should not emit 'end' after 'error'
-  this._decoder.once('end', callback);
+  if (this._multiFormat || this._trailingData) {
+    // Called by _nextFormat or _endTrailingData once the decoder ends
+    this._flushCallback = callback;
+    if (chunk) {
+      this._decoderInput.push(chunk);
+    }
+  } else {
+    this._decoder.once('end', callback);
+  }
+
+  if (this._decoderEnded && !this._multiFormat) {
+    // Decoder ended before the input.  Remaining data is trailing data.
+    this._decoder.end();
+    this._endTrailingData();
+    return;
+  }
 
-  const chunk = this._writeBuf;
-  this._writeBuf = undefined;
   this._decoder.end(chunk);
 };
 
@@ -534,6 +1761,8 @@ if (zlib.Inflate.prototype._processChunk) {
       }
     }
 
+    this._inputLength += chunk.length;
+
     if (!this._decoder) {
       try {
         chunk = this._writeEarly(chunk);
@@ -548,11 +1777,22 @@ if (zlib.Inflate.prototype._processChunk) {
 
       if (!this._decoder && typeof cb !== 'function') {
         // Synchronous calls operate on complete buffer.  Choose format now.
+        chunk = this._takeWriteBuf();
         this.setFormat(this._detectFormat(chunk, true));
       }
     }
 
     if (this._decoder) {
+      const headerErr = this._parseHeader(chunk);
+      if (headerErr) {
+        if (typeof cb === 'function') {
+          cb(headerErr);
+          return undefined;
+        }
+
+        throw headerErr;
+      }
+
       if (typeof this._decoder._processChunk === 'function') {
         // Suppress throwing for unhandled 'error' event when called without cb,
         // as done by processChunkSync.
@@ -561,6 +1801,10 @@ if (zlib.Inflate.prototype._processChunk) {
         // nodejs/node#32220 (v14).  processChunkSync leaves it permanently.
         if (typeof cb !== 'function') {
           this.on('error', () => {});
+
+          return this._decodeWithLimits((decoder) => (this._trailingData
+            ? this._processChunkTrailing(chunk, flushFlag)
+            : decoder._processChunk(chunk, flushFlag)));
         }
 
         return this._decoder._processChunk(chunk, flushFlag, cb);
@@ -592,16 +1836,205 @@ if (zlib.Inflate.prototype._processChunk) {
       throw new ERR_SYNC_NOT_SUPPORTED(fmtName);
     }
 
-    this._writeBuf = chunk;
     queueMicrotask(cb);
     return undefined;
   };
 }
 
+/** Pushes decompressed data from the decoder, if it is within the output
+ * limits.
+ *
+ * @private
+ * @param {!Buffer} chunk Decompressed data.
+ */
+InflateAuto.prototype._pushOutput = function _pushOutput(chunk) {
+  if (this._outputLimitError) {
+    // Discard output after the limit is exceeded.
+    return;
+  }
+
+  const err = this._checkOutputLimit(chunk.length);
+  if (!err) {
+    this.push(chunk);
+    return;
+  }
+
+  // Stop decoding, since any further output would be discarded.
+  this._decoder.destroy();
+  if (this._readableState && this._readableState.autoDestroy) {
+    this.destroy(err);
+  } else {
+    this.emit('error', err);
+  }
+};
+
+/** Adds to the amount of decompressed data and checks it against the
+ * <code>maxOutputLength</code> and <code>maxRatio</code> options.
+ *
+ * @private
+ * @param {number} length Number of bytes of decompressed data.
+ * @returns {Error|undefined} Error if a limit is exceeded.
+ */
+InflateAuto.prototype._checkOutputLimit = function _checkOutputLimit(length) {
+  this._outputLength += length;
+  if (this._outputLength > this._maxOutputLength) {
+    this._outputLimitError = new ERR_INFLATE_AUTO_OUTPUT_LIMIT(
+      'maxOutputLength',
+      this._maxOutputLength,
+    );
+  } else if (this._outputLength > this._maxRatio * this._inputLength) {
+    this._outputLimitError = new ERR_INFLATE_AUTO_OUTPUT_LIMIT(
+      'maxRatio',
+      this._maxRatio,
+    );
+  }
+
+  return this._outputLimitError;
+};
+
+/** Decodes data synchronously, applying the output limits.
+ *
+ * <p>The decoder's <code>maxOutputLength</code> (which limits the output of
+ * synchronous decoding by zlib and the decoders in this package) is set to the
+ * remaining output allowed, so that decoding stops soon after a limit is
+ * exceeded, rather than after all of the data is decoded.</p>
+ *
+ * @private
+ * @param {function(!module:stream.Duplex): !Buffer} decode Function which
+ * decodes data synchronously with a given decoder.
+ * @returns {!Buffer} Decompressed data.
+ * @throws {Error} If <code>decode</code> throws or a limit is exceeded.
+ */
+InflateAuto.prototype._decodeWithLimits = function _decodeWithLimits(decode) {
+  const decoder = this._decoder;
+  const limit = Math.min(
+    this._maxOutputLength,
+    this._maxRatio * this._inputLength,
+  ) - this._outputLength;
+  if (limit !== Infinity) {
+    decoder._maxOutputLength = Math.max(limit, 0);
+  }
+
+  let output;
+  try {
+    output = decode(decoder);
+  } catch (errDecode) {
+    if (limit !== Infinity && errDecode.code === 'ERR_BUFFER_TOO_LARGE') {
+      // Exceeded the remaining output allowed
+      throw this._checkOutputLimit(limit + 1);
+    }
+
+    throw errDecode;
+  }
+
+  const err = this._checkOutputLimit(output.length);
+  if (err) {
+    throw err;
+  }
+
+  return output;
+};
+
+/** Decodes data pushed to {@link InflateAutoSync}, detecting the format
+ * first if necessary.
+ *
+ * <p>Unlike <code>_processChunk</code>, the zlib handle of the decoder is
+ * left open after each call, so that later data can be decoded.</p>
+ *
+ * @private
+ * @param {!Buffer} chunk Compressed data.
+ * @param {boolean} end Is this the end of the data?  If so, the format is
+ * chosen if it has not been detected and the data is decoded with the
+ * <code>finishFlush</code> flag.
+ * @returns {!Buffer} Decompressed data.  Empty while the format is being
+ * detected.
+ * @throws {Error} If the data is invalid, a limit is exceeded, or the
+ * detected format can not decode synchronously.
+ */
+InflateAuto.prototype._decodePushed = function _decodePushed(chunk, end) {
+  this._inputLength += chunk.length;
+  if (!this._decoder) {
+    chunk = this._writeEarly(chunk);
+    if (!this._decoder && end) {
+      chunk = this._takeWriteBuf() || Buffer.alloc(0);
+      this.setFormat(this._detectFormat(chunk, true));
+    }
+
+    if (!this._decoder) {
+      return Buffer.alloc(0);
+    }
+  }
+
+  const headerErr = this._parseHeader(chunk);
+  if (headerErr) {
+    throw headerErr;
+  }
+
+  return this._decodeWithLimits((decoder) => {
+    // Flush flag values differ between formats (e.g. Z_SYNC_FLUSH is
+    // BROTLI_OPERATION_FINISH), so use the flags of the decoder, if any.
+    let flushFlag;
+    if (end) {
+      flushFlag = decoder._finishFlushFlag !== undefined
+        ? decoder._finishFlushFlag
+        : this._finishFlushFlag;
+    } else {
+      flushFlag = decoder._defaultFullFlushFlag !== undefined
+        ? decoder._defaultFullFlushFlag
+        : Z_SYNC_FLUSH;
+    }
+
+    if (decoder._handle && typeof decoder._handle.writeSync === 'function') {
+      // zlib _processChunk closes the handle after one synchronous call.
+      // eslint-disable-next-line n/no-sync
+      return zlibInternal.processChunkSync(decoder, chunk, flushFlag);
+    }
+
+    if (typeof decoder._processChunk === 'function') {
+      return decoder._processChunk(chunk, flushFlag);
+    }
+
+    throw new ERR_SYNC_NOT_SUPPORTED(
+      (decoder.constructor && decoder.constructor.name)
+      || 'the detected format',
+    );
+  });
+};
+
+/** Processes a chunk of data synchronously, handling trailing data once
+ * the data is finished.
+ *
+ * @private
+ * @param {!Buffer} chunk Chunk of data to write.
+ * @param {number} flushFlag Flush flag with which to write the data.
+ * @returns {!Buffer} Decompressed data.
+ * @throws {Error} If the decoder throws or the <code>trailingData</code>
+ * option is <code>'error'</code> and there is trailing data.
+ */
+InflateAuto.prototype._processChunkTrailing = function _processChunkTrailing(
+  chunk,
+  flushFlag,
+) {
+  this._decoderInput.push(chunk);
+  const output = this._decoder._processChunk(chunk, flushFlag);
+  if (flushFlag === Z_FINISH) {
+    const err = this._takeTrailingData();
+    if (err) {
+      throw err;
+    }
+  } else {
+    this._dropConsumedInput();
+  }
+
+  return output;
+};
+
 /** Sets the format which will be used to decode data written to this stream.
  *
- * Note:  The current implementation only allows the format to be set once.
- * Calling this method after the format has been set will throw an exception.
+ * Note:  The current implementation only allows the format to be set once
+ * for each decoder.  Calling this method after the format has been set will
+ * throw an exception.  With the <code>multiFormat</code> option, the format is
+ * detected again after the decoder ends.
  *
  * @param {function(new:module:stream.Duplex, object=)} Format Constructor for
  * the stream class which will be used to decode data written to this stream.
@@ -621,17 +2054,41 @@ InflateAuto.prototype.setFormat = function setFormat(Format) {
   }
 
   // Reuse instance from option validation, if Format matches.
-  const format = new Format(this._opts);
+  // Limits are applied to the output of every format by this class.
+  const format = new Format(
+    this._maxOutputLength === Infinity ? this._opts
+      : { ...this._opts, maxOutputLength: undefined },
+  );
 
   this._decoder = format;
+  this._headerParser = getHeaderParser(format);
 
   // Ensure .constructor is set properly by Format constructor
   if (format.constructor !== Format) {
     format.constructor = Format;
   }
 
-  format.on('data', (chunk) => this.push(chunk));
+  format.on('data', (chunk) => this._pushOutput(chunk));
   format.once('end', (chunk) => {
+    if (this._multiFormat) {
+      // Detect the format of any remaining data once writes have completed.
+      this._decoderEnded = true;
+      if (this._decoderWrites === 0) {
+        this._nextFormat();
+      }
+      return;
+    }
+
+    if (this._trailingData) {
+      // Data written after the end is trailing data.  End once it has all
+      // been written.
+      this._decoderEnded = true;
+      if (this._flushCallback && this._decoderWrites === 0) {
+        this._endTrailingData();
+      }
+      return;
+    }
+
     // format may emit 'end' before 'finish' (and before .end() is called)
     // when there is data after the end of compressed input.
     // https://github.com/nodejs/node/pull/26363
@@ -641,6 +2098,7 @@ InflateAuto.prototype.setFormat = function setFormat(Format) {
   // Note: Readable.wrap proxies 'destroy' event.  No current use is known, but
   // we proxy it here for compatibility with non-Zlib formats.
   format.on('destroy', (...args) => this.emit('destroy', ...args));
+  format.on('member', (member) => this.emit('member', member));
   format.on('error', (...args) => {
     if (this._readableState && this._readableState.autoDestroy) {
       this.destroy(...args);
@@ -670,6 +2128,22 @@ InflateAuto.prototype._transform = function _transform(
   chunk,
   encoding,
   callback,
+) {
+  this._inputLength += chunk.length;
+  this._writeInput(chunk, encoding, callback);
+};
+
+/** Writes data to the decoder, or buffers it for format detection.
+ *
+ * @private
+ * @param {Buffer} chunk Chunk of data to write.
+ * @param {?string} encoding Ignored.
+ * @param {function(Error=)} callback Callback once chunk has been written.
+ */
+InflateAuto.prototype._writeInput = function _writeInput(
+  chunk,
+  encoding,
+  callback,
 ) {
   if (!this._decoder) {
     try {
@@ -681,46 +2155,273 @@ InflateAuto.prototype._transform = function _transform(
   }
 
   if (this._decoder) {
-    this._decoder.write(chunk, encoding, callback);
+    this._writeDecoder(chunk, encoding, callback);
   } else {
-    this._writeBuf = chunk;
     queueMicrotask(callback);
   }
 };
 
+/** Writes data to the decoder for the detected format.
+ *
+ * @private
+ * @param {Buffer} chunk Chunk of data to write.
+ * @param {?string} encoding Ignored.
+ * @param {function(Error=)} callback Callback once chunk has been written.
+ */
+InflateAuto.prototype._writeDecoder = function _writeDecoder(
+  chunk,
+  encoding,
+  callback,
+) {
+  const headerErr = this._parseHeader(chunk);
+  if (headerErr) {
+    callback(headerErr);
+    return;
+  }
+
+  if (!this._multiFormat && !this._trailingData) {
+    this._decoder.write(chunk, encoding, callback);
+    return;
+  }
+
+  if (this._decoderEnded) {
+    // Trailing data, which the decoder would ignore
+    this._decoderInput.push(chunk);
+    queueMicrotask(callback);
+    return;
+  }
+
+  const decoder = this._decoder;
+  this._decoderInput.push(chunk);
+  this._decoderWrites += 1;
+  decoder.write(chunk, encoding, (err) => {
+    this._decoderWrites -= 1;
+    if (err || this._decoder !== decoder) {
+      callback(err);
+      return;
+    }
+
+    this._dropConsumedInput();
+    if (this._multiFormat && this._decoderEnded && this._decoderWrites === 0) {
+      this._nextFormat(callback);
+    } else {
+      callback();
+    }
+  });
+};
+
+/** Discards data written to the decoder which it has consumed, based on
+ * <code>bytesWritten</code>.
+ *
+ * @private
+ */
+InflateAuto.prototype._dropConsumedInput = function _dropConsumedInput() {
+  const { bytesWritten } = this._decoder;
+  const input = this._decoderInput;
+  // Without bytesWritten, assume all data written has been consumed.
+  let consumed = typeof bytesWritten === 'number'
+    ? bytesWritten - this._decoderInputStart
+    : Infinity;
+  while (input.length > 0 && consumed > 0) {
+    const chunk = input[0];
+    if (chunk.length <= consumed) {
+      input.shift();
+      consumed -= chunk.length;
+      this._decoderInputStart += chunk.length;
+    } else {
+      input[0] = chunk.subarray(consumed);
+      this._decoderInputStart += consumed;
+      consumed = 0;
+    }
+  }
+};
+
+/** Replaces the decoder, which has ended, by detecting the format of the data
+ * which it did not consume.
+ *
+ * @private
+ * @param {function(Error=)=} callback Callback once the data has been
+ * written.
+ */
+InflateAuto.prototype._nextFormat = function _nextFormat(callback) {
+  this._dropConsumedInput();
+  const input = Buffer.concat(this._decoderInput);
+
+  this._decoder.destroy();
+  this._decoder = null; // eslint-disable-line unicorn/no-null
+  this._decoderInput = [];
+  this._decoderInputStart = 0;
+  this._decoderEnded = false;
+  this._formatsEnded += 1;
+  this._resetHeader(undefined);
+  this._detectorsLeft = this._detectors;
+  this._unsupportedErrors = [];
+  this._candidates = [];
+
+  if (this._flushCallback) {
+    // Ending.  Detect and decode any remaining data.
+    const flushCallback = this._flushCallback;
+    this._flushCallback = undefined;
+    if (input.length > 0) {
+      this._writeBufs.push(input);
+      this._writeBufLength = input.length;
+    }
+    this._flush(flushCallback);
+    return;
+  }
+
+  callback ||= (err) => {
+    if (err) {
+      this.destroy(err);
+    }
+  };
+
+  if (input.length === 0) {
+    callback();
+    return;
+  }
+
+  this._writeInput(input, undefined, callback);
+};
+
+/** Takes data written to the decoder which it did not consume as trailing
+ * data and handles it according to the <code>trailingData</code> option.
+ *
+ * @private
+ * @returns {Error|undefined} Error for the trailing data, if any.
+ */
+InflateAuto.prototype._takeTrailingData = function _takeTrailingData() {
+  this._dropConsumedInput();
+  const trailingData = Buffer.concat(this._decoderInput);
+  this._decoderInput = [];
+  this._decoderInputStart = this._decoder.bytesWritten;
+
+  if (this._trailingData === 'emit') {
+    this.trailingData = trailingData;
+    if (trailingData.length > 0) {
+      this.emit('trailing', trailingData);
+    }
+  } else if (this._trailingData === 'error' && trailingData.length > 0) {
+    return new ERR_TRAILING_DATA(trailingData);
+  }
+
+  return undefined;
+};
+
+/** Finishes <code>_flush</code> once the decoder has ended by handling any
+ * trailing data.
+ *
+ * @private
+ */
+InflateAuto.prototype._endTrailingData = function _endTrailingData() {
+  const callback = this._flushCallback;
+  this._flushCallback = undefined;
+  callback(this._takeTrailingData());
+};
+
 /** Writes data to this stream before the format has been detected, performing
- * format detection and returning the combined write buffer.
+ * format detection and returning the combined write buffer once detected.
  *
  * @private
  * @param {Buffer} chunk Chunk of data to write.
- * @returns {Buffer} <code>chunk</code> appended to any previously buffered
- * data.
- * @throws {Error} If a detector or format constructor throws.  In this case
- * the data will be saved in <code>_writeBuf</code>.
+ * @returns {Buffer|undefined} <code>chunk</code> appended to any previously
+ * buffered data, if the format was detected.  Otherwise, the data is saved in
+ * <code>_writeBufs</code> and <code>undefined</code> is returned (or
+ * <code>chunk</code>, if empty).
+ * @throws {Error} If a detector or format constructor throws, or
+ * <code>maxDetectBytes</code> is reached without a <code>defaultFormat</code>
+ * or a likely format.
+ * In this case the data will be saved in <code>_writeBufs</code>.
  */
 InflateAuto.prototype._writeEarly = function _writeEarly(chunk) {
   if (chunk === null || chunk.length === 0) {
     return chunk;
   }
 
-  let signature;
-  if (this._writeBuf) {
-    signature = Buffer.concat([this._writeBuf, chunk]);
+  // If _detectFormat or setFormat throw, data will be buffered
+  this._writeBufs.push(chunk);
+  this._writeBufLength += chunk.length;
+  const signature = this._combineWriteBufs();
+
+  let Format = this._detectFormat(signature);
+  if (!Format && signature.length >= this._maxDetectBytes) {
+    if (!this._defaultFormat && this._candidates.length === 0) {
+      throw new ERR_INFLATE_AUTO_DETECT_LIMIT(this._maxDetectBytes, signature);
+    }
+
+    // Stop waiting for undecided detectors.  Choose format now.
+    Format = this._detectFormat(signature, true);
+  }
+
+  if (!Format) {
+    return undefined;
+  }
+
+  this.setFormat(Format);
+
+  // Caller is responsible for writing returned data
+  this._writeBufs = [];
+  this._writeBufLength = 0;
+  this._writeBufSpace = undefined;
+  return signature;
+};
+
+/** Combines the data buffered before the format has been detected into a
+ * single Buffer, to pass to the detectors.
+ *
+ * <p>Data is combined in a Buffer with room for later writes, which is
+ * doubled in size when full, so that the time to combine the data for every
+ * write is linear in the total length of the writes.</p>
+ *
+ * @private
+ * @returns {!Buffer} Buffered data.
+ */
+InflateAuto.prototype._combineWriteBufs = function _combineWriteBufs() {
+  const writeBufs = this._writeBufs;
+  if (writeBufs.length === 1) {
+    return writeBufs[0];
+  }
+
+  const length = this._writeBufLength;
+  let space = this._writeBufSpace;
+  let start = 0;
+  let offset = 0;
+  if (space
+    && writeBufs[0].buffer === space.buffer
+    && writeBufs[0].byteOffset === space.byteOffset
+    && length <= space.length) {
+    // Previously combined data is at the start of space.  Append the rest.
+    start = 1;
+    offset = writeBufs[0].length;
   } else {
-    signature = chunk;
+    space = Buffer.allocUnsafeSlow(length * 2);
+    this._writeBufSpace = space;
   }
 
-  // If _detectFormat or setFormat throw, data will be buffered
-  this._writeBuf = signature;
+  for (let i = start; i < writeBufs.length; i += 1) {
+    offset += writeBufs[i].copy(space, offset);
+  }
+
+  const combined = space.subarray(0, length);
+  this._writeBufs = [combined];
+  return combined;
+};
 
-  const Format = this._detectFormat(signature);
-  if (Format) {
-    this.setFormat(Format);
+/** Takes the data buffered before the format has been detected.
+ *
+ * @private
+ * @returns {Buffer|undefined} Buffered data, if any.
+ */
+InflateAuto.prototype._takeWriteBuf = function _takeWriteBuf() {
+  const writeBufs = this._writeBufs;
+  if (writeBufs.length === 0) {
+    return undefined;
   }
 
-  // Caller is responsible for writing or buffering returned data
-  this._writeBuf = undefined;
-  return signature;
+  this._writeBufs = [];
+  this._writeBufLength = 0;
+  this._writeBufSpace = undefined;
+  return writeBufs.length === 1 ? writeBufs[0] : Buffer.concat(writeBufs);
 };
 
 /** Closes this stream and its underlying resources (zlib handle).
@@ -755,6 +2456,87 @@ InflateAuto.prototype.getFormat = function getFormat() {
   return this._decoder && this._decoder.constructor;
 };
 
+/** Gets the parsed header of the data written to this stream.
+ *
+ * <p>Headers are parsed for data in the gzip format (as a {@link
+ * InflateAuto.GzipHeader}, including the original file name, modification
+ * time, OS, extra field, and comment) and the zlib format (as a {@link
+ * InflateAuto.ZlibHeader}, including the window size, compression level, and
+ * preset dictionary ID).
+ * The header is also emitted as a <code>'header'</code> event when it has
+ * been parsed.</p>
+ *
+ * @returns {InflateAuto.GzipHeader|InflateAuto.ZlibHeader|undefined} Parsed
+ * header of the data, or <code>undefined</code> if the format has no parsed
+ * header or the complete header has not been written.
+ */
+InflateAuto.prototype.getHeader = function getHeader() {
+  return this._header;
+};
+
+/** Discards the parsed header and any data buffered to parse it.
+ *
+ * @private
+ * @param {function(!Buffer): (?object|number)|undefined} headerParser
+ * Function to parse the header of data written to the decoder.
+ */
+InflateAuto.prototype._resetHeader = function _resetHeader(headerParser) {
+  this._header = undefined;
+  this._headerParser = headerParser;
+  this._headerBufs = [];
+  this._headerBufLength = 0;
+  this._headerNeeded = 0;
+};
+
+/** Parses the header from data written to the decoder, if the header is
+ * being parsed, emitting <code>'header'</code> once it is complete.
+ *
+ * <p>Data is only combined and parsed once it may contain the complete
+ * header, so that the time to parse a long header is linear in its
+ * length.</p>
+ *
+ * @private
+ * @param {Buffer=} chunk Data being written to the decoder.
+ * @returns {Error|undefined} Error if the header is not complete within
+ * <code>maxDetectBytes</code>.
+ */
+InflateAuto.prototype._parseHeader = function _parseHeader(chunk) {
+  if (!this._headerParser || !chunk || chunk.length === 0) {
+    return undefined;
+  }
+
+  this._headerBufs.push(chunk);
+  this._headerBufLength += chunk.length;
+  if (this._headerNeeded === Infinity ? !chunk.includes(0)
+    : this._headerBufLength < this._headerNeeded) {
+    return this._headerBufLength > this._maxDetectBytes
+      ? new ERR_INFLATE_AUTO_HEADER_LIMIT(this._maxDetectBytes)
+      : undefined;
+  }
+
+  const data = this._headerBufs.length === 1 ? chunk
+    : Buffer.concat(this._headerBufs, this._headerBufLength);
+  const header = this._headerParser(data);
+  if (typeof header === 'number') {
+    this._headerBufs = [data];
+    this._headerNeeded = header;
+    return this._headerBufLength > this._maxDetectBytes
+      ? new ERR_INFLATE_AUTO_HEADER_LIMIT(this._maxDetectBytes)
+      : undefined;
+  }
+
+  // Stop parsing.  If the header is invalid, the decoder will report it.
+  this._headerParser = undefined;
+  this._headerBufs = [];
+  this._headerBufLength = 0;
+  if (header) {
+    this._header = header;
+    this.emit('header', header);
+  }
+
+  return undefined;
+};
+
 // Not known to return anything, but passes through return value anyway.
 // eslint-disable-next-line jsdoc/require-returns
 /** Flushes queued writes with a given zlib flush behavior.
@@ -816,12 +2598,20 @@ if (zlib.Inflate.prototype.params) {
  */
 InflateAuto.prototype.reset = function reset() {
   if (this._decoder) {
+    // Parse the header of the data written after reset
+    this._resetHeader(getHeaderParser(this._decoder));
+    this._decoderInput = [];
+    this._decoderInputStart = this._decoder.bytesWritten;
     return this._decoder.reset(...arguments);
   }
 
   assert(!!this._handle, 'zlib binding closed');
-  this._writeBuf = undefined;
+  this._writeBufs = [];
+  this._writeBufLength = 0;
+  this._writeBufSpace = undefined;
   this._detectorsLeft = this._detectors;
+  this._unsupportedErrors = [];
+  this._candidates = [];
   return undefined;
 };
 
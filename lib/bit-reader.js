@@ -0,0 +1,154 @@
+/**
+ * Readers for bit-oriented compressed data formats.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// Reading bits requires bitwise operators.
+/* eslint-disable max-classes-per-file, no-bitwise */
+
+'use strict';
+
+/** Error thrown when a reader reaches the end of its input.
+ *
+ * <p>Decoders catch this error to wait for more input, then decode again
+ * from a previously saved position.</p>
+ *
+ * @class
+ * @augments Error
+ */
+class InputUnderflowError extends Error {
+  constructor() {
+    super('Unexpected end of input');
+    this.name = 'InputUnderflowError';
+  }
+}
+
+/** Reads bits from a Buffer, most-significant bit first.
+ *
+ * @class
+ * @param {!Buffer} buffer Data from which to read bits.
+ * @param {number=} bitPos Position, in bits, of the first bit to read.
+ */
+class MsbBitReader {
+  constructor(buffer, bitPos = 0) {
+    this.buffer = buffer;
+    this.bitPos = bitPos;
+  }
+
+  /** Reads an unsigned integer.
+   *
+   * @param {number} bitCount Number of bits to read (at most 24).
+   * @returns {number} Unsigned integer value of the bits.
+   * @throws {InputUnderflowError} If there are fewer than
+   * <code>bitCount</code> bits remaining.
+   */
+  read(bitCount) {
+    const { buffer } = this;
+    let { bitPos } = this;
+    if (bitPos + bitCount > buffer.length * 8) {
+      throw new InputUnderflowError();
+    }
+
+    let value = 0;
+    while (bitCount > 0) {
+      const avail = 8 - (bitPos & 7);
+      const take = Math.min(avail, bitCount);
+      const mask = (1 << take) - 1;
+      const bits = (buffer[bitPos >>> 3] >>> (avail - take)) & mask;
+      value = (value << take) | bits;
+      bitPos += take;
+      bitCount -= take;
+    }
+
+    this.bitPos = bitPos;
+    return value;
+  }
+
+  /** Reads a single bit.
+   *
+   * @returns {number} Value of the bit (0 or 1).
+   * @throws {InputUnderflowError} If there are no bits remaining.
+   */
+  readBit() {
+    const { bitPos } = this;
+    const byte = this.buffer[bitPos >>> 3];
+    if (byte === undefined) {
+      throw new InputUnderflowError();
+    }
+
+    this.bitPos = bitPos + 1;
+    return (byte >>> (7 - (bitPos & 7))) & 1;
+  }
+
+  /** Reads a 32-bit unsigned integer.
+   *
+   * @returns {number} Unsigned integer value of the bits.
+   * @throws {InputUnderflowError} If there are fewer than 32 bits remaining.
+   */
+  read32() {
+    const high = this.read(16);
+    return (high * 0x10000) + this.read(16);
+  }
+
+  /** Advances to the next byte boundary. */
+  alignToByte() {
+    this.bitPos = (this.bitPos + 7) & ~7;
+  }
+}
+
+/** Reads bits from a Buffer, least-significant bit first.
+ *
+ * @class
+ * @param {!Buffer} buffer Data from which to read bits.
+ * @param {number=} bitPos Position, in bits, of the first bit to read.
+ */
+class LsbBitReader {
+  constructor(buffer, bitPos = 0) {
+    this.buffer = buffer;
+    this.bitPos = bitPos;
+  }
+
+  /** Reads an unsigned integer.
+   *
+   * @param {number} bitCount Number of bits to read (at most 24).
+   * @returns {number} Unsigned integer value of the bits.
+   * @throws {InputUnderflowError} If there are fewer than
+   * <code>bitCount</code> bits remaining.
+   */
+  read(bitCount) {
+    const { buffer } = this;
+    let { bitPos } = this;
+    if (bitPos + bitCount > buffer.length * 8) {
+      throw new InputUnderflowError();
+    }
+
+    let value = 0;
+    let shift = 0;
+    while (shift < bitCount) {
+      const offset = bitPos & 7;
+      const avail = 8 - offset;
+      const need = bitCount - shift;
+      const take = Math.min(avail, need);
+      const bits = (buffer[bitPos >>> 3] >>> offset) & ((1 << take) - 1);
+      value |= bits << shift;
+      bitPos += take;
+      shift += take;
+    }
+
+    this.bitPos = bitPos;
+    return value;
+  }
+
+  /** Advances to the next byte boundary. */
+  alignToByte() {
+    this.bitPos = (this.bitPos + 7) & ~7;
+  }
+}
+
+module.exports = {
+  InputUnderflowError,
+  LsbBitReader,
+  MsbBitReader,
+};
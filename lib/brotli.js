@@ -0,0 +1,215 @@
+/**
+ * Functions for detecting the Brotli compressed data format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://www.rfc-editor.org/rfc/rfc7932}
+ */
+
+// Brotli headers are bit-oriented.  Allow bitwise operators for parsing.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+const zlib = require('node:zlib');
+
+const {
+  DETECT_BYTES,
+  readBits,
+  trialDecode,
+} = require('./heuristic-detect.js');
+
+const {
+  BROTLI_OPERATION_FINISH,
+  BROTLI_OPERATION_FLUSH,
+} = zlib.constants;
+
+/** Checks whether a Buffer starts with a valid Brotli stream header (RFC
+ * 7932 Section 9.1) followed by valid meta-block headers (Section 9.2), up
+ * to the first compressed meta-block.
+ *
+ * <p>The content of metadata and uncompressed meta-blocks can not be
+ * validated, so they are skipped to find a compressed meta-block, which can
+ * be validated by decoding it.</p>
+ *
+ * @private
+ * @param {!Buffer} chunk Data to check.
+ * @returns {!{compressedOffset: number, uncompressedLength: number}|boolean|
+ * undefined} Byte offset of the first compressed meta-block and the number
+ * of bytes in uncompressed meta-blocks before it, if the headers are valid,
+ * <code>true</code> if <code>chunk</code> is a complete stream without a
+ * compressed meta-block, <code>false</code> if the headers are not valid,
+ * <code>undefined</code> if <code>chunk</code> is too short to tell.
+ */
+function checkBrotliHeader(chunk) {
+  let bitOffset = 0;
+  function read(bitCount) {
+    const value = readBits(chunk, bitOffset, bitCount);
+    bitOffset += bitCount;
+    return value;
+  }
+
+  // Reads the bits up to the next byte boundary, which must be zero.
+  function readPadding() {
+    return read((8 - (bitOffset % 8)) % 8);
+  }
+
+  // WBITS
+  const wbitsFlag = read(1);
+  if (wbitsFlag < 0) {
+    return undefined;
+  }
+  if (wbitsFlag === 1) {
+    const wbits17 = read(3);
+    if (wbits17 < 0) {
+      return undefined;
+    }
+    if (wbits17 === 0) {
+      const wbits8 = read(3);
+      if (wbits8 < 0) {
+        return undefined;
+      }
+      // Value 1 is reserved (used for large-window Brotli, which is not
+      // supported without BROTLI_DECODER_PARAM_LARGE_WINDOW)
+      if (wbits8 === 1) {
+        return false;
+      }
+    }
+  }
+
+  let uncompressedLength = 0;
+  for (;;) {
+    const metaBlockOffset = bitOffset;
+    const isLast = read(1);
+    if (isLast < 0) {
+      return undefined;
+    }
+    if (isLast === 1) {
+      const isLastEmpty = read(1);
+      if (isLastEmpty < 0) {
+        return undefined;
+      }
+      if (isLastEmpty === 1) {
+        // End of stream, which must be the end of the data.
+        const padding = readPadding();
+        if (padding < 0) {
+          return undefined;
+        }
+        return padding === 0 && bitOffset === chunk.length * 8;
+      }
+    }
+
+    const nibblesCode = read(2);
+    if (nibblesCode < 0) {
+      return undefined;
+    }
+
+    if (nibblesCode === 3) {
+      // Metadata meta-block.  Reserved bit must be zero.
+      const reserved = read(1);
+      if (reserved !== 0) {
+        return reserved < 0 ? undefined : false;
+      }
+
+      const skipBytes = read(2);
+      if (skipBytes < 0) {
+        return undefined;
+      }
+      let skipLen = 0;
+      if (skipBytes > 0) {
+        skipLen = read(skipBytes * 8);
+        if (skipLen < 0) {
+          return undefined;
+        }
+        // Most significant byte must not be zero if more than one byte
+        if (skipBytes > 1 && skipLen >>> ((skipBytes - 1) * 8) === 0) {
+          return false;
+        }
+        skipLen += 1;
+      }
+
+      const padding = readPadding();
+      if (padding !== 0) {
+        return padding < 0 ? undefined : false;
+      }
+      bitOffset += skipLen * 8;
+    } else {
+      const nibbles = nibblesCode + 4;
+      const mlen = read(nibbles * 4);
+      if (mlen < 0) {
+        return undefined;
+      }
+      // Most significant nibble must not be zero if more than four nibbles
+      if (nibbles > 4 && mlen >>> ((nibbles - 1) * 4) === 0) {
+        return false;
+      }
+
+      const isUncompressed = isLast === 0 ? read(1) : 0;
+      if (isUncompressed < 0) {
+        return undefined;
+      }
+      if (isUncompressed === 0) {
+        return {
+          compressedOffset: metaBlockOffset >>> 3,
+          uncompressedLength,
+        };
+      }
+
+      const padding = readPadding();
+      if (padding !== 0) {
+        return padding < 0 ? undefined : false;
+      }
+      bitOffset += (mlen + 1) * 8;
+      uncompressedLength += mlen + 1;
+    }
+
+    if (bitOffset > chunk.length * 8) {
+      return undefined;
+    }
+  }
+}
+
+/** Detects the Brotli format, as specified in RFC 7932.
+ *
+ * Since Brotli has no magic number, detection is heuristic:  The stream and
+ * meta-block headers are validated up to the first compressed meta-block,
+ * then a prefix of the data is trial-decoded, which must produce output from
+ * the compressed meta-block.  Data without a compressed meta-block (e.g.
+ * incompressible data) is only considered to be Brotli once the complete
+ * stream is available.
+ *
+ * @param {!Buffer} chunk Chunk of data to check.
+ * @returns {boolean|undefined} <code>true</code> if the data is likely
+ * Brotli, <code>false</code> if it is not, <code>undefined</code> if more
+ * data is required to decide.
+ */
+exports.isBrotli = function isBrotli(chunk) {
+  const header = checkBrotliHeader(chunk);
+  if (header === true) {
+    // Complete stream without compressed data.  Check it by decoding.
+    return !trialDecode(
+      zlib.brotliDecompressSync,
+      chunk,
+      BROTLI_OPERATION_FINISH,
+    ).err;
+  }
+  if (!header) {
+    return header;
+  }
+
+  const { compressedOffset, uncompressedLength } = header;
+  const detectEnd = compressedOffset + DETECT_BYTES;
+  // If shorter, data may be a complete (short) Brotli stream.
+  const isPrefix = chunk.length >= detectEnd;
+  const { err, length } = trialDecode(
+    zlib.brotliDecompressSync,
+    chunk.subarray(0, detectEnd),
+    isPrefix ? BROTLI_OPERATION_FLUSH : BROTLI_OPERATION_FINISH,
+  );
+  if (!err) {
+    return length > uncompressedLength;
+  }
+
+  // Wait for more data if the data is valid, but truncated.
+  return err.code === 'Z_BUF_ERROR' && !isPrefix ? undefined : false;
+};
@@ -0,0 +1,501 @@
+/**
+ * Decompressor for the bzip2 format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://sourceware.org/bzip2/}
+ */
+
+// bzip2 is a bit-oriented format.  Allow bitwise operators for decoding.
+/* eslint-disable max-classes-per-file, no-bitwise */
+
+'use strict';
+
+const {
+  InputUnderflowError,
+  MsbBitReader,
+} = require('./bit-reader.js');
+const { crc32Msb } = require('./checksums.js');
+const { Decompressor, createDataError } = require('./decompressor.js');
+
+/** Block header magic number (BCD pi), split into 24-bit halves.
+ *
+ * @private
+ */
+const BLOCK_MAGIC_HIGH = 0x314159;
+const BLOCK_MAGIC_LOW = 0x265359;
+
+/** End-of-stream magic number (BCD sqrt(pi)), split into 24-bit halves.
+ *
+ * @private
+ */
+const EOS_MAGIC_HIGH = 0x177245;
+const EOS_MAGIC_LOW = 0x385090;
+
+/** Number of symbols coded using each selected Huffman table.
+ *
+ * @private
+ */
+const GROUP_SIZE = 50;
+
+/** Maximum length of a Huffman code.
+ *
+ * @private
+ */
+const MAX_CODE_LEN = 20;
+
+/** Maximum number of selectors which are used.  bzip2 1.0.8 and later ignore
+ * any additional selectors.
+ *
+ * @private
+ */
+const MAX_SELECTORS = 18002;
+
+/** Maximum number of bytes of input to wait for before retrying a block which
+ * could not be decoded due to insufficient input.
+ *
+ * @private
+ */
+const MAX_RETRY_BYTES = 256 * 1024;
+
+const STATE_STREAM_HEADER = 0;
+const STATE_BLOCK = 1;
+
+/** Huffman decoding table in the form used by the bzip2 reference
+ * implementation (limit, base, and perm arrays indexed by code length).
+ *
+ * @private
+ */
+class HuffmanTable {
+  constructor(lengths, alphaSize) {
+    let minLen = MAX_CODE_LEN;
+    let maxLen = 0;
+    for (let i = 0; i < alphaSize; i += 1) {
+      const len = lengths[i];
+      if (len > maxLen) {
+        maxLen = len;
+      }
+      if (len < minLen) {
+        minLen = len;
+      }
+    }
+
+    const perm = new Uint16Array(alphaSize);
+    let pp = 0;
+    for (let len = minLen; len <= maxLen; len += 1) {
+      for (let sym = 0; sym < alphaSize; sym += 1) {
+        if (lengths[sym] === len) {
+          perm[pp] = sym;
+          pp += 1;
+        }
+      }
+    }
+
+    const base = new Int32Array(MAX_CODE_LEN + 2);
+    for (let i = 0; i < alphaSize; i += 1) {
+      base[lengths[i] + 1] += 1;
+    }
+    for (let i = 1; i < base.length; i += 1) {
+      base[i] += base[i - 1];
+    }
+
+    const limit = new Int32Array(MAX_CODE_LEN + 1).fill(-1);
+    let vec = 0;
+    for (let len = minLen; len <= maxLen; len += 1) {
+      vec += base[len + 1] - base[len];
+      limit[len] = vec - 1;
+      vec <<= 1;
+    }
+    for (let len = minLen + 1; len <= maxLen; len += 1) {
+      base[len] = ((limit[len - 1] + 1) << 1) - base[len];
+    }
+
+    this.alphaSize = alphaSize;
+    this.base = base;
+    this.limit = limit;
+    this.maxLen = maxLen;
+    this.minLen = minLen;
+    this.perm = perm;
+  }
+
+  /** Reads a Huffman-coded symbol.
+   *
+   * @param {!MsbBitReader} reader Reader from which to read the symbol.
+   * @returns {number} Decoded symbol.
+   * @throws {Error} If the code is not valid.
+   */
+  decode(reader) {
+    const { base, limit, maxLen } = this;
+    let len = this.minLen;
+    let code = reader.read(len);
+    while (code > limit[len]) {
+      len += 1;
+      if (len > maxLen) {
+        throw createDataError('invalid Huffman code');
+      }
+      code = (code << 1) | reader.readBit();
+    }
+
+    const index = code - base[len];
+    if (index < 0 || index >= this.alphaSize) {
+      throw createDataError('invalid Huffman code');
+    }
+    return this.perm[index];
+  }
+}
+
+/** Decompressor for data in the bzip2 format.
+ *
+ * <p>Multiple concatenated bzip2 streams are decoded as a single stream, as
+ * done by <code>bzip2</code>.  Data after the last stream is ignored.</p>
+ *
+ * <p>Note that each bzip2 block (up to 900k of uncompressed data) is decoded
+ * once all of its compressed data is available, which may require buffering
+ * a block of compressed data.</p>
+ *
+ * @class
+ * @augments Decompressor
+ * @param {object=} opts Options for {@link Decompressor}.
+ */
+class Bunzip2 extends Decompressor {
+  _resetState() {
+    this._state = STATE_STREAM_HEADER;
+    // Offset, in bits, in the first byte of the next input
+    this._bitPos = 0;
+    this._blockSizeMax = 0;
+    this._combinedCrc = 0;
+    this._streamCount = 0;
+    this._tt = undefined;
+  }
+
+  _decode(input, flush, output) {
+    let consumed = 0;
+    while (!this._finished
+      && consumed < input.length
+      && output.length === 0) {
+      if (this._state === STATE_STREAM_HEADER) {
+        const header = input.subarray(consumed, consumed + 4);
+        const headerValid = header[0] === 0x42 // B
+          && (header.length < 2 || header[1] === 0x5A) // Z
+          && (header.length < 3 || header[2] === 0x68) // h
+          && (header.length < 4 || (header[3] >= 0x31 && header[3] <= 0x39));
+        if (!headerValid) {
+          if (this._streamCount === 0) {
+            throw createDataError('incorrect header check');
+          }
+
+          // Trailing garbage after bzip2 data is ignored, as done by bzip2
+          this._finished = true;
+          break;
+        }
+
+        if (header.length < 4) {
+          this._inputNeeded = 4;
+          break;
+        }
+
+        this._blockSizeMax = (header[3] - 0x30) * 100000;
+        this._combinedCrc = 0;
+        this._complete = false;
+        this._state = STATE_BLOCK;
+        consumed += 4;
+      } else {
+        const reader = new MsbBitReader(input, (consumed * 8) + this._bitPos);
+        try {
+          const block = this._readBlock(reader);
+          if (block) {
+            output.push(block);
+          }
+        } catch (err) {
+          if (!(err instanceof InputUnderflowError)) {
+            throw err;
+          }
+
+          const remaining = input.length - consumed;
+          this._inputNeeded =
+            remaining + Math.min(Math.max(remaining, 1), MAX_RETRY_BYTES);
+          break;
+        }
+
+        consumed = reader.bitPos >>> 3;
+        this._bitPos = reader.bitPos & 7;
+      }
+    }
+
+    return consumed;
+  }
+
+  /** Reads a block or the end-of-stream marker.
+   *
+   * @private
+   * @param {!MsbBitReader} reader Reader positioned at the start of a block.
+   * @returns {Buffer} Decoded data from the block, or <code>undefined</code>
+   * at the end of a stream.
+   * @throws {InputUnderflowError} If the block is incomplete.
+   * @throws {Error} If the block is invalid.
+   */
+  _readBlock(reader) {
+    const magicHigh = reader.read(24);
+    const magicLow = reader.read(24);
+    if (magicHigh === EOS_MAGIC_HIGH && magicLow === EOS_MAGIC_LOW) {
+      const streamCrc = reader.read32();
+      if (streamCrc !== this._combinedCrc) {
+        throw createDataError('incorrect data check');
+      }
+
+      reader.alignToByte();
+      this._state = STATE_STREAM_HEADER;
+      this._streamCount += 1;
+      this._complete = true;
+      return undefined;
+    }
+
+    if (magicHigh !== BLOCK_MAGIC_HIGH || magicLow !== BLOCK_MAGIC_LOW) {
+      throw createDataError('invalid block header');
+    }
+
+    const blockCrc = reader.read32();
+    if (reader.readBit()) {
+      throw createDataError('randomized blocks are not supported');
+    }
+    const origPtr = reader.read(24);
+
+    // Map from symbol sequence number to byte value
+    const seqToUnseq = new Uint8Array(256);
+    let numInUse = 0;
+    const inUse16 = reader.read(16);
+    for (let i = 0; i < 16; i += 1) {
+      if (inUse16 & (0x8000 >>> i)) {
+        const inUse = reader.read(16);
+        for (let j = 0; j < 16; j += 1) {
+          if (inUse & (0x8000 >>> j)) {
+            seqToUnseq[numInUse] = (i * 16) + j;
+            numInUse += 1;
+          }
+        }
+      }
+    }
+    if (numInUse === 0) {
+      throw createDataError('invalid symbol map');
+    }
+
+    const alphaSize = numInUse + 2;
+    const nGroups = reader.read(3);
+    if (nGroups < 2 || nGroups > 6) {
+      throw createDataError('invalid number of Huffman tables');
+    }
+    const nSelectors = reader.read(15);
+    if (nSelectors < 1) {
+      throw createDataError('invalid number of selectors');
+    }
+
+    // Selectors are move-to-front encoded in unary
+    const groupMtf = [0, 1, 2, 3, 4, 5];
+    const selectors = new Uint8Array(Math.min(nSelectors, MAX_SELECTORS));
+    for (let i = 0; i < nSelectors; i += 1) {
+      let j = 0;
+      while (reader.readBit()) {
+        j += 1;
+        if (j >= nGroups) {
+          throw createDataError('invalid selector');
+        }
+      }
+
+      const group = groupMtf[j];
+      groupMtf.splice(j, 1);
+      groupMtf.unshift(group);
+      if (i < MAX_SELECTORS) {
+        selectors[i] = group;
+      }
+    }
+
+    // Huffman code lengths are delta-encoded
+    const tables = [];
+    const lengths = new Uint8Array(alphaSize);
+    for (let t = 0; t < nGroups; t += 1) {
+      let len = reader.read(5);
+      if (len < 1 || len > MAX_CODE_LEN) {
+        throw createDataError('invalid Huffman code length');
+      }
+      for (let sym = 0; sym < alphaSize; sym += 1) {
+        while (reader.readBit()) {
+          len += reader.readBit() ? -1 : 1;
+          if (len < 1 || len > MAX_CODE_LEN) {
+            throw createDataError('invalid Huffman code length');
+          }
+        }
+        lengths[sym] = len;
+      }
+      tables.push(new HuffmanTable(lengths, alphaSize));
+    }
+
+    const nblock = this._readSymbols(reader, selectors, tables, seqToUnseq);
+    if (origPtr >= nblock) {
+      throw createDataError('invalid BWT origin pointer');
+    }
+
+    const block = this._decodeBlock(nblock, origPtr);
+    const actualCrc = ~crc32Msb(0xFFFFFFFF, block) >>> 0;
+    if (actualCrc !== blockCrc) {
+      throw createDataError('incorrect data check');
+    }
+    this._combinedCrc =
+      (((this._combinedCrc << 1) | (this._combinedCrc >>> 31)) ^ blockCrc)
+      >>> 0;
+
+    return block;
+  }
+
+  /** Reads the Huffman-coded, run-length-encoded, move-to-front-transformed
+   * symbols of a block into <code>this._tt</code>, along with the byte
+   * frequencies used for the inverse BWT.
+   *
+   * @private
+   * @param {!MsbBitReader} reader Reader positioned at the first symbol.
+   * @param {!Uint8Array} selectors Huffman table to use for each group.
+   * @param {!Array<!HuffmanTable>} tables Huffman tables.
+   * @param {!Uint8Array} seqToUnseq Map from symbol to byte value.
+   * @returns {number} Number of bytes in the block.
+   */
+  _readSymbols(reader, selectors, tables, seqToUnseq) {
+    const blockSizeMax = this._blockSizeMax;
+    if (!this._tt || this._tt.length !== blockSizeMax) {
+      this._tt = new Uint32Array(blockSizeMax);
+    }
+    const tt = this._tt;
+    const byteCounts = new Uint32Array(256);
+    this._byteCounts = byteCounts;
+
+    const mtf = new Uint8Array(256);
+    for (let i = 0; i < 256; i += 1) {
+      mtf[i] = i;
+    }
+
+    const eob = tables[0].alphaSize - 1;
+    let groupIndex = -1;
+    let groupRemaining = 0;
+    let table;
+    let nblock = 0;
+    let runLength = 0;
+    let runWeight = 0;
+    for (;;) {
+      if (groupRemaining === 0) {
+        groupIndex += 1;
+        if (groupIndex >= selectors.length) {
+          throw createDataError('insufficient selectors');
+        }
+        groupRemaining = GROUP_SIZE;
+        table = tables[selectors[groupIndex]];
+      }
+      groupRemaining -= 1;
+
+      const sym = table.decode(reader);
+      if (sym <= 1) {
+        // RUNA (0) or RUNB (1) encode the run length in bijective base-2
+        if (runWeight === 0) {
+          runWeight = 1;
+        }
+        runLength += (sym + 1) * runWeight;
+        runWeight *= 2;
+        if (runLength > blockSizeMax) {
+          throw createDataError('block too long');
+        }
+        continue;
+      }
+
+      if (runLength > 0) {
+        if (nblock + runLength > blockSizeMax) {
+          throw createDataError('block too long');
+        }
+        const runByte = seqToUnseq[mtf[0]];
+        byteCounts[runByte] += runLength;
+        tt.fill(runByte, nblock, nblock + runLength);
+        nblock += runLength;
+        runLength = 0;
+        runWeight = 0;
+      }
+
+      if (sym === eob) {
+        break;
+      }
+
+      if (nblock >= blockSizeMax) {
+        throw createDataError('block too long');
+      }
+
+      const index = sym - 1;
+      const seq = mtf[index];
+      mtf.copyWithin(1, 0, index);
+      mtf[0] = seq;
+      const byte = seqToUnseq[seq];
+      byteCounts[byte] += 1;
+      tt[nblock] = byte;
+      nblock += 1;
+    }
+
+    return nblock;
+  }
+
+  /** Inverts the Burrows-Wheeler transform and initial run-length encoding
+   * of a block.
+   *
+   * @private
+   * @param {number} nblock Number of bytes in the block.
+   * @param {number} origPtr Position of the original string in the sorted
+   * rotations.
+   * @returns {!Buffer} Decoded block data.
+   */
+  _decodeBlock(nblock, origPtr) {
+    const tt = this._tt;
+    const byteCounts = this._byteCounts;
+    this._byteCounts = undefined;
+
+    const cftab = new Uint32Array(256);
+    for (let i = 1; i < 256; i += 1) {
+      cftab[i] = cftab[i - 1] + byteCounts[i - 1];
+    }
+    for (let i = 0; i < nblock; i += 1) {
+      const byte = tt[i] & 0xFF;
+      tt[cftab[byte]] |= i << 8;
+      cftab[byte] += 1;
+    }
+
+    let out = Buffer.allocUnsafe(nblock);
+    let outPos = 0;
+    let last = -1;
+    let count = 0;
+    let tPos = tt[origPtr] >>> 8;
+    for (let i = 0; i < nblock; i += 1) {
+      tPos = tt[tPos];
+      const byte = tPos & 0xFF;
+      tPos >>>= 8;
+
+      if (count === 4) {
+        // After 4 equal bytes, the next byte is a count of repetitions
+        if (outPos + byte + (nblock - i) > out.length) {
+          const newLength = Math.max(out.length * 2, outPos + byte + nblock);
+          const newOut = Buffer.allocUnsafe(newLength);
+          out.copy(newOut, 0, 0, outPos);
+          out = newOut;
+        }
+        out.fill(last, outPos, outPos + byte);
+        outPos += byte;
+        count = 0;
+        last = -1;
+      } else {
+        if (byte === last) {
+          count += 1;
+        } else {
+          last = byte;
+          count = 1;
+        }
+        out[outPos] = byte;
+        outPos += 1;
+      }
+    }
+
+    return out.subarray(0, outPos);
+  }
+}
+
+module.exports = Bunzip2;
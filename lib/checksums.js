@@ -0,0 +1,318 @@
+/**
+ * Checksum functions used by compressed data formats.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// Checksum computation requires bitwise operators.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+/** Lookup table for {@link crc32Msb}, created on first use.
+ *
+ * @private
+ */
+let crc32MsbTable;
+
+/** Creates a lookup table for a most-significant-bit first CRC-32.
+ *
+ * @private
+ * @param {number} poly CRC polynomial (in normal, not reversed, form).
+ * @returns {!Uint32Array} Lookup table.
+ */
+function makeCrc32MsbTable(poly) {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let crc = i << 24;
+    for (let j = 0; j < 8; j += 1) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ poly : crc << 1;
+    }
+    table[i] = crc;
+  }
+  return table;
+}
+
+/** Updates a most-significant-bit first CRC-32 (polynomial 0x04C11DB7, as
+ * used by bzip2) with the given data.
+ *
+ * <p>The initial value should be <code>0xFFFFFFFF</code>, and the final
+ * value should be inverted.</p>
+ *
+ * @param {number} crc CRC of preceding data.
+ * @param {!Uint8Array} data Data to add to the CRC.
+ * @returns {number} CRC of the preceding data and <code>data</code>, as an
+ * unsigned 32-bit integer.
+ */
+exports.crc32Msb = function crc32Msb(crc, data) {
+  crc32MsbTable ||= makeCrc32MsbTable(0x04C11DB7);
+  const table = crc32MsbTable;
+  for (const byte of data) {
+    crc = (crc << 8) ^ table[((crc >>> 24) ^ byte) & 0xFF];
+  }
+  return crc >>> 0;
+};
+
+/** Lookup table for {@link crc32}, created on first use.
+ *
+ * @private
+ */
+let crc32Table;
+
+/** Creates a lookup table for a least-significant-bit first CRC-32.
+ *
+ * @private
+ * @param {number} poly CRC polynomial (in reversed form).
+ * @returns {!Uint32Array} Lookup table.
+ */
+function makeCrc32Table(poly) {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let crc = i;
+    for (let j = 0; j < 8; j += 1) {
+      crc = crc & 1 ? (crc >>> 1) ^ poly : crc >>> 1;
+    }
+    table[i] = crc;
+  }
+  return table;
+}
+
+/** Updates a least-significant-bit first CRC-32 with the given data.
+ *
+ * @private
+ * @param {!Uint32Array} table Lookup table from {@link makeCrc32Table}.
+ * @param {number} crc CRC of preceding data (0 for no data).
+ * @param {!Uint8Array} data Data to add to the CRC.
+ * @returns {number} CRC of the preceding data and <code>data</code>, as an
+ * unsigned 32-bit integer.
+ */
+function updateCrc32(table, crc, data) {
+  crc = ~crc;
+  for (const byte of data) {
+    crc = (crc >>> 8) ^ table[(crc ^ byte) & 0xFF];
+  }
+  return ~crc >>> 0;
+}
+
+/** Updates a CRC-32 (as used by gzip, zlib, and xz) with the given data.
+ *
+ * <p>Equivalent to <code>zlib.crc32</code>, which is not available in all
+ * supported versions of Node.js.</p>
+ *
+ * @param {number} crc CRC of preceding data (0 for no data).
+ * @param {!Uint8Array} data Data to add to the CRC.
+ * @returns {number} CRC of the preceding data and <code>data</code>, as an
+ * unsigned 32-bit integer.
+ */
+exports.crc32 = function crc32(crc, data) {
+  crc32Table ||= makeCrc32Table(0xEDB88320);
+  return updateCrc32(crc32Table, crc, data);
+};
+
+/** Lookup table for {@link crc32c}, created on first use.
+ *
+ * @private
+ */
+let crc32cTable;
+
+/** Updates a CRC-32C (Castagnoli, as used by the Snappy framing format) with
+ * the given data.
+ *
+ * @param {number} crc CRC of preceding data (0 for no data).
+ * @param {!Uint8Array} data Data to add to the CRC.
+ * @returns {number} CRC of the preceding data and <code>data</code>, as an
+ * unsigned 32-bit integer.
+ */
+exports.crc32c = function crc32c(crc, data) {
+  crc32cTable ||= makeCrc32Table(0x82F63B78);
+  return updateCrc32(crc32cTable, crc, data);
+};
+
+/** Lookup tables for the low and high 32 bits of {@link crc64}, created on
+ * first use.
+ *
+ * @private
+ */
+let crc64TableLow;
+let crc64TableHigh;
+
+/** Updates a CRC-64 (polynomial 0x42F0E1EBA9EA3693, as used by xz) with the
+ * given data.
+ *
+ * @param {bigint} crc CRC of preceding data (0n for no data).
+ * @param {!Uint8Array} data Data to add to the CRC.
+ * @returns {bigint} CRC of the preceding data and <code>data</code>, as an
+ * unsigned 64-bit integer.
+ */
+exports.crc64 = function crc64(crc, data) {
+  if (!crc64TableLow) {
+    // Reversed polynomial, split into 32-bit halves
+    const polyLow = 0xD7870F42;
+    const polyHigh = 0xC96C5795;
+    crc64TableLow = new Uint32Array(256);
+    crc64TableHigh = new Uint32Array(256);
+    for (let i = 0; i < 256; i += 1) {
+      let entryLow = i;
+      let entryHigh = 0;
+      for (let j = 0; j < 8; j += 1) {
+        const bit = entryLow & 1;
+        entryLow = (entryLow >>> 1) | (entryHigh << 31);
+        entryHigh >>>= 1;
+        if (bit) {
+          entryLow ^= polyLow;
+          entryHigh ^= polyHigh;
+        }
+      }
+      crc64TableLow[i] = entryLow;
+      crc64TableHigh[i] = entryHigh;
+    }
+  }
+
+  const tableLow = crc64TableLow;
+  const tableHigh = crc64TableHigh;
+  let low = ~Number(BigInt.asUintN(32, crc));
+  let high = ~Number(BigInt.asUintN(32, crc >> 32n));
+  for (const byte of data) {
+    const index = (low ^ byte) & 0xFF;
+    low = ((low >>> 8) | (high << 24)) ^ tableLow[index];
+    high = (high >>> 8) ^ tableHigh[index];
+  }
+  return (BigInt(~high >>> 0) << 32n) | BigInt(~low >>> 0);
+};
+
+const XXH32_PRIME1 = 0x9E3779B1;
+const XXH32_PRIME2 = 0x85EBCA77;
+const XXH32_PRIME3 = 0xC2B2AE3D;
+const XXH32_PRIME4 = 0x27D4EB2F;
+const XXH32_PRIME5 = 0x165667B1;
+
+/** Rotates a 32-bit integer left.
+ *
+ * @private
+ * @param {number} value Value to rotate.
+ * @param {number} bits Number of bits by which to rotate.
+ * @returns {number} Rotated value.
+ */
+function rotl32(value, bits) {
+  return (value << bits) | (value >>> (32 - bits));
+}
+
+/** Adds a 32-bit input lane to an xxHash32 accumulator.
+ *
+ * @private
+ * @param {number} acc Accumulator.
+ * @param {number} input Input lane.
+ * @returns {number} Updated accumulator.
+ */
+function xxh32Round(acc, input) {
+  acc = (acc + Math.imul(input, XXH32_PRIME2)) >>> 0;
+  return Math.imul(rotl32(acc, 13), XXH32_PRIME1);
+}
+
+/** Incremental computation of the 32-bit xxHash (as used by LZ4).
+ *
+ * @class
+ * @param {number=} seed Hash seed.  (default: 0)
+ * @see {@link https://github.com/Cyan4973/xxHash/blob/dev/doc/xxhash_spec.md}
+ */
+class Xxh32 {
+  constructor(seed = 0) {
+    this._seed = seed;
+    this._v1 = (seed + XXH32_PRIME1 + XXH32_PRIME2) >>> 0;
+    this._v2 = (seed + XXH32_PRIME2) >>> 0;
+    this._v3 = seed >>> 0;
+    this._v4 = (seed - XXH32_PRIME1) >>> 0;
+    this._totalLength = 0;
+    // Input which does not fill a 16-byte stripe
+    this._buffer = Buffer.alloc(16);
+    this._bufferLength = 0;
+  }
+
+  /** Adds data to the hash.
+   *
+   * @param {!Uint8Array} data Data to add.
+   * @returns {!Xxh32} This object.
+   */
+  update(data) {
+    const buffer = this._buffer;
+    const dataView = Buffer.from(data.buffer, data.byteOffset, data.length);
+    this._totalLength += data.length;
+
+    let pos = 0;
+    if (this._bufferLength > 0) {
+      pos = Math.min(16 - this._bufferLength, data.length);
+      dataView.copy(buffer, this._bufferLength, 0, pos);
+      this._bufferLength += pos;
+      if (this._bufferLength < 16) {
+        return this;
+      }
+
+      this._updateStripe(buffer, 0);
+      this._bufferLength = 0;
+    }
+
+    for (; pos + 16 <= data.length; pos += 16) {
+      this._updateStripe(dataView, pos);
+    }
+
+    this._bufferLength = dataView.copy(buffer, 0, pos);
+    return this;
+  }
+
+  /** Adds a 16-byte stripe of data to the accumulators.
+   *
+   * @private
+   * @param {!Buffer} data Data containing the stripe.
+   * @param {number} pos Position of the stripe in <code>data</code>.
+   */
+  _updateStripe(data, pos) {
+    this._v1 = xxh32Round(this._v1, data.readInt32LE(pos));
+    this._v2 = xxh32Round(this._v2, data.readInt32LE(pos + 4));
+    this._v3 = xxh32Round(this._v3, data.readInt32LE(pos + 8));
+    this._v4 = xxh32Round(this._v4, data.readInt32LE(pos + 12));
+  }
+
+  /** Gets the hash of the data added.
+   *
+   * @returns {number} Hash value, as an unsigned 32-bit integer.
+   */
+  digest() {
+    let hash;
+    if (this._totalLength >= 16) {
+      hash = (rotl32(this._v1, 1) + rotl32(this._v2, 7)
+        + rotl32(this._v3, 12) + rotl32(this._v4, 18)) >>> 0;
+    } else {
+      hash = (this._seed + XXH32_PRIME5) >>> 0;
+    }
+    hash = (hash + this._totalLength) >>> 0;
+
+    const buffer = this._buffer;
+    const length = this._bufferLength;
+    let pos = 0;
+    for (; pos + 4 <= length; pos += 4) {
+      hash = (hash + Math.imul(buffer.readInt32LE(pos), XXH32_PRIME3)) >>> 0;
+      hash = Math.imul(rotl32(hash, 17), XXH32_PRIME4);
+    }
+    for (; pos < length; pos += 1) {
+      hash = (hash + Math.imul(buffer[pos], XXH32_PRIME5)) >>> 0;
+      hash = Math.imul(rotl32(hash, 11), XXH32_PRIME1);
+    }
+
+    hash = Math.imul(hash ^ (hash >>> 15), XXH32_PRIME2);
+    hash = Math.imul(hash ^ (hash >>> 13), XXH32_PRIME3);
+    return (hash ^ (hash >>> 16)) >>> 0;
+  }
+}
+
+exports.Xxh32 = Xxh32;
+
+/** Computes the 32-bit xxHash of the given data.
+ *
+ * @param {!Uint8Array} data Data to hash.
+ * @param {number=} seed Hash seed.  (default: 0)
+ * @returns {number} Hash value, as an unsigned 32-bit integer.
+ */
+exports.xxh32 = function xxh32(data, seed) {
+  return new Xxh32(seed).update(data).digest();
+};
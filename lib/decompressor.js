@@ -0,0 +1,470 @@
+/**
+ * Base class for decompressors implemented in JavaScript.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { kMaxLength } = require('node:buffer');
+const { Transform, finished } = require('node:stream');
+const zlib = require('node:zlib');
+
+const {
+  Z_BLOCK,
+  Z_BUF_ERROR,
+  Z_DATA_ERROR,
+  Z_DEFAULT_CHUNK,
+  Z_FINISH,
+  Z_MIN_CHUNK,
+  Z_NO_FLUSH,
+} = zlib.constants;
+
+const { ERR_BUFFER_TOO_LARGE } = require('./errors.js');
+
+/** Empty Buffer written by {@link Decompressor#flush} to mark flush points.
+ *
+ * @private
+ */
+const kFlushBuffer = Buffer.alloc(0);
+
+/** Creates an Error for invalid compressed data, with the same properties as
+ * the errors from zlib.
+ *
+ * @param {string} message Error message.
+ * @returns {!Error} Error with <code>code</code> <code>'Z_DATA_ERROR'</code>.
+ */
+function createDataError(message) {
+  const err = new Error(message);
+  err.errno = Z_DATA_ERROR;
+  err.code = 'Z_DATA_ERROR';
+  return err;
+}
+
+/** Creates an Error for compressed data which ends unexpectedly, with the
+ * same properties as the error from zlib.
+ *
+ * @returns {!Error} Error with <code>code</code> <code>'Z_BUF_ERROR'</code>.
+ */
+function createEndError() {
+  const err = new Error('unexpected end of file');
+  err.errno = Z_BUF_ERROR;
+  err.code = 'Z_BUF_ERROR';
+  return err;
+}
+
+/** Base class for decompressors implemented in JavaScript which behave like
+ * the decompression classes from <code>zlib</code>.
+ *
+ * <p>Subclasses implement {@link Decompressor#_decode} and {@link
+ * Decompressor#_resetState}.  Data written to the stream is queued and passed
+ * to <code>_decode</code>, which decodes as much as possible and returns the
+ * number of bytes consumed.  Any unconsumed data is passed to the next call,
+ * along with subsequently written data.</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code>, <code>finishFlush</code>, and
+ * <code>maxOutputLength</code>.
+ */
+class Decompressor extends Transform {
+  constructor(opts) {
+    // Ignore encoding, objectMode, and writableObjectMode, as zlib does.
+    if (opts && (opts.encoding || opts.objectMode || opts.writableObjectMode)) {
+      opts = {
+        ...opts,
+        encoding: undefined,
+        objectMode: false,
+        writableObjectMode: false,
+      };
+    }
+
+    super(opts);
+
+    this._chunkSize = opts && opts.chunkSize >= Z_MIN_CHUNK
+      ? opts.chunkSize
+      : Z_DEFAULT_CHUNK;
+    this._finishFlushFlag =
+      opts && opts.finishFlush >= Z_NO_FLUSH && opts.finishFlush <= Z_BLOCK
+        ? opts.finishFlush
+        : Z_FINISH;
+    // As for zlib, only limits the output of synchronous _processChunk.
+    this._maxOutputLength = opts && opts.maxOutputLength >= 1
+      ? opts.maxOutputLength
+      : kMaxLength;
+
+    /** Number of bytes written to this stream which have been decoded.
+     *
+     * <p>As for zlib, data which has not yet been decoded and data after the
+     * end of the compressed data are not counted.</p>
+     *
+     * @type {number}
+     */
+    this.bytesWritten = 0;
+
+    /** Decoded data which has not been pushed, due to backpressure.
+     *
+     * @private
+     */
+    this._pendingOutput = [];
+
+    /** State of the write or flush being decoded, if any.
+     *
+     * @private
+     */
+    this._decodeState = undefined;
+
+    this._resetInput();
+    this._resetState();
+  }
+
+  /** Discards any queued input.
+   *
+   * @private
+   */
+  _resetInput() {
+    /** Data written, but not yet consumed by {@link #_decode}.
+     *
+     * @private
+     */
+    this._input = [];
+    this._inputLength = 0;
+
+    /** Minimum amount of data in {@link #_input} before calling {@link
+     * #_decode}, unless flushing.  Set by subclasses which can't make progress
+     * without more data.
+     *
+     * @protected
+     */
+    this._inputNeeded = 1;
+
+    /** Has the compressed data ended such that the input could end here?
+     * Set by subclasses.
+     *
+     * @protected
+     */
+    this._complete = false;
+
+    /** Has the compressed data ended such that any further input is ignored?
+     * Set by subclasses.
+     *
+     * @protected
+     */
+    this._finished = false;
+  }
+
+  /** Resets the format-specific decoder state.  Called by the constructor
+   * and {@link #reset}.
+   *
+   * @protected
+   * @abstract
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _resetState() {
+    throw new Error('_resetState must be implemented by subclasses');
+  }
+
+  /** Decodes data.
+   *
+   * <p>Implementations should return once data has been added to
+   * <code>output</code>, rather than decoding all of <code>input</code>, so
+   * that decoding can pause until the decoded data has been read.  Any
+   * unconsumed input is passed to the next call.</p>
+   *
+   * @protected
+   * @abstract
+   * @param {!Buffer} input Data to decode.
+   * @param {boolean} flush Is no more data available at this time?  If
+   * <code>true</code>, as much data as possible should be decoded.
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   * @returns {number} Number of bytes of <code>input</code> consumed.
+   * @throws {Error} If <code>input</code> is not valid.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  _decode(input, flush, output) {
+    throw new Error('_decode must be implemented by subclasses');
+  }
+
+  /** Queues data to be decoded.
+   *
+   * @private
+   * @param {!Buffer} chunk Data to queue.
+   */
+  _queueInput(chunk) {
+    if (chunk.length > 0) {
+      this._input.push(chunk);
+      this._inputLength += chunk.length;
+    }
+  }
+
+  /** Decodes some of the queued data.
+   *
+   * @private
+   * @param {boolean} flush Decode as much as possible?
+   * @returns {!Array<!Buffer>} Decoded data.  Empty if no data could be
+   * decoded, or if only non-data structures were consumed.
+   */
+  _processInput(flush) {
+    const output = [];
+    if (this._finished
+      || this._inputLength === 0
+      || (!flush && this._inputLength < this._inputNeeded)) {
+      return output;
+    }
+
+    let input = this._input.length === 1 ? this._input[0]
+      : Buffer.concat(this._input, this._inputLength);
+    this._inputNeeded = 1;
+    const consumed = this._decode(input, flush, output);
+    this.bytesWritten += consumed;
+    input = this._finished ? input.subarray(input.length)
+      : input.subarray(consumed);
+    this._input = input.length > 0 ? [input] : [];
+    this._inputLength = input.length;
+    return output;
+  }
+
+  /** Decodes all of the queued data which can be decoded.
+   *
+   * @private
+   * @param {boolean} flush Decode as much as possible?
+   * @returns {!Array<!Buffer>} Decoded data.
+   * @throws {RangeError} If the decoded data exceeds
+   * <code>maxOutputLength</code>.
+   */
+  _processAllInput(flush) {
+    const output = [];
+    let outputLength = 0;
+    for (;;) {
+      const inputLength = this._inputLength;
+      const decoded = this._processInput(flush);
+      if (decoded.length === 0 && this._inputLength === inputLength) {
+        return output;
+      }
+
+      output.push(...decoded);
+      for (const chunk of decoded) {
+        outputLength += chunk.length;
+      }
+      if (outputLength > this._maxOutputLength) {
+        throw new ERR_BUFFER_TOO_LARGE(this._maxOutputLength);
+      }
+    }
+  }
+
+  /** Checks that the compressed data is complete, if required by
+   * <code>flushFlag</code>.
+   *
+   * @private
+   * @param {number} flushFlag zlib flush flag for the end of the data.
+   * @throws {Error} If <code>flushFlag</code> is <code>Z_FINISH</code> and the
+   * compressed data is incomplete.
+   */
+  _checkEnd(flushFlag) {
+    if (flushFlag === Z_FINISH && !this._complete && !this._finished) {
+      throw createEndError();
+    }
+  }
+
+  /** Pushes decoded data in pieces of at most <code>chunkSize</code> until
+   * the readable buffer is full.
+   *
+   * @private
+   * @returns {boolean} <code>false</code> if the readable buffer is full,
+   * otherwise <code>true</code> once all decoded data has been pushed.
+   */
+  _pushPendingOutput() {
+    const chunkSize = this._chunkSize;
+    const pending = this._pendingOutput;
+    while (pending.length > 0) {
+      const buf = pending[0];
+      if (buf.length > chunkSize) {
+        pending[0] = buf.subarray(chunkSize);
+      } else {
+        pending.shift();
+      }
+
+      if (!this.push(buf.subarray(0, chunkSize))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /** Decodes and pushes queued data until it has all been decoded, or until
+   * the readable buffer is full, in which case decoding resumes in
+   * {@link #_read}.
+   *
+   * @private
+   */
+  _decodeQueued() {
+    const { flush, flushFlag } = this._decodeState;
+    for (;;) {
+      if (!this._pushPendingOutput()) {
+        this._decodeState.waiting = true;
+        return;
+      }
+
+      const inputLength = this._inputLength;
+      let output;
+      try {
+        output = this._processInput(flush);
+      } catch (err) {
+        this._endDecode(err);
+        return;
+      }
+
+      if (output.length === 0 && this._inputLength === inputLength) {
+        break;
+      }
+
+      this._pendingOutput = output;
+    }
+
+    let error;
+    try {
+      this._checkEnd(flushFlag);
+    } catch (err) {
+      error = err;
+    }
+    this._endDecode(error);
+  }
+
+  /** Ends decoding started by {@link #_startDecode}.
+   *
+   * @private
+   * @param {Error=} err Error which ended decoding, if any.
+   */
+  _endDecode(err) {
+    const { callback } = this._decodeState;
+    this._decodeState = undefined;
+    callback(err);
+  }
+
+  /** Queues data and starts decoding it.
+   *
+   * @private
+   * @param {!Buffer} chunk Data to decode.
+   * @param {boolean} flush Decode as much as possible?
+   * @param {number} flushFlag zlib flush flag for the end of the data, which
+   * is checked by {@link #_checkEnd} once it has been decoded.
+   * @param {function(Error=)} callback Callback once the data has been
+   * decoded and pushed.
+   */
+  _startDecode(chunk, flush, flushFlag, callback) {
+    this._queueInput(chunk);
+    this._decodeState = {
+      callback,
+      flush,
+      flushFlag,
+      waiting: false,
+    };
+    this._decodeQueued();
+  }
+
+  _transform(chunk, encoding, callback) {
+    this._startDecode(chunk, chunk === kFlushBuffer, Z_NO_FLUSH, callback);
+  }
+
+  _flush(callback) {
+    this._startDecode(kFlushBuffer, true, this._finishFlushFlag, callback);
+  }
+
+  _read(size) {
+    const decodeState = this._decodeState;
+    if (decodeState && decodeState.waiting) {
+      decodeState.waiting = false;
+      this._decodeQueued();
+    }
+
+    super._read(size);
+  }
+
+  /** Process a chunk of data, synchronously or asynchronously.
+   *
+   * @protected
+   * @param {!Buffer} chunk Chunk of data to write.
+   * @param {number} flushFlag Flush flag with which to write the data.
+   * @param {?function(Error=)=} cb Callback.  Synchronous if falsey.
+   * @returns {!Buffer|undefined} Decompressed data if synchronous, otherwise
+   * <code>undefined</code>.
+   * @throws {Error} If <code>chunk</code> is not valid and <code>cb</code>
+   * is not a function.
+   */
+  _processChunk(chunk, flushFlag, cb) {
+    if (typeof cb === 'function') {
+      this._transform(chunk, undefined, cb);
+      return undefined;
+    }
+
+    this._queueInput(chunk);
+    const output = this._processAllInput(flushFlag !== Z_NO_FLUSH);
+    this._checkEnd(flushFlag);
+    return output.length === 1 ? output[0] : Buffer.concat(output);
+  }
+
+  /** Decodes as much of the data written to this stream as possible.
+   *
+   * @param {number=} kind Ignored.  Accepted for compatibility with zlib.
+   * @param {?function()=} callback Callback once data has been flushed.
+   */
+  flush(kind, callback) {
+    if (typeof kind === 'function') {
+      callback = kind;
+    }
+
+    const ws = this._writableState;
+    if (ws.ended) {
+      if (callback) {
+        queueMicrotask(callback);
+      }
+    } else if (ws.ending) {
+      if (callback) {
+        this.once('end', callback);
+      }
+    } else {
+      this.write(kFlushBuffer, '', callback);
+    }
+  }
+
+  /** Sets compression parameters.  Has no effect on decompression.  Accepted
+   * for compatibility with zlib.
+   *
+   * @param {number} level Ignored.
+   * @param {number} strategy Ignored.
+   * @param {?function()=} callback Callback once parameters have been set.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  params(level, strategy, callback) {
+    if (callback) {
+      queueMicrotask(callback);
+    }
+  }
+
+  /** Discards any buffered data and resets the decoder to its initial state. */
+  reset() {
+    this._pendingOutput = [];
+    this._resetInput();
+    this._resetState();
+  }
+
+  /** Closes this stream.
+   *
+   * @param {?function()=} callback Callback once the stream has closed.
+   */
+  close(callback) {
+    if (callback) {
+      finished(this, callback);
+    }
+    this.destroy();
+  }
+}
+
+module.exports = {
+  Decompressor,
+  createDataError,
+  createEndError,
+};
@@ -0,0 +1,311 @@
+/**
+ * Functions for detecting the "raw" DEFLATE compressed data format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://www.rfc-editor.org/rfc/rfc1951}
+ */
+
+// DEFLATE headers are bit-oriented.  Allow bitwise operators for parsing.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+const zlib = require('node:zlib');
+
+const {
+  DETECT_BYTES,
+  readBits,
+  trialDecode,
+} = require('./heuristic-detect.js');
+
+const {
+  Z_FINISH,
+  Z_SYNC_FLUSH,
+} = zlib.constants;
+
+/** Maximum length of a Huffman code, in bits.
+ *
+ * @private
+ */
+const MAX_CODE_BITS = 15;
+
+/** Maximum number of literal/length codes (RFC 1951 Section 3.2.5).
+ *
+ * @private
+ */
+const MAX_LITERAL_CODES = 286;
+
+/** Maximum number of distance codes (RFC 1951 Section 3.2.5).
+ *
+ * @private
+ */
+const MAX_DISTANCE_CODES = 30;
+
+/** Literal/length code for the end of a block.
+ *
+ * @private
+ */
+const END_OF_BLOCK = 256;
+
+/** Order in which code length code lengths are stored (RFC 1951 Section
+ * 3.2.7).
+ *
+ * @private
+ */
+const CODE_LENGTH_ORDER = new Uint8Array([
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+]);
+
+/** Checks whether a set of Huffman code lengths describes a code which zlib
+ * accepts.
+ *
+ * <p>Like zlib, the code must not be over-subscribed and must be complete,
+ * except that codes with no symbols or a single 1-bit code are allowed where
+ * <code>allowIncomplete</code> is <code>true</code>.</p>
+ *
+ * @private
+ * @param {!Uint8Array} lengths Code length of each symbol (0 if unused).
+ * @param {boolean} allowIncomplete Are incomplete codes allowed?
+ * @returns {boolean} <code>true</code> if the code is valid.
+ */
+function checkCodeLengths(lengths, allowIncomplete) {
+  const counts = new Uint16Array(MAX_CODE_BITS + 1);
+  let maxLength = 0;
+  for (const length of lengths) {
+    counts[length] += 1;
+    maxLength = Math.max(maxLength, length);
+  }
+
+  if (maxLength === 0) {
+    return allowIncomplete;
+  }
+
+  // Number of unused codes at each length
+  let left = 1;
+  for (let len = 1; len <= MAX_CODE_BITS; len += 1) {
+    left = (left * 2) - counts[len];
+    if (left < 0) {
+      // Over-subscribed
+      return false;
+    }
+  }
+
+  return left === 0 || (allowIncomplete && maxLength === 1);
+}
+
+/** Creates a function which decodes symbols using a (valid, complete)
+ * canonical Huffman code.
+ *
+ * @private
+ * @param {!Uint8Array} lengths Code length of each symbol (0 if unused).
+ * @param {function(number): number} read Function to read bits.
+ * @returns {function(): number} Function which decodes the next symbol, or
+ * returns -1 if there is not enough data.
+ */
+function createDecoder(lengths, read) {
+  const counts = new Uint16Array(MAX_CODE_BITS + 1);
+  for (const length of lengths) {
+    counts[length] += 1;
+  }
+
+  // Symbols ordered by code
+  const offsets = new Uint16Array(MAX_CODE_BITS + 2);
+  for (let len = 1; len <= MAX_CODE_BITS; len += 1) {
+    offsets[len + 1] = offsets[len] + counts[len];
+  }
+  const symbols = new Uint16Array(lengths.length);
+  for (const [symbol, length] of lengths.entries()) {
+    if (length !== 0) {
+      symbols[offsets[length]] = symbol;
+      offsets[length] += 1;
+    }
+  }
+
+  return function decode() {
+    // Codes are stored most-significant bit first.  Compare the code read so
+    // far to the first code of each length.
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len <= MAX_CODE_BITS; len += 1) {
+      const bit = read(1);
+      if (bit < 0) {
+        return -1;
+      }
+
+      code |= bit;
+      const count = counts[len];
+      if (code - first < count) {
+        return symbols[index + code - first];
+      }
+
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+
+    // Unreachable for complete codes
+    return -1;
+  };
+}
+
+/** Checks whether a Buffer starts with a valid DEFLATE block header (RFC
+ * 1951 Section 3.2.3), including the code lengths of a block compressed with
+ * dynamic Huffman codes (Section 3.2.7).
+ *
+ * @param {!Buffer} chunk Data to check.
+ * @returns {boolean|undefined} <code>true</code> if the header is valid,
+ * <code>false</code> if it is not, <code>undefined</code> if
+ * <code>chunk</code> is too short to tell.
+ */
+function checkDeflateRawHeader(chunk) {
+  let bitOffset = 0;
+  function read(bitCount) {
+    const value = readBits(chunk, bitOffset, bitCount);
+    bitOffset += bitCount;
+    return value;
+  }
+
+  // BFINAL and BTYPE
+  const header = read(3);
+  if (header < 0) {
+    return undefined;
+  }
+
+  const btype = header >> 1;
+  if (btype === 0) {
+    // Stored block.  LEN and NLEN follow on the next byte boundary.
+    const start = Math.ceil(bitOffset / 8);
+    if (chunk.length < start + 4) {
+      return undefined;
+    }
+
+    return (chunk.readUInt16LE(start) ^ chunk.readUInt16LE(start + 2))
+      === 0xFFFF;
+  }
+
+  if (btype === 1) {
+    // Fixed Huffman codes.  No further header.
+    return true;
+  }
+
+  if (btype === 3) {
+    // Reserved
+    return false;
+  }
+
+  const hlit = read(5);
+  const hdist = read(5);
+  const hclen = read(4);
+  if (hclen < 0) {
+    return undefined;
+  }
+
+  const literalCodes = hlit + 257;
+  const distanceCodes = hdist + 1;
+  if (literalCodes > MAX_LITERAL_CODES || distanceCodes > MAX_DISTANCE_CODES) {
+    return false;
+  }
+
+  const codeLengthLengths = new Uint8Array(CODE_LENGTH_ORDER.length);
+  for (let i = 0; i < hclen + 4; i += 1) {
+    const length = read(3);
+    if (length < 0) {
+      return undefined;
+    }
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = length;
+  }
+  if (!checkCodeLengths(codeLengthLengths, false)) {
+    return false;
+  }
+
+  const decode = createDecoder(codeLengthLengths, read);
+  const lengths = new Uint8Array(literalCodes + distanceCodes);
+  let index = 0;
+  while (index < lengths.length) {
+    const symbol = decode();
+    if (symbol < 0) {
+      return undefined;
+    }
+
+    if (symbol < 16) {
+      lengths[index] = symbol;
+      index += 1;
+    } else {
+      let value = 0;
+      let repeat;
+      if (symbol === 16) {
+        // Repeat previous length 3-6 times
+        if (index === 0) {
+          return false;
+        }
+        value = lengths[index - 1];
+        repeat = read(2) + 3;
+      } else if (symbol === 17) {
+        // Repeat zero 3-10 times
+        repeat = read(3) + 3;
+      } else {
+        // Repeat zero 11-138 times
+        repeat = read(7) + 11;
+      }
+
+      if (bitOffset > chunk.length * 8) {
+        return undefined;
+      }
+      if (index + repeat > lengths.length) {
+        return false;
+      }
+
+      lengths.fill(value, index, index + repeat);
+      index += repeat;
+    }
+  }
+
+  const literalLengths = lengths.subarray(0, literalCodes);
+  return literalLengths[END_OF_BLOCK] !== 0
+    && checkCodeLengths(literalLengths, true)
+    && checkCodeLengths(lengths.subarray(literalCodes), true);
+}
+
+/** Determines whether data is likely "raw" DEFLATE by trial-decoding a
+ * prefix of the data.
+ *
+ * <p>Since "raw" DEFLATE has no magic number, detection is heuristic:  The
+ * first block header is validated, then data is considered to be "raw"
+ * DEFLATE if the first 512 bytes can be decoded without error, or if the
+ * data is shorter and is a complete DEFLATE stream.  Data which is shorter
+ * and ends before the DEFLATE stream does is not considered "raw" DEFLATE
+ * once <code>end</code> is <code>true</code>, since short uncompressed data
+ * is often a valid prefix.</p>
+ *
+ * @param {!Buffer} chunk Chunk of data to check.
+ * @param {boolean} end Is <code>chunk</code> the end of the data?
+ * @returns {boolean|undefined} <code>true</code> if the data is likely "raw"
+ * DEFLATE, <code>false</code> if it is not, <code>undefined</code> if more
+ * data is required to decide.
+ */
+exports.isDeflateRaw = function isDeflateRaw(chunk, end) {
+  const headerValid = checkDeflateRawHeader(chunk);
+  if (headerValid === false || (headerValid === undefined && !end)) {
+    return headerValid;
+  }
+
+  if (chunk.length >= DETECT_BYTES) {
+    return !trialDecode(
+      zlib.inflateRawSync,
+      chunk.subarray(0, DETECT_BYTES),
+      Z_SYNC_FLUSH,
+    ).err;
+  }
+
+  const { err } = trialDecode(zlib.inflateRawSync, chunk, Z_FINISH);
+  if (!err) {
+    return true;
+  }
+
+  // Wait for more data if the data is valid, but truncated.
+  return err.code === 'Z_BUF_ERROR' && !end ? undefined : false;
+};
+
+exports.checkDeflateRawHeader = checkDeflateRawHeader;
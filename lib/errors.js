@@ -18,6 +18,8 @@
  * @license MIT
  */
 
+/* eslint-disable max-classes-per-file */
+
 // Most of the content in this file is copied verbatim from Node.js.
 // Test coverage is not necessary and checking skews coverage numbers.
 /* istanbul ignore file */
@@ -263,7 +265,43 @@ value !== 'object',
   },
 TypeError
 );
+E(
+  'ERR_INVALID_ARG_VALUE',
+  (name, value, reason = 'is invalid') => {
+    let inspected = lazyInternalUtilInspect().inspect(value);
+    if (inspected.length > 128) {
+      inspected = `${inspected.slice(0, 128)}...`;
+    }
+    const type = name.includes('.') ? 'property' : 'argument';
+    return `The ${type} '${name}' ${reason}. Received ${inspected}`;
+  },
+  TypeError,
+);
+E(
+  'ERR_OUT_OF_RANGE',
+  (str, range, input) => {
+    assert(range, 'Missing "range" argument');
+    const received = lazyInternalUtilInspect().inspect(input);
+    return `The value of "${str}" is out of range. It must be ${range}. ` +
+      `Received ${received}`;
+  },
+  RangeError,
+);
 E('ERR_STREAM_PREMATURE_CLOSE', 'Premature close', Error);
+E('ERR_STREAM_WRITE_AFTER_END', 'write after end', Error);
+
+// Copied from lib/internal/errors.js @ v20.0.0
+class AbortError extends Error {
+  constructor(message = 'The operation was aborted', options = undefined) {
+    if (options !== undefined && typeof options !== 'object') {
+      throw new codes.ERR_INVALID_ARG_TYPE('options', 'Object', options);
+    }
+    super(message, options);
+    this.code = 'ABORT_ERR';
+    this.name = 'AbortError';
+  }
+}
+codes.AbortError = AbortError;
 
 codes.ERR_SYNC_NOT_SUPPORTED = class InflateAutoError extends Error {
   constructor(target) {
@@ -283,3 +321,91 @@ codes.ERR_SYNC_NOT_SUPPORTED = class InflateAutoError extends Error {
     this.code = 'ERR_SYNC_NOT_SUPPORTED';
   }
 };
+
+codes.ERR_FORMAT_NOT_SUPPORTED = class InflateAutoError extends Error {
+  constructor(format, reason) {
+    super();
+    let message = `${format} data recognized, but not supported`;
+    if (reason) {
+      message += `: ${reason}`;
+    }
+    message += '.';
+    Object.defineProperty(this, 'message', {
+      value: message,
+      enumerable: false,
+      writable: true,
+      configurable: true,
+    });
+    this.name = 'InflateAutoError';
+    this.code = 'ERR_FORMAT_NOT_SUPPORTED';
+  }
+};
+
+codes.ERR_TRAILING_DATA = class InflateAutoError extends Error {
+  constructor(trailingData) {
+    super();
+    const message =
+      `${trailingData.length} bytes of data after end of compressed data.`;
+    Object.defineProperty(this, 'message', {
+      value: message,
+      enumerable: false,
+      writable: true,
+      configurable: true,
+    });
+    this.name = 'InflateAutoError';
+    this.code = 'ERR_TRAILING_DATA';
+    this.trailingData = trailingData;
+  }
+};
+
+codes.ERR_INFLATE_AUTO_DETECT_LIMIT = class InflateAutoError extends Error {
+  constructor(limit, data) {
+    super();
+    const message =
+      `Format not detected within maxDetectBytes (${limit}).`;
+    Object.defineProperty(this, 'message', {
+      value: message,
+      enumerable: false,
+      writable: true,
+      configurable: true,
+    });
+    this.name = 'InflateAutoError';
+    this.code = 'ERR_INFLATE_AUTO_DETECT_LIMIT';
+    this.limit = limit;
+    this.data = data;
+  }
+};
+
+codes.ERR_INFLATE_AUTO_HEADER_LIMIT = class InflateAutoError extends Error {
+  constructor(limit) {
+    super();
+    const message = `Header not complete within maxDetectBytes (${limit}).`;
+    Object.defineProperty(this, 'message', {
+      value: message,
+      enumerable: false,
+      writable: true,
+      configurable: true,
+    });
+    this.name = 'InflateAutoError';
+    this.code = 'ERR_INFLATE_AUTO_HEADER_LIMIT';
+    this.limit = limit;
+  }
+};
+
+codes.ERR_INFLATE_AUTO_OUTPUT_LIMIT =
+class InflateAutoError extends RangeError {
+  constructor(option, limit) {
+    super();
+    const message = `Decompressed data exceeds ${option} (${limit}).`;
+    Object.defineProperty(this, 'message', {
+      value: message,
+      enumerable: false,
+      writable: true,
+      configurable: true,
+    });
+    this.name = 'InflateAutoError';
+    this.code = 'ERR_INFLATE_AUTO_OUTPUT_LIMIT';
+    this.option = option;
+    this.limit = limit;
+  }
+};
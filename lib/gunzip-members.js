@@ -0,0 +1,554 @@
+/**
+ * Decompressor for the gzip format which reports each member.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://www.rfc-editor.org/rfc/rfc1952}
+ */
+
+'use strict';
+
+const { Transform, finished } = require('node:stream');
+const zlib = require('node:zlib');
+
+const { crc32 } = require('./checksums.js');
+const { createDataError, createEndError } = require('./decompressor.js');
+const { ERR_SYNC_NOT_SUPPORTED } = require('./errors.js');
+const { parseGzipHeader } = require('./gzip.js');
+
+const {
+  Z_BLOCK,
+  Z_FINISH,
+  Z_NO_FLUSH,
+  Z_SYNC_FLUSH,
+} = zlib.constants;
+
+/** Empty Buffer written by {@link GunzipMembers#flush} to mark flush points.
+ *
+ * @private
+ */
+const kFlushBuffer = Buffer.alloc(0);
+
+/** Size of the member trailer (CRC32 and ISIZE).
+ *
+ * @private
+ */
+const TRAILER_SIZE = 8;
+
+/** Magic bytes at the start of each gzip member.
+ *
+ * @private
+ */
+const GZIP_MAGIC = [0x1F, 0x8B];
+
+/** Decoder state:  Reading a member header.
+ *
+ * @private
+ */
+const STATE_HEADER = 0;
+
+/** Decoder state:  Reading compressed member data.
+ *
+ * @private
+ */
+const STATE_DATA = 1;
+
+/** Decoder state:  Reading a member trailer.
+ *
+ * @private
+ */
+const STATE_TRAILER = 2;
+
+/** Decoder state:  After the last member.  Further input is ignored.
+ *
+ * @private
+ */
+const STATE_DONE = 3;
+
+/** Decompressor for data in the gzip format which emits a
+ * <code>'member'</code> event at the end of each member.
+ *
+ * <p>Member headers and trailers are parsed by this class, and the compressed
+ * data of each member is decoded by a separate {@link zlib.InflateRaw}.  As
+ * with {@link zlib.Gunzip}, data after a member which does not start with the
+ * gzip magic bytes is ignored, is not counted in <code>bytesWritten</code>, and
+ * causes the stream to end.  Synchronous decompression (i.e.
+ * <code>_processChunk</code> without a callback) is only supported for
+ * the complete data in a single call.</p>
+ *
+ * <p>The <code>'member'</code> event is emitted with an object which has
+ * the following properties, once the member trailer has been checked:
+ * <code>header</code> (the parsed header, as for
+ * <code>InflateAuto#getHeader</code>), <code>compressedOffset</code> and
+ * <code>compressedLength</code> (position of the member in the compressed
+ * data), <code>uncompressedOffset</code> and <code>uncompressedLength</code>
+ * (position of the member data in the decompressed data), <code>crc</code>
+ * (CRC32 from the trailer), and <code>size</code> (ISIZE from the
+ * trailer).</p>
+ *
+ * @class
+ * @augments module:stream.Transform
+ * @param {object=} opts Options for {@link module:stream.Transform} and the
+ * zlib options <code>chunkSize</code> and <code>finishFlush</code>.
+ */
+class GunzipMembers extends Transform {
+  constructor(opts) {
+    // Ignore encoding, objectMode, and writableObjectMode, as zlib does.
+    if (opts && (opts.encoding || opts.objectMode || opts.writableObjectMode)) {
+      opts = {
+        ...opts,
+        encoding: undefined,
+        objectMode: false,
+        writableObjectMode: false,
+      };
+    }
+
+    super(opts);
+
+    this._chunkSize = opts && opts.chunkSize;
+    this._finishFlushFlag =
+      opts && opts.finishFlush >= Z_NO_FLUSH && opts.finishFlush <= Z_BLOCK
+        ? opts.finishFlush
+        : Z_FINISH;
+
+    /** Number of bytes written to this stream which are part of a member.
+     *
+     * @type {number}
+     */
+    this.bytesWritten = 0;
+
+    this._resetState();
+  }
+
+  /** Resets the decoder to its initial state.
+   *
+   * @private
+   */
+  _resetState() {
+    this._state = STATE_HEADER;
+    // Data written, but not yet parsed or written to _inflate
+    this._input = kFlushBuffer;
+    // Offset in the compressed data of the start of _input
+    this._offset = 0;
+    // Length of _input not counted in bytesWritten
+    this._uncountedLength = 0;
+    this._uncompressedOffset = 0;
+    this._memberCount = 0;
+    // Header, offsets, and CRC of the current member
+    this._member = undefined;
+    this._inflate = undefined;
+  }
+
+  /** Starts decoding a member with a given header.
+   *
+   * @private
+   * @param {!object} header Parsed member header.
+   */
+  _startMember(header) {
+    const member = {
+      header,
+      compressedOffset: this._offset,
+      uncompressedOffset: this._uncompressedOffset,
+      uncompressedLength: 0,
+      crc: 0,
+    };
+    this._member = member;
+    this._input = this._input.subarray(header.headerLength);
+    this._offset += header.headerLength;
+    this._state = STATE_DATA;
+  }
+
+  /** Creates the decoder for the compressed data of the current member.
+   *
+   * @private
+   * @returns {!zlib.InflateRaw} Decoder which pushes decoded data to this
+   * stream.
+   */
+  _createInflate() {
+    const member = this._member;
+    const inflate = new zlib.InflateRaw({
+      chunkSize: this._chunkSize,
+      finishFlush: this._finishFlushFlag,
+    });
+    inflate.on('data', (chunk) => {
+      member.crc = crc32(member.crc, chunk);
+      member.uncompressedLength += chunk.length;
+      this.push(chunk);
+    });
+    inflate.on('error', (err) => this.destroy(err));
+    this._inflate = inflate;
+    return inflate;
+  }
+
+  /** Writes queued input to the member decoder, then continues processing
+   * input.
+   *
+   * @private
+   * @param {function(Error=)} callback Callback once the input is processed.
+   */
+  _writeData(callback) {
+    const inflate = this._inflate || this._createInflate();
+    const input = this._input;
+    const consumedBefore = inflate.bytesWritten;
+    inflate.write(input, (err) => {
+      if (err) {
+        // Reported by 'error' handler
+        return;
+      }
+
+      const consumed = inflate.bytesWritten - consumedBefore;
+      this._offset += consumed;
+      this._input = input.subarray(consumed);
+      if (this._input.length === 0) {
+        callback();
+        return;
+      }
+
+      // The member data ended before the end of input.  Wait for all decoded
+      // data, which is needed to check the trailer.
+      const endData = () => {
+        this._state = STATE_TRAILER;
+        this._processInput(callback);
+      };
+      if (inflate.readableEnded) {
+        endData();
+      } else {
+        inflate.once('end', endData);
+      }
+    });
+  }
+
+  /** Checks the trailer of the current member and emits
+   * <code>'member'</code>.
+   *
+   * @private
+   * @throws {Error} If the trailer does not match the decoded data.
+   */
+  _endMember() {
+    const input = this._input;
+    const member = this._member;
+    if (input.readUInt32LE(0) !== member.crc) {
+      throw createDataError('incorrect data check');
+    }
+    // ISIZE is the uncompressed length modulo 2^32
+    const size = input.readUInt32LE(4);
+    if (size !== member.uncompressedLength % (2 ** 32)) {
+      throw createDataError('incorrect length check');
+    }
+
+    this._input = input.subarray(TRAILER_SIZE);
+    this._offset += TRAILER_SIZE;
+    this._uncompressedOffset += member.uncompressedLength;
+    this._memberCount += 1;
+    this._member = undefined;
+    this._inflate = undefined;
+    this._state = STATE_HEADER;
+
+    this.emit('member', {
+      header: member.header,
+      compressedOffset: member.compressedOffset,
+      compressedLength: this._offset - member.compressedOffset,
+      uncompressedOffset: member.uncompressedOffset,
+      uncompressedLength: member.uncompressedLength,
+      crc: member.crc,
+      size,
+    });
+  }
+
+  /** Handles the start of queued input which is not part of a member.
+   *
+   * <p>After the first member, input is only decoded as another member if it
+   * starts with the gzip magic bytes.  Other data (including data from
+   * formats which share the first magic byte, such as compress and pack) is
+   * trailing data.</p>
+   *
+   * @private
+   * @param {boolean=} final Is the queued input the end of the data?
+   * @returns {boolean|undefined} <code>true</code> if the input is trailing
+   * data, which has been discarded, <code>false</code> if it may be a member,
+   * <code>undefined</code> if more input is required to decide.
+   */
+  _checkTrailing(final) {
+    if (this._memberCount === 0) {
+      return false;
+    }
+
+    const input = this._input;
+
+    // Count input which was not counted while undecided.
+    this.bytesWritten += this._uncountedLength;
+    this._uncountedLength = 0;
+
+    if (input[0] === GZIP_MAGIC[0]) {
+      if (input.length < GZIP_MAGIC.length && !final) {
+        // Not counted in bytesWritten until known to be part of a member.
+        this.bytesWritten -= input.length;
+        this._uncountedLength = input.length;
+        return undefined;
+      }
+
+      if (input[1] === GZIP_MAGIC[1]) {
+        return false;
+      }
+    }
+
+    // Like gzip and zlib.Gunzip, ignore trailing non-gzip data and end
+    // without counting it in bytesWritten.
+    this._state = STATE_DONE;
+    this.bytesWritten -= input.length;
+    this._input = kFlushBuffer;
+    this.push(null); // eslint-disable-line unicorn/no-null
+    return true;
+  }
+
+  /** Processes as much queued input as possible.
+   *
+   * @private
+   * @param {function(Error=)} callback Callback once the input is processed.
+   */
+  _processInput(callback) {
+    for (;;) {
+      const input = this._input;
+      if (this._state === STATE_DATA) {
+        if (input.length > 0) {
+          this._writeData(callback);
+          return;
+        }
+        break;
+      }
+
+      if (this._state === STATE_TRAILER) {
+        if (input.length < TRAILER_SIZE) {
+          break;
+        }
+
+        try {
+          this._endMember();
+        } catch (err) {
+          callback(err);
+          return;
+        }
+      } else if (this._state === STATE_HEADER && input.length > 0) {
+        if (this._checkTrailing() !== false) {
+          break;
+        }
+
+        const header = parseGzipHeader(input);
+        if (header === undefined) {
+          break;
+        }
+        if (header === null) {
+          callback(createDataError('incorrect header check'));
+          return;
+        }
+
+        this._startMember(header);
+      } else {
+        break;
+      }
+    }
+
+    callback();
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (chunk === kFlushBuffer) {
+      if (this._state === STATE_DATA) {
+        this._inflate.flush(Z_SYNC_FLUSH, () => callback());
+      } else {
+        callback();
+      }
+      return;
+    }
+
+    if (this._state === STATE_DONE) {
+      callback();
+      return;
+    }
+
+    this.bytesWritten += chunk.length;
+    this._input = this._input.length === 0 ? chunk
+      : Buffer.concat([this._input, chunk]);
+    this._processInput(callback);
+  }
+
+  _flush(callback) {
+    const finish = () => {
+      const complete = this._state === STATE_DONE
+        || (this._state === STATE_HEADER
+          && this._input.length === 0
+          && this._memberCount > 0);
+      callback(
+        !complete && this._finishFlushFlag === Z_FINISH ? createEndError()
+          : undefined,
+      );
+    };
+
+    if (this._state === STATE_DATA) {
+      // End the member data, which checks that it is complete.
+      this._inflate.once('end', finish);
+      this._inflate.end();
+    } else {
+      if (this._state === STATE_HEADER && this._input.length > 0) {
+        // Input too short to decide whether it starts a member
+        this._checkTrailing(true);
+      }
+
+      finish();
+    }
+  }
+
+  _destroy(err, callback) {
+    if (this._inflate) {
+      this._inflate.destroy();
+    }
+    callback(err);
+  }
+
+  /** Decodes complete data synchronously.
+   *
+   * @private
+   * @param {!Buffer} chunk Data to decode.
+   * @param {number} flushFlag Flush flag with which to decode the data.
+   * @returns {!Buffer} Decompressed data.
+   * @throws {Error} If <code>chunk</code> is not valid, or is incomplete and
+   * <code>flushFlag</code> is <code>Z_FINISH</code>.
+   */
+  _decodeAll(chunk, flushFlag) {
+    const output = [];
+    this.bytesWritten += chunk.length;
+    this._input = chunk;
+    while (this._state === STATE_HEADER
+      && this._input.length > 0
+      && !this._checkTrailing(flushFlag === Z_FINISH)) {
+      const header = parseGzipHeader(this._input);
+      if (header === undefined) {
+        break;
+      }
+      if (header === null) {
+        throw createDataError('incorrect header check');
+      }
+
+      this._startMember(header);
+      // eslint-disable-next-line n/no-sync
+      const { buffer, engine } = zlib.inflateRawSync(this._input, {
+        chunkSize: this._chunkSize,
+        finishFlush: flushFlag,
+        info: true,
+      });
+      const member = this._member;
+      member.crc = crc32(0, buffer);
+      member.uncompressedLength = buffer.length;
+      output.push(buffer);
+      this._input = this._input.subarray(engine.bytesWritten);
+      this._offset += engine.bytesWritten;
+      if (this._input.length === 0) {
+        // Member data may continue
+        break;
+      }
+
+      this._state = STATE_TRAILER;
+      if (this._input.length < TRAILER_SIZE) {
+        break;
+      }
+
+      this._endMember();
+    }
+
+    if (flushFlag === Z_FINISH
+      && this._state !== STATE_DONE
+      && (this._state !== STATE_HEADER
+        || this._input.length > 0
+        || this._memberCount === 0)) {
+      throw createEndError();
+    }
+
+    return output.length === 1 ? output[0] : Buffer.concat(output);
+  }
+
+  /** Process a chunk of data, synchronously or asynchronously.
+   *
+   * @protected
+   * @param {!Buffer} chunk Chunk of data to write.
+   * @param {number} flushFlag Flush flag with which to write the data.
+   * @param {?function(Error=)=} cb Callback.  Synchronous if falsey.
+   * @returns {!Buffer|undefined} Decompressed data if synchronous, otherwise
+   * <code>undefined</code>.
+   * @throws {Error} If <code>chunk</code> is not valid and <code>cb</code>
+   * is not a function, or if data was previously written.
+   */
+  _processChunk(chunk, flushFlag, cb) {
+    if (typeof cb === 'function') {
+      this._transform(chunk, undefined, cb);
+      return undefined;
+    }
+
+    // Member data can only be decoded synchronously in a single call.
+    if (this._state !== STATE_HEADER
+      || this._input.length > 0
+      || this._memberCount > 0) {
+      throw new ERR_SYNC_NOT_SUPPORTED(this.constructor.name);
+    }
+
+    return this._decodeAll(chunk, flushFlag);
+  }
+
+  /** Decodes as much of the data written to this stream as possible.
+   *
+   * @param {number=} kind Ignored.  Accepted for compatibility with zlib.
+   * @param {?function()=} callback Callback once data has been flushed.
+   */
+  flush(kind, callback) {
+    if (typeof kind === 'function') {
+      callback = kind;
+    }
+
+    const ws = this._writableState;
+    if (ws.ended) {
+      if (callback) {
+        queueMicrotask(callback);
+      }
+    } else if (ws.ending) {
+      if (callback) {
+        this.once('end', callback);
+      }
+    } else {
+      this.write(kFlushBuffer, '', callback);
+    }
+  }
+
+  /** Sets compression parameters.  Has no effect on decompression.  Accepted
+   * for compatibility with zlib.
+   *
+   * @param {number} level Ignored.
+   * @param {number} strategy Ignored.
+   * @param {?function()=} callback Callback once parameters have been set.
+   */
+  // eslint-disable-next-line class-methods-use-this
+  params(level, strategy, callback) {
+    if (callback) {
+      queueMicrotask(callback);
+    }
+  }
+
+  /** Discards any buffered data and resets the decoder to its initial state. */
+  reset() {
+    if (this._inflate) {
+      this._inflate.destroy();
+    }
+    this._resetState();
+  }
+
+  /** Closes this stream.
+   *
+   * @param {?function()=} callback Callback once the stream has closed.
+   */
+  close(callback) {
+    if (callback) {
+      finished(this, callback);
+    }
+    this.destroy();
+  }
+}
+
+module.exports = GunzipMembers;
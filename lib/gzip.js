@@ -0,0 +1,223 @@
+/**
+ * Functions for validating the gzip compressed data format header.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://www.rfc-editor.org/rfc/rfc1952}
+ */
+
+// gzip header flags are bit fields.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+const { crc32 } = require('./checksums.js');
+
+/** Size of the fixed part of the header (ID1 through OS).
+ *
+ * @private
+ */
+const HEADER_SIZE = 10;
+
+/** FLG bit for a CRC16 of the header (FHCRC).
+ *
+ * @private
+ */
+const FHCRC = 0x02;
+
+/** FLG bit for an extra field (FEXTRA).
+ *
+ * @private
+ */
+const FEXTRA = 0x04;
+
+/** FLG bit for an original file name (FNAME).
+ *
+ * @private
+ */
+const FNAME = 0x08;
+
+/** FLG bit for a file comment (FCOMMENT).
+ *
+ * @private
+ */
+const FCOMMENT = 0x10;
+
+/** FLG bits which are reserved and must be zero.
+ *
+ * @private
+ */
+const FRESERVED = 0xE0;
+
+/** FLG bit indicating the data is probably text (FTEXT).
+ *
+ * @private
+ */
+const FTEXT = 0x01;
+
+/** Parses the extra field of a gzip header into subfields (RFC 1952 Section
+ * 2.3.1.1).
+ *
+ * @private
+ * @param {!Buffer} extra Content of the extra field.
+ * @returns {Array<!{id: string, data: !Buffer}>|undefined} Subfields, or
+ * <code>undefined</code> if <code>extra</code> is not a sequence of
+ * subfields.
+ */
+function parseExtraFields(extra) {
+  const fields = [];
+  let pos = 0;
+  while (pos < extra.length) {
+    if (pos + 4 > extra.length) {
+      return undefined;
+    }
+
+    const dataStart = pos + 4;
+    const dataEnd = dataStart + extra.readUInt16LE(pos + 2);
+    if (dataEnd > extra.length) {
+      return undefined;
+    }
+
+    fields.push({
+      id: extra.toString('latin1', pos, pos + 2),
+      data: extra.subarray(dataStart, dataEnd),
+    });
+    pos = dataEnd;
+  }
+
+  return fields;
+}
+
+/** Reads a gzip member header (RFC 1952 Section 2.3) at the start of a
+ * Buffer.
+ *
+ * <p>The header is not valid if the reserved FLG bits are not zero or if the
+ * header CRC16 (if present) does not match.</p>
+ *
+ * @param {!Buffer} chunk Data starting with the header.
+ * @returns {?object|number} Parsed header (as documented for
+ * <code>InflateAuto.GzipHeader</code>), <code>null</code> if the header is
+ * not valid, or if <code>chunk</code> does not contain the complete header,
+ * the minimum length of data which may contain it.  The length is
+ * <code>Infinity</code> if the name or comment is not terminated, since only
+ * data with a zero byte can complete the header.
+ */
+function readGzipHeader(chunk) {
+  // ID1, ID2, and CM (deflate)
+  for (const [i, byte] of [0x1F, 0x8B, 0x08].entries()) {
+    if (i >= chunk.length) {
+      return i + 1;
+    }
+    if (chunk[i] !== byte) {
+      return null; // eslint-disable-line unicorn/no-null
+    }
+  }
+
+  if (chunk.length < 4) {
+    return 4;
+  }
+
+  const flags = chunk[3];
+  if ((flags & FRESERVED) !== 0) {
+    return null; // eslint-disable-line unicorn/no-null
+  }
+
+  if (chunk.length < HEADER_SIZE) {
+    return HEADER_SIZE;
+  }
+
+  const header = {
+    text: (flags & FTEXT) !== 0,
+    mtime: chunk.readUInt32LE(4),
+    extraFlags: chunk[8],
+    os: chunk[9],
+    extra: undefined,
+    extraFields: undefined,
+    name: undefined,
+    comment: undefined,
+    headerCrc: undefined,
+    headerLength: 0,
+  };
+
+  let pos = HEADER_SIZE;
+  if (flags & FEXTRA) {
+    if (chunk.length < pos + 2) {
+      return pos + 2;
+    }
+
+    const extraStart = pos + 2;
+    pos = extraStart + chunk.readUInt16LE(pos);
+    if (chunk.length < pos) {
+      return pos;
+    }
+
+    // Copy to avoid retaining the (possibly much larger) chunk
+    header.extra = Buffer.from(chunk.subarray(extraStart, pos));
+    header.extraFields = parseExtraFields(header.extra);
+  }
+
+  for (const [flag, property] of [[FNAME, 'name'], [FCOMMENT, 'comment']]) {
+    if (flags & flag) {
+      // Zero-terminated ISO 8859-1 (LATIN-1) string
+      const end = chunk.indexOf(0, pos);
+      if (end === -1) {
+        return Infinity;
+      }
+
+      header[property] = chunk.toString('latin1', pos, end);
+      pos = end + 1;
+    }
+  }
+
+  if (flags & FHCRC) {
+    if (chunk.length < pos + 2) {
+      return pos + 2;
+    }
+
+    // CRC16 is the least-significant 16 bits of the CRC-32 of the header
+    const crc = crc32(0, chunk.subarray(0, pos)) & 0xFFFF;
+    header.headerCrc = chunk.readUInt16LE(pos);
+    if (header.headerCrc !== crc) {
+      return null; // eslint-disable-line unicorn/no-null
+    }
+
+    pos += 2;
+  }
+
+  header.headerLength = pos;
+  return header;
+}
+
+exports.readGzipHeader = readGzipHeader;
+
+/** Parses a gzip member header (RFC 1952 Section 2.3) at the start of a
+ * Buffer.
+ *
+ * @param {!Buffer} chunk Data starting with the header.
+ * @returns {?object|undefined} Parsed header (as documented for
+ * <code>InflateAuto.GzipHeader</code>), <code>null</code> if the header is
+ * not valid, <code>undefined</code> if <code>chunk</code> does not contain
+ * the complete header.
+ */
+function parseGzipHeader(chunk) {
+  const header = readGzipHeader(chunk);
+  return typeof header === 'number' ? undefined : header;
+}
+
+exports.parseGzipHeader = parseGzipHeader;
+
+/** Checks whether a Buffer starts with a complete and valid gzip member
+ * header (RFC 1952 Section 2.3).
+ *
+ * <p>The reserved FLG bits must be zero, the optional fields indicated by
+ * FLG must be present, and the header CRC16 (if present) must match.</p>
+ *
+ * @param {!Buffer} chunk Data to check.
+ * @returns {boolean|undefined} <code>true</code> if the header is valid,
+ * <code>false</code> if it is not, <code>undefined</code> if
+ * <code>chunk</code> is too short to tell.
+ */
+exports.checkGzipHeader = function checkGzipHeader(chunk) {
+  const header = parseGzipHeader(chunk);
+  return header === undefined ? undefined : header !== null;
+};
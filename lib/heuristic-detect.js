@@ -0,0 +1,92 @@
+/**
+ * Helpers for detecting compressed data formats which have no magic number,
+ * by validating headers and trial-decoding a prefix of the data.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// Headers are bit-oriented.  Allow bitwise operators for parsing.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+/** Number of bytes of data which are trial-decoded before the data is
+ * considered to be in the format.
+ *
+ * @private
+ */
+const DETECT_BYTES = 512;
+
+/** Maximum amount of output produced by trial decoding.  Reaching the limit
+ * is considered a successful trial.
+ *
+ * @private
+ */
+const DETECT_MAX_OUTPUT = 64 * 1024;
+
+/** Reads bits from a Buffer in least-significant-bit first order, as used by
+ * DEFLATE (RFC 1951 Section 3.1.1) and Brotli (RFC 7932 Section 2).
+ *
+ * <p>Unlike <code>LsbBitReader</code>, which throws at the end of input,
+ * this returns -1 so that header checks can return <code>undefined</code>
+ * when more data is required.</p>
+ *
+ * @private
+ * @param {!Buffer} chunk Data from which to read bits.
+ * @param {number} bitOffset Offset, in bits, of the first bit to read.
+ * @param {number} bitCount Number of bits to read (at most 24).
+ * @returns {number} Value of the bits, or -1 if <code>chunk</code> does not
+ * contain the requested bits.
+ */
+function readBits(chunk, bitOffset, bitCount) {
+  if (bitOffset + bitCount > chunk.length * 8) {
+    return -1;
+  }
+
+  let value = 0;
+  for (let i = 0; i < bitCount; i += 1) {
+    const pos = bitOffset + i;
+    value |= ((chunk[pos >> 3] >> (pos & 7)) & 1) << i;
+  }
+  return value;
+}
+
+/** Decodes a prefix of data to determine if it is valid.
+ *
+ * @private
+ * @param {function(!Buffer, object): !Buffer} decompressSync Synchronous
+ * zlib convenience function for the format (e.g.
+ * <code>zlib.inflateRawSync</code>).
+ * @param {!Buffer} chunk Data to decode.
+ * @param {number} finishFlush Flush flag for the format to apply at end of
+ * data.
+ * @returns {!{err: ?Error, length: number}} Error decoding
+ * <code>chunk</code>, or <code>null</code> if it was decoded without error,
+ * and the number of bytes decoded.
+ */
+function trialDecode(decompressSync, chunk, finishFlush) {
+  try {
+    // eslint-disable-next-line n/no-sync
+    const output = decompressSync(chunk, {
+      finishFlush,
+      maxOutputLength: DETECT_MAX_OUTPUT,
+    });
+    // eslint-disable-next-line unicorn/no-null
+    return { err: null, length: output.length };
+  } catch (err) {
+    // Reaching the output limit implies the prefix decoded successfully.
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      // eslint-disable-next-line unicorn/no-null
+      return { err: null, length: DETECT_MAX_OUTPUT };
+    }
+
+    return { err, length: 0 };
+  }
+}
+
+module.exports = {
+  DETECT_BYTES,
+  readBits,
+  trialDecode,
+};
@@ -0,0 +1,37 @@
+/**
+ * Pass-through "decompressor" for data which is not compressed.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { Decompressor } = require('./decompressor.js');
+
+/** Decompressor for data which is not compressed, which passes data through
+ * unchanged.
+ *
+ * <p>Unlike <code>stream.PassThrough</code>, this class has the same
+ * interface as the zlib decompression classes (e.g. <code>flush</code>,
+ * <code>reset</code>, <code>_processChunk</code>, and the
+ * <code>chunkSize</code> option).</p>
+ *
+ * @class
+ * @augments Decompressor
+ * @param {object=} opts Options for {@link Decompressor}.
+ */
+class Identity extends Decompressor {
+  _resetState() {
+    // Data may end anywhere, including before the first byte
+    this._complete = true;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  _decode(input, flush, output) {
+    output.push(input);
+    return input.length;
+  }
+}
+
+module.exports = Identity;
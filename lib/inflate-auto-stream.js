@@ -0,0 +1,86 @@
+/**
+ * Web stream decompressor compatible with DecompressionStream.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://compression.spec.whatwg.org/#decompressionstream}
+ */
+
+'use strict';
+
+const { Duplex } = require('node:stream');
+const zlib = require('node:zlib');
+
+const { ERR_INVALID_ARG_VALUE } = require('./errors.js');
+
+/** Formats accepted as hints, with the format used for data which does not
+ * match any detector.
+ *
+ * @private
+ */
+const hintFormats = {
+  __proto__: null, // eslint-disable-line unicorn/no-null
+  auto: undefined,
+  deflate: zlib.Inflate,
+  'deflate-raw': zlib.InflateRaw,
+  gzip: zlib.Gunzip,
+};
+
+/** Decompression stream with the interface of <code>DecompressionStream</code>
+ * which detects the compression format from the compressed data using
+ * <code>InflateAuto</code>.
+ *
+ * <p>The format name is a hint:  Data in any detected format is decompressed
+ * and data which does not match any detector is decompressed as the hinted
+ * format (as by the <code>defaultFormat</code> option).  This allows an
+ * instance to be used in place of <code>new DecompressionStream('gzip')</code>
+ * for data which may be mislabeled.</p>
+ *
+ * <p>The web streams wrap an <code>InflateAuto</code> stream using
+ * <code>Duplex.toWeb</code>, so this class requires <code>node:stream</code>
+ * and <code>node:zlib</code>.  It is not available on runtimes which only
+ * provide web streams.</p>
+ *
+ * @class
+ * @param {string=} format Format hint: <code>'auto'</code>,
+ * <code>'deflate'</code>, <code>'deflate-raw'</code>, or
+ * <code>'gzip'</code>.  (default: <code>'auto'</code>)
+ * @param {module:inflate-auto.InflateAutoOptions=} opts Options for
+ * <code>InflateAuto</code>.  <code>defaultFormat</code> takes precedence over
+ * the format hint.
+ * @throws {TypeError} If <code>format</code> is not a supported format.
+ */
+class InflateAutoStream {
+  constructor(format = 'auto', opts = undefined) {
+    if (typeof format !== 'string' || !Object.hasOwn(hintFormats, format)) {
+      throw new ERR_INVALID_ARG_VALUE(
+        'format',
+        format,
+        'must be one of \'auto\', \'deflate\', \'deflate-raw\', or \'gzip\'',
+      );
+    }
+
+    // Required here, since index.js requires this module.
+    // eslint-disable-next-line n/global-require
+    const InflateAuto = require('../index.js');
+    const defaultFormat = hintFormats[format];
+    const inflateAuto = new InflateAuto(
+      defaultFormat ? { defaultFormat, ...opts } : opts,
+    );
+    const { readable, writable } = Duplex.toWeb(inflateAuto);
+
+    /** Readable side, which produces decompressed data.
+     *
+     * @type {!ReadableStream<Uint8Array>}
+     */
+    this.readable = readable;
+
+    /** Writable side, which accepts compressed data.
+     *
+     * @type {!WritableStream<Uint8Array>}
+     */
+    this.writable = writable;
+  }
+}
+
+module.exports = InflateAutoStream;
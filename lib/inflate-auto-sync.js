@@ -0,0 +1,171 @@
+/**
+ * Incremental synchronous decompressor which detects the format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { isArrayBufferView } = require('node:util').types;
+
+const {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_STREAM_WRITE_AFTER_END,
+} = require('./errors.js');
+
+/** Options of <code>InflateAuto</code> which require asynchronous decoding,
+ * with a function which checks whether an option value uses it.
+ *
+ * @private
+ */
+const asyncOptions = {
+  members: (value) => value === 'split',
+  multiFormat: Boolean,
+  trailingData: (value) => value !== undefined,
+};
+
+/** Converts decompressed data to the Array returned by push and finish.
+ *
+ * @private
+ * @param {!Buffer} output Decompressed data.
+ * @returns {!Array<!Buffer>} <code>output</code>, if not empty.
+ */
+function toChunks(output) {
+  return output.length > 0 ? [output] : [];
+}
+
+/** Decompresses data pushed incrementally, synchronously.
+ *
+ * <p>Data is buffered until the format is detected (as by
+ * <code>InflateAuto</code>), then each pushed chunk is decoded synchronously.
+ * Unlike {@link InflateAuto.inflateAutoSync}, the compressed data does not
+ * need to be in memory at once.</p>
+ *
+ * <p>The <code>multiFormat</code> and <code>trailingData</code> options and
+ * <code>members: 'split'</code> are not supported, since they decode gzip
+ * data with {@link InflateAuto.GunzipMembers}, which is asynchronous.
+ * Data after the end of the compressed data is ignored, as by zlib.</p>
+ *
+ * @class
+ * @param {module:inflate-auto.InflateAutoOptions=} opts Options for
+ * <code>InflateAuto</code>.
+ * @throws {TypeError} If <code>opts</code> has an option which is not
+ * supported.
+ */
+class InflateAutoSync {
+  constructor(opts) {
+    for (const [option, isUsed] of Object.entries(asyncOptions)) {
+      if (opts && isUsed(opts[option])) {
+        throw new ERR_INVALID_ARG_VALUE(
+          `opts.${option}`,
+          opts[option],
+          'is not supported by InflateAutoSync',
+        );
+      }
+    }
+
+    // Required here, since index.js requires this module.
+    // eslint-disable-next-line n/global-require
+    const InflateAuto = require('../index.js');
+    const inflateAuto = new InflateAuto(opts);
+    // Errors are thrown by push and finish.  Ignore errors emitted
+    // asynchronously by the decoder when it is destroyed.
+    inflateAuto.on('error', () => {});
+
+    /** Stream which detects the format and decodes, synchronously.
+     *
+     * @private
+     */
+    this._inflateAuto = inflateAuto;
+
+    /** Has {@link #finish} been called?
+     *
+     * @private
+     */
+    this._finished = false;
+  }
+
+  /** Decodes compressed data.
+   *
+   * @param {!Buffer|!Uint8Array} chunk Compressed data.
+   * @returns {!Array<!Buffer>} Decompressed data, if any.  Empty while the
+   * format is being detected.
+   * @throws {Error} If the data is invalid or a limit is exceeded.
+   */
+  push(chunk) {
+    if (this._finished) {
+      throw new ERR_STREAM_WRITE_AFTER_END();
+    }
+
+    if (!isArrayBufferView(chunk)) {
+      throw new ERR_INVALID_ARG_TYPE(
+        'chunk',
+        ['Buffer', 'TypedArray', 'DataView'],
+        chunk,
+      );
+    }
+
+    if (!Buffer.isBuffer(chunk)) {
+      chunk = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+
+    return toChunks(this._inflateAuto._decodePushed(chunk, false));
+  }
+
+  /** Decodes any remaining data, choosing the format if it has not been
+   * detected, and ends decompression.
+   *
+   * @returns {!Array<!Buffer>} Decompressed data, if any.
+   * @throws {Error} If the data is invalid or incomplete (unless the
+   * <code>finishFlush</code> option is <code>Z_SYNC_FLUSH</code>).
+   */
+  finish() {
+    if (this._finished) {
+      throw new ERR_STREAM_WRITE_AFTER_END();
+    }
+    this._finished = true;
+
+    try {
+      return toChunks(this._inflateAuto._decodePushed(Buffer.alloc(0), true));
+    } finally {
+      this._inflateAuto.close();
+    }
+  }
+
+  /** Ends decompression without decoding any remaining data, freeing the
+   * resources of the decoder (e.g. the zlib handle).
+   *
+   * <p>Should be called if {@link #push} throws or if the remaining data is
+   * not needed.  Has no effect after {@link #finish}.</p>
+   */
+  close() {
+    if (!this._finished) {
+      this._finished = true;
+      this._inflateAuto.close();
+    }
+  }
+
+  /** Gets the format of the data, once detected.
+   *
+   * @returns {?function(new:module:stream.Duplex, object=)} Constructor for
+   * the stream class which decodes the data, or <code>null</code> if the
+   * format has not been detected.
+   */
+  getFormat() {
+    return this._inflateAuto.getFormat();
+  }
+
+  /** Gets the parsed header of the data, once available.
+   *
+   * @returns {object|undefined} Parsed header of the data, or
+   * <code>undefined</code> if the format has no parsed header or the
+   * complete header has not been pushed.
+   */
+  getHeader() {
+    return this._inflateAuto.getHeader();
+  }
+}
+
+module.exports = InflateAutoSync;
@@ -0,0 +1,727 @@
+/**
+ * Decoder for LZMA compressed data, as used by the xz and lzma formats.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://www.7-zip.org/sdk.html}
+ */
+
+// LZMA is a bit-oriented format.  Allow bitwise operators for decoding.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+const { InputUnderflowError } = require('./bit-reader.js');
+const { createDataError } = require('./decompressor.js');
+
+/** Maximum number of input bytes which may be consumed by decoding a single
+ * symbol (as in xz-embedded).
+ *
+ * @private
+ */
+const MAX_SYMBOL_BYTES = 21;
+
+/** Number of bits in probability values.
+ *
+ * @private
+ */
+const PROB_BITS = 11;
+
+/** Initial value of each probability (0.5).
+ *
+ * @private
+ */
+const PROB_INIT = 1 << (PROB_BITS - 1);
+
+/** Number of bits by which probabilities are adjusted.
+ *
+ * @private
+ */
+const MOVE_BITS = 5;
+
+/** Range value below which the range decoder reads another byte.
+ *
+ * @private
+ */
+const RANGE_TOP = 2 ** 24;
+
+/** Number of states of the LZMA state machine.
+ *
+ * @private
+ */
+const NUM_STATES = 12;
+
+/** First state after a literal for which the next literal is matched against
+ * the byte at distance rep0.
+ *
+ * @private
+ */
+const LIT_STATES = 7;
+
+/** Number of bits to decode the position slot for a match distance.
+ *
+ * @private
+ */
+const POS_SLOT_BITS = 6;
+
+/** First position slot which uses direct bits and align bits.
+ *
+ * @private
+ */
+const END_POS_MODEL_INDEX = 14;
+
+/** Number of distances with all bits coded using probabilities.
+ *
+ * @private
+ */
+const NUM_FULL_DISTANCES = 1 << (END_POS_MODEL_INDEX >>> 1);
+
+/** Number of low bits of match distances coded using the align probabilities.
+ *
+ * @private
+ */
+const ALIGN_BITS = 4;
+
+/** Minimum length of a match.
+ *
+ * @private
+ */
+const MATCH_MIN_LEN = 2;
+
+// Offsets of each probability array in the length decoder probabilities
+const LEN_CHOICE = 0;
+const LEN_CHOICE2 = 1;
+const LEN_LOW = 2;
+const LEN_MID = LEN_LOW + (16 << 3);
+const LEN_HIGH = LEN_MID + (16 << 3);
+const LEN_PROBS = LEN_HIGH + 256;
+
+// Offsets of each probability array in the decoder probabilities
+const IS_MATCH = 0;
+const IS_REP = IS_MATCH + (NUM_STATES << 4);
+const IS_REP_G0 = IS_REP + NUM_STATES;
+const IS_REP_G1 = IS_REP_G0 + NUM_STATES;
+const IS_REP_G2 = IS_REP_G1 + NUM_STATES;
+const IS_REP0_LONG = IS_REP_G2 + NUM_STATES;
+const POS_SLOT = IS_REP0_LONG + (NUM_STATES << 4);
+const SPEC_POS = POS_SLOT + (4 << POS_SLOT_BITS);
+const ALIGN = SPEC_POS + NUM_FULL_DISTANCES - END_POS_MODEL_INDEX;
+const LEN_CODER = ALIGN + (1 << ALIGN_BITS);
+const REP_LEN_CODER = LEN_CODER + LEN_PROBS;
+const LITERAL = REP_LEN_CODER + LEN_PROBS;
+
+/** Maximum value of the properties byte (lc, lp, pb).
+ *
+ * @private
+ */
+const MAX_PROPERTIES = (4 * 5 * 9) + (4 * 9) + 8;
+
+/** Value of rep0 for the end-of-payload marker.
+ *
+ * @private
+ */
+const END_MARKER_DIST = 0xFFFFFFFF;
+
+/** Initial size of the dictionary buffer, which grows as needed up to the
+ * dictionary size.
+ *
+ * @private
+ */
+const INITIAL_DICT_BUFFER_SIZE = 64 * 1024;
+
+/** Decoder for LZMA symbols, along with the range decoder and dictionary
+ * (sliding window) used to decode them.
+ *
+ * <p>This class is used by the decompressors for formats which contain LZMA
+ * data, which are responsible for parsing the container format and calling
+ * the methods to reset the decoder at appropriate points.</p>
+ *
+ * @class
+ * @param {number} dictSize Dictionary size, in bytes.
+ */
+class LzmaDecoder {
+  constructor(dictSize) {
+    this._dictSize = dictSize;
+    this._dict = undefined;
+    // Position of the next byte to write in _dict
+    this._dictPos = 0;
+    // Position in _dict of the first byte not yet output
+    this._dictStart = 0;
+    // Number of bytes in _dict which may be referenced by matches
+    this._dictFull = 0;
+    /** Total number of bytes decoded since the dictionary was reset.
+     *
+     * @type {number}
+     */
+    this.totalOut = 0;
+
+    /** Number of literal context bits.
+     *
+     * @type {number}
+     */
+    this.lc = 0;
+    /** Number of literal position bits.
+     *
+     * @type {number}
+     */
+    this.lp = 0;
+    /** Number of position bits.
+     *
+     * @type {number}
+     */
+    this.pb = 0;
+    this._probs = undefined;
+    this._state = 0;
+    this._rep0 = 0;
+    this._rep1 = 0;
+    this._rep2 = 0;
+    this._rep3 = 0;
+
+    this._range = 0;
+    this._code = 0;
+    /** Was an end marker decoded by the last call to {@link #decode}?
+     *
+     * @type {boolean}
+     */
+    this.endMarker = false;
+    // Input and output of the current call to #decode()
+    this._input = undefined;
+    this._pos = 0;
+    this._end = 0;
+    this._output = undefined;
+  }
+
+  /** Discards the contents of the dictionary. */
+  resetDict() {
+    this._dictPos = 0;
+    this._dictStart = 0;
+    this._dictFull = 0;
+    this.totalOut = 0;
+  }
+
+  /** Sets the literal context bits, literal position bits, and position bits.
+   * Must be followed by {@link #resetState}.
+   *
+   * @param {number} props Properties byte ((pb * 5 + lp) * 9 + lc).
+   * @throws {Error} If <code>props</code> is not valid.
+   */
+  setProperties(props) {
+    if (props > MAX_PROPERTIES) {
+      throw createDataError('invalid LZMA properties');
+    }
+
+    this.lc = props % 9;
+    props = Math.floor(props / 9);
+    this.lp = props % 5;
+    this.pb = Math.floor(props / 5);
+  }
+
+  /** Resets the probabilities and the state machine. */
+  resetState() {
+    const numProbs = LITERAL + (0x300 << (this.lc + this.lp));
+    if (!this._probs || this._probs.length !== numProbs) {
+      this._probs = new Uint16Array(numProbs);
+    }
+    this._probs.fill(PROB_INIT);
+    this._state = 0;
+    this._rep0 = 0;
+    this._rep1 = 0;
+    this._rep2 = 0;
+    this._rep3 = 0;
+  }
+
+  /** Initializes the range decoder from the first 5 bytes of range coded
+   * data.
+   *
+   * @param {!Buffer} input Buffer containing range coded data.
+   * @param {number} pos Position of the range coded data in
+   * <code>input</code>.
+   * @returns {number} Position after the range decoder initialization bytes.
+   * @throws {Error} If the initialization bytes are not valid.
+   */
+  resetRange(input, pos) {
+    if (input[pos] !== 0) {
+      throw createDataError('invalid range coder initialization');
+    }
+
+    this._range = 0xFFFFFFFF;
+    this._code = input.readUInt32BE(pos + 1);
+    if (this._code === this._range) {
+      throw createDataError('invalid range coder initialization');
+    }
+
+    return pos + 5;
+  }
+
+  /** Is the range decoder in the state required at the end of range coded
+   * data?
+   *
+   * @returns {boolean} <code>true</code> if the range decoder is finished.
+   */
+  isRangeFinished() {
+    return this._code === 0;
+  }
+
+  /** Decodes LZMA symbols.
+   *
+   * <p>Decoding stops when <code>outLimit</code> bytes have been decoded,
+   * once at least <code>pauseAfter</code> bytes have been decoded, when an
+   * end marker is decoded, or when the remaining input may not contain a
+   * complete symbol.  If <code>final</code> is <code>true</code>, decoding
+   * continues until the input has been consumed.</p>
+   *
+   * @param {!Buffer} input Buffer containing range coded data.
+   * @param {number} pos Position in <code>input</code> of the next byte to
+   * decode.
+   * @param {number} end Position in <code>input</code> after the last byte
+   * to decode.
+   * @param {number} outLimit Maximum number of bytes to decode.  A match
+   * which would exceed it is an error.
+   * @param {boolean} final Decode all available input?
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   * @param {number=} pauseAfter Number of bytes after which to stop decoding
+   * at the end of a symbol, so decoding can pause until the output is read.
+   * (default: <code>outLimit</code>)
+   * @returns {number} Position in <code>input</code> after the data
+   * consumed.
+   * @throws {Error} If the data is not valid.
+   */
+  decode(input, pos, end, outLimit, final, output, pauseAfter = outLimit) {
+    this._input = input;
+    this._output = output;
+    this._pos = pos;
+    this._end = end;
+    this.endMarker = false;
+    const outEnd = this.totalOut + outLimit;
+    const pauseEnd = Math.min(this.totalOut + pauseAfter, outEnd);
+    try {
+      while (this.totalOut < pauseEnd && end - this._pos >= MAX_SYMBOL_BYTES) {
+        if (!this._decodeSymbol(outEnd)) {
+          this.endMarker = true;
+          break;
+        }
+      }
+
+      if (final) {
+        this._decodeTail(pauseEnd, outEnd);
+      }
+      this.flushDict(output);
+    } finally {
+      this._input = undefined;
+      this._output = undefined;
+    }
+
+    return this._pos;
+  }
+
+  /** Decodes LZMA symbols from the last few bytes of input, where a symbol
+   * may be incomplete.
+   *
+   * @private
+   * @param {number} pauseEnd Value of {@link #totalOut} after which to stop
+   * decoding.
+   * @param {number} outEnd Maximum value of {@link #totalOut}.
+   */
+  _decodeTail(pauseEnd, outEnd) {
+    while (!this.endMarker && this.totalOut < pauseEnd) {
+      // Save the decoder state so the symbol can be decoded again once more
+      // input is available.
+      const probs = new Uint16Array(this._probs);
+      const {
+        _code: code,
+        _pos: pos,
+        _range: range,
+        _rep0: rep0,
+        _rep1: rep1,
+        _rep2: rep2,
+        _rep3: rep3,
+        _state: state,
+      } = this;
+      try {
+        if (!this._decodeSymbol(outEnd)) {
+          this.endMarker = true;
+        }
+      } catch (err) {
+        if (!(err instanceof InputUnderflowError)) {
+          throw err;
+        }
+
+        this._probs = probs;
+        this._code = code;
+        this._pos = pos;
+        this._range = range;
+        this._rep0 = rep0;
+        this._rep1 = rep1;
+        this._rep2 = rep2;
+        this._rep3 = rep3;
+        this._state = state;
+        break;
+      }
+    }
+  }
+
+  /** Adds any data in the dictionary which has not been output to
+   * <code>output</code>.
+   *
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   */
+  flushDict(output) {
+    if (this._dictPos > this._dictStart) {
+      output.push(
+        Buffer.from(this._dict.subarray(this._dictStart, this._dictPos)),
+      );
+      this._dictStart = this._dictPos;
+    }
+  }
+
+  /** Copies uncompressed data into the dictionary.
+   *
+   * @param {!Buffer} data Uncompressed data.
+   * @param {!Array<!Buffer>} output Array to which data is added.
+   */
+  copyUncompressed(data, output) {
+    this._output = output;
+    try {
+      for (const byte of data) {
+        this._putByte(byte);
+      }
+      this.flushDict(output);
+    } finally {
+      this._output = undefined;
+    }
+  }
+
+  /** Reads a byte of input, if the range decoder requires it.
+   *
+   * @private
+   * @throws {InputUnderflowError} If no input is available.
+   */
+  _normalize() {
+    if (this._range < RANGE_TOP) {
+      if (this._pos >= this._end) {
+        throw new InputUnderflowError();
+      }
+
+      this._range = (this._range * 256) >>> 0;
+      this._code = ((this._code << 8) | this._input[this._pos]) >>> 0;
+      this._pos += 1;
+    }
+  }
+
+  /** Decodes a bit using a probability.
+   *
+   * @private
+   * @param {number} index Index of the probability in {@link #_probs}.
+   * @returns {number} Decoded bit.
+   */
+  _decodeBit(index) {
+    const probs = this._probs;
+    const prob = probs[index];
+    const bound = (this._range >>> PROB_BITS) * prob;
+    let bit;
+    if (this._code < bound) {
+      this._range = bound;
+      probs[index] = prob + (((1 << PROB_BITS) - prob) >>> MOVE_BITS);
+      bit = 0;
+    } else {
+      this._range -= bound;
+      this._code -= bound;
+      probs[index] = prob - (prob >>> MOVE_BITS);
+      bit = 1;
+    }
+    this._normalize();
+    return bit;
+  }
+
+  /** Decodes bits with fixed probability 0.5, most-significant bit first.
+   *
+   * @private
+   * @param {number} count Number of bits to decode.
+   * @returns {number} Decoded bits.
+   */
+  _decodeDirectBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i += 1) {
+      this._range >>>= 1;
+      let bit = 0;
+      if (this._code >= this._range) {
+        this._code -= this._range;
+        bit = 1;
+      }
+      value = (value * 2) + bit;
+      this._normalize();
+    }
+    return value;
+  }
+
+  /** Decodes bits using a binary tree of probabilities, most-significant bit
+   * first.
+   *
+   * @private
+   * @param {number} base Index of the tree in {@link #_probs}.
+   * @param {number} count Number of bits to decode.
+   * @returns {number} Decoded bits.
+   */
+  _decodeBitTree(base, count) {
+    let m = 1;
+    for (let i = 0; i < count; i += 1) {
+      m = (m << 1) | this._decodeBit(base + m);
+    }
+    return m - (1 << count);
+  }
+
+  /** Decodes bits using a binary tree of probabilities, least-significant bit
+   * first.
+   *
+   * @private
+   * @param {number} base Index of the tree in {@link #_probs}.
+   * @param {number} count Number of bits to decode.
+   * @returns {number} Decoded bits.
+   */
+  _decodeReverseBitTree(base, count) {
+    let m = 1;
+    let value = 0;
+    for (let i = 0; i < count; i += 1) {
+      const bit = this._decodeBit(base + m);
+      m = (m << 1) | bit;
+      value |= bit << i;
+    }
+    return value;
+  }
+
+  /** Decodes a match length.
+   *
+   * @private
+   * @param {number} base Index of the length decoder in {@link #_probs}.
+   * @param {number} posState Position state.
+   * @returns {number} Match length.
+   */
+  _decodeLen(base, posState) {
+    if (this._decodeBit(base + LEN_CHOICE) === 0) {
+      return MATCH_MIN_LEN
+        + this._decodeBitTree(base + LEN_LOW + (posState << 3), 3);
+    }
+    if (this._decodeBit(base + LEN_CHOICE2) === 0) {
+      return MATCH_MIN_LEN + 8
+        + this._decodeBitTree(base + LEN_MID + (posState << 3), 3);
+    }
+    return MATCH_MIN_LEN + 16 + this._decodeBitTree(base + LEN_HIGH, 8);
+  }
+
+  /** Decodes a match distance.
+   *
+   * @private
+   * @param {number} len Match length.
+   * @returns {number} Match distance, minus 1.
+   */
+  _decodeDist(len) {
+    const lenState = Math.min(len - MATCH_MIN_LEN, 3);
+    const posSlot =
+      this._decodeBitTree(POS_SLOT + (lenState << POS_SLOT_BITS), 6);
+    if (posSlot < 4) {
+      return posSlot;
+    }
+
+    const numDirectBits = (posSlot >>> 1) - 1;
+    const dist = (2 | (posSlot & 1)) * (2 ** numDirectBits);
+    if (posSlot < END_POS_MODEL_INDEX) {
+      return dist + this._decodeReverseBitTree(
+        SPEC_POS + dist - posSlot - 1,
+        numDirectBits,
+      );
+    }
+
+    const directBits = this._decodeDirectBits(numDirectBits - ALIGN_BITS);
+    return dist
+      + (directBits * (1 << ALIGN_BITS))
+      + this._decodeReverseBitTree(ALIGN, ALIGN_BITS);
+  }
+
+  /** Gets a previously decoded byte from the dictionary.
+   *
+   * @private
+   * @param {number} dist Distance of the byte, minus 1.
+   * @returns {number} Byte value.
+   */
+  _getByte(dist) {
+    let index = this._dictPos - dist - 1;
+    if (index < 0) {
+      index += this._dict.length;
+    }
+    return this._dict[index];
+  }
+
+  /** Adds a decoded byte to the dictionary.
+   *
+   * @private
+   * @param {number} byte Byte value.
+   */
+  _putByte(byte) {
+    let dict = this._dict;
+    if (!dict || this._dictPos === dict.length) {
+      const dictSize = this._dictSize;
+      if (dict && dict.length === dictSize) {
+        // Dictionary is full.  Output pending data and wrap around.
+        this.flushDict(this._output);
+        this._dictPos = 0;
+        this._dictStart = 0;
+      } else {
+        const newSize = dict
+          ? Math.min(dict.length * 2, dictSize)
+          : Math.min(INITIAL_DICT_BUFFER_SIZE, dictSize);
+        const newDict = Buffer.allocUnsafe(newSize);
+        if (dict) {
+          dict.copy(newDict, 0, 0, this._dictPos);
+        }
+        this._dict = newDict;
+        dict = newDict;
+      }
+    }
+
+    dict[this._dictPos] = byte;
+    this._dictPos += 1;
+    if (this._dictFull < this._dictSize) {
+      this._dictFull += 1;
+    }
+    this.totalOut += 1;
+  }
+
+  /** Decodes a literal.
+   *
+   * @private
+   */
+  _decodeLiteral() {
+    const { lc, totalOut } = this;
+    const prevByte = this._dictFull > 0 ? this._getByte(0) : 0;
+    const lpMask = (1 << this.lp) - 1;
+    const base = LITERAL
+      + (0x300 * (((totalOut & lpMask) << lc) + (prevByte >>> (8 - lc))));
+
+    let symbol = 1;
+    if (this._state >= LIT_STATES) {
+      if (this._rep0 >= this._dictFull) {
+        throw createDataError('invalid match distance');
+      }
+
+      // Decode using the byte at rep0 as context until a bit differs
+      let matchByte = this._getByte(this._rep0);
+      do {
+        const matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        const bit = this._decodeBit(base + 0x100 + (matchBit << 8) + symbol);
+        symbol = (symbol << 1) | bit;
+        if (bit !== matchBit) {
+          break;
+        }
+      } while (symbol < 0x100);
+    }
+    while (symbol < 0x100) {
+      symbol = (symbol << 1) | this._decodeBit(base + symbol);
+    }
+
+    const state = this._state;
+    if (state < 4) {
+      this._state = 0;
+    } else {
+      this._state = state - (state < 10 ? 3 : 6);
+    }
+    this._putByte(symbol & 0xFF);
+  }
+
+  /** Decodes and copies a match.
+   *
+   * @private
+   * @param {number} posState Position state.
+   * @param {number} outEnd Value of {@link #totalOut} at which to stop
+   * decoding.
+   * @returns {boolean} <code>false</code> if an end marker was decoded,
+   * otherwise <code>true</code>.
+   */
+  _decodeMatch(posState, outEnd) {
+    const state = this._state;
+    let len;
+    if (this._decodeBit(IS_REP + state) === 0) {
+      len = this._decodeLen(LEN_CODER, posState);
+      const dist = this._decodeDist(len);
+      if (dist === END_MARKER_DIST) {
+        return false;
+      }
+
+      this._rep3 = this._rep2;
+      this._rep2 = this._rep1;
+      this._rep1 = this._rep0;
+      this._rep0 = dist;
+      this._state = state < LIT_STATES ? 7 : 10;
+    } else {
+      if (this._dictFull === 0) {
+        throw createDataError('invalid match distance');
+      }
+
+      if (this._decodeBit(IS_REP_G0 + state) === 0) {
+        if (this._decodeBit(IS_REP0_LONG + (state << 4) + posState) === 0) {
+          // Short rep: a single byte at distance rep0
+          len = 1;
+        }
+      } else {
+        let dist;
+        if (this._decodeBit(IS_REP_G1 + state) === 0) {
+          dist = this._rep1;
+        } else {
+          if (this._decodeBit(IS_REP_G2 + state) === 0) {
+            dist = this._rep2;
+          } else {
+            dist = this._rep3;
+            this._rep3 = this._rep2;
+          }
+          this._rep2 = this._rep1;
+        }
+        this._rep1 = this._rep0;
+        this._rep0 = dist;
+      }
+
+      if (len === 1) {
+        this._state = state < LIT_STATES ? 9 : 11;
+      } else {
+        len = this._decodeLen(REP_LEN_CODER, posState);
+        this._state = state < LIT_STATES ? 8 : 11;
+      }
+    }
+
+    const rep0 = this._rep0;
+    if (rep0 >= this._dictFull) {
+      throw createDataError('invalid match distance');
+    }
+    if (this.totalOut + len > outEnd) {
+      throw createDataError('match exceeds uncompressed size');
+    }
+
+    for (let i = 0; i < len; i += 1) {
+      this._putByte(this._getByte(rep0));
+    }
+
+    return true;
+  }
+
+  /** Decodes a symbol (literal or match).
+   *
+   * @private
+   * @param {number} outEnd Value of {@link #totalOut} at which to stop
+   * decoding.
+   * @returns {boolean} <code>false</code> if an end marker was decoded,
+   * otherwise <code>true</code>.
+   */
+  _decodeSymbol(outEnd) {
+    const posState = this.totalOut & ((1 << this.pb) - 1);
+    if (this._decodeBit(IS_MATCH + (this._state << 4) + posState) === 0) {
+      this._decodeLiteral();
+      return true;
+    }
+
+    return this._decodeMatch(posState, outEnd);
+  }
+}
+
+module.exports = {
+  LzmaDecoder,
+  MAX_SYMBOL_BYTES,
+};
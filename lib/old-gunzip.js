@@ -0,0 +1,77 @@
+/**
+ * Decompressor for the gzip format with the magic number used by old
+ * versions of gzip.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const zlib = require('node:zlib');
+
+/** Position of the byte which differs from the current gzip magic number.
+ *
+ * @private
+ */
+const MAGIC_DIFF_POS = 1;
+
+/** Decompressor for data in the gzip format with magic number
+ * <code>1F 9E</code>, as created by gzip 0.5.
+ *
+ * <p>Apart from the magic number, the format is the same as the current gzip
+ * format.  The magic number is replaced with the current one before the data
+ * is passed to {@link zlib.Gunzip}, so data with either magic number is
+ * accepted (as by gzip).</p>
+ *
+ * @class
+ * @augments zlib.Gunzip
+ * @param {object=} opts Options for {@link zlib.Gunzip}.
+ */
+class OldGunzip extends zlib.Gunzip {
+  constructor(opts) {
+    super(opts);
+
+    /** Number of bytes written (before any are consumed by zlib).
+     *
+     * @private
+     */
+    this._inputPos = 0;
+  }
+
+  /** Replaces the old magic number in a chunk of data, if present.
+   *
+   * @private
+   * @param {!Buffer} chunk Chunk of data written.
+   * @returns {!Buffer} <code>chunk</code>, or a copy with the magic number
+   * replaced.
+   */
+  _fixMagic(chunk) {
+    const chunkPos = this._inputPos;
+    this._inputPos += chunk.length;
+    if (chunkPos > MAGIC_DIFF_POS
+      || this._inputPos <= MAGIC_DIFF_POS
+      || chunk[MAGIC_DIFF_POS - chunkPos] !== 0x9E) {
+      return chunk;
+    }
+
+    const fixed = Buffer.from(chunk);
+    fixed[MAGIC_DIFF_POS - chunkPos] = 0x8B;
+    return fixed;
+  }
+
+  reset() {
+    this._inputPos = 0;
+    return super.reset();
+  }
+
+  _processChunk(chunk, flushFlag, cb) {
+    return super._processChunk(this._fixMagic(chunk), flushFlag, cb);
+  }
+
+  _transform(chunk, encoding, callback) {
+    super._transform(this._fixMagic(chunk), encoding, callback);
+  }
+}
+
+module.exports = OldGunzip;
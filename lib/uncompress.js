@@ -0,0 +1,283 @@
+/**
+ * Decompressor for the Unix compress (.Z) format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// LZW decoding requires bitwise operators.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+const { Decompressor, createDataError } = require('./decompressor.js');
+
+/** Size of the header (magic number and flags).
+ *
+ * @private
+ */
+const HEADER_SIZE = 3;
+
+/** Flag in the header for block mode (which supports CLEAR codes).
+ *
+ * @private
+ */
+const BLOCK_MODE = 0x80;
+
+/** Mask of the maximum code size in the header.
+ *
+ * @private
+ */
+const MAX_BITS_MASK = 0x1F;
+
+/** Initial code size.
+ *
+ * @private
+ */
+const INIT_BITS = 9;
+
+/** Maximum code size supported by compress.
+ *
+ * @private
+ */
+const MAX_BITS = 16;
+
+/** Code which clears the table in block mode.
+ *
+ * @private
+ */
+const CLEAR = 256;
+
+/** First free table entry in block mode.
+ *
+ * @private
+ */
+const FIRST = 257;
+
+/** Size of the buffers allocated for decoded data.
+ *
+ * @private
+ */
+const OUTPUT_SIZE = 64 * 1024;
+
+/** Decompressor for data in the Unix compress format (as created by
+ * <code>compress</code>, usually with the <code>.Z</code> extension).
+ *
+ * <p>Codes are read in groups of 8 which fill a whole number of bytes.  When
+ * the code size increases or the table is cleared, compress discards the
+ * remainder of the group, so the decoder does likewise.</p>
+ *
+ * <p>The format has no end marker or check value, so the data ends wherever
+ * the input ends and truncated or trailing data is not detected.</p>
+ *
+ * @class
+ * @augments Decompressor
+ * @param {object=} opts Options for {@link Decompressor}.
+ */
+class Uncompress extends Decompressor {
+  _resetState() {
+    this._blockMode = false;
+    this._maxBits = 0;
+    this._maxMaxCode = 0;
+    // Table of prefix codes and suffix bytes, allocated after the header
+    this._prefix = undefined;
+    this._suffix = undefined;
+    this._stack = undefined;
+
+    this._bitBuffer = 0;
+    this._bitCount = 0;
+    // Number of bytes of padding to skip at the end of a group
+    this._skipBytes = 0;
+    // Number of codes read in the current group, modulo 8
+    this._groupCodes = 0;
+
+    this._codeBits = INIT_BITS;
+    this._maxCode = (1 << INIT_BITS) - 1;
+    this._freeEntry = 0;
+    this._oldCode = -1;
+    this._finalChar = 0;
+  }
+
+  _decode(input, flush, output) {
+    let pos = 0;
+    if (this._prefix === undefined) {
+      if (input.length < HEADER_SIZE) {
+        this._inputNeeded = HEADER_SIZE;
+        return 0;
+      }
+
+      this._readHeader(input);
+      pos = HEADER_SIZE;
+    }
+
+    const prefix = this._prefix;
+    const suffix = this._suffix;
+    const stack = this._stack;
+    const blockMode = this._blockMode;
+    const maxBits = this._maxBits;
+    const maxMaxCode = this._maxMaxCode;
+    let bitBuffer = this._bitBuffer;
+    let bitCount = this._bitCount;
+    let skipBytes = this._skipBytes;
+    let groupCodes = this._groupCodes;
+    let codeBits = this._codeBits;
+    let maxCode = this._maxCode;
+    let freeEntry = this._freeEntry;
+    let oldCode = this._oldCode;
+    let finalChar = this._finalChar;
+
+    let out = Buffer.allocUnsafe(OUTPUT_SIZE);
+    let outPos = 0;
+
+    // Discards the remainder of the current group of codes
+    function skipGroup() {
+      if (groupCodes !== 0) {
+        // Bits in bitBuffer are from the last partially read byte
+        skipBytes = (((8 - groupCodes) * codeBits) - bitCount) / 8;
+        bitBuffer = 0;
+        bitCount = 0;
+        groupCodes = 0;
+      }
+    }
+
+    // Stop once a full output buffer has been added, to pause for reading
+    while (output.length === 0) {
+      if (skipBytes > 0) {
+        const skipLength = Math.min(skipBytes, input.length - pos);
+        skipBytes -= skipLength;
+        pos += skipLength;
+      }
+
+      while (bitCount < codeBits && pos < input.length) {
+        bitBuffer |= input[pos] << bitCount;
+        bitCount += 8;
+        pos += 1;
+      }
+      if (bitCount < codeBits) {
+        break;
+      }
+
+      let code = bitBuffer & ((1 << codeBits) - 1);
+      bitBuffer >>>= codeBits;
+      bitCount -= codeBits;
+      groupCodes = (groupCodes + 1) & 7;
+
+      if (oldCode === -1) {
+        if (code >= 256) {
+          throw createDataError('invalid code');
+        }
+
+        oldCode = code;
+        finalChar = code;
+        if (outPos === out.length) {
+          output.push(out);
+          out = Buffer.allocUnsafe(OUTPUT_SIZE);
+          outPos = 0;
+        }
+        out[outPos] = code;
+        outPos += 1;
+      } else if (code === CLEAR && blockMode) {
+        skipGroup();
+        // Entry added after the next code is never used, since it is CLEAR
+        freeEntry = FIRST - 1;
+        codeBits = INIT_BITS;
+        maxCode = (1 << INIT_BITS) - 1;
+      } else {
+        const inCode = code;
+        let sp = stack.length;
+        if (code >= freeEntry) {
+          if (code > freeEntry) {
+            throw createDataError('invalid code');
+          }
+
+          // Code for the string being defined (previous string + first byte)
+          sp -= 1;
+          stack[sp] = finalChar;
+          code = oldCode;
+        }
+
+        while (code >= 256) {
+          sp -= 1;
+          stack[sp] = suffix[code];
+          code = prefix[code];
+        }
+        finalChar = code;
+        sp -= 1;
+        stack[sp] = code;
+
+        const length = stack.length - sp;
+        if (outPos + length > out.length) {
+          output.push(out.subarray(0, outPos));
+          out = Buffer.allocUnsafe(Math.max(OUTPUT_SIZE, length));
+          outPos = 0;
+        }
+        out.set(stack.subarray(sp), outPos);
+        outPos += length;
+
+        if (freeEntry < maxMaxCode) {
+          prefix[freeEntry] = oldCode;
+          suffix[freeEntry] = finalChar;
+          freeEntry += 1;
+        }
+        oldCode = inCode;
+
+        if (freeEntry > maxCode) {
+          // Next entry doesn't fit in codeBits.  Increase code size.
+          skipGroup();
+          codeBits += 1;
+          maxCode = codeBits === maxBits ? maxMaxCode
+            : (1 << codeBits) - 1;
+        }
+      }
+    }
+
+    if (outPos > 0) {
+      output.push(out.subarray(0, outPos));
+    }
+
+    this._bitBuffer = bitBuffer;
+    this._bitCount = bitCount;
+    this._skipBytes = skipBytes;
+    this._groupCodes = groupCodes;
+    this._codeBits = codeBits;
+    this._maxCode = maxCode;
+    this._freeEntry = freeEntry;
+    this._oldCode = oldCode;
+    this._finalChar = finalChar;
+
+    return pos;
+  }
+
+  /** Reads the header and initializes the table.
+   *
+   * @private
+   * @param {!Buffer} input Data starting with the header.
+   */
+  _readHeader(input) {
+    if (input[0] !== 0x1F || input[1] !== 0x9D) {
+      throw createDataError('incorrect header check');
+    }
+
+    const flags = input[2];
+    const maxBits = flags & MAX_BITS_MASK;
+    if (maxBits < INIT_BITS || maxBits > MAX_BITS) {
+      throw createDataError('invalid maximum code size');
+    }
+
+    this._blockMode = (flags & BLOCK_MODE) !== 0;
+    this._maxBits = maxBits;
+    this._maxMaxCode = 1 << maxBits;
+    this._freeEntry = this._blockMode ? FIRST : 256;
+    this._prefix = new Uint16Array(1 << maxBits);
+    this._suffix = new Uint8Array(1 << maxBits);
+    for (let i = 0; i < 256; i += 1) {
+      this._suffix[i] = i;
+    }
+    this._stack = new Uint8Array(1 << maxBits);
+
+    // Data may end after any code
+    this._complete = true;
+  }
+}
+
+module.exports = Uncompress;
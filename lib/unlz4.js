@@ -0,0 +1,544 @@
+/**
+ * Decompressor for the LZ4 frame format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://github.com/lz4/lz4/blob/dev/doc/lz4_Frame_format.md}
+ */
+
+// Parsing LZ4 headers requires bitwise operators.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+const { Xxh32, xxh32 } = require('./checksums.js');
+const { Decompressor, createDataError } = require('./decompressor.js');
+
+/** Magic number of an LZ4 frame.
+ *
+ * @private
+ */
+const FRAME_MAGIC = 0x184D2204;
+
+/** Magic number of a legacy LZ4 frame.
+ *
+ * @private
+ */
+const LEGACY_FRAME_MAGIC = 0x184C2102;
+
+/** Magic number of a skippable frame, with the low 4 bits cleared.
+ *
+ * @private
+ */
+const SKIPPABLE_FRAME_MAGIC = 0x184D2A50;
+
+/** Maximum size of uncompressed data in a legacy frame block.
+ *
+ * @private
+ */
+const LEGACY_BLOCK_SIZE = 8 * 1024 * 1024;
+
+/** Maximum size of compressed data in a legacy frame block
+ * (<code>LZ4_compressBound(LEGACY_BLOCK_SIZE)</code>).
+ *
+ * @private
+ */
+const LEGACY_BLOCK_BOUND =
+  LEGACY_BLOCK_SIZE + Math.floor(LEGACY_BLOCK_SIZE / 255) + 16;
+
+/** Maximum distance of a match (and size of the history retained for linked
+ * blocks).
+ *
+ * @private
+ */
+const WINDOW_SIZE = 64 * 1024;
+
+/** Minimum length of a match.
+ *
+ * @private
+ */
+const MIN_MATCH = 4;
+
+const STATE_MAGIC = 0;
+const STATE_FRAME_HEADER = 1;
+const STATE_BLOCK = 2;
+const STATE_CONTENT_CHECKSUM = 3;
+const STATE_SKIPPABLE = 4;
+const STATE_LEGACY_BLOCK = 5;
+
+/** Determines whether a magic number starts an LZ4 frame (including legacy and
+ * skippable frames).
+ *
+ * @private
+ * @param {number} magic Magic number.
+ * @returns {boolean} <code>true</code> if <code>magic</code> starts a frame.
+ */
+function isFrameMagic(magic) {
+  return magic === FRAME_MAGIC
+    || magic === LEGACY_FRAME_MAGIC
+    || (magic & 0xFFFFFFF0) >>> 0 === SKIPPABLE_FRAME_MAGIC;
+}
+
+/** Reads a length which is continued by bytes with value 255.
+ *
+ * @private
+ * @param {!Buffer} input Block data.
+ * @param {number} pos Position of the first continuation byte.
+ * @param {number} end Position after the end of the block data.
+ * @param {number} length Length from the token.
+ * @returns {!Array<number>} Length and position after the length.
+ * @throws {Error} If the length extends past <code>end</code>.
+ */
+function readLength(input, pos, end, length) {
+  let byte;
+  do {
+    if (pos >= end) {
+      throw createDataError('invalid block data');
+    }
+
+    byte = input[pos];
+    pos += 1;
+    length += byte;
+  } while (byte === 255);
+
+  return [length, pos];
+}
+
+/** Decodes an LZ4 block.
+ *
+ * @private
+ * @param {!Buffer} input Buffer containing the block.
+ * @param {number} pos Position of the block data in <code>input</code>.
+ * @param {number} end Position after the block data in <code>input</code>.
+ * @param {!Buffer} history Previously decoded data which may be referenced
+ * by matches.
+ * @param {number} maxSize Maximum size of the decoded block.
+ * @returns {!Buffer} Decoded block.
+ * @throws {Error} If the block is not valid.
+ */
+function decodeBlock(input, pos, end, history, maxSize) {
+  const start = history.length;
+  const maxEnd = start + maxSize;
+  let out = Buffer.allocUnsafe(start + Math.min(maxSize, (end - pos) * 4));
+  history.copy(out);
+  let outPos = start;
+
+  function ensureSpace(length) {
+    const needed = outPos + length;
+    if (needed > maxEnd) {
+      throw createDataError('block exceeds maximum size');
+    }
+    if (needed > out.length) {
+      const newOut =
+        Buffer.allocUnsafe(Math.min(Math.max(out.length * 2, needed), maxEnd));
+      out.copy(newOut, 0, 0, outPos);
+      out = newOut;
+    }
+  }
+
+  for (;;) {
+    if (pos >= end) {
+      throw createDataError('invalid block data');
+    }
+
+    const token = input[pos];
+    pos += 1;
+
+    let literalLength = token >>> 4;
+    if (literalLength === 15) {
+      [literalLength, pos] = readLength(input, pos, end, literalLength);
+    }
+    if (pos + literalLength > end) {
+      throw createDataError('invalid block data');
+    }
+    ensureSpace(literalLength);
+    input.copy(out, outPos, pos, pos + literalLength);
+    outPos += literalLength;
+    pos += literalLength;
+
+    if (pos === end) {
+      // Last sequence has literals only
+      break;
+    }
+
+    if (pos + 2 > end) {
+      throw createDataError('invalid block data');
+    }
+    const offset = input.readUInt16LE(pos);
+    pos += 2;
+    if (offset === 0 || offset > outPos) {
+      throw createDataError('invalid match offset');
+    }
+
+    let matchLength = token & 0x0F;
+    if (matchLength === 15) {
+      [matchLength, pos] = readLength(input, pos, end, matchLength);
+    }
+    matchLength += MIN_MATCH;
+    ensureSpace(matchLength);
+
+    let matchPos = outPos - offset;
+    if (offset >= matchLength) {
+      out.copy(out, outPos, matchPos, matchPos + matchLength);
+      outPos += matchLength;
+    } else {
+      // Overlapping match repeats the last offset bytes
+      const matchEnd = outPos + matchLength;
+      while (outPos < matchEnd) {
+        out[outPos] = out[matchPos];
+        outPos += 1;
+        matchPos += 1;
+      }
+    }
+  }
+
+  return out.subarray(start, outPos);
+}
+
+/** Decompressor for data in the LZ4 frame format, including the legacy frame
+ * format (as created by <code>lz4 -l</code>).
+ *
+ * <p>Multiple concatenated frames (including skippable frames) are decoded as
+ * a single stream, as done by <code>lz4</code>.  Data after the last frame is
+ * ignored.  Frames which require a preset dictionary are not supported.</p>
+ *
+ * <p>Note that each block (up to 4MiB, or 8MiB for legacy frames) is decoded
+ * once all of its compressed data is available.</p>
+ *
+ * @class
+ * @augments Decompressor
+ * @param {object=} opts Options for {@link Decompressor}.
+ */
+class Unlz4 extends Decompressor {
+  _resetState() {
+    this._state = STATE_MAGIC;
+    this._frameCount = 0;
+    this._frame = undefined;
+    this._skipSize = 0;
+  }
+
+  _decode(input, flush, output) {
+    let pos = 0;
+    while (!this._finished && pos < input.length && output.length === 0) {
+      const next = this._readNext(input, pos, output);
+      if (next < 0) {
+        // -next bytes are required to continue
+        this._inputNeeded = -next;
+        break;
+      }
+
+      pos = next;
+    }
+
+    return pos;
+  }
+
+  /** Reads the next structure for the current state.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the next structure in <code>input</code>.
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   * @returns {number} Position after the structure, or the negated number of
+   * bytes required to read it.
+   */
+  _readNext(input, pos, output) {
+    switch (this._state) {
+      case STATE_MAGIC:
+        return this._readMagic(input, pos);
+      case STATE_FRAME_HEADER:
+        return this._readFrameHeader(input, pos);
+      case STATE_BLOCK:
+        return this._readBlock(input, pos, output);
+      case STATE_CONTENT_CHECKSUM:
+        return this._readContentChecksum(input, pos);
+      case STATE_SKIPPABLE:
+        return this._skip(input, pos);
+      case STATE_LEGACY_BLOCK:
+        return this._readLegacyBlock(input, pos, output);
+      default:
+        throw new Error(`Unexpected state ${this._state}`);
+    }
+  }
+
+  /** Reads the magic number at the start of a frame.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the magic number in <code>input</code>.
+   * @returns {number} Position after the magic number, or the negated number
+   * of bytes required to read it.
+   */
+  _readMagic(input, pos) {
+    if (input.length - pos < 4) {
+      return -4;
+    }
+
+    const magic = input.readUInt32LE(pos);
+    if (!isFrameMagic(magic)) {
+      if (this._frameCount === 0) {
+        throw createDataError('incorrect header check');
+      }
+
+      // Trailing garbage after LZ4 data is ignored, as for other formats
+      this._finished = true;
+      return pos;
+    }
+
+    this._frameCount += 1;
+    if (magic === FRAME_MAGIC) {
+      this._complete = false;
+      this._state = STATE_FRAME_HEADER;
+      return pos;
+    }
+
+    if (magic === LEGACY_FRAME_MAGIC) {
+      // Legacy frames have no end marker and may end after any block
+      this._complete = true;
+      this._state = STATE_LEGACY_BLOCK;
+      return pos + 4;
+    }
+
+    this._complete = false;
+    if (input.length - pos < 8) {
+      return -8;
+    }
+
+    this._skipSize = input.readUInt32LE(pos + 4);
+    if (this._skipSize === 0) {
+      this._endFrame();
+    } else {
+      this._state = STATE_SKIPPABLE;
+    }
+    return pos + 8;
+  }
+
+  /** Reads the frame header (magic number and frame descriptor).
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the frame header in <code>input</code>.
+   * @returns {number} Position after the frame header, or the negated number
+   * of bytes required to read it.
+   */
+  _readFrameHeader(input, pos) {
+    if (input.length - pos < 7) {
+      return -7;
+    }
+
+    const flags = input[pos + 4];
+    const hasContentSize = (flags & 0x08) !== 0;
+    const hasDictId = (flags & 0x01) !== 0;
+    const headerSize = 7 + (hasContentSize ? 8 : 0) + (hasDictId ? 4 : 0);
+    if (input.length - pos < headerSize) {
+      return -headerSize;
+    }
+
+    const descriptor = input.subarray(pos + 4, pos + headerSize - 1);
+    const headerChecksum = input[pos + headerSize - 1];
+    if (((xxh32(descriptor) >>> 8) & 0xFF) !== headerChecksum) {
+      throw createDataError('incorrect header check');
+    }
+    if (flags >>> 6 !== 1) {
+      throw createDataError('unsupported frame version');
+    }
+
+    const blockDescriptor = input[pos + 5];
+    const blockSizeId = (blockDescriptor >>> 4) & 0x07;
+    if ((flags & 0x02) || (blockDescriptor & 0x8F) || blockSizeId < 4) {
+      throw createDataError('invalid frame descriptor');
+    }
+    if (hasDictId) {
+      throw createDataError('preset dictionary is not supported');
+    }
+
+    let contentSize;
+    if (hasContentSize) {
+      const size = input.readBigUInt64LE(pos + 6);
+      if (size > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw createDataError('invalid content size');
+      }
+      contentSize = Number(size);
+    }
+
+    this._frame = {
+      blockChecksum: (flags & 0x10) !== 0,
+      blockIndependent: (flags & 0x20) !== 0,
+      blockMaxSize: 1 << ((blockSizeId * 2) + 8),
+      contentChecksum: flags & 0x04 ? new Xxh32() : undefined,
+      contentSize,
+      contentRead: 0,
+      history: Buffer.alloc(0),
+    };
+    this._state = STATE_BLOCK;
+    return pos + headerSize;
+  }
+
+  /** Reads a data block or the end mark.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the block in <code>input</code>.
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   * @returns {number} Position after the block, or the negated number of
+   * bytes required to read it.
+   */
+  _readBlock(input, pos, output) {
+    if (input.length - pos < 4) {
+      return -4;
+    }
+
+    const frame = this._frame;
+    const blockHeader = input.readUInt32LE(pos);
+    if (blockHeader === 0) {
+      // End mark
+      if (frame.contentSize !== undefined
+        && frame.contentRead !== frame.contentSize) {
+        throw createDataError('content size does not match header');
+      }
+
+      if (frame.contentChecksum) {
+        this._state = STATE_CONTENT_CHECKSUM;
+      } else {
+        this._endFrame();
+      }
+      return pos + 4;
+    }
+
+    const isUncompressed = blockHeader >= 0x80000000;
+    const dataSize = blockHeader & 0x7FFFFFFF;
+    if (dataSize > frame.blockMaxSize) {
+      throw createDataError('block exceeds maximum size');
+    }
+
+    const dataStart = pos + 4;
+    const dataEnd = dataStart + dataSize;
+    const blockSize = 4 + dataSize + (frame.blockChecksum ? 4 : 0);
+    if (input.length - pos < blockSize) {
+      return -blockSize;
+    }
+
+    if (frame.blockChecksum) {
+      const checksum = xxh32(input.subarray(dataStart, dataEnd));
+      if (input.readUInt32LE(dataEnd) !== checksum) {
+        throw createDataError('incorrect block check');
+      }
+    }
+
+    const history = frame.blockIndependent ? Buffer.alloc(0) : frame.history;
+    const block = isUncompressed
+      ? Buffer.from(input.subarray(dataStart, dataEnd))
+      : decodeBlock(input, dataStart, dataEnd, history, frame.blockMaxSize);
+    if (!frame.blockIndependent) {
+      frame.history = block.length >= WINDOW_SIZE
+        ? Buffer.from(block.subarray(-WINDOW_SIZE))
+        : Buffer.concat([history, block]).subarray(-WINDOW_SIZE);
+    }
+
+    if (frame.contentChecksum) {
+      frame.contentChecksum.update(block);
+    }
+    frame.contentRead += block.length;
+    if (frame.contentSize !== undefined
+      && frame.contentRead > frame.contentSize) {
+      throw createDataError('content size does not match header');
+    }
+
+    if (block.length > 0) {
+      output.push(block);
+    }
+    return pos + blockSize;
+  }
+
+  /** Reads the content checksum at the end of a frame.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the checksum in <code>input</code>.
+   * @returns {number} Position after the checksum, or the negated number of
+   * bytes required to read it.
+   */
+  _readContentChecksum(input, pos) {
+    if (input.length - pos < 4) {
+      return -4;
+    }
+
+    if (input.readUInt32LE(pos) !== this._frame.contentChecksum.digest()) {
+      throw createDataError('incorrect data check');
+    }
+
+    this._endFrame();
+    return pos + 4;
+  }
+
+  /** Skips the data of a skippable frame.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the data to skip in <code>input</code>.
+   * @returns {number} Position after the skipped data.
+   */
+  _skip(input, pos) {
+    const skipped = Math.min(this._skipSize, input.length - pos);
+    this._skipSize -= skipped;
+    if (this._skipSize === 0) {
+      this._endFrame();
+    }
+    return pos + skipped;
+  }
+
+  /** Reads a block of a legacy frame, or the magic number of the next frame.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the block in <code>input</code>.
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   * @returns {number} Position after the block, or the negated number of
+   * bytes required to read it.
+   */
+  _readLegacyBlock(input, pos, output) {
+    if (input.length - pos < 4) {
+      return -4;
+    }
+
+    const blockSize = input.readUInt32LE(pos);
+    if (isFrameMagic(blockSize)) {
+      this._state = STATE_MAGIC;
+      return pos;
+    }
+    if (blockSize > LEGACY_BLOCK_BOUND) {
+      throw createDataError('block exceeds maximum size');
+    }
+
+    this._complete = false;
+    if (input.length - pos < 4 + blockSize) {
+      return -(4 + blockSize);
+    }
+
+    const dataStart = pos + 4;
+    const block = decodeBlock(
+      input,
+      dataStart,
+      dataStart + blockSize,
+      Buffer.alloc(0),
+      LEGACY_BLOCK_SIZE,
+    );
+    if (block.length > 0) {
+      output.push(block);
+    }
+    this._complete = true;
+    return dataStart + blockSize;
+  }
+
+  /** Marks the end of the current frame.
+   *
+   * @private
+   */
+  _endFrame() {
+    this._frame = undefined;
+    this._complete = true;
+    this._state = STATE_MAGIC;
+  }
+}
+
+module.exports = Unlz4;
@@ -0,0 +1,151 @@
+/**
+ * Decompressor for the legacy lzma ("LZMA alone") format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://www.7-zip.org/sdk.html}
+ */
+
+'use strict';
+
+const { Decompressor, createDataError } = require('./decompressor.js');
+const { LzmaDecoder, MAX_SYMBOL_BYTES } = require('./lzma.js');
+
+/** Size of the header (properties, dictionary size, and uncompressed size).
+ *
+ * @private
+ */
+const HEADER_SIZE = 13;
+
+/** Size of the range decoder initialization at the start of the data.
+ *
+ * @private
+ */
+const RANGE_INIT_SIZE = 5;
+
+/** Minimum dictionary size used by the decoder, as in the LZMA SDK.
+ *
+ * @private
+ */
+const MIN_DICT_SIZE = 4096;
+
+/** Uncompressed size indicating that the size is not known and the data ends
+ * with an end marker.
+ *
+ * @private
+ */
+const UNKNOWN_SIZE = 0xFFFFFFFFFFFFFFFFn;
+
+/** Number of bytes after which each call to {@link Unlzma#_decode} stops
+ * decoding, so decoding can pause until the output is read.  A match may
+ * extend past it.
+ *
+ * @private
+ */
+const OUTPUT_SIZE = 64 * 1024;
+
+const STATE_HEADER = 0;
+const STATE_DATA = 1;
+
+/** Decompressor for data in the legacy lzma format (as created by
+ * <code>lzma</code> or <code>xz --format=lzma</code>).
+ *
+ * <p>Decoding stops at the uncompressed size declared in the header, or at
+ * the end marker if the size is not declared.  Any data after the end of
+ * the compressed data is ignored.</p>
+ *
+ * @class
+ * @augments Decompressor
+ * @param {object=} opts Options for {@link Decompressor}.
+ */
+class Unlzma extends Decompressor {
+  _resetState() {
+    this._state = STATE_HEADER;
+    this._lzma = undefined;
+    // Declared uncompressed size, or undefined if unknown
+    this._size = undefined;
+  }
+
+  _decode(input, flush, output) {
+    let pos = 0;
+    if (this._state === STATE_HEADER) {
+      if (input.length < HEADER_SIZE + RANGE_INIT_SIZE) {
+        this._inputNeeded = HEADER_SIZE + RANGE_INIT_SIZE;
+        return 0;
+      }
+
+      pos = this._readHeader(input);
+    }
+
+    const lzma = this._lzma;
+    const size = this._size;
+    if (size !== undefined && lzma.totalOut === size) {
+      this._finish();
+      return pos;
+    }
+
+    const outLimit = size === undefined ? Infinity : size - lzma.totalOut;
+    pos = lzma.decode(
+      input,
+      pos,
+      input.length,
+      outLimit,
+      flush,
+      output,
+      OUTPUT_SIZE,
+    );
+    if (lzma.endMarker) {
+      if (!lzma.isRangeFinished()) {
+        throw createDataError('invalid end marker');
+      }
+      if (size !== undefined && lzma.totalOut !== size) {
+        throw createDataError('uncompressed size does not match header');
+      }
+      this._finish();
+    } else if (size !== undefined && lzma.totalOut === size) {
+      this._finish();
+    } else {
+      this._inputNeeded = MAX_SYMBOL_BYTES;
+    }
+
+    return pos;
+  }
+
+  /** Reads the header and initializes the decoder.
+   *
+   * @private
+   * @param {!Buffer} input Data starting with the header and range decoder
+   * initialization.
+   * @returns {number} Position after the header and range decoder
+   * initialization.
+   */
+  _readHeader(input) {
+    const size = input.readBigUInt64LE(5);
+    if (size !== UNKNOWN_SIZE) {
+      if (size > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw createDataError('invalid uncompressed size');
+      }
+      this._size = Number(size);
+    }
+
+    const dictSize = Math.max(input.readUInt32LE(1), MIN_DICT_SIZE);
+    const lzma = new LzmaDecoder(dictSize);
+    lzma.setProperties(input[0]);
+    lzma.resetState();
+    this._lzma = lzma;
+    this._state = STATE_DATA;
+    return lzma.resetRange(input, HEADER_SIZE);
+  }
+
+  /** Marks the compressed data as complete.
+   *
+   * @private
+   */
+  _finish() {
+    this._complete = true;
+    this._finished = true;
+    this._lzma = undefined;
+  }
+}
+
+module.exports = Unlzma;
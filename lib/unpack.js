@@ -0,0 +1,212 @@
+/**
+ * Decompressor for the pack (.z) format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+// Huffman decoding requires bitwise operators.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+const { Decompressor, createDataError } = require('./decompressor.js');
+
+/** Size of the fixed part of the header (magic number, original length, and
+ * maximum code length).
+ *
+ * @private
+ */
+const HEADER_SIZE = 7;
+
+/** Maximum code length supported by gzip (and generated by pack).
+ *
+ * @private
+ */
+const MAX_BITLEN = 25;
+
+/** Decompressor for data in the pack format (as created by <code>pack</code>,
+ * usually with the <code>.z</code> extension).
+ *
+ * <p>The data is Huffman coded using a tree stored in the header.  The
+ * longest code (which is the last code in the tree) marks the end of the
+ * data.  Any data after the end is ignored.</p>
+ *
+ * @class
+ * @augments Decompressor
+ * @param {object=} opts Options for {@link Decompressor}.
+ * @see {@link https://git.savannah.gnu.org/cgit/gzip.git/tree/unpack.c}
+ */
+class Unpack extends Decompressor {
+  _resetState() {
+    // Length of the original data, modulo 2^32
+    this._origLength = 0;
+    this._outLength = 0;
+    this._maxLength = 0;
+    // Number of internal nodes, leaves, and index of the first literal for
+    // each code length.  Undefined until the header is read.
+    this._parents = undefined;
+    this._leaves = undefined;
+    this._literalBase = undefined;
+    this._literals = undefined;
+
+    // Bits of the partially read code and its length
+    this._code = 0;
+    this._codeLength = 0;
+  }
+
+  _decode(input, flush, output) {
+    let pos = 0;
+    if (this._parents === undefined) {
+      pos = this._readHeader(input);
+      if (pos < 0) {
+        this._inputNeeded = -pos;
+        return 0;
+      }
+    }
+
+    const parents = this._parents;
+    const leaves = this._leaves;
+    const literalBase = this._literalBase;
+    const literals = this._literals;
+    const maxLength = this._maxLength;
+    const eob = leaves[maxLength] - 1;
+    let code = this._code;
+    let codeLength = this._codeLength;
+
+    // Each code is at least 1 bit
+    const out = Buffer.allocUnsafe((input.length - pos) * 8);
+    let outPos = 0;
+    let ended = false;
+    const endBit = input.length * 8;
+    let bitPos = pos * 8;
+    while (bitPos < endBit) {
+      const bit = (input[bitPos >>> 3] >>> (7 - (bitPos & 7))) & 1;
+      bitPos += 1;
+      code = (code << 1) | bit;
+      codeLength += 1;
+
+      // Codes less than the number of parents at a length are internal
+      // nodes.  The rest are leaves.
+      const leaf = code - parents[codeLength];
+      if (leaf >= 0) {
+        if (leaf >= leaves[codeLength]) {
+          throw createDataError('invalid code');
+        }
+
+        if (codeLength === maxLength && leaf === eob) {
+          ended = true;
+          break;
+        }
+
+        out[outPos] = literals[literalBase[codeLength] + leaf];
+        outPos += 1;
+        code = 0;
+        codeLength = 0;
+      }
+    }
+    // Bits after the end-of-block code in the last byte are padding
+    pos = Math.ceil(bitPos / 8);
+
+    if (outPos > 0) {
+      output.push(out.subarray(0, outPos));
+    }
+
+    this._outLength = (this._outLength + outPos) % (2 ** 32);
+    this._code = code;
+    this._codeLength = codeLength;
+
+    if (ended) {
+      if (this._outLength !== this._origLength) {
+        throw createDataError('incorrect length check');
+      }
+
+      this._complete = true;
+      this._finished = true;
+    }
+
+    return pos;
+  }
+
+  /** Reads the header and builds the Huffman tree.
+   *
+   * @private
+   * @param {!Buffer} input Data starting with the header.
+   * @returns {number} Position after the header, or the negated number of
+   * bytes required to read it.
+   */
+  _readHeader(input) {
+    if (input.length < HEADER_SIZE) {
+      return -HEADER_SIZE;
+    }
+
+    if (input[0] !== 0x1F || input[1] !== 0x1E) {
+      throw createDataError('incorrect header check');
+    }
+
+    const maxLength = input[6];
+    if (maxLength < 1 || maxLength > MAX_BITLEN) {
+      throw createDataError('invalid maximum code length');
+    }
+
+    const countsEnd = HEADER_SIZE + maxLength;
+    if (input.length < countsEnd) {
+      return -countsEnd;
+    }
+
+    // Number of leaves at each length.  The count for the maximum length is
+    // stored minus 2 and does not include the end-of-block code.
+    const leaves = new Uint16Array(maxLength + 1);
+    let maxLeaves = 1;
+    let literalCount = 0;
+    for (let len = 1; len <= maxLength; len += 1) {
+      const count = input[HEADER_SIZE + len - 1];
+      if (count > maxLeaves - (len === maxLength ? 1 : 0)) {
+        throw createDataError('too many leaves in Huffman tree');
+      }
+
+      leaves[len] = count;
+      maxLeaves = ((maxLeaves - count + 1) * 2) - 1;
+      literalCount += count;
+    }
+    if (literalCount >= 256) {
+      throw createDataError('too many leaves in Huffman tree');
+    }
+    leaves[maxLength] += 1;
+    literalCount += 1;
+
+    const headerEnd = countsEnd + literalCount;
+    if (input.length < headerEnd) {
+      return -headerEnd;
+    }
+
+    // Literals are ordered by code length
+    const literalBase = new Uint16Array(maxLength + 1);
+    let base = 0;
+    for (let len = 1; len <= maxLength; len += 1) {
+      literalBase[len] = base;
+      base += leaves[len];
+    }
+    // Include the end-of-block code, which is not stored, in the tree
+    leaves[maxLength] += 1;
+
+    // Internal nodes at each length are half of the nodes at the next
+    const parents = new Uint16Array(maxLength + 1);
+    let nodes = 0;
+    for (let len = maxLength; len >= 1; len -= 1) {
+      nodes >>= 1;
+      parents[len] = nodes;
+      nodes += leaves[len];
+    }
+
+    this._origLength = input.readUInt32BE(2);
+    this._maxLength = maxLength;
+    this._parents = parents;
+    this._leaves = leaves;
+    this._literalBase = literalBase;
+    this._literals = Buffer.from(input.subarray(countsEnd, headerEnd));
+    return headerEnd;
+  }
+}
+
+module.exports = Unpack;
@@ -0,0 +1,303 @@
+/**
+ * Decompressor for the Snappy framing format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://github.com/google/snappy/blob/main/framing_format.txt}
+ */
+
+// Parsing Snappy data requires bitwise operators.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+const { crc32c } = require('./checksums.js');
+const { Decompressor, createDataError } = require('./decompressor.js');
+
+/** Stream identifier chunk which starts a Snappy framed stream.
+ *
+ * @private
+ */
+const STREAM_IDENTIFIER =
+  Buffer.from([0xFF, 0x06, 0x00, 0x00, 0x73, 0x4E, 0x61, 0x50, 0x70, 0x59]);
+
+/** Size of a chunk header (type and length).
+ *
+ * @private
+ */
+const CHUNK_HEADER_SIZE = 4;
+
+/** Size of the masked CRC-32C at the start of compressed and uncompressed
+ * chunks.
+ *
+ * @private
+ */
+const CHECKSUM_SIZE = 4;
+
+/** Maximum size of uncompressed data in a chunk.
+ *
+ * @private
+ */
+const MAX_BLOCK_SIZE = 65536;
+
+/** Maximum length of a compressed chunk
+ * (checksum and <code>MaxCompressedLength(MAX_BLOCK_SIZE)</code>).
+ *
+ * @private
+ */
+const MAX_COMPRESSED_LENGTH =
+  CHECKSUM_SIZE + 32 + MAX_BLOCK_SIZE + Math.floor(MAX_BLOCK_SIZE / 6);
+
+const CHUNK_COMPRESSED = 0x00;
+const CHUNK_UNCOMPRESSED = 0x01;
+const CHUNK_SKIPPABLE_MIN = 0x80;
+const CHUNK_STREAM_IDENTIFIER = 0xFF;
+
+/** Masks a CRC-32C, as done for the checksum of each chunk.
+ *
+ * @private
+ * @param {number} crc CRC-32C of the uncompressed data.
+ * @returns {number} Masked CRC, as an unsigned 32-bit integer.
+ */
+function maskChecksum(crc) {
+  return (((crc >>> 15) | (crc << 17)) + 0xA282EAD8) >>> 0;
+}
+
+/** Decodes a Snappy compressed block.
+ *
+ * @private
+ * @param {!Buffer} input Buffer containing the block.
+ * @param {number} pos Position of the block data in <code>input</code>.
+ * @param {number} end Position after the block data in <code>input</code>.
+ * @returns {!Buffer} Decoded block.
+ * @throws {Error} If the block is not valid.
+ */
+function decodeBlock(input, pos, end) {
+  // Uncompressed length, as a little-endian base-128 varint
+  let length = 0;
+  for (let shift = 0; ; shift += 7) {
+    if (pos >= end || shift > 28) {
+      throw createDataError('invalid block data');
+    }
+
+    const byte = input[pos];
+    pos += 1;
+    length += (byte & 0x7F) * (2 ** shift);
+    if (byte < 0x80) {
+      break;
+    }
+  }
+  if (length > MAX_BLOCK_SIZE) {
+    throw createDataError('block exceeds maximum size');
+  }
+
+  const out = Buffer.allocUnsafe(length);
+  let outPos = 0;
+  while (pos < end) {
+    const tag = input[pos];
+    pos += 1;
+
+    const elementType = tag & 0x03;
+    if (elementType === 0) {
+      // Literal with length - 1 in the tag or the following 1-4 bytes
+      let literalLength = tag >>> 2;
+      if (literalLength >= 60) {
+        const lengthBytes = literalLength - 59;
+        if (pos + lengthBytes > end) {
+          throw createDataError('invalid block data');
+        }
+        literalLength = input.readUIntLE(pos, lengthBytes);
+        pos += lengthBytes;
+      }
+      literalLength += 1;
+
+      if (pos + literalLength > end || outPos + literalLength > length) {
+        throw createDataError('invalid block data');
+      }
+      input.copy(out, outPos, pos, pos + literalLength);
+      outPos += literalLength;
+      pos += literalLength;
+    } else {
+      let copyLength;
+      let offset;
+      if (elementType === 1) {
+        // Copy with 3-bit length - 4 and 11-bit offset
+        if (pos >= end) {
+          throw createDataError('invalid block data');
+        }
+        copyLength = ((tag >>> 2) & 0x07) + 4;
+        offset = ((tag >>> 5) << 8) | input[pos];
+        pos += 1;
+      } else {
+        // Copy with 6-bit length - 1 and 2-byte or 4-byte offset
+        const offsetBytes = elementType === 2 ? 2 : 4;
+        if (pos + offsetBytes > end) {
+          throw createDataError('invalid block data');
+        }
+        copyLength = (tag >>> 2) + 1;
+        offset = input.readUIntLE(pos, offsetBytes);
+        pos += offsetBytes;
+      }
+
+      if (offset === 0 || offset > outPos) {
+        throw createDataError('invalid copy offset');
+      }
+      if (outPos + copyLength > length) {
+        throw createDataError('invalid block data');
+      }
+
+      let copyPos = outPos - offset;
+      if (offset >= copyLength) {
+        out.copy(out, outPos, copyPos, copyPos + copyLength);
+        outPos += copyLength;
+      } else {
+        // Overlapping copy repeats the last offset bytes
+        const copyEnd = outPos + copyLength;
+        while (outPos < copyEnd) {
+          out[outPos] = out[copyPos];
+          outPos += 1;
+          copyPos += 1;
+        }
+      }
+    }
+  }
+
+  if (outPos !== length) {
+    throw createDataError('invalid block data');
+  }
+
+  return out;
+}
+
+/** Decompressor for data in the Snappy framing format (as created by
+ * <code>snzip</code> and <code>python -m snappy</code>).
+ *
+ * <p>The stream identifier may be repeated, so concatenated streams are
+ * decoded as a single stream.  Padding and other skippable chunks are
+ * ignored.</p>
+ *
+ * @class
+ * @augments Decompressor
+ * @param {object=} opts Options for {@link Decompressor}.
+ */
+class Unsnappy extends Decompressor {
+  _resetState() {
+    this._streamStarted = false;
+    // Number of bytes remaining in a skippable chunk
+    this._skipSize = 0;
+  }
+
+  _decode(input, flush, output) {
+    let pos = 0;
+    while (pos < input.length && output.length === 0) {
+      const next = this._skipSize > 0 ? this._skip(input, pos)
+        : this._readChunk(input, pos, output);
+      if (next < 0) {
+        // -next bytes are required to continue
+        this._inputNeeded = -next;
+        break;
+      }
+
+      pos = next;
+    }
+
+    return pos;
+  }
+
+  /** Reads a chunk.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the chunk in <code>input</code>.
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   * @returns {number} Position after the chunk (or the chunk header, for
+   * skippable chunks), or the negated number of bytes required to read it.
+   */
+  _readChunk(input, pos, output) {
+    // Stream may end after any complete chunk
+    this._complete = false;
+
+    if (input.length - pos < CHUNK_HEADER_SIZE) {
+      return -CHUNK_HEADER_SIZE;
+    }
+
+    const chunkType = input[pos];
+    const length = input.readUIntLE(pos + 1, 3);
+    if (chunkType === CHUNK_STREAM_IDENTIFIER) {
+      if (length !== STREAM_IDENTIFIER.length - CHUNK_HEADER_SIZE) {
+        throw createDataError('incorrect header check');
+      }
+    } else if (!this._streamStarted) {
+      throw createDataError('incorrect header check');
+    }
+
+    if (chunkType >= CHUNK_SKIPPABLE_MIN
+      && chunkType !== CHUNK_STREAM_IDENTIFIER) {
+      // Padding (0xFE) or reserved skippable chunk
+      this._skipSize = length;
+      this._complete = length === 0;
+      return pos + CHUNK_HEADER_SIZE;
+    }
+
+    if (chunkType !== CHUNK_STREAM_IDENTIFIER
+      && chunkType !== CHUNK_COMPRESSED
+      && chunkType !== CHUNK_UNCOMPRESSED) {
+      throw createDataError('unsupported chunk type');
+    }
+
+    const maxLength = chunkType === CHUNK_UNCOMPRESSED
+      ? CHECKSUM_SIZE + MAX_BLOCK_SIZE
+      : MAX_COMPRESSED_LENGTH;
+    if (length > maxLength) {
+      throw createDataError('chunk exceeds maximum size');
+    }
+
+    const dataStart = pos + CHUNK_HEADER_SIZE;
+    const dataEnd = dataStart + length;
+    if (input.length < dataEnd) {
+      return -(CHUNK_HEADER_SIZE + length);
+    }
+
+    if (chunkType === CHUNK_STREAM_IDENTIFIER) {
+      if (!input.subarray(pos, dataEnd).equals(STREAM_IDENTIFIER)) {
+        throw createDataError('incorrect header check');
+      }
+
+      this._streamStarted = true;
+      this._complete = true;
+      return dataEnd;
+    }
+
+    if (length < CHECKSUM_SIZE) {
+      throw createDataError('invalid chunk length');
+    }
+
+    const blockStart = dataStart + CHECKSUM_SIZE;
+    const block = chunkType === CHUNK_COMPRESSED
+      ? decodeBlock(input, blockStart, dataEnd)
+      : Buffer.from(input.subarray(blockStart, dataEnd));
+    if (input.readUInt32LE(dataStart) !== maskChecksum(crc32c(0, block))) {
+      throw createDataError('incorrect data check');
+    }
+
+    output.push(block);
+    this._complete = true;
+    return dataEnd;
+  }
+
+  /** Skips data in a skippable chunk.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the data to skip in <code>input</code>.
+   * @returns {number} Position after the skipped data.
+   */
+  _skip(input, pos) {
+    const skipLength = Math.min(this._skipSize, input.length - pos);
+    this._skipSize -= skipLength;
+    this._complete = this._skipSize === 0;
+    return pos + skipLength;
+  }
+}
+
+module.exports = Unsnappy;
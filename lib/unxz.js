@@ -0,0 +1,620 @@
+/**
+ * Decompressor for the xz format.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://tukaani.org/xz/xz-file-format.txt}
+ */
+
+// Parsing xz headers requires bitwise operators.
+/* eslint-disable max-classes-per-file, no-bitwise */
+
+'use strict';
+
+const { createHash } = require('node:crypto');
+
+const { InputUnderflowError } = require('./bit-reader.js');
+const { crc32, crc64 } = require('./checksums.js');
+const { Decompressor, createDataError } = require('./decompressor.js');
+const { LzmaDecoder } = require('./lzma.js');
+
+/** Magic bytes at the start of an xz stream.
+ *
+ * @private
+ */
+const HEADER_MAGIC = Buffer.from([0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00]);
+
+/** Magic bytes at the end of an xz stream.
+ *
+ * @private
+ */
+const FOOTER_MAGIC = Buffer.from([0x59, 0x5A]);
+
+/** Size of the stream header and stream footer.
+ *
+ * @private
+ */
+const STREAM_HEADER_SIZE = 12;
+
+/** Size, in bytes, of the integrity check for each check type.
+ *
+ * @private
+ */
+const CHECK_SIZES = [0, 4, 4, 4, 8, 8, 8, 16, 16, 16, 32, 32, 32, 64, 64, 64];
+
+const CHECK_NONE = 0;
+const CHECK_CRC32 = 1;
+const CHECK_CRC64 = 4;
+const CHECK_SHA256 = 10;
+
+/** Filter ID of LZMA2.
+ *
+ * @private
+ */
+const FILTER_LZMA2 = 0x21;
+
+const STATE_STREAM_HEADER = 0;
+const STATE_BLOCK_HEADER = 1;
+const STATE_LZMA2 = 2;
+const STATE_BLOCK_END = 3;
+const STATE_STREAM_FOOTER = 4;
+const STATE_STREAM_PADDING = 5;
+
+/** Reads a variable-length integer.
+ *
+ * @private
+ * @param {!Buffer} input Buffer containing the integer.
+ * @param {number} pos Position of the integer in <code>input</code>.
+ * @param {number=} end Position after the last byte which may be read.
+ * @returns {!Array<number>} Value of the integer and position after it.
+ * @throws {InputUnderflowError} If <code>input</code> ends before the end of
+ * the integer.
+ * @throws {Error} If the integer is not valid.
+ */
+function readVli(input, pos, end = input.length) {
+  let value = 0;
+  for (let i = 0; i < 9; i += 1) {
+    if (pos + i >= end) {
+      throw new InputUnderflowError();
+    }
+
+    const byte = input[pos + i];
+    value += (byte & 0x7F) * (2 ** (7 * i));
+    if ((byte & 0x80) === 0) {
+      if (byte === 0 && i > 0) {
+        throw createDataError('invalid variable-length integer');
+      }
+      return [value, pos + i + 1];
+    }
+  }
+
+  throw createDataError('invalid variable-length integer');
+}
+
+/** Incremental computation of an xz integrity check.
+ *
+ * @private
+ */
+class Check {
+  constructor(type) {
+    this.type = type;
+    this._value = type === CHECK_CRC64 ? 0n : 0;
+    this._hash = type === CHECK_SHA256 ? createHash('sha256') : undefined;
+  }
+
+  update(data) {
+    switch (this.type) {
+      case CHECK_CRC32:
+        this._value = crc32(this._value, data);
+        break;
+      case CHECK_CRC64:
+        this._value = crc64(this._value, data);
+        break;
+      case CHECK_SHA256:
+        this._hash.update(data);
+        break;
+      default:
+        break;
+    }
+  }
+
+  matches(expected) {
+    switch (this.type) {
+      case CHECK_CRC32:
+        return expected.readUInt32LE(0) === this._value;
+      case CHECK_CRC64:
+        return expected.readBigUInt64LE(0) === this._value;
+      case CHECK_SHA256:
+        return expected.equals(this._hash.digest());
+      default:
+        return true;
+    }
+  }
+}
+
+/** Decompressor for data in the xz format.
+ *
+ * <p>Only blocks which use the LZMA2 filter alone (as created by
+ * <code>xz</code> without filter options) are supported.  Multiple
+ * concatenated xz streams (with optional stream padding) are decoded as a
+ * single stream, as done by <code>xz</code>.  Data after the last stream is
+ * ignored.</p>
+ *
+ * <p>Note that each LZMA2 chunk (up to 64KiB of compressed data) is decoded
+ * once all of its compressed data is available.</p>
+ *
+ * @class
+ * @augments Decompressor
+ * @param {object=} opts Options for {@link Decompressor}.
+ */
+class Unxz extends Decompressor {
+  _resetState() {
+    this._state = STATE_STREAM_HEADER;
+    this._streamCount = 0;
+    this._streamFlags = undefined;
+    this._checkType = CHECK_NONE;
+    // Unpadded size and uncompressed size of each block in the stream
+    this._records = [];
+    this._block = undefined;
+    this._lzma = undefined;
+  }
+
+  _decode(input, flush, output) {
+    let pos = 0;
+    while (!this._finished && pos < input.length && output.length === 0) {
+      let next;
+      try {
+        next = this._readNext(input, pos, output);
+      } catch (err) {
+        if (!(err instanceof InputUnderflowError)) {
+          throw err;
+        }
+
+        // Structure of unknown size (i.e. index) is incomplete.
+        next = -(input.length - pos + 1);
+      }
+
+      if (next < 0) {
+        // -next bytes are required to continue
+        this._inputNeeded = -next;
+        break;
+      }
+
+      pos = next;
+    }
+
+    return pos;
+  }
+
+  /** Reads the next structure for the current state.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the next structure in <code>input</code>.
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   * @returns {number} Position after the structure, or the negated number of
+   * bytes required to read it.
+   */
+  _readNext(input, pos, output) {
+    switch (this._state) {
+      case STATE_STREAM_HEADER:
+        return this._readStreamHeader(input, pos);
+      case STATE_BLOCK_HEADER:
+        return input[pos] === 0 ? this._readIndex(input, pos)
+          : this._readBlockHeader(input, pos);
+      case STATE_LZMA2:
+        return this._readLzma2Chunk(input, pos, output);
+      case STATE_BLOCK_END:
+        return this._readBlockEnd(input, pos);
+      case STATE_STREAM_FOOTER:
+        return this._readStreamFooter(input, pos);
+      case STATE_STREAM_PADDING:
+        return this._readStreamPadding(input, pos);
+      default:
+        throw new Error(`Unexpected state ${this._state}`);
+    }
+  }
+
+  /** Reads the stream header.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the stream header in <code>input</code>.
+   * @returns {number} Position after the stream header, or the negated
+   * number of bytes required to read it.
+   */
+  _readStreamHeader(input, pos) {
+    const header = input.subarray(pos, pos + STREAM_HEADER_SIZE);
+    const magicLength = Math.min(header.length, HEADER_MAGIC.length);
+    if (header.compare(HEADER_MAGIC, 0, magicLength, 0, magicLength) !== 0) {
+      throw createDataError('incorrect header check');
+    }
+
+    if (header.length < STREAM_HEADER_SIZE) {
+      return -STREAM_HEADER_SIZE;
+    }
+
+    if (header.readUInt32LE(8) !== crc32(0, header.subarray(6, 8))) {
+      throw createDataError('incorrect header check');
+    }
+    if (header[6] !== 0 || header[7] > 0x0F) {
+      throw createDataError('unsupported stream flags');
+    }
+
+    const checkType = header[7];
+    if (checkType !== CHECK_NONE
+      && checkType !== CHECK_CRC32
+      && checkType !== CHECK_CRC64
+      && checkType !== CHECK_SHA256) {
+      throw createDataError('unsupported check type');
+    }
+
+    this._complete = false;
+    this._checkType = checkType;
+    this._streamFlags = Buffer.from(header.subarray(6, 8));
+    this._records = [];
+    this._state = STATE_BLOCK_HEADER;
+    return pos + STREAM_HEADER_SIZE;
+  }
+
+  /** Reads a block header.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the block header in <code>input</code>.
+   * @returns {number} Position after the block header, or the negated number
+   * of bytes required to read it.
+   */
+  _readBlockHeader(input, pos) {
+    const headerSize = (input[pos] + 1) * 4;
+    if (input.length - pos < headerSize) {
+      return -headerSize;
+    }
+
+    const end = pos + headerSize - 4;
+    if (input.readUInt32LE(end) !== crc32(0, input.subarray(pos, end))) {
+      throw createDataError('incorrect block header check');
+    }
+
+    const flags = input[pos + 1];
+    if (flags & 0x3C) {
+      throw createDataError('unsupported block header flags');
+    }
+
+    let compressedSize, uncompressedSize;
+    let p = pos + 2;
+    try {
+      if (flags & 0x40) {
+        [compressedSize, p] = readVli(input, p, end);
+        if (compressedSize === 0) {
+          throw createDataError('invalid block compressed size');
+        }
+      }
+      if (flags & 0x80) {
+        [uncompressedSize, p] = readVli(input, p, end);
+      }
+
+      const numFilters = (flags & 0x03) + 1;
+      let filterId, propsSize;
+      [filterId, p] = readVli(input, p, end);
+      [propsSize, p] = readVli(input, p, end);
+      if (numFilters !== 1 || filterId !== FILTER_LZMA2 || propsSize !== 1) {
+        throw createDataError('unsupported filter chain');
+      }
+    } catch (err) {
+      if (err instanceof InputUnderflowError) {
+        throw createDataError('invalid block header');
+      }
+      throw err;
+    }
+
+    const dictProps = input[p];
+    if (p >= end || dictProps > 40) {
+      throw createDataError('invalid LZMA2 properties');
+    }
+    for (p += 1; p < end; p += 1) {
+      if (input[p] !== 0) {
+        throw createDataError('invalid block header padding');
+      }
+    }
+
+    const dictSize = dictProps === 40 ? 0xFFFFFFFF
+      : (2 | (dictProps & 1)) * (2 ** ((dictProps >>> 1) + 11));
+    this._lzma = new LzmaDecoder(dictSize);
+
+    this._block = {
+      check: new Check(this._checkType),
+      compressedSize,
+      compressedRead: 0,
+      headerSize,
+      needDictReset: true,
+      needProps: true,
+      uncompressedSize,
+      uncompressedRead: 0,
+    };
+    this._state = STATE_LZMA2;
+    return pos + headerSize;
+  }
+
+  /** Reads an LZMA2 chunk.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the chunk in <code>input</code>.
+   * @param {!Array<!Buffer>} output Array to which decoded data is added.
+   * @returns {number} Position after the chunk, or the negated number of
+   * bytes required to read it.
+   */
+  _readLzma2Chunk(input, pos, output) {
+    const block = this._block;
+    const control = input[pos];
+    if (control === 0x00) {
+      // End of LZMA2 data
+      block.compressedRead += 1;
+      this._state = STATE_BLOCK_END;
+      return pos + 1;
+    }
+
+    if (control >= 0xE0 || control === 0x01) {
+      block.needProps = true;
+      block.needDictReset = false;
+    } else if (block.needDictReset) {
+      throw createDataError('missing LZMA2 dictionary reset');
+    } else if (control > 0x02 && control < 0x80) {
+      throw createDataError('invalid LZMA2 control byte');
+    }
+
+    const lzma = this._lzma;
+    const chunkOutput = [];
+    let chunkSize;
+    if (control < 0x80) {
+      // Uncompressed chunk
+      if (input.length - pos < 3) {
+        return -3;
+      }
+
+      const dataSize = input.readUInt16BE(pos + 1) + 1;
+      chunkSize = 3 + dataSize;
+      if (input.length - pos < chunkSize) {
+        return -chunkSize;
+      }
+
+      if (control === 0x01) {
+        lzma.resetDict();
+      }
+      lzma.copyUncompressed(
+        input.subarray(pos + 3, pos + chunkSize),
+        chunkOutput,
+      );
+    } else {
+      const headerSize = control >= 0xC0 ? 6 : 5;
+      if (input.length - pos < headerSize) {
+        return -headerSize;
+      }
+
+      const unpackedSize =
+        ((control & 0x1F) * 0x10000) + input.readUInt16BE(pos + 1) + 1;
+      const packedSize = input.readUInt16BE(pos + 3) + 1;
+      chunkSize = headerSize + packedSize;
+      if (input.length - pos < chunkSize) {
+        return -chunkSize;
+      }
+
+      if (control >= 0xE0) {
+        lzma.resetDict();
+      }
+      if (control >= 0xC0) {
+        const props = input[pos + 5];
+        lzma.setProperties(props);
+        if (lzma.lc + lzma.lp > 4) {
+          throw createDataError('invalid LZMA2 properties');
+        }
+        block.needProps = false;
+      } else if (block.needProps) {
+        throw createDataError('missing LZMA2 properties');
+      }
+      if (control >= 0xA0) {
+        lzma.resetState();
+      }
+
+      if (packedSize < 5) {
+        throw createDataError('invalid LZMA2 chunk');
+      }
+      const dataStart = pos + headerSize;
+      const dataEnd = pos + chunkSize;
+      const startOut = lzma.totalOut;
+      const end = lzma.decode(
+        input,
+        lzma.resetRange(input, dataStart),
+        dataEnd,
+        unpackedSize,
+        true,
+        chunkOutput,
+      );
+      if (end !== dataEnd
+        || lzma.endMarker
+        || lzma.totalOut - startOut !== unpackedSize
+        || !lzma.isRangeFinished()) {
+        throw createDataError('invalid LZMA2 chunk');
+      }
+    }
+
+    for (const data of chunkOutput) {
+      block.check.update(data);
+      block.uncompressedRead += data.length;
+      output.push(data);
+    }
+    block.compressedRead += chunkSize;
+    const compressedOver = block.compressedSize !== undefined
+      && block.compressedRead >= block.compressedSize;
+    const uncompressedOver = block.uncompressedSize !== undefined
+      && block.uncompressedRead > block.uncompressedSize;
+    if (compressedOver || uncompressedOver) {
+      throw createDataError('block size does not match header');
+    }
+
+    return pos + chunkSize;
+  }
+
+  /** Reads the block padding and integrity check.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the block padding in <code>input</code>.
+   * @returns {number} Position after the block, or the negated number of
+   * bytes required to read it.
+   */
+  _readBlockEnd(input, pos) {
+    const block = this._block;
+    const compressedMismatch = block.compressedSize !== undefined
+      && block.compressedRead !== block.compressedSize;
+    const uncompressedMismatch = block.uncompressedSize !== undefined
+      && block.uncompressedRead !== block.uncompressedSize;
+    if (compressedMismatch || uncompressedMismatch) {
+      throw createDataError('block size does not match header');
+    }
+
+    const paddingSize = -(block.headerSize + block.compressedRead) & 3;
+    const checkSize = CHECK_SIZES[this._checkType];
+    const size = paddingSize + checkSize;
+    if (input.length - pos < size) {
+      return -size;
+    }
+
+    for (let i = 0; i < paddingSize; i += 1) {
+      if (input[pos + i] !== 0) {
+        throw createDataError('invalid block padding');
+      }
+    }
+
+    const checkStart = pos + paddingSize;
+    const check = input.subarray(checkStart, checkStart + checkSize);
+    if (!block.check.matches(check)) {
+      throw createDataError('incorrect data check');
+    }
+
+    this._records.push([
+      block.headerSize + block.compressedRead + checkSize,
+      block.uncompressedRead,
+    ]);
+    this._block = undefined;
+    this._state = STATE_BLOCK_HEADER;
+    return pos + size;
+  }
+
+  /** Reads the index.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the index in <code>input</code>.
+   * @returns {number} Position after the index, or the negated number of
+   * bytes required to read it.
+   * @throws {InputUnderflowError} If the index is incomplete.
+   */
+  _readIndex(input, pos) {
+    const records = this._records;
+    const [numRecords, recordsStart] = readVli(input, pos + 1);
+    if (numRecords !== records.length) {
+      throw createDataError('index does not match blocks');
+    }
+
+    let p = recordsStart;
+    for (const [unpaddedSize, uncompressedSize] of records) {
+      let recordUnpadded, recordUncompressed;
+      [recordUnpadded, p] = readVli(input, p);
+      [recordUncompressed, p] = readVli(input, p);
+      if (recordUnpadded !== unpaddedSize
+        || recordUncompressed !== uncompressedSize) {
+        throw createDataError('index does not match blocks');
+      }
+    }
+
+    const paddingSize = -(p - pos) & 3;
+    const indexSize = p - pos + paddingSize + 4;
+    if (input.length - pos < indexSize) {
+      return -indexSize;
+    }
+
+    for (let i = 0; i < paddingSize; i += 1) {
+      if (input[p + i] !== 0) {
+        throw createDataError('invalid index padding');
+      }
+    }
+
+    const crcPos = p + paddingSize;
+    if (input.readUInt32LE(crcPos) !== crc32(0, input.subarray(pos, crcPos))) {
+      throw createDataError('incorrect index check');
+    }
+
+    this._indexSize = indexSize;
+    this._state = STATE_STREAM_FOOTER;
+    return pos + indexSize;
+  }
+
+  /** Reads the stream footer.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position of the stream footer in <code>input</code>.
+   * @returns {number} Position after the stream footer, or the negated number
+   * of bytes required to read it.
+   */
+  _readStreamFooter(input, pos) {
+    if (input.length - pos < STREAM_HEADER_SIZE) {
+      return -STREAM_HEADER_SIZE;
+    }
+
+    const footer = input.subarray(pos, pos + STREAM_HEADER_SIZE);
+    if (footer.readUInt32LE(0) !== crc32(0, footer.subarray(4, 10))) {
+      throw createDataError('incorrect footer check');
+    }
+    if (!footer.subarray(10).equals(FOOTER_MAGIC)
+      || !footer.subarray(8, 10).equals(this._streamFlags)
+      || (footer.readUInt32LE(4) + 1) * 4 !== this._indexSize) {
+      throw createDataError('invalid stream footer');
+    }
+
+    this._streamCount += 1;
+    this._complete = true;
+    this._state = STATE_STREAM_PADDING;
+    return pos + STREAM_HEADER_SIZE;
+  }
+
+  /** Reads stream padding, or the start of the next stream.
+   *
+   * @private
+   * @param {!Buffer} input Data to decode.
+   * @param {number} pos Position after the previous stream in
+   * <code>input</code>.
+   * @returns {number} Position after the stream padding, or the negated
+   * number of bytes required to read it.
+   */
+  _readStreamPadding(input, pos) {
+    if (input[pos] === 0) {
+      // Stream padding is a multiple of 4 null bytes
+      const padding = input.subarray(pos, pos + 4);
+      if (padding.some((byte) => byte !== 0)) {
+        throw createDataError('invalid stream padding');
+      }
+      if (padding.length < 4) {
+        this._complete = false;
+        return -4;
+      }
+
+      this._complete = true;
+      return pos + 4;
+    }
+
+    const magic = input.subarray(pos, pos + HEADER_MAGIC.length);
+    if (magic.compare(HEADER_MAGIC, 0, magic.length) !== 0) {
+      // Trailing garbage after xz data is ignored, as for other formats
+      this._finished = true;
+      return pos;
+    }
+
+    this._state = STATE_STREAM_HEADER;
+    return pos;
+  }
+}
+
+module.exports = Unxz;
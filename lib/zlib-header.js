@@ -0,0 +1,59 @@
+/**
+ * Function for parsing the zlib compressed data format header.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @see {@link https://www.rfc-editor.org/rfc/rfc1950}
+ */
+
+// zlib header fields are bit fields.
+/* eslint-disable no-bitwise */
+
+'use strict';
+
+/** FLG bit for a preset dictionary (FDICT).
+ *
+ * @private
+ */
+const FDICT = 0x20;
+
+/** Reads a zlib stream header (RFC 1950 Section 2.2) at the start of a
+ * Buffer.
+ *
+ * @param {!Buffer} chunk Data starting with the header.
+ * @returns {?object|number} Parsed header (as documented for
+ * <code>InflateAuto.ZlibHeader</code>), <code>null</code> if the header is
+ * not valid, or if <code>chunk</code> does not contain the complete header,
+ * the minimum length of data which may contain it.
+ */
+exports.readZlibHeader = function readZlibHeader(chunk) {
+  if (chunk.length < 2) {
+    return 2;
+  }
+
+  const cmf = chunk[0];
+  const flg = chunk[1];
+  // CM must be 8 (deflate), CINFO at most 7, and FCHECK must make the first
+  // 16-bit BE int a multiple of 31
+  if ((cmf & 0x0F) !== 8 || cmf >> 4 > 7 || chunk.readUInt16BE(0) % 31 !== 0) {
+    return null; // eslint-disable-line unicorn/no-null
+  }
+
+  const header = {
+    windowSize: 2 ** ((cmf >> 4) + 8),
+    level: flg >> 6,
+    dictionaryId: undefined,
+    headerLength: 2,
+  };
+
+  if (flg & FDICT) {
+    if (chunk.length < 6) {
+      return 6;
+    }
+
+    header.dictionaryId = chunk.readUInt32BE(2);
+    header.headerLength = 6;
+  }
+
+  return header;
+};
@@ -96,7 +96,91 @@ function zlibBufferSync(engine, buffer) {
   return buffer;
 }
 
+// Based on processChunkSync from lib/zlib.js @ v20.0.0, modified to leave the
+// handle open (and save the output buffer) for subsequent calls, to add to
+// bytesWritten, and to check errored rather than the private kError.
+// The handle is also left open when the output exceeds _maxOutputLength, as
+// for other errors, to be closed by the caller.
+function processChunkSync(self, chunk, flushFlag) {
+  let availInBefore = chunk.byteLength;
+  let availOutBefore = self._chunkSize - self._outOffset;
+  let inOff = 0;
+
+  let buffers = null;
+  let nread = 0;
+  let inputRead = 0;
+  const state = self._writeState;
+  const handle = self._handle;
+  let buffer = self._outBuffer;
+  let offset = self._outOffset;
+  const chunkSize = self._chunkSize;
+
+  while (true) {
+    // eslint-disable-next-line n/no-sync
+    handle.writeSync(
+      flushFlag,
+      chunk, // in
+      inOff, // in_off
+      availInBefore, // in_len
+      buffer, // out
+      offset, // out_off
+      availOutBefore, // out_len
+    );
+    if (self.errored)
+      throw self.errored;
+
+    const availOutAfter = state[0];
+    const availInAfter = state[1];
+
+    const inDelta = (availInBefore - availInAfter);
+    inputRead += inDelta;
+
+    const have = availOutBefore - availOutAfter;
+    if (have > 0) {
+      const out = buffer.slice(offset, offset + have);
+      offset += have;
+      if (!buffers)
+        buffers = [out];
+      else
+        buffers.push(out);
+      nread += out.byteLength;
+
+      if (nread > self._maxOutputLength) {
+        throw new ERR_BUFFER_TOO_LARGE(self._maxOutputLength);
+      }
+    }
+
+    // Exhausted the output buffer, or used all the input create a new one.
+    if (availOutAfter === 0 || offset >= chunkSize) {
+      availOutBefore = chunkSize;
+      offset = 0;
+      buffer = Buffer.allocUnsafe(chunkSize);
+    }
+
+    if (availOutAfter === 0) {
+      // Not actually done. Need to reprocess.
+      // Also, update the availInBefore to the availInAfter value,
+      // so that if we have to hit it a third (fourth, etc.) time,
+      // it'll have the correct byte counts.
+      inOff += inDelta;
+      availInBefore = availInAfter;
+    } else {
+      break;
+    }
+  }
+
+  self.bytesWritten += inputRead;
+  self._outBuffer = buffer;
+  self._outOffset = offset;
+
+  if (nread === 0)
+    return Buffer.alloc(0);
+
+  return (buffers.length === 1 ? buffers[0] : Buffer.concat(buffers, nread));
+}
+
 module.exports = {
+  processChunkSync,
   zlibBuffer,
   zlibBufferSync,
 };
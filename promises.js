@@ -0,0 +1,11 @@
+/**
+ * Promise-based functions for decompressing data.
+ *
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ * @module inflate-auto/promises
+ */
+
+'use strict';
+
+module.exports = require('./index.js').promises;
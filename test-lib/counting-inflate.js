@@ -0,0 +1,35 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { Inflate } = require('node:zlib');
+
+/** zlib.Inflate which counts the data decompressed by synchronous writes to
+ * its handle, including data which is discarded when a limit is exceeded.
+ *
+ * <p>The count is kept in the static property <code>outputLength</code> so
+ * that it is available when instances are created internally (e.g. by
+ * <code>inflateAutoSync</code>).</p>
+ */
+class CountingInflate extends Inflate {
+  constructor(opts) {
+    super(opts);
+
+    const handle = this._handle;
+    const { writeSync } = handle;
+    handle.writeSync = (...args) => {
+      const availOutBefore = args[6];
+      // eslint-disable-next-line n/no-sync
+      const result = writeSync.apply(handle, args);
+      CountingInflate.outputLength += availOutBefore - this._writeState[0];
+      return result;
+    };
+  }
+}
+
+CountingInflate.outputLength = 0;
+
+module.exports = CountingInflate;
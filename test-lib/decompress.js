@@ -0,0 +1,61 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const { deepStrictEqual, ok } = require('node:assert');
+const { Z_FINISH, Z_MIN_CHUNK } = require('node:zlib').constants;
+
+/** Creates functions to decompress data using a given decompressor class.
+ *
+ * @param {function(new:module:stream.Transform, object=)} Decompressor
+ * Decompressor class with the interface of the zlib decompression classes.
+ * @returns {{
+ *   checkHighWaterMark: function(!Buffer, !Buffer): !Promise,
+ *   decompress: function(!Buffer, number, object=): !Promise<!Buffer>,
+ *   decompressSync: function(!Buffer, number=): !Buffer
+ * }} Functions which check that decompressed data which is not read is
+ * buffered only up to <code>highWaterMark</code>, decompress data by writing
+ * <code>writeSize</code>-byte chunks to a stream, or decompress
+ * synchronously using <code>_processChunk</code> with a given flush flag.
+ */
+function makeDecompress(Decompressor) {
+  async function checkHighWaterMark(compressed, data) {
+    const decompressor = new Decompressor({
+      chunkSize: Z_MIN_CHUNK,
+      highWaterMark: Z_MIN_CHUNK,
+    });
+    decompressor.end(compressed);
+    // Decoding stops once the last pushed chunk reaches highWaterMark
+    const { readableLength } = decompressor;
+    ok(
+      readableLength >= Z_MIN_CHUNK && readableLength < 2 * Z_MIN_CHUNK,
+      `${readableLength} bytes buffered`,
+    );
+    deepStrictEqual(Buffer.concat(await decompressor.toArray()), data);
+  }
+
+  function decompress(compressed, writeSize, opts) {
+    return new Promise((resolve, reject) => {
+      const decompressor = new Decompressor(opts);
+      const chunks = [];
+      decompressor.on('data', (chunk) => { chunks.push(chunk); });
+      decompressor.on('error', reject);
+      decompressor.on('end', () => resolve(Buffer.concat(chunks)));
+      for (let i = 0; i < compressed.length; i += writeSize) {
+        decompressor.write(compressed.subarray(i, i + writeSize));
+      }
+      decompressor.end();
+    });
+  }
+
+  function decompressSync(compressed, flushFlag = Z_FINISH) {
+    return new Decompressor()._processChunk(compressed, flushFlag);
+  }
+
+  return { checkHighWaterMark, decompress, decompressSync };
+}
+
+module.exports = makeDecompress;
@@ -0,0 +1,261 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const Bunzip2 = require('../lib/bunzip2.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+// Tests synchronous decompression using _processChunk
+/* eslint-disable n/no-sync */
+
+// printf 'uncompressed data' | bzip2
+const normalCompressed = Buffer.from(
+  '425a683931415926535937be7798000008118040002e03de0020003100d0010026329083'
+  + 'd72071e06f0a7c5dc914e14240def9de60',
+  'hex',
+);
+const normalData = Buffer.from('uncompressed data');
+// printf '' | bzip2
+const emptyCompressed = Buffer.from('425a683917724538509000000000', 'hex');
+// python3 -c "print('abcdefghij'*20000,end='')" | bzip2 -1
+const multiBlockCompressed = Buffer.from(
+  '425a68313141592653591ed863b500138701003ff0200070400c029543099c54151e5505'
+  + '47aa82a3e54151854151954151a54151b54151faa0a8e2a0a8e98a0ac9329acb7d86bdc0'
+  + '0138700801ff81000382006014aa184ce2a0a8f150547b54151f2a0a8c2a0a8caa0a8d2a'
+  + '0a8daa0a8fd505471505474c50564994d67c4db02e000000c0400ffc0800082a48068400'
+  + 'c2e54ac4c9a3670e9e2cf8bb9229c28482a9b708e0',
+  'hex',
+);
+const multiBlockData = Buffer.from('abcdefghij'.repeat(20000));
+// python3 -c "print('a'*1000,end='')" | bzip2
+const runCompressed = Buffer.from(
+  '425a683931415926535949dc4f630000018101a00000800008200020aa6d4198ba83c5dc'
+  + '914e1424127713d8c0',
+  'hex',
+);
+const runData = Buffer.alloc(1000, 'a');
+
+const {
+  checkHighWaterMark,
+  decompress,
+  decompressSync,
+} = makeDecompress(Bunzip2);
+
+describe('Bunzip2', () => {
+  it('decompresses data in a single write', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses data in 1-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(normalCompressed, 1), normalData);
+  });
+
+  it('decompresses multiple blocks in 7-byte writes', async () => {
+    assert.deepStrictEqual(
+      await decompress(multiBlockCompressed, 7),
+      multiBlockData,
+    );
+  });
+
+  it('decompresses runs', async () => {
+    assert.deepStrictEqual(await decompress(runCompressed, Infinity), runData);
+  });
+
+  it('decompresses empty stream', async () => {
+    assert.deepStrictEqual(
+      await decompress(emptyCompressed, Infinity),
+      Buffer.alloc(0),
+    );
+  });
+
+  it('decompresses concatenated streams', async () => {
+    assert.deepStrictEqual(
+      await decompress(
+        Buffer.concat([normalCompressed, emptyCompressed, runCompressed]),
+        5,
+      ),
+      Buffer.concat([normalData, runData]),
+    );
+  });
+
+  it('ignores trailing garbage', async () => {
+    const garbage = Buffer.from('garbage');
+    assert.deepStrictEqual(
+      await decompress(Buffer.concat([normalCompressed, garbage]), Infinity),
+      normalData,
+    );
+  });
+
+  it('does not count trailing garbage in bytesWritten', () => {
+    const bunzip2 = new Bunzip2();
+    bunzip2._processChunk(
+      Buffer.concat([normalCompressed, Buffer.from('garbage')]),
+      zlib.constants.Z_FINISH,
+    );
+    assert.strictEqual(bunzip2.bytesWritten, normalCompressed.length);
+  });
+
+  it('splits output into chunkSize pieces', async () => {
+    const bunzip2 = new Bunzip2({ chunkSize: 1024 });
+    const chunks = [];
+    bunzip2.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      bunzip2.on('error', reject);
+      bunzip2.on('end', resolve);
+      bunzip2.end(multiBlockCompressed);
+    });
+    assert(chunks.every((chunk) => chunk.length <= 1024));
+    assert.deepStrictEqual(Buffer.concat(chunks), multiBlockData);
+  });
+
+  it('honors highWaterMark', async () => {
+    await checkHighWaterMark(multiBlockCompressed, multiBlockData);
+  });
+
+  it('errors on invalid header', async () => {
+    await assert.rejects(
+      decompress(Buffer.from('BZh0'), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on truncated data', async () => {
+    await assert.rejects(
+      decompress(normalCompressed.subarray(0, -1), Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  // Truncated in the stream header, block header, block data, end-of-stream
+  // marker, and stream CRC
+  for (const length of [2, 4, 10, 20, 45, 51]) {
+    it(`errors on data truncated to ${length} bytes`, async () => {
+      await assert.rejects(
+        decompress(normalCompressed.subarray(0, length), Infinity),
+        { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+      );
+    });
+  }
+
+  it('errors on invalid block magic', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[4] = 0;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid block header' },
+    );
+  });
+
+  it('errors on randomized block', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // Randomized bit follows 4-byte stream header, block magic, and CRC
+    corrupt[14] |= 0x80; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'randomized blocks are not supported' },
+    );
+  });
+
+  it('errors on BWT origin pointer past end of block', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // 24-bit origin pointer follows the randomized bit
+    corrupt[15] = 0xFF;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid BWT origin pointer' },
+    );
+  });
+
+  it('errors on incorrect block CRC', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // Block CRC follows 4-byte stream header and 6-byte block magic
+    corrupt[10] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('errors on incorrect stream CRC', async () => {
+    const corrupt = Buffer.from(emptyCompressed);
+    corrupt[corrupt.length - 1] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('does not error on truncated data with Z_SYNC_FLUSH', async () => {
+    const truncated = Buffer.concat([
+      normalCompressed,
+      normalCompressed.subarray(0, 20),
+    ]);
+    assert.deepStrictEqual(
+      await decompress(
+        truncated,
+        Infinity,
+        { finishFlush: zlib.constants.Z_SYNC_FLUSH },
+      ),
+      normalData,
+    );
+  });
+
+  it('calls #flush() callback', (done) => {
+    const bunzip2 = new Bunzip2();
+    bunzip2.on('data', (chunk) => {
+      assert.deepStrictEqual(chunk, normalData);
+    });
+    bunzip2.write(normalCompressed);
+    bunzip2.flush(done);
+  });
+
+  it('can be #reset()', async () => {
+    const bunzip2 = new Bunzip2();
+    bunzip2.write(normalCompressed.subarray(0, 20));
+    bunzip2.reset();
+    const chunks = [];
+    bunzip2.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      bunzip2.on('error', reject);
+      bunzip2.on('end', resolve);
+      bunzip2.end(normalCompressed);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), normalData);
+  });
+
+  describe('#_processChunk()', () => {
+    it('decompresses synchronously', () => {
+      assert.deepStrictEqual(
+        decompressSync(multiBlockCompressed),
+        multiBlockData,
+      );
+    });
+
+    it('throws on truncated data with Z_FINISH', () => {
+      assert.throws(
+        () => decompressSync(normalCompressed.subarray(0, -1)),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('returns available data with Z_SYNC_FLUSH', () => {
+      const truncated = Buffer.concat([
+        normalCompressed,
+        runCompressed.subarray(0, 10),
+      ]);
+      assert.deepStrictEqual(
+        decompressSync(truncated, zlib.constants.Z_SYNC_FLUSH),
+        normalData,
+      );
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const {
+  mkdtemp,
+  readFile,
+  rm,
+  stat,
+  writeFile,
+} = require('node:fs/promises');
+const path = require('node:path');
+const { PassThrough } = require('node:stream');
+const zlib = require('node:zlib');
+
+const inflateAutoMain = require('../cli.js');
+const packageJson = require('../package.json');
+
+const data = Buffer.from('uncompressed data');
+/* eslint-disable n/no-sync */
+const gzipData = zlib.gzipSync(data);
+const deflateData = zlib.deflateSync(data);
+const deflateRawData = zlib.deflateRawSync(data);
+/* eslint-enable n/no-sync */
+
+const sharedArgs = ['node', 'inflate-auto'];
+
+/** Runs the command with given arguments and stdin, collecting output.
+ *
+ * @private
+ * @param {!Array<string>} args Arguments after the command name.
+ * @param {Buffer=} stdinData Data to write to stdin.
+ * @returns {!Promise<{exitCode: number, stdout: !Buffer, stderr: string}>}
+ * Promise for the exit code and data written to stdout and stderr.
+ */
+async function runMain(args, stdinData) {
+  const stdin = new PassThrough();
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  const stdoutChunks = [];
+  const stderrChunks = [];
+  stdout.on('data', (chunk) => { stdoutChunks.push(chunk); });
+  stderr.on('data', (chunk) => { stderrChunks.push(chunk); });
+  stdin.end(stdinData);
+  const exitCode = await inflateAutoMain(
+    [...sharedArgs, ...args],
+    { stdin, stdout, stderr },
+  );
+  return {
+    exitCode,
+    stdout: Buffer.concat(stdoutChunks),
+    stderr: Buffer.concat(stderrChunks).toString(),
+  };
+}
+
+/** Checks whether a file exists.
+ *
+ * @private
+ * @param {string} file Path of the file to check.
+ * @returns {!Promise<boolean>} Promise for whether <code>file</code>
+ * exists.
+ */
+async function exists(file) {
+  try {
+    await stat(file);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+
+    throw err;
+  }
+}
+
+describe('inflate-auto command', () => {
+  let tmpDir;
+  beforeEach(async () => {
+    tmpDir = await mkdtemp(path.join(__dirname, 'tmp', 'cli-'));
+  });
+  afterEach(async () => {
+    await rm(tmpDir, { recursive: true });
+  });
+
+  it('throws TypeError for non-Array args', async () => {
+    await assert.rejects(
+      inflateAutoMain(undefined, {}),
+      TypeError,
+    );
+  });
+
+  it('throws TypeError for missing stdin', async () => {
+    await assert.rejects(
+      inflateAutoMain(sharedArgs, { stdout: process.stdout }),
+      TypeError,
+    );
+  });
+
+  for (const helpOpt of ['--help', '-h']) {
+    it(`prints usage for ${helpOpt}`, async () => {
+      const result = await runMain([helpOpt]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stdout.toString(), /^Usage: inflate-auto/);
+      assert.strictEqual(result.stderr, '');
+    });
+  }
+
+  for (const versionOpt of ['--version', '-V']) {
+    it(`prints version for ${versionOpt}`, async () => {
+      const result = await runMain([versionOpt]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(result.stdout.toString(), `${packageJson.version}\n`);
+    });
+  }
+
+  it('exits with 2 for unknown option', async () => {
+    const result = await runMain(['--unknown']);
+    assert.strictEqual(result.exitCode, 2);
+    assert.match(result.stderr, /--unknown/);
+  });
+
+  it('exits with 2 for unknown format', async () => {
+    const result = await runMain(['--format', 'unknown']);
+    assert.strictEqual(result.exitCode, 2);
+    assert.match(result.stderr, /unknown/);
+  });
+
+  it('exits with 2 for empty suffix', async () => {
+    const result = await runMain(['--suffix', '']);
+    assert.strictEqual(result.exitCode, 2);
+  });
+
+  it('exits with 2 for --output with --stdout', async () => {
+    const result = await runMain(['--output', 'out', '--stdout']);
+    assert.strictEqual(result.exitCode, 2);
+  });
+
+  for (const [format, compressed] of [
+    ['gzip', gzipData],
+    ['zlib', deflateData],
+    ['deflate-raw', deflateRawData],
+  ]) {
+    it(`decompresses ${format} from stdin to stdout`, async () => {
+      const result = await runMain([], compressed);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(result.stdout, data);
+      assert.strictEqual(result.stderr, '');
+    });
+
+    it(`decompresses ${format} from - to stdout`, async () => {
+      const result = await runMain(['-'], compressed);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(result.stdout, data);
+    });
+
+    it(`prints ${format} for --detect-only`, async () => {
+      const result = await runMain(['--detect-only'], compressed);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(result.stdout.toString(), `${format}\n`);
+    });
+  }
+
+  it('decompresses as --format', async () => {
+    const result = await runMain(['--format', 'identity'], gzipData);
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual(result.stdout, gzipData);
+  });
+
+  it('prints --format for --detect-only', async () => {
+    const result = await runMain(
+      ['--detect-only', '--format', 'identity'],
+      gzipData,
+    );
+    assert.strictEqual(result.exitCode, 0);
+    assert.strictEqual(result.stdout.toString(), 'identity\n');
+  });
+
+  it('exits with 1 for invalid data', async () => {
+    const result = await runMain([], gzipData.subarray(0, -1));
+    assert.strictEqual(result.exitCode, 1);
+    assert.match(result.stderr, /^inflate-auto: stdin: /);
+  });
+
+  it('decompresses file and removes it', async () => {
+    const file = path.join(tmpDir, 'data.gz');
+    await writeFile(file, gzipData);
+    const result = await runMain([file]);
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual(result.stdout, Buffer.alloc(0));
+    assert.deepStrictEqual(await readFile(path.join(tmpDir, 'data')), data);
+    assert.strictEqual(await exists(file), false);
+  });
+
+  it('decompresses .tgz file to .tar', async () => {
+    const file = path.join(tmpDir, 'data.tgz');
+    await writeFile(file, gzipData);
+    const result = await runMain([file]);
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual(await readFile(path.join(tmpDir, 'data.tar')), data);
+  });
+
+  it('decompresses multiple files', async () => {
+    const file1 = path.join(tmpDir, 'data1.gz');
+    const file2 = path.join(tmpDir, 'data2.zz');
+    await writeFile(file1, gzipData);
+    await writeFile(file2, deflateData);
+    const result = await runMain([file1, file2]);
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual(await readFile(path.join(tmpDir, 'data1')), data);
+    assert.deepStrictEqual(await readFile(path.join(tmpDir, 'data2')), data);
+  });
+
+  for (const keepOpt of ['--keep', '-k']) {
+    it(`keeps file with ${keepOpt}`, async () => {
+      const file = path.join(tmpDir, 'data.gz');
+      await writeFile(file, gzipData);
+      const result = await runMain([keepOpt, file]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(await readFile(path.join(tmpDir, 'data')), data);
+      assert.deepStrictEqual(await readFile(file), gzipData);
+    });
+  }
+
+  it('strips --suffix', async () => {
+    const file = path.join(tmpDir, 'data.cmp');
+    await writeFile(file, gzipData);
+    const result = await runMain(['--suffix', '.cmp', file]);
+    assert.strictEqual(result.exitCode, 0);
+    assert.deepStrictEqual(await readFile(path.join(tmpDir, 'data')), data);
+  });
+
+  it('exits with 3 for unknown suffix', async () => {
+    const file = path.join(tmpDir, 'data.cmp');
+    await writeFile(file, gzipData);
+    const result = await runMain([file]);
+    assert.strictEqual(result.exitCode, 3);
+    assert.match(result.stderr, /unknown suffix/);
+    assert.deepStrictEqual(await readFile(file), gzipData);
+  });
+
+  it('exits with 3 for missing file', async () => {
+    const result = await runMain([path.join(tmpDir, 'missing.gz')]);
+    assert.strictEqual(result.exitCode, 3);
+    assert.match(result.stderr, /ENOENT/);
+  });
+
+  it('exits with 3 without overwriting existing file', async () => {
+    const file = path.join(tmpDir, 'data.gz');
+    const outFile = path.join(tmpDir, 'data');
+    await writeFile(file, gzipData);
+    await writeFile(outFile, 'existing');
+    const result = await runMain([file]);
+    assert.strictEqual(result.exitCode, 3);
+    assert.match(result.stderr, /EEXIST/);
+    assert.strictEqual(await readFile(outFile, 'utf8'), 'existing');
+    assert.deepStrictEqual(await readFile(file), gzipData);
+  });
+
+  for (const forceOpt of ['--force', '-f']) {
+    it(`overwrites existing file with ${forceOpt}`, async () => {
+      const file = path.join(tmpDir, 'data.gz');
+      const outFile = path.join(tmpDir, 'data');
+      await writeFile(file, gzipData);
+      await writeFile(outFile, 'existing');
+      const result = await runMain([forceOpt, file]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(await readFile(outFile), data);
+    });
+  }
+
+  it('exits with 1 and removes output for invalid file', async () => {
+    const file = path.join(tmpDir, 'data.gz');
+    await writeFile(file, gzipData.subarray(0, -1));
+    const result = await runMain([file]);
+    assert.strictEqual(result.exitCode, 1);
+    assert.match(result.stderr, new RegExp(`^inflate-auto: ${file}: `));
+    assert.strictEqual(await exists(path.join(tmpDir, 'data')), false);
+    assert.strictEqual(await exists(file), true);
+  });
+
+  it('continues after error in earlier file', async () => {
+    const file1 = path.join(tmpDir, 'missing.gz');
+    const file2 = path.join(tmpDir, 'data.gz');
+    await writeFile(file2, gzipData);
+    const result = await runMain([file1, file2]);
+    assert.strictEqual(result.exitCode, 3);
+    assert.deepStrictEqual(await readFile(path.join(tmpDir, 'data')), data);
+  });
+
+  for (const stdoutOpt of ['--stdout', '-c']) {
+    it(`writes file to stdout and keeps it with ${stdoutOpt}`, async () => {
+      const file = path.join(tmpDir, 'data.gz');
+      await writeFile(file, gzipData);
+      const result = await runMain([stdoutOpt, file, file]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(result.stdout, Buffer.concat([data, data]));
+      assert.deepStrictEqual(await readFile(file), gzipData);
+      assert.strictEqual(await exists(path.join(tmpDir, 'data')), false);
+    });
+  }
+
+  for (const outputOpt of ['--output', '-o']) {
+    it(`writes files to ${outputOpt} and keeps them`, async () => {
+      const file1 = path.join(tmpDir, 'data1.gz');
+      const file2 = path.join(tmpDir, 'data2.zz');
+      const outFile = path.join(tmpDir, 'out');
+      await writeFile(file1, gzipData);
+      await writeFile(file2, deflateData);
+      const result = await runMain([outputOpt, outFile, file1, file2]);
+      assert.strictEqual(result.exitCode, 0);
+      assert.deepStrictEqual(
+        await readFile(outFile),
+        Buffer.concat([data, data]),
+      );
+      assert.deepStrictEqual(await readFile(file1), gzipData);
+    });
+  }
+
+  it('exits with 3 for existing --output', async () => {
+    const outFile = path.join(tmpDir, 'out');
+    await writeFile(outFile, 'existing');
+    const result = await runMain(['--output', outFile], gzipData);
+    assert.strictEqual(result.exitCode, 3);
+    assert.strictEqual(await readFile(outFile, 'utf8'), 'existing');
+  });
+
+  it('prints format of each file for --detect-only', async () => {
+    const file1 = path.join(tmpDir, 'data1.gz');
+    const file2 = path.join(tmpDir, 'data2');
+    await writeFile(file1, gzipData);
+    await writeFile(file2, deflateData);
+    const result = await runMain(['--detect-only', file1, file2]);
+    assert.strictEqual(result.exitCode, 0);
+    assert.strictEqual(
+      result.stdout.toString(),
+      `${file1}: gzip\n${file2}: zlib\n`,
+    );
+    assert.deepStrictEqual(await readFile(file1), gzipData);
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const { crc32 } = require('../lib/checksums.js');
+const GunzipMembers = require('../lib/gunzip-members.js');
+
+const data1 = Buffer.from('first member data');
+const data2 = Buffer.from('second member data, '.repeat(20));
+/* eslint-disable n/no-sync */
+const member1 = zlib.gzipSync(data1);
+const member2 = zlib.gzipSync(data2);
+/* eslint-enable n/no-sync */
+const twoMembers = Buffer.concat([member1, member2]);
+
+function gunzipMembers(input, writeSize, opts) {
+  return new Promise((resolve, reject) => {
+    const gunzip = new GunzipMembers(opts);
+    const chunks = [];
+    const members = [];
+    gunzip.on('data', (chunk) => { chunks.push(chunk); });
+    gunzip.on('member', (member) => { members.push(member); });
+    gunzip.on('error', reject);
+    gunzip.on('end', () => resolve({ output: Buffer.concat(chunks), members }));
+    for (let i = 0; i < input.length; i += writeSize) {
+      gunzip.write(input.subarray(i, i + writeSize));
+    }
+    gunzip.end();
+  });
+}
+
+function checkTwoMembers({ output, members }) {
+  assert.deepStrictEqual(output, Buffer.concat([data1, data2]));
+  assert.strictEqual(members.length, 2);
+  assert.deepStrictEqual(
+    members.map(({ header, ...offsets }) => offsets),
+    [
+      {
+        compressedOffset: 0,
+        compressedLength: member1.length,
+        uncompressedOffset: 0,
+        uncompressedLength: data1.length,
+        crc: crc32(0, data1),
+        size: data1.length,
+      },
+      {
+        compressedOffset: member1.length,
+        compressedLength: member2.length,
+        uncompressedOffset: data1.length,
+        uncompressedLength: data2.length,
+        crc: crc32(0, data2),
+        size: data2.length,
+      },
+    ],
+  );
+  for (const { header } of members) {
+    assert.strictEqual(header.headerLength, 10);
+  }
+}
+
+describe('GunzipMembers', () => {
+  it('reports each member in a single write', async () => {
+    checkTwoMembers(await gunzipMembers(twoMembers, Infinity));
+  });
+
+  it('reports each member in 1-byte writes', async () => {
+    checkTwoMembers(await gunzipMembers(twoMembers, 1));
+  });
+
+  it('reports member with header fields', async () => {
+    // FNAME, OS 3
+    const header = Buffer.concat([
+      Buffer.from('1f8b0808000000000003', 'hex'),
+      Buffer.from('name.txt\0', 'latin1'),
+    ]);
+    const input = Buffer.concat([header, member1.subarray(10)]);
+    const { output, members } = await gunzipMembers(input, Infinity);
+    assert.deepStrictEqual(output, data1);
+    assert.strictEqual(members[0].header.name, 'name.txt');
+    assert.strictEqual(members[0].compressedLength, input.length);
+  });
+
+  it('ignores trailing non-gzip data', async () => {
+    const input = Buffer.concat([twoMembers, Buffer.from('trailing')]);
+    checkTwoMembers(await gunzipMembers(input, 3));
+  });
+
+  it('does not count trailing non-gzip data in bytesWritten', async () => {
+    const gunzip = new GunzipMembers();
+    gunzip.resume();
+    await new Promise((resolve, reject) => {
+      gunzip.on('error', reject);
+      gunzip.on('end', resolve);
+      gunzip.end(Buffer.concat([member1, Buffer.from('trailing')]));
+    });
+    assert.strictEqual(gunzip.bytesWritten, member1.length);
+  });
+
+  for (const trailing of ['1f9d90', '1f1e', '1f00', '1f']) {
+    for (const writeSize of [Infinity, 1]) {
+      it(
+        `ignores trailing ${trailing} in ${writeSize}-byte writes`,
+        async () => {
+          const gunzip = new GunzipMembers();
+          const chunks = [];
+          gunzip.on('data', (chunk) => { chunks.push(chunk); });
+          await new Promise((resolve, reject) => {
+            gunzip.on('error', reject);
+            gunzip.on('end', resolve);
+            const input =
+              Buffer.concat([member1, Buffer.from(trailing, 'hex')]);
+            for (let i = 0; i < input.length; i += writeSize) {
+              gunzip.write(input.subarray(i, i + writeSize));
+            }
+            gunzip.end();
+          });
+          assert.deepStrictEqual(Buffer.concat(chunks), data1);
+          assert.strictEqual(gunzip.bytesWritten, member1.length);
+        },
+      );
+    }
+  }
+
+  it('counts 0x1F in bytesWritten once it starts a member', async () => {
+    const gunzip = new GunzipMembers();
+    gunzip.resume();
+    await new Promise((resolve, reject) => {
+      gunzip.on('error', reject);
+      gunzip.write(twoMembers.subarray(0, member1.length + 1), (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+    assert.strictEqual(gunzip.bytesWritten, member1.length);
+    await new Promise((resolve, reject) => {
+      gunzip.on('error', reject);
+      gunzip.on('end', resolve);
+      gunzip.end(twoMembers.subarray(member1.length + 1));
+    });
+    assert.strictEqual(gunzip.bytesWritten, twoMembers.length);
+  });
+
+  it('emits error for invalid header of later member', async () => {
+    const input = Buffer.concat([member1, Buffer.from([0x1F, 0x8B, 7, 0])]);
+    await assert.rejects(
+      gunzipMembers(input, Infinity),
+      { code: 'Z_DATA_ERROR' },
+    );
+  });
+
+  it('emits error for incorrect trailer CRC', async () => {
+    const input = Buffer.from(member1);
+    input[input.length - 8] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      gunzipMembers(input, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('emits error for incorrect trailer ISIZE', async () => {
+    const input = Buffer.from(member1);
+    input[input.length - 4] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      gunzipMembers(input, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect length check' },
+    );
+  });
+
+  it('emits error for truncated trailer', async () => {
+    await assert.rejects(
+      gunzipMembers(member1.subarray(0, -1), Infinity),
+      { code: 'Z_BUF_ERROR' },
+    );
+  });
+
+  it('emits error for truncated data', async () => {
+    await assert.rejects(
+      gunzipMembers(member2.subarray(0, 20), Infinity),
+      { code: 'Z_BUF_ERROR' },
+    );
+  });
+
+  it('emits error for empty data', async () => {
+    await assert.rejects(
+      gunzipMembers(Buffer.alloc(0), Infinity),
+      { code: 'Z_BUF_ERROR' },
+    );
+  });
+
+  it('does not emit error for truncated data with Z_SYNC_FLUSH', async () => {
+    const { output, members } = await gunzipMembers(
+      member1.subarray(0, -1),
+      Infinity,
+      { finishFlush: zlib.constants.Z_SYNC_FLUSH },
+    );
+    assert.deepStrictEqual(output, data1);
+    assert.deepStrictEqual(members, []);
+  });
+
+  it('decodes data written before #flush()', async () => {
+    const gunzip = new GunzipMembers();
+    const chunks = [];
+    gunzip.on('data', (chunk) => { chunks.push(chunk); });
+    gunzip.write(member1.subarray(0, -8));
+    await new Promise((resolve) => { gunzip.flush(resolve); });
+    assert.deepStrictEqual(Buffer.concat(chunks), data1);
+    gunzip.destroy();
+  });
+
+  describe('#_processChunk()', () => {
+    const { Z_FINISH, Z_SYNC_FLUSH } = zlib.constants;
+
+    it('decodes complete data synchronously', () => {
+      const gunzip = new GunzipMembers();
+      const members = [];
+      gunzip.on('member', (member) => { members.push(member); });
+      const input = Buffer.concat([twoMembers, Buffer.from('trailing')]);
+      const output = gunzip._processChunk(input, Z_FINISH);
+      checkTwoMembers({ output, members });
+      assert.strictEqual(gunzip.bytesWritten, twoMembers.length);
+    });
+
+    it('ignores trailing 0x1F synchronously', () => {
+      const gunzip = new GunzipMembers();
+      const input = Buffer.concat([member1, Buffer.from([0x1F])]);
+      assert.deepStrictEqual(gunzip._processChunk(input, Z_FINISH), data1);
+      assert.strictEqual(gunzip.bytesWritten, member1.length);
+    });
+
+    it('throws for truncated data with Z_FINISH', () => {
+      assert.throws(
+        () => new GunzipMembers()._processChunk(
+          member1.subarray(0, -1),
+          Z_FINISH,
+        ),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('decodes truncated data with Z_SYNC_FLUSH', () => {
+      assert.deepStrictEqual(
+        new GunzipMembers()._processChunk(
+          member1.subarray(0, -8),
+          Z_SYNC_FLUSH,
+        ),
+        data1,
+      );
+    });
+
+    it('throws for synchronous write after previous write', () => {
+      const gunzip = new GunzipMembers();
+      gunzip._processChunk(member1.subarray(0, -8), Z_SYNC_FLUSH);
+      assert.throws(
+        () => gunzip._processChunk(member1.subarray(-8), Z_FINISH),
+        { code: 'ERR_SYNC_NOT_SUPPORTED' },
+      );
+    });
+  });
+
+  it('can be #reset()', async () => {
+    const gunzip = new GunzipMembers();
+    const chunks = [];
+    gunzip.on('data', (chunk) => { chunks.push(chunk); });
+    gunzip.write(member2.subarray(0, 20));
+    await new Promise((resolve) => { gunzip.flush(resolve); });
+    gunzip.reset();
+    chunks.length = 0;
+    const members = [];
+    gunzip.on('member', (member) => { members.push(member); });
+    await new Promise((resolve, reject) => {
+      gunzip.on('error', reject);
+      gunzip.on('end', resolve);
+      gunzip.end(member1);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), data1);
+    assert.strictEqual(members.length, 1);
+    assert.strictEqual(members[0].compressedOffset, 0);
+  });
+});
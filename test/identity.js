@@ -0,0 +1,95 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const Identity = require('../lib/identity.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+const data = Buffer.from('uncompressed data');
+const { checkHighWaterMark } = makeDecompress(Identity);
+
+function passThrough(input, writeSize, opts) {
+  return new Promise((resolve, reject) => {
+    const identity = new Identity(opts);
+    const chunks = [];
+    identity.on('data', (chunk) => { chunks.push(chunk); });
+    identity.on('error', reject);
+    identity.on('end', () => resolve(chunks));
+    for (let i = 0; i < input.length; i += writeSize) {
+      identity.write(input.subarray(i, i + writeSize));
+    }
+    identity.end();
+  });
+}
+
+describe('Identity', () => {
+  it('passes through data in a single write', async () => {
+    const chunks = await passThrough(data, Infinity);
+    assert.deepStrictEqual(Buffer.concat(chunks), data);
+  });
+
+  it('passes through data in 1-byte writes', async () => {
+    const chunks = await passThrough(data, 1);
+    assert.deepStrictEqual(Buffer.concat(chunks), data);
+  });
+
+  it('passes through empty data', async () => {
+    const chunks = await passThrough(Buffer.alloc(0), 1);
+    assert.deepStrictEqual(chunks, []);
+  });
+
+  it('splits output into chunkSize pieces', async () => {
+    const input = Buffer.alloc(4096, 'a');
+    const chunks = await passThrough(input, Infinity, { chunkSize: 1024 });
+    assert(chunks.every((chunk) => chunk.length <= 1024));
+    assert.deepStrictEqual(Buffer.concat(chunks), input);
+  });
+
+  it('honors highWaterMark', async () => {
+    const input = Buffer.alloc(4096, 'a');
+    await checkHighWaterMark(input, input);
+  });
+
+  it('can be #reset()', async () => {
+    const identity = new Identity();
+    const chunks = [];
+    identity.on('data', (chunk) => { chunks.push(chunk); });
+    identity.reset();
+    await new Promise((resolve, reject) => {
+      identity.on('error', reject);
+      identity.on('end', resolve);
+      identity.end(data);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), data);
+  });
+
+  describe('#_processChunk()', () => {
+    it('passes through data synchronously', () => {
+      assert.deepStrictEqual(
+        new Identity()._processChunk(data, zlib.constants.Z_FINISH),
+        data,
+      );
+    });
+
+    it('passes through empty data with Z_FINISH', () => {
+      assert.deepStrictEqual(
+        new Identity()._processChunk(Buffer.alloc(0), zlib.constants.Z_FINISH),
+        Buffer.alloc(0),
+      );
+    });
+
+    it('throws ERR_BUFFER_TOO_LARGE when exceeding maxOutputLength', () => {
+      assert.throws(
+        () => new Identity({ maxOutputLength: 10 })
+          ._processChunk(data, zlib.constants.Z_FINISH),
+        { name: 'RangeError', code: 'ERR_BUFFER_TOO_LARGE' },
+      );
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const InflateAuto = require('../index.js');
+const InflateAutoStream = require('../lib/inflate-auto-stream.js');
+
+const data = Buffer.from('uncompressed data');
+/* eslint-disable n/no-sync */
+const compressedData = {
+  deflate: zlib.deflateSync(data),
+  'deflate-raw': zlib.deflateRawSync(data),
+  gzip: zlib.gzipSync(data),
+};
+/* eslint-enable n/no-sync */
+
+/** Decompresses data using a web TransformStream-like object.
+ *
+ * @private
+ * @param {!{readable: !ReadableStream, writable: !WritableStream}} transform
+ * Object with readable and writable web streams.
+ * @param {!Buffer} compressed Compressed data.
+ * @returns {!Promise<!Buffer>} Promise for the decompressed data.
+ */
+async function decompressWeb(transform, compressed) {
+  const readable = new Blob([compressed]).stream().pipeThrough(transform);
+  return Buffer.from(await new Response(readable).arrayBuffer());
+}
+
+describe('InflateAutoStream', () => {
+  it('is exported as InflateAuto.InflateAutoStream', () => {
+    assert.strictEqual(InflateAuto.InflateAutoStream, InflateAutoStream);
+  });
+
+  it('has readable and writable web streams', () => {
+    const inflateAutoStream = new InflateAutoStream();
+    assert(inflateAutoStream.readable instanceof ReadableStream);
+    assert(inflateAutoStream.writable instanceof WritableStream);
+  });
+
+  for (const [format, compressed] of Object.entries(compressedData)) {
+    it(`decompresses ${format} data with default format`, async () => {
+      assert.deepStrictEqual(
+        await decompressWeb(new InflateAutoStream(), compressed),
+        data,
+      );
+    });
+
+    // Raw DEFLATE has no header, so it is decoded as the hinted format.
+    const hints = format === 'deflate-raw' ? ['auto', format]
+      : ['auto', 'deflate', 'deflate-raw', 'gzip'];
+    for (const hint of hints) {
+      it(`decompresses ${format} data with ${hint} hint`, async () => {
+        assert.deepStrictEqual(
+          await decompressWeb(new InflateAutoStream(hint), compressed),
+          data,
+        );
+      });
+    }
+
+    it(`matches DecompressionStream for ${format} data`, async () => {
+      assert.deepStrictEqual(
+        await decompressWeb(new InflateAutoStream(format), compressed),
+        await decompressWeb(new DecompressionStream(format), compressed),
+      );
+    });
+  }
+
+  it('uses hint for data not matching any detector', async () => {
+    await assert.rejects(
+      decompressWeb(new InflateAutoStream('gzip'), data),
+      { code: 'Z_DATA_ERROR' },
+    );
+  });
+
+  it('passes options to InflateAuto', async () => {
+    assert.deepStrictEqual(
+      await decompressWeb(
+        new InflateAutoStream('auto', { defaultFormat: InflateAuto.Identity }),
+        data,
+      ),
+      data,
+    );
+  });
+
+  it('prefers defaultFormat option to hint', async () => {
+    assert.deepStrictEqual(
+      await decompressWeb(
+        new InflateAutoStream('gzip', { defaultFormat: InflateAuto.Identity }),
+        data,
+      ),
+      data,
+    );
+  });
+
+  for (const format of ['brotli', 'GZIP', 1]) {
+    it(`throws TypeError for format ${format}`, () => {
+      assert.throws(
+        () => new InflateAutoStream(format),
+        { name: 'TypeError', code: 'ERR_INVALID_ARG_VALUE' },
+      );
+    });
+  }
+});
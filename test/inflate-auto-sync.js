@@ -0,0 +1,321 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+// Synchronous decompression is the purpose of InflateAutoSync
+/* eslint-disable n/no-sync */
+
+const assert = require('node:assert');
+const { createHash } = require('node:crypto');
+const { inspect } = require('node:util');
+const zlib = require('node:zlib');
+
+const InflateAuto = require('../index.js');
+const InflateAutoSync = require('../lib/inflate-auto-sync.js');
+const CountingInflate = require('../test-lib/counting-inflate.js');
+
+const data = Buffer.from('uncompressed data, '.repeat(100));
+const formats = [
+  { Decompress: zlib.Gunzip, compressed: zlib.gzipSync(data) },
+  { Decompress: zlib.Inflate, compressed: zlib.deflateSync(data) },
+  { Decompress: zlib.InflateRaw, compressed: zlib.deflateRawSync(data) },
+  {
+    Decompress: zlib.BrotliDecompress,
+    compressed: zlib.brotliCompressSync(data),
+    opts: { detectors: [InflateAuto.detectors.detectBrotli] },
+  },
+  {
+    Decompress: InflateAuto.Bunzip2,
+    // printf 'uncompressed data, %.0s' {1..100} | bzip2 -9
+    compressed: Buffer.from(
+      '425a68393141592653597afdb0400003b5918040042e03de00200070400000a55460'
+      + '0f51a917f22d08b08b422e48b822dc8b08b08bc22f48bc22c22f48b722e48b08ba22'
+      + 'f85dc914e14241ebf6c100',
+      'hex',
+    ),
+    opts: { detectors: [InflateAuto.detectors.detectBzip2] },
+  },
+  {
+    Decompress: InflateAuto.Unxz,
+    // printf 'uncompressed data, %.0s' {1..100} | xz
+    compressed: Buffer.from(
+      'fd377a585a000004e6d6b44604c02cec0e21011600000000000000009ff07ff1e007'
+      + '6b00245d003a9b888e2665a766c3b83beafecdfd4b05c97384ee0b741791da3314b0'
+      + '2472cbc04d0400001f20b9b83ad22e19000148ec0e0000003101a52db1c467fb0200'
+      + '00000004595a',
+      'hex',
+    ),
+    opts: { detectors: [InflateAuto.detectors.detectXz] },
+  },
+  {
+    Decompress: InflateAuto.Unlz4,
+    // printf 'uncompressed data, %.0s' {1..100} | lz4 -c
+    compressed: Buffer.from(
+      '04224d186440a725000000ff04756e636f6d7072657373656420646174612c201300'
+      + 'ffffffffffffff48506174612c2000000000662c45fc',
+      'hex',
+    ),
+    opts: { detectors: [InflateAuto.detectors.detectLz4] },
+  },
+];
+
+// Data which does not compress well, so the compressed data spans many pushes
+const largeData = Buffer.from(
+  Array.from(
+    { length: 2000 },
+    (_, i) => createHash('sha256').update(String(i)).digest('hex'),
+  ).join(''),
+);
+
+/** Decompresses data in chunks with InflateAutoSync.
+ *
+ * @private
+ * @param {!Buffer} compressed Compressed data.
+ * @param {number} pushSize Size of each pushed chunk.
+ * @param {object=} opts Options for InflateAutoSync.
+ * @returns {!{output: !Buffer, inflateAutoSync: !InflateAutoSync}}
+ * Decompressed data and the instance which decompressed it.
+ */
+function inflateSync(compressed, pushSize, opts) {
+  const inflateAutoSync = new InflateAutoSync(opts);
+  const output = [];
+  for (let i = 0; i < compressed.length; i += pushSize) {
+    output.push(...inflateAutoSync.push(compressed.subarray(i, i + pushSize)));
+  }
+  output.push(...inflateAutoSync.finish());
+  return { output: Buffer.concat(output), inflateAutoSync };
+}
+
+describe('InflateAutoSync', () => {
+  it('is exported as InflateAuto.InflateAutoSync', () => {
+    assert.strictEqual(InflateAuto.InflateAutoSync, InflateAutoSync);
+  });
+
+  for (const { Decompress, compressed, opts } of formats) {
+    for (const pushSize of [Infinity, 7, 1]) {
+      it(`decodes ${Decompress.name} in ${pushSize}-byte pushes`, () => {
+        const { output, inflateAutoSync } =
+          inflateSync(compressed, pushSize, opts);
+        assert.deepStrictEqual(output, data);
+        assert.strictEqual(inflateAutoSync.getFormat(), Decompress);
+      });
+    }
+  }
+
+  for (const pushSize of [Infinity, 4096, 7]) {
+    it(`decodes large BrotliDecompress in ${pushSize}-byte pushes`, () => {
+      const { output, inflateAutoSync } = inflateSync(
+        zlib.brotliCompressSync(largeData),
+        pushSize,
+        { detectors: [InflateAuto.detectors.detectBrotli] },
+      );
+      assert.deepStrictEqual(output, largeData);
+      assert.strictEqual(
+        inflateAutoSync.getFormat(),
+        zlib.BrotliDecompress,
+      );
+    });
+  }
+
+  it('decodes BrotliDecompress output from each push', () => {
+    const compressed = zlib.brotliCompressSync(largeData);
+    const inflateAutoSync = new InflateAutoSync({
+      detectors: [InflateAuto.detectors.detectBrotli],
+    });
+    const half = compressed.length / 2;
+    const output = inflateAutoSync.push(compressed.subarray(0, half));
+    assert(Buffer.concat(output).length > 0);
+    output.push(
+      ...inflateAutoSync.push(compressed.subarray(half)),
+      ...inflateAutoSync.finish(),
+    );
+    assert.deepStrictEqual(Buffer.concat(output), largeData);
+  });
+
+  it('decodes each chunk once the format is detected', () => {
+    const { compressed } = formats[0];
+    const inflateAutoSync = new InflateAutoSync();
+    assert.deepStrictEqual(inflateAutoSync.push(compressed.subarray(0, 1)), []);
+    assert.strictEqual(inflateAutoSync.getFormat(), null);
+    const output = inflateAutoSync.push(compressed.subarray(1, -8));
+    assert.strictEqual(inflateAutoSync.getFormat(), zlib.Gunzip);
+    assert.deepStrictEqual(Buffer.concat(output), data);
+    assert.deepStrictEqual(inflateAutoSync.push(compressed.subarray(-8)), []);
+    assert.deepStrictEqual(inflateAutoSync.finish(), []);
+  });
+
+  it('parses the header', () => {
+    const { inflateAutoSync } = inflateSync(formats[0].compressed, 3);
+    assert.strictEqual(inflateAutoSync.getHeader().headerLength, 10);
+  });
+
+  it('decodes Decompressor formats', () => {
+    const { output, inflateAutoSync } = inflateSync(
+      data,
+      5,
+      { defaultFormat: InflateAuto.Identity },
+    );
+    assert.deepStrictEqual(output, data);
+    assert.strictEqual(inflateAutoSync.getFormat(), InflateAuto.Identity);
+  });
+
+  it('chooses format in finish() for undetected data', () => {
+    const { output, inflateAutoSync } = inflateSync(
+      data,
+      5,
+      { defaultFormat: InflateAuto.Identity, detectors: [() => undefined] },
+    );
+    assert.strictEqual(inflateAutoSync.getFormat(), InflateAuto.Identity);
+    assert.deepStrictEqual(output, data);
+  });
+
+  it('throws from finish() for empty data', () => {
+    assert.throws(
+      () => new InflateAutoSync().finish(),
+      { code: 'Z_BUF_ERROR' },
+    );
+  });
+
+  it('accepts Uint8Array chunks', () => {
+    const { compressed } = formats[1];
+    const inflateAutoSync = new InflateAutoSync();
+    const output = [
+      ...inflateAutoSync.push(new Uint8Array(compressed)),
+      ...inflateAutoSync.finish(),
+    ];
+    assert.deepStrictEqual(Buffer.concat(output), data);
+  });
+
+  it('throws for invalid data', () => {
+    const compressed = Buffer.from(formats[0].compressed);
+    compressed[20] ^= 0xFF; // eslint-disable-line no-bitwise
+    const inflateAutoSync = new InflateAutoSync();
+    assert.throws(
+      () => inflateAutoSync.push(compressed),
+      { code: 'Z_DATA_ERROR' },
+    );
+  });
+
+  it('throws from finish() for truncated data', () => {
+    assert.throws(
+      () => inflateSync(formats[0].compressed.subarray(0, -1), 5),
+      { code: 'Z_BUF_ERROR' },
+    );
+  });
+
+  it('does not throw for truncated data with Z_SYNC_FLUSH', () => {
+    const { output } = inflateSync(
+      formats[0].compressed.subarray(0, -8),
+      5,
+      { finishFlush: zlib.constants.Z_SYNC_FLUSH },
+    );
+    assert.deepStrictEqual(output, data);
+  });
+
+  it('throws when exceeding maxOutputLength', () => {
+    assert.throws(
+      () => inflateSync(formats[0].compressed, 5, { maxOutputLength: 10 }),
+      { code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT' },
+    );
+  });
+
+  it('stops push() soon after exceeding maxOutputLength', () => {
+    // 16 MiB of zeros, compressed about 1000:1
+    const bomb = zlib.deflateSync(Buffer.alloc(16 * 1024 * 1024));
+    const inflateAutoSync = new InflateAutoSync({
+      detectors: [() => CountingInflate],
+      maxOutputLength: 1024,
+    });
+    CountingInflate.outputLength = 0;
+    assert.throws(
+      () => inflateAutoSync.push(bomb),
+      { code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT', option: 'maxOutputLength' },
+    );
+    // At most one output buffer past the limit is decompressed
+    assert(
+      CountingInflate.outputLength <= 1024 + zlib.constants.Z_DEFAULT_CHUNK,
+      `${CountingInflate.outputLength} bytes decompressed`,
+    );
+  });
+
+  it('throws for push() after finish()', () => {
+    const inflateAutoSync = new InflateAutoSync({
+      defaultFormat: InflateAuto.Identity,
+    });
+    inflateAutoSync.finish();
+    assert.throws(
+      () => inflateAutoSync.push(Buffer.alloc(1)),
+      { code: 'ERR_STREAM_WRITE_AFTER_END' },
+    );
+  });
+
+  it('throws for finish() after finish()', () => {
+    const inflateAutoSync = new InflateAutoSync({
+      defaultFormat: InflateAuto.Identity,
+    });
+    inflateAutoSync.finish();
+    assert.throws(
+      () => inflateAutoSync.finish(),
+      { code: 'ERR_STREAM_WRITE_AFTER_END' },
+    );
+  });
+
+  it('throws for push() after close()', () => {
+    const inflateAutoSync = new InflateAutoSync();
+    inflateAutoSync.push(formats[0].compressed.subarray(0, 20));
+    inflateAutoSync.close();
+    assert.throws(
+      () => inflateAutoSync.push(formats[0].compressed.subarray(20)),
+      { code: 'ERR_STREAM_WRITE_AFTER_END' },
+    );
+  });
+
+  it('can close() after push() throws', () => {
+    const inflateAutoSync = new InflateAutoSync({ maxOutputLength: 10 });
+    assert.throws(
+      () => inflateAutoSync.push(formats[0].compressed),
+      { code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT' },
+    );
+    inflateAutoSync.close();
+    inflateAutoSync.close();
+  });
+
+  const unsupportedOptions = [
+    { multiFormat: true },
+    { members: 'split' },
+    { trailingData: 'ignore' },
+    { trailingData: 'error' },
+    { trailingData: 'emit' },
+  ];
+  for (const opts of unsupportedOptions) {
+    const [[option, value]] = Object.entries(opts);
+    it(`throws TypeError for ${option}: ${inspect(value)}`, () => {
+      assert.throws(
+        () => new InflateAutoSync(opts),
+        {
+          name: 'TypeError',
+          code: 'ERR_INVALID_ARG_VALUE',
+          message: new RegExp(`'opts\\.${option}' is not supported`),
+        },
+      );
+    });
+  }
+
+  it('ignores data after zlib data, as by zlib', () => {
+    const { output } = inflateSync(
+      Buffer.concat([formats[1].compressed, Buffer.from('trailing')]),
+      5,
+    );
+    assert.deepStrictEqual(output, data);
+  });
+
+  it('throws TypeError for non-Buffer chunk', () => {
+    assert.throws(
+      () => new InflateAutoSync().push('data'),
+      { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' },
+    );
+  });
+});
@@ -8,6 +8,7 @@
 'use strict';
 
 const assert = require('node:assert');
+const { createHash } = require('node:crypto');
 const stream = require('node:stream');
 const { inspect, promisify } = require('node:util');
 const zlib = require('node:zlib');
@@ -17,7 +18,9 @@ const streamCompare = require('stream-compare');
 // https://github.com/import-js/eslint-plugin-import/issues/2844
 // eslint-disable-next-line import/extensions
 const InflateAuto = require('..');
+const { crc32 } = require('../lib/checksums.js');
 const assertErrorEqual = require('../test-lib/assert-error-equal.js');
+const CountingInflate = require('../test-lib/counting-inflate.js');
 
 const { AssertionError } = assert;
 const nodeVersion = process.version.slice(1).split('.').map(Number);
@@ -400,6 +403,155 @@ function assertWriteError(writable, chunk, assertError) {
  *
  * @private
  */
+/** Creates a detector which returns a format with a given confidence.
+ *
+ * @private
+ * @param {function(new:module:stream.Duplex, object=)} format Format.
+ * @param {number} confidence Confidence.
+ * @returns {!InflateAuto.FormatDetector} Detector.
+ */
+function likely(format, confidence) {
+  return () => ({ format, confidence });
+}
+
+/** Format detector which never decides.
+ *
+ * @private
+ * @returns {undefined} Always undecided.
+ */
+function undecided() {
+  return undefined;
+}
+
+/** Writes chunks to a stream, waiting for each write to complete.
+ *
+ * @private
+ * @param {!module:stream.Writable} writable Stream to write to.
+ * @param {!Array<!Buffer>} chunks Chunks to write.
+ * @returns {!Promise} Promise for completion of the writes.
+ */
+function writeAll(writable, chunks) {
+  return chunks.reduce(
+    (prev, chunk) => prev.then(() => new Promise((resolve) => {
+      writable.write(chunk, resolve);
+    })),
+    Promise.resolve(),
+  );
+}
+
+/** Generates chunks of data asynchronously.
+ *
+ * @private
+ * @param {!Buffer} data Data to divide into chunks.
+ * @param {number} size Size of each chunk.
+ * @yields {!Buffer} Chunk of data.
+ */
+async function* generateChunks(data, size) {
+  for (let i = 0; i < data.length; i += size) {
+    yield data.subarray(i, i + size);
+  }
+}
+
+/** Collects chunks from an async iterable.
+ *
+ * @private
+ * @param {!object} iterable Async iterable of chunks to collect.
+ * @returns {!Promise<!Buffer>} Promise for the concatenated chunks.
+ */
+async function collect(iterable) {
+  return Buffer.concat(await stream.Readable.from(iterable).toArray());
+}
+
+/** Inflates data, recording 'header' and 'data' events.
+ *
+ * @private
+ * @param {!Buffer} compressed Compressed data to write.
+ * @param {number} writeSize Size of each write.
+ * @param {object=} opts Options for InflateAuto.
+ * @returns {!Promise<{events: !Array, header: object}>} Promise for the
+ * events emitted and the header after the data has ended.
+ */
+function inflateWithHeader(compressed, writeSize, opts) {
+  return new Promise((resolve, reject) => {
+    const inflateAuto = new InflateAuto(opts);
+    const events = [];
+    inflateAuto.on('header', (header) => { events.push(header); });
+    inflateAuto.on('data', () => { events.push('data'); });
+    inflateAuto.on('error', reject);
+    inflateAuto.on('end', () => {
+      resolve({ events, header: inflateAuto.getHeader() });
+    });
+    for (let i = 0; i < compressed.length; i += writeSize) {
+      inflateAuto.write(compressed.subarray(i, i + writeSize));
+    }
+    inflateAuto.end();
+  });
+}
+
+/** Inflates data, recording the output and the formats detected.
+ *
+ * @private
+ * @param {!Buffer} compressed Compressed data to write.
+ * @param {number} writeSize Size of each write.
+ * @param {object=} opts Options for InflateAuto.
+ * @returns {!Promise<{
+ *   output: !Buffer,
+ *   formats: !Array<function(new:module:stream.Duplex)>
+ * }>} Promise for the output and the constructor of each format detected.
+ */
+function inflateWithFormats(compressed, writeSize, opts) {
+  return new Promise((resolve, reject) => {
+    const inflateAuto = new InflateAuto(opts);
+    const chunks = [];
+    const formats = [];
+    inflateAuto.on('format', (format) => { formats.push(format.constructor); });
+    inflateAuto.on('data', (chunk) => { chunks.push(chunk); });
+    inflateAuto.on('error', reject);
+    inflateAuto.on('end', () => {
+      resolve({ output: Buffer.concat(chunks), formats });
+    });
+    for (let i = 0; i < compressed.length; i += writeSize) {
+      inflateAuto.write(compressed.subarray(i, i + writeSize));
+    }
+    inflateAuto.end();
+  });
+}
+
+/** Inflates data, recording the output and any 'trailing' events.
+ *
+ * @private
+ * @param {!Buffer} compressed Compressed data to write.
+ * @param {number} writeSize Size of each write.
+ * @param {object=} opts Options for InflateAuto.
+ * @returns {!Promise<{
+ *   output: !Buffer,
+ *   trailing: !Array<!Buffer>,
+ *   trailingData: Buffer
+ * }>} Promise for the output, the data of each 'trailing' event, and the
+ * trailingData property after the data has ended.
+ */
+function inflateWithTrailing(compressed, writeSize, opts) {
+  return new Promise((resolve, reject) => {
+    const inflateAuto = new InflateAuto(opts);
+    const chunks = [];
+    const trailing = [];
+    inflateAuto.on('data', (chunk) => { chunks.push(chunk); });
+    inflateAuto.on('trailing', (data) => { trailing.push(data); });
+    inflateAuto.on('error', reject);
+    inflateAuto.on('end', () => {
+      resolve({
+        output: Buffer.concat(chunks),
+        trailing,
+        trailingData: inflateAuto.trailingData,
+      });
+    });
+    for (let i = 0; i < compressed.length; i += writeSize) {
+      inflateAuto.write(compressed.subarray(i, i + writeSize));
+    }
+    inflateAuto.end();
+  });
+}
+
 function defineFormatTests(format) {
   const emptyCompressed = format.dataCompressed.empty;
   const largeCompressed = format.dataCompressed.large;
@@ -979,9 +1131,26 @@ function defineFormatTests(format) {
       return result;
     });
 
-    it('handles missing dictionary', () => {
-      const zlibStream = new Decompress();
-      const inflateAuto = new InflateAuto();
+    if (Decompress === zlib.Inflate) {
+      it('handles dictionary from dictionaryResolver', () => {
+        const dictId = compressedWithDict.readUInt32BE(2);
+        const zlibStream = new Decompress({ dictionary: uncompressed });
+        const inflateAuto = new InflateAuto({
+          dictionaryResolver: (id) => (id === dictId ? uncompressed : null),
+        });
+        const result = streamCompare(inflateAuto, zlibStream, COMPARE_OPTIONS);
+        zlibStream.end(compressedWithDict);
+        inflateAuto.end(compressedWithDict);
+        result.checkpoint();
+        return result;
+      });
+    }
+
+    it('treats data with missing dictionary as default format', () => {
+      const zlibStream = new zlib.InflateRaw();
+      const inflateAuto = new InflateAuto({
+        dictionaryResolver: () => null,
+      });
       const result = streamCompare(inflateAuto, zlibStream, COMPARE_OPTIONS);
       zlibStream.end(compressedWithDict);
       inflateAuto.end(compressedWithDict);
@@ -2268,6 +2437,34 @@ describe('InflateAuto', () => {
     );
   });
 
+  it('throws TypeError for non-function dictionaryResolver', () => {
+    assert.throws(
+      // eslint-disable-next-line no-new
+      () => { new InflateAuto({ dictionaryResolver: true }); },
+      TypeError,
+    );
+  });
+
+  for (const opts of [
+    { trailingData: 'keep' },
+    { trailingData: true },
+    { members: 'join' },
+    { members: true },
+  ]) {
+    const [[option, value]] = Object.entries(opts);
+    it(`throws TypeError for ${option}: ${inspect(value)}`, () => {
+      assert.throws(
+        // eslint-disable-next-line no-new
+        () => { new InflateAuto(opts); },
+        {
+          name: 'TypeError',
+          code: 'ERR_INVALID_ARG_VALUE',
+          message: new RegExp(`^The property 'opts\\.${option}' must `),
+        },
+      );
+    });
+  }
+
   it('throws TypeError for non-function defaultFormat', () => {
     assert.throws(
       // eslint-disable-next-line no-new
@@ -2286,54 +2483,1891 @@ describe('InflateAuto', () => {
     });
   });
 
-  it('emits error for format detection error in _transform', () => {
-    const inflateAuto = new InflateAuto({ defaultFormat: null });
-    const zeros = Buffer.alloc(10);
-    return assertWriteError(inflateAuto, zeros, (err) => {
-      assert(err, 'expected format error');
-      assert(/format/i.test(err.message));
-      assert.deepStrictEqual(err.data, zeros);
+  describe('#getHeader()', () => {
+    /* eslint-disable n/no-sync */
+    const data = Buffer.from('header test data');
+    const gzipBody = zlib.gzipSync(data).subarray(10);
+    const gzipHeader = Buffer.concat([
+      // FHCRC, FEXTRA, FNAME, FCOMMENT, MTIME 0x5F5E1000, XFL 2, OS 3
+      Buffer.from('1f8b081e00105e5f0203', 'hex'),
+      // BGZF-style 'BC' subfield
+      Buffer.from('0600424302001b00', 'hex'),
+      Buffer.from('file.txt\0a comment\0'),
+    ]);
+    const headerCrc = Buffer.alloc(2);
+    // eslint-disable-next-line no-bitwise
+    headerCrc.writeUInt16LE(crc32(0, gzipHeader) & 0xFFFF);
+    const gzipCompressed = Buffer.concat([gzipHeader, headerCrc, gzipBody]);
+
+    it('returns undefined before data is written', () => {
+      assert.strictEqual(new InflateAuto().getHeader(), undefined);
+    });
+
+    it('emits gzip header before data', async () => {
+      const { events, header } = await inflateWithHeader(gzipCompressed, 3);
+      assert.deepStrictEqual(events[0], header);
+      assert.strictEqual(events[1], 'data');
+      assert.deepStrictEqual(header, {
+        text: false,
+        mtime: 0x5F5E1000,
+        extraFlags: 2,
+        os: 3,
+        extra: Buffer.from('424302001b00', 'hex'),
+        extraFields: [{ id: 'BC', data: Buffer.from('1b00', 'hex') }],
+        name: 'file.txt',
+        comment: 'a comment',
+        headerCrc: headerCrc.readUInt16LE(0),
+        headerLength: gzipHeader.length + 2,
+      });
+    });
+
+    it('parses gzip header without optional fields', async () => {
+      const compressed = zlib.gzipSync(data);
+      const { header } = await inflateWithHeader(compressed, Infinity);
+      assert.strictEqual(header.name, undefined);
+      assert.strictEqual(header.extra, undefined);
+      assert.strictEqual(header.headerLength, 10);
+    });
+
+    it('parses zlib header', async () => {
+      const compressed = zlib.deflateSync(data, { level: 9, windowBits: 10 });
+      const { events, header } = await inflateWithHeader(compressed, 1);
+      assert.deepStrictEqual(events[0], header);
+      assert.strictEqual(events[1], 'data');
+      assert.deepStrictEqual(header, {
+        windowSize: 1024,
+        level: 3,
+        dictionaryId: undefined,
+        headerLength: 2,
+      });
+    });
+
+    it('parses zlib header with dictionary ID', async () => {
+      const compressed = zlib.deflateSync(data, { dictionary: data });
+      const { header } = await inflateWithHeader(
+        compressed,
+        Infinity,
+        { dictionary: data },
+      );
+      assert.strictEqual(header.dictionaryId, compressed.readUInt32BE(2));
+      assert.strictEqual(header.headerLength, 6);
+    });
+
+    it('does not emit header for raw DEFLATE', async () => {
+      const compressed = zlib.deflateRawSync(data);
+      const { events, header } = await inflateWithHeader(compressed, Infinity);
+      assert.deepStrictEqual(events, ['data']);
+      assert.strictEqual(header, undefined);
+    });
+
+    it('parses header from _processChunk', () => {
+      const inflateAuto = new InflateAuto();
+      const result = inflateAuto._processChunk(
+        gzipCompressed,
+        zlib.constants.Z_FINISH,
+      );
+      assert.deepStrictEqual(result, data);
+      assert.strictEqual(inflateAuto.getHeader().name, 'file.txt');
+    });
+
+    it('parses header again after #reset()', async () => {
+      const inflateAuto = new InflateAuto();
+      await writeAll(inflateAuto, [gzipCompressed.subarray(0, 45)]);
+      assert.strictEqual(inflateAuto.getHeader().name, 'file.txt');
+      inflateAuto.reset();
+      assert.strictEqual(inflateAuto.getHeader(), undefined);
+      const headers = [];
+      inflateAuto.on('header', (header) => { headers.push(header); });
+      inflateAuto.resume();
+      await new Promise((resolve, reject) => {
+        inflateAuto.on('error', reject);
+        inflateAuto.on('end', resolve);
+        inflateAuto.end(zlib.gzipSync(data));
+      });
+      assert.strictEqual(headers.length, 1);
+      assert.strictEqual(inflateAuto.getHeader(), headers[0]);
+      assert.strictEqual(headers[0].name, undefined);
+    });
+
+    it('parses long name written in small chunks', async () => {
+      // Quadratic in the name length if data is combined for each write
+      const name = 'n'.repeat(2 * 1024 * 1024);
+      const compressed = Buffer.concat([
+        Buffer.from('1f8b0808000000000003', 'hex'),
+        Buffer.from(`${name}\0`),
+        zlib.gzipSync(data).subarray(10),
+      ]);
+      const { header } = await inflateWithHeader(compressed, 64);
+      assert.strictEqual(header.name, name);
+    });
+
+    it('emits ERR_INFLATE_AUTO_HEADER_LIMIT for unterminated name', () => {
+      const unterminated = Buffer.concat([
+        Buffer.from('1f8b0808000000000003', 'hex'),
+        Buffer.alloc(2048, 'n'),
+      ]);
+      const inflateAuto = new InflateAuto({ maxDetectBytes: 1024 });
+      return new Promise((resolve, reject) => {
+        inflateAuto.on('error', (err) => {
+          try {
+            assert.strictEqual(err.code, 'ERR_INFLATE_AUTO_HEADER_LIMIT');
+            assert.strictEqual(err.limit, 1024);
+            assert.strictEqual(inflateAuto.getHeader(), undefined);
+            resolve();
+          } catch (errAssert) {
+            reject(errAssert);
+          }
+        });
+        inflateAuto.on('end', () => reject(new Error('end without error')));
+        inflateAuto.resume();
+        for (let i = 0; i < unterminated.length; i += 256) {
+          inflateAuto.write(unterminated.subarray(i, i + 256));
+        }
+      });
+    });
+
+    it('throws ERR_INFLATE_AUTO_HEADER_LIMIT from inflateAutoSync', () => {
+      const unterminated = Buffer.concat([
+        Buffer.from('1f8b0808000000000003', 'hex'),
+        Buffer.alloc(2048, 'n'),
+      ]);
+      assert.throws(
+        () => InflateAuto.inflateAutoSync(
+          unterminated,
+          { maxDetectBytes: 1024 },
+        ),
+        { code: 'ERR_INFLATE_AUTO_HEADER_LIMIT', limit: 1024 },
+      );
     });
+    /* eslint-enable n/no-sync */
   });
 
-  it('proxies destroy event from detected format', (done) => {
-    class DestroyStream extends stream.Transform {
-      _transform(chunk, encoding, callback) {
-        this.emit('destroy');
-        callback();
+  describe('members split', () => {
+    /* eslint-disable n/no-sync */
+    const data1 = Buffer.from('first member');
+    const data2 = Buffer.from('second member');
+    const member1 = zlib.gzipSync(data1);
+    const member2 = zlib.gzipSync(data2);
+    /* eslint-enable n/no-sync */
+
+    it('decodes gzip with GunzipMembers', () => {
+      const inflateAuto = new InflateAuto({ members: 'split' });
+      inflateAuto.write(member1.subarray(0, 3));
+      assert.strictEqual(inflateAuto.getFormat(), InflateAuto.GunzipMembers);
+      inflateAuto.destroy();
+    });
+
+    it('emits member for each gzip member', async () => {
+      const inflateAuto = new InflateAuto({ members: 'split' });
+      const chunks = [];
+      const members = [];
+      inflateAuto.on('data', (chunk) => { chunks.push(chunk); });
+      inflateAuto.on('member', (member) => { members.push(member); });
+      await new Promise((resolve, reject) => {
+        inflateAuto.on('error', reject);
+        inflateAuto.on('end', resolve);
+        inflateAuto.end(Buffer.concat([member1, member2]));
+      });
+      assert.deepStrictEqual(
+        Buffer.concat(chunks),
+        Buffer.concat([data1, data2]),
+      );
+      assert.deepStrictEqual(
+        members.map((member) => [
+          member.compressedOffset,
+          member.compressedLength,
+          member.uncompressedOffset,
+          member.uncompressedLength,
+        ]),
+        [
+          [0, member1.length, 0, data1.length],
+          [member1.length, member2.length, data1.length, data2.length],
+        ],
+      );
+    });
+
+    it('does not affect zlib data', () => {
+      const inflateAuto = new InflateAuto({ members: 'split' });
+      // eslint-disable-next-line n/no-sync
+      inflateAuto.write(zlib.deflateSync(data1));
+      assert.strictEqual(inflateAuto.getFormat(), zlib.Inflate);
+      inflateAuto.destroy();
+    });
+  });
+
+  describe('multiFormat', () => {
+    /* eslint-disable n/no-sync */
+    const gzipData = Buffer.from('gzip data');
+    const zlibData = Buffer.from('zlib data');
+    const rawData = Buffer.from('hello world');
+    const gzipZlibRaw = Buffer.concat([
+      zlib.gzipSync(gzipData),
+      zlib.deflateSync(zlibData),
+      rawData,
+    ]);
+    const opts = { defaultFormat: 'identity', multiFormat: true };
+
+    it('decodes each format in a single write', async () => {
+      const { output, formats } =
+        await inflateWithFormats(gzipZlibRaw, Infinity, opts);
+      assert.deepStrictEqual(
+        output,
+        Buffer.concat([gzipData, zlibData, rawData]),
+      );
+      assert.deepStrictEqual(
+        formats,
+        [InflateAuto.GunzipMembers, zlib.Inflate, InflateAuto.Identity],
+      );
+    });
+
+    it('decodes each format in 1-byte writes', async () => {
+      const { output, formats } =
+        await inflateWithFormats(gzipZlibRaw, 1, opts);
+      assert.deepStrictEqual(
+        output,
+        Buffer.concat([gzipData, zlibData, rawData]),
+      );
+      assert.deepStrictEqual(
+        formats,
+        [InflateAuto.GunzipMembers, zlib.Inflate, InflateAuto.Identity],
+      );
+    });
+
+    it('ends after data which ends with a format', async () => {
+      const compressed = Buffer.concat([
+        zlib.deflateSync(zlibData),
+        zlib.deflateSync(zlibData),
+      ]);
+      const { output, formats } =
+        await inflateWithFormats(compressed, 4, { multiFormat: true });
+      assert.deepStrictEqual(output, Buffer.concat([zlibData, zlibData]));
+      assert.deepStrictEqual(formats, [zlib.Inflate, zlib.Inflate]);
+    });
+
+    it('decodes gzip with members split followed by zlib', async () => {
+      const compressed = Buffer.concat([
+        zlib.gzipSync(gzipData),
+        zlib.deflateSync(zlibData),
+      ]);
+      const { output, formats } = await inflateWithFormats(
+        compressed,
+        Infinity,
+        { members: 'split', multiFormat: true },
+      );
+      assert.deepStrictEqual(output, Buffer.concat([gzipData, zlibData]));
+      assert.deepStrictEqual(
+        formats,
+        [InflateAuto.GunzipMembers, zlib.Inflate],
+      );
+    });
+
+    const uncompressedData = Buffer.from('uncompressed data');
+    const formatsAfterGzip = [
+      {
+        Decompress: InflateAuto.Uncompress,
+        detector: InflateAuto.detectors.detectCompress,
+        // printf 'uncompressed data' | compress
+        compressed: Buffer.from(
+          '1f9d9075dc8c79d3068e9c3273e6942103824c183a6100',
+          'hex',
+        ),
+      },
+      {
+        Decompress: InflateAuto.Unpack,
+        detector: InflateAuto.detectors.detectPack,
+        // printf 'uncompressed data' | pack
+        compressed: Buffer.from(
+          '1f1e000000110500000309006164732063656d6e6f70727475029323c1fe7875'
+          + '9a10',
+          'hex',
+        ),
+      },
+    ];
+    for (const { Decompress, detector, compressed } of formatsAfterGzip) {
+      for (const writeSize of [Infinity, 1]) {
+        it(
+          `decodes gzip followed by ${Decompress.name} in ${writeSize}-byte`
+          + ' writes',
+          async () => {
+            const result = await inflateWithFormats(
+              Buffer.concat([zlib.gzipSync(gzipData), compressed]),
+              writeSize,
+              {
+                detectors: [InflateAuto.detectors.detectGzip, detector],
+                multiFormat: true,
+              },
+            );
+            assert.deepStrictEqual(
+              result.output,
+              Buffer.concat([gzipData, uncompressedData]),
+            );
+            assert.deepStrictEqual(
+              result.formats,
+              [InflateAuto.GunzipMembers, Decompress],
+            );
+          },
+        );
       }
     }
-    const inflateAuto = new InflateAuto({
-      defaultFormat: DestroyStream,
-      detectors: [],
+
+    it('emits error for remaining data which matches no format', async () => {
+      await assert.rejects(
+        inflateWithFormats(
+          gzipZlibRaw,
+          Infinity,
+          { defaultFormat: null, multiFormat: true },
+        ),
+        /did not match/,
+      );
     });
-    inflateAuto.on('destroy', done);
-    inflateAuto.write(Buffer.alloc(1));
-  });
 
-  // Analogous to Gunzip/Inflate/InflateRaw
-  describe('.createInflateAuto()', () => {
-    it('is a factory function', () => {
-      const auto = InflateAuto.createInflateAuto();
-      assertInstanceOf(auto, InflateAuto);
+    it('ignores data after the first format by default', async () => {
+      const compressed = Buffer.concat([zlib.deflateSync(zlibData), rawData]);
+      const { output, formats } = await inflateWithFormats(
+        compressed,
+        Infinity,
+        { defaultFormat: 'identity' },
+      );
+      assert.deepStrictEqual(output, zlibData);
+      assert.deepStrictEqual(formats, [zlib.Inflate]);
     });
+    /* eslint-enable n/no-sync */
   });
 
-  describe('#flush()', () => {
-    // To prevent deadlocks of callers waiting for flush before writing
-    it('calls its callback before format detection', (done) => {
-      const auto = new InflateAuto();
-      auto.on('error', done);
-      auto.flush(done);
+  describe('trailingData', () => {
+    /* eslint-disable n/no-sync */
+    const garbage = Buffer.from('garbage');
+    const trailingFormats = [
+      ...SUPPORTED_FORMATS.map(({ Decompress, compressSync }) => ({
+        name: Decompress.name,
+        compressed: compressSync(TEST_DATA.normal),
+        opts: undefined,
+      })),
+      {
+        name: 'Bunzip2',
+        // printf 'uncompressed data' | bzip2
+        compressed: Buffer.from(
+          '425a683931415926535937be7798000008118040002e03de0020003100d00100'
+          + '26329083d72071e06f0a7c5dc914e14240def9de60',
+          'hex',
+        ),
+        opts: { detectors: [InflateAuto.detectors.detectBzip2] },
+      },
+    ];
+
+    for (const { name, compressed, opts } of trailingFormats) {
+      const withGarbage = Buffer.concat([compressed, garbage]);
+
+      for (const writeSize of [Infinity, 1]) {
+        it(
+          `emits trailing data after ${name} in ${writeSize}-byte writes`,
+          async () => {
+            const result = await inflateWithTrailing(
+              withGarbage,
+              writeSize,
+              { ...opts, trailingData: 'emit' },
+            );
+            assert.deepStrictEqual(result.output, TEST_DATA.normal);
+            assert.deepStrictEqual(Buffer.concat(result.trailing), garbage);
+            assert.deepStrictEqual(result.trailingData, garbage);
+          },
+        );
+      }
+
+      it(`ignores trailing data after ${name}`, async () => {
+        const result = await inflateWithTrailing(
+          withGarbage,
+          3,
+          { ...opts, trailingData: 'ignore' },
+        );
+        assert.deepStrictEqual(result.output, TEST_DATA.normal);
+        assert.deepStrictEqual(result.trailing, []);
+        assert.strictEqual(result.trailingData, undefined);
+      });
+
+      it(`emits error for trailing data after ${name}`, async () => {
+        await assert.rejects(
+          inflateWithTrailing(
+            withGarbage,
+            3,
+            { ...opts, trailingData: 'error' },
+          ),
+          { code: 'ERR_TRAILING_DATA', trailingData: garbage },
+        );
+      });
+
+      it(`returns trailing data after ${name} from inflateAutoSync`, () => {
+        assert.deepStrictEqual(
+          InflateAuto.inflateAutoSync(
+            withGarbage,
+            { ...opts, trailingData: 'emit' },
+          ),
+          { buffer: TEST_DATA.normal, trailingData: garbage },
+        );
+      });
+
+      it(`throws for trailing data after ${name} from inflateAutoSync`, () => {
+        assert.throws(
+          () => InflateAuto.inflateAutoSync(
+            withGarbage,
+            { ...opts, trailingData: 'error' },
+          ),
+          { code: 'ERR_TRAILING_DATA' },
+        );
+      });
+    }
+
+    // Trailing data which starts with the first gzip magic byte
+    for (const trailingHex of ['1f0000', '1f']) {
+      const trailingGzip = Buffer.from(trailingHex, 'hex');
+      const withTrailing =
+        Buffer.concat([zlib.gzipSync(TEST_DATA.normal), trailingGzip]);
+
+      for (const writeSize of [Infinity, 1]) {
+        it(
+          `emits trailing ${trailingHex} after gzip in ${writeSize}-byte`
+          + ' writes',
+          async () => {
+            const result = await inflateWithTrailing(
+              withTrailing,
+              writeSize,
+              { trailingData: 'emit' },
+            );
+            assert.deepStrictEqual(result.output, TEST_DATA.normal);
+            assert.deepStrictEqual(
+              Buffer.concat(result.trailing),
+              trailingGzip,
+            );
+            assert.deepStrictEqual(result.trailingData, trailingGzip);
+          },
+        );
+      }
+
+      it(`returns trailing ${trailingHex} after gzip synchronously`, () => {
+        assert.deepStrictEqual(
+          InflateAuto.inflateAutoSync(withTrailing, { trailingData: 'emit' }),
+          { buffer: TEST_DATA.normal, trailingData: trailingGzip },
+        );
+      });
+    }
+
+    it('sets empty trailingData without trailing data', async () => {
+      const result = await inflateWithTrailing(
+        zlib.deflateSync(TEST_DATA.normal),
+        Infinity,
+        { trailingData: 'emit' },
+      );
+      assert.deepStrictEqual(result.output, TEST_DATA.normal);
+      assert.deepStrictEqual(result.trailing, []);
+      assert.deepStrictEqual(result.trailingData, Buffer.alloc(0));
+    });
+
+    it('returns trailing data from inflateAuto', async () => {
+      const result = await promisify(InflateAuto.inflateAuto)(
+        Buffer.concat([zlib.gzipSync(TEST_DATA.normal), garbage]),
+        { trailingData: 'emit' },
+      );
+      assert.deepStrictEqual(
+        result,
+        { buffer: TEST_DATA.normal, trailingData: garbage },
+      );
     });
+    /* eslint-enable n/no-sync */
   });
 
-  describe('#getFormat()', () => {
-    it('returns null before format detection', () => {
+  describe('output limits', () => {
+    /* eslint-disable n/no-sync */
+    const limitFormats = [
+      ...SUPPORTED_FORMATS.map(({ Decompress, compressSync }) => ({
+        name: Decompress.name,
+        compressed: compressSync(TEST_DATA.normal),
+        opts: undefined,
+      })),
+      {
+        name: 'Bunzip2',
+        // printf 'uncompressed data' | bzip2
+        compressed: Buffer.from(
+          '425a683931415926535937be7798000008118040002e03de0020003100d00100'
+          + '26329083d72071e06f0a7c5dc914e14240def9de60',
+          'hex',
+        ),
+        opts: { detectors: [InflateAuto.detectors.detectBzip2] },
+      },
+    ];
+
+    for (const { name, compressed, opts } of limitFormats) {
+      it(
+        `emits error when ${name} output exceeds maxOutputLength`,
+        async () => {
+          await assert.rejects(
+            inflateWithTrailing(
+              compressed,
+              3,
+              { ...opts, maxOutputLength: TEST_DATA.normal.length - 1 },
+            ),
+            {
+              name: 'InflateAutoError',
+              code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT',
+              option: 'maxOutputLength',
+              limit: TEST_DATA.normal.length - 1,
+            },
+          );
+        },
+      );
+
+      it(`decodes ${name} output equal to maxOutputLength`, async () => {
+        const result = await inflateWithTrailing(
+          compressed,
+          3,
+          { ...opts, maxOutputLength: TEST_DATA.normal.length },
+        );
+        assert.deepStrictEqual(result.output, TEST_DATA.normal);
+      });
+    }
+
+    it('emits error when output exceeds maxRatio', async () => {
+      const compressed = zlib.gzipSync(Buffer.alloc(100000));
+      await assert.rejects(
+        inflateWithTrailing(compressed, Infinity, { maxRatio: 100 }),
+        {
+          code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT',
+          option: 'maxRatio',
+          limit: 100,
+        },
+      );
+    });
+
+    it('decodes output within maxRatio', async () => {
+      const compressed = zlib.gzipSync(TEST_DATA.normal);
+      const result = await inflateWithTrailing(
+        compressed,
+        Infinity,
+        { maxRatio: 1 },
+      );
+      assert.deepStrictEqual(result.output, TEST_DATA.normal);
+    });
+
+    it('stops the decoder when output exceeds maxOutputLength', async () => {
+      // 16 MiB of zeros, compressed about 1000:1
+      const bomb = zlib.deflateSync(Buffer.alloc(16 * 1024 * 1024));
+      const inflateAuto = new InflateAuto({ maxOutputLength: 1024 });
+      let decoder;
+      let decoderOutput = 0;
+      inflateAuto.on('format', (format) => {
+        decoder = format;
+        decoder.on('data', (chunk) => { decoderOutput += chunk.length; });
+      });
+      const errors = [];
+      inflateAuto.on('error', (err) => { errors.push(err); });
+      inflateAuto.write(bomb);
+      await stream.promises.finished(inflateAuto).catch(() => {});
+      await stream.promises.finished(decoder).catch(() => {});
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].code, 'ERR_INFLATE_AUTO_OUTPUT_LIMIT');
+      assert(decoder.destroyed);
+      assert(
+        decoderOutput <= 1024 + zlib.constants.Z_DEFAULT_CHUNK,
+        `${decoderOutput} bytes decompressed`,
+      );
+    });
+
+    it('destroys the decoder when destroyed', async () => {
       const inflateAuto = new InflateAuto();
-      assert.strictEqual(inflateAuto.getFormat(), null);
+      let decoder;
+      inflateAuto.on('format', (format) => { decoder = format; });
+      await writeAll(inflateAuto, [zlib.gzipSync(TEST_DATA.large)]);
+      inflateAuto.destroy();
+      assert(decoder.destroyed);
     });
-  });
+
+    it('does not emit data after exceeding maxOutputLength', async () => {
+      const inflateAuto = new InflateAuto({
+        autoDestroy: false,
+        maxOutputLength: 10,
+      });
+      const chunks = [];
+      inflateAuto.on('data', (chunk) => { chunks.push(chunk); });
+      const errors = [];
+      inflateAuto.on('error', (err) => { errors.push(err); });
+      await new Promise((resolve) => {
+        inflateAuto.write(zlib.gzipSync(TEST_DATA.normal), resolve);
+      });
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].code, 'ERR_INFLATE_AUTO_OUTPUT_LIMIT');
+      assert.deepStrictEqual(chunks, []);
+    });
+
+    it('throws from inflateAutoSync when exceeding maxOutputLength', () => {
+      assert.throws(
+        () => InflateAuto.inflateAutoSync(
+          zlib.deflateSync(TEST_DATA.normal),
+          { maxOutputLength: 10 },
+        ),
+        { code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT', option: 'maxOutputLength' },
+      );
+    });
+
+    const bombLimits = [['maxOutputLength', 1024], ['maxRatio', 10]];
+    for (const [option, limit] of bombLimits) {
+      it(`stops inflateAutoSync soon after exceeding ${option}`, () => {
+        // 16 MiB of zeros, compressed about 1000:1
+        const bomb = zlib.deflateSync(Buffer.alloc(16 * 1024 * 1024));
+        const maxOutput = option === 'maxRatio' ? limit * bomb.length : limit;
+        CountingInflate.outputLength = 0;
+        assert.throws(
+          () => InflateAuto.inflateAutoSync(bomb, {
+            detectors: [() => CountingInflate],
+            [option]: limit,
+          }),
+          { code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT', option, limit },
+        );
+        // At most one output buffer past the limit is decompressed
+        assert(
+          CountingInflate.outputLength
+          <= maxOutput + zlib.constants.Z_DEFAULT_CHUNK,
+          `${CountingInflate.outputLength} bytes decompressed`,
+        );
+      });
+    }
+
+    it('passes maxRatio error to inflateAuto callback', async () => {
+      const compressed = zlib.deflateSync(Buffer.alloc(100000));
+      await assert.rejects(
+        promisify(InflateAuto.inflateAuto)(compressed, { maxRatio: 100 }),
+        { code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT', option: 'maxRatio' },
+      );
+    });
+
+    for (const option of ['maxOutputLength', 'maxRatio']) {
+      for (const value of [NaN, '10']) {
+        it(`throws TypeError for ${option} ${inspect(value)}`, () => {
+          assert.throws(
+            () => new InflateAuto({ [option]: value }),
+            { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' },
+          );
+        });
+      }
+
+      for (const value of [0, -1]) {
+        it(`throws RangeError for ${option} ${value}`, () => {
+          assert.throws(
+            () => new InflateAuto({ [option]: value }),
+            { name: 'RangeError', code: 'ERR_OUT_OF_RANGE' },
+          );
+        });
+      }
+    }
+    /* eslint-enable n/no-sync */
+  });
+
+  describe('detectors with confidence', () => {
+    /* eslint-disable n/no-sync */
+    it('chooses the format with the highest confidence', () => {
+      const inflateAuto = new InflateAuto({
+        detectors: [
+          likely(stream.PassThrough, 0.5),
+          likely(InflateAuto.Identity, 0.8),
+          () => null,
+        ],
+      });
+      inflateAuto.write(Buffer.from('data'));
+      assert.strictEqual(inflateAuto.getFormat(), InflateAuto.Identity);
+    });
+
+    it('treats a constructor as confidence 1', () => {
+      const inflateAuto = new InflateAuto({
+        detectors: [
+          likely(stream.PassThrough, 0.9),
+          () => InflateAuto.Identity,
+        ],
+      });
+      inflateAuto.write(Buffer.from('data'));
+      assert.strictEqual(inflateAuto.getFormat(), InflateAuto.Identity);
+    });
+
+    it('uses confidence 1 without checking later detectors', () => {
+      const inflateAuto = new InflateAuto({
+        detectors: [
+          likely(InflateAuto.Identity, 1),
+          () => { throw new Error('should not be called'); },
+        ],
+      });
+      inflateAuto.write(Buffer.from('data'));
+      assert.strictEqual(inflateAuto.getFormat(), InflateAuto.Identity);
+    });
+
+    it('waits for undecided detectors', async () => {
+      const inflateAuto = new InflateAuto({
+        detectors: [
+          likely(InflateAuto.Identity, 0.5),
+          (chunk) => (chunk.length < 4 ? undefined : null),
+        ],
+      });
+      await writeAll(inflateAuto, [Buffer.from('da')]);
+      assert.strictEqual(inflateAuto.getFormat(), null);
+      await writeAll(inflateAuto, [Buffer.from('ta')]);
+      assert.strictEqual(inflateAuto.getFormat(), InflateAuto.Identity);
+    });
+
+    it('buffers more data to break ties', async () => {
+      const inflateAuto = new InflateAuto({
+        detectors: [
+          likely(stream.PassThrough, 0.5),
+          (chunk) => ({
+            format: InflateAuto.Identity,
+            confidence: chunk.length < 4 ? 0.5 : 0.7,
+          }),
+        ],
+      });
+      await writeAll(inflateAuto, [Buffer.from('da')]);
+      assert.strictEqual(inflateAuto.getFormat(), null);
+      await writeAll(inflateAuto, [Buffer.from('ta')]);
+      assert.strictEqual(inflateAuto.getFormat(), InflateAuto.Identity);
+    });
+
+    it('breaks ties by detector order at end of data', () => {
+      const data = Buffer.from('data');
+      const result = InflateAuto.inflateAutoSync(data, {
+        detectors: [
+          likely(InflateAuto.Identity, 0.5),
+          likely(zlib.InflateRaw, 0.5),
+        ],
+      });
+      assert.deepStrictEqual(result, data);
+    });
+
+    it('prefers a likely format to the default format', () => {
+      const data = Buffer.from('data');
+      const result = InflateAuto.inflateAutoSync(data, {
+        detectors: [likely(InflateAuto.Identity, 0.1)],
+      });
+      assert.deepStrictEqual(result, data);
+    });
+    /* eslint-enable n/no-sync */
+  });
+
+  describe('maxDetectBytes', () => {
+    /* eslint-disable n/no-sync */
+    const compressed = zlib.deflateRawSync(TEST_DATA.normal);
+
+    it('buffers data in many writes for undecided detectors', async () => {
+      const result = await inflateWithTrailing(
+        compressed,
+        1,
+        { detectors: [undecided] },
+      );
+      assert.deepStrictEqual(result.output, TEST_DATA.normal);
+    });
+
+    it('buffers long data in small writes in linear time', async () => {
+      // Quadratic in the data length if data is combined for each write
+      const data = Buffer.alloc(2 * 1024 * 1024).map((_, i) => i % 251);
+      const result = await inflateWithTrailing(
+        data,
+        64,
+        { defaultFormat: InflateAuto.Identity, detectors: [undecided] },
+      );
+      assert.deepStrictEqual(result.output, data);
+    });
+
+    it('uses defaultFormat once reached', async () => {
+      const inflateAuto = new InflateAuto({
+        detectors: [undecided],
+        maxDetectBytes: 4,
+      });
+      await writeAll(inflateAuto, [compressed.subarray(0, 3)]);
+      assert.strictEqual(inflateAuto.getFormat(), null);
+      await writeAll(inflateAuto, [compressed.subarray(3, 4)]);
+      assert.strictEqual(inflateAuto.getFormat(), zlib.InflateRaw);
+    });
+
+    it('decodes data after reaching maxDetectBytes', async () => {
+      const result = await inflateWithTrailing(
+        compressed,
+        1,
+        { detectors: [undecided], maxDetectBytes: 4 },
+      );
+      assert.deepStrictEqual(result.output, TEST_DATA.normal);
+    });
+
+    it('chooses the most likely format once reached', async () => {
+      const inflateAuto = new InflateAuto({
+        detectors: [likely(InflateAuto.Identity, 0.5), undecided],
+        maxDetectBytes: 2,
+      });
+      await writeAll(inflateAuto, [Buffer.from('da')]);
+      assert.strictEqual(inflateAuto.getFormat(), InflateAuto.Identity);
+    });
+
+    it('chooses the most likely format without defaultFormat', async () => {
+      const data = Buffer.from('data');
+      const result = await inflateWithTrailing(data, 1, {
+        defaultFormat: null,
+        detectors: [likely(InflateAuto.Identity, 0.5), undecided],
+        maxDetectBytes: 3,
+      });
+      assert.deepStrictEqual(result.output, data);
+    });
+
+    it('emits error once reached without defaultFormat', async () => {
+      const data = Buffer.from('data');
+      await assert.rejects(
+        inflateWithTrailing(data, 1, {
+          defaultFormat: null,
+          detectors: [undecided],
+          maxDetectBytes: 3,
+        }),
+        {
+          name: 'InflateAutoError',
+          code: 'ERR_INFLATE_AUTO_DETECT_LIMIT',
+          limit: 3,
+          data: data.subarray(0, 3),
+        },
+      );
+    });
+
+    it('does not limit data after the format is detected', async () => {
+      const result = await inflateWithTrailing(
+        zlib.gzipSync(TEST_DATA.large),
+        Infinity,
+        { maxDetectBytes: 10 },
+      );
+      assert.deepStrictEqual(result.output, TEST_DATA.large);
+    });
+
+    for (const value of [NaN, '10']) {
+      it(`throws TypeError for maxDetectBytes ${inspect(value)}`, () => {
+        assert.throws(
+          () => new InflateAuto({ maxDetectBytes: value }),
+          { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' },
+        );
+      });
+    }
+
+    it('throws RangeError for maxDetectBytes 0', () => {
+      assert.throws(
+        () => new InflateAuto({ maxDetectBytes: 0 }),
+        { name: 'RangeError', code: 'ERR_OUT_OF_RANGE' },
+      );
+    });
+    /* eslint-enable n/no-sync */
+  });
+
+  describe('defaultFormat identity', () => {
+    /* eslint-disable n/no-sync */
+    const text = Buffer.from('Plain text which is not compressed.\n');
+    const longText = Buffer.from(
+      JSON.stringify(Array.from({ length: 100 }, (v, i) => ({ i }))),
+    );
+
+    function inflateInPieces(data, writeSize) {
+      return new Promise((resolve, reject) => {
+        const inflateAuto = new InflateAuto({ defaultFormat: 'identity' });
+        const chunks = [];
+        inflateAuto.on('data', (chunk) => { chunks.push(chunk); });
+        inflateAuto.on('error', reject);
+        inflateAuto.on('end', () => {
+          resolve({
+            data: Buffer.concat(chunks),
+            format: inflateAuto.getFormat(),
+          });
+        });
+        for (let i = 0; i < data.length; i += writeSize) {
+          inflateAuto.write(data.subarray(i, i + writeSize));
+        }
+        inflateAuto.end();
+      });
+    }
+
+    it('passes through data which is not compressed', () => {
+      const opts = { defaultFormat: 'identity' };
+      assert.deepStrictEqual(InflateAuto.inflateAutoSync(text, opts), text);
+    });
+
+    it('passes through long data written in pieces', async () => {
+      assert(longText.length > 512);
+      const result = await inflateInPieces(longText, 7);
+      assert.strictEqual(result.format, InflateAuto.Identity);
+      assert.deepStrictEqual(result.data, longText);
+    });
+
+    it('inflates "raw" DEFLATE data', () => {
+      const opts = { defaultFormat: 'identity' };
+      const compressed = zlib.deflateRawSync(text);
+      assert.deepStrictEqual(
+        InflateAuto.inflateAutoSync(compressed, opts),
+        text,
+      );
+    });
+
+    it('inflates long "raw" DEFLATE data written in pieces', async () => {
+      const compressed = zlib.deflateRawSync(longText, { level: 0 });
+      assert(compressed.length > 512);
+      const result = await inflateInPieces(compressed, 7);
+      assert.strictEqual(result.format, zlib.InflateRaw);
+      assert.deepStrictEqual(result.data, longText);
+    });
+
+    it('inflates zlib data', () => {
+      const opts = { defaultFormat: 'identity' };
+      const compressed = zlib.deflateSync(text);
+      assert.deepStrictEqual(
+        InflateAuto.inflateAutoSync(compressed, opts),
+        text,
+      );
+    });
+
+    it('passes through empty data', async () => {
+      const result = await inflateInPieces(Buffer.alloc(0), 1);
+      assert.strictEqual(result.format, InflateAuto.Identity);
+      assert.deepStrictEqual(result.data, Buffer.alloc(0));
+    });
+
+    it('passes through truncated "raw" DEFLATE data', () => {
+      const opts = { defaultFormat: 'identity' };
+      const truncated = zlib.deflateRawSync(text).subarray(0, 4);
+      assert.deepStrictEqual(
+        InflateAuto.inflateAutoSync(truncated, opts),
+        truncated,
+      );
+    });
+
+    it('throws TypeError for other strings', () => {
+      assert.throws(
+        // eslint-disable-next-line no-new
+        () => { new InflateAuto({ defaultFormat: 'gzip' }); },
+        TypeError,
+      );
+    });
+    /* eslint-enable n/no-sync */
+  });
+
+  it('emits error for format detection error in _transform', () => {
+    const inflateAuto = new InflateAuto({ defaultFormat: null });
+    const zeros = Buffer.alloc(10);
+    return assertWriteError(inflateAuto, zeros, (err) => {
+      assert(err, 'expected format error');
+      assert(/format/i.test(err.message));
+      assert.deepStrictEqual(err.data, zeros);
+    });
+  });
+
+  it('proxies destroy event from detected format', (done) => {
+    class DestroyStream extends stream.Transform {
+      _transform(chunk, encoding, callback) {
+        this.emit('destroy');
+        callback();
+      }
+    }
+    const inflateAuto = new InflateAuto({
+      defaultFormat: DestroyStream,
+      detectors: [],
+    });
+    inflateAuto.on('destroy', done);
+    inflateAuto.write(Buffer.alloc(1));
+  });
+
+  // Analogous to Gunzip/Inflate/InflateRaw
+  describe('.createInflateAuto()', () => {
+    it('is a factory function', () => {
+      const auto = InflateAuto.createInflateAuto();
+      assertInstanceOf(auto, InflateAuto);
+    });
+  });
+
+  describe('.decompressIterable()', () => {
+    /* eslint-disable n/no-sync */
+    const compressed = zlib.gzipSync(TEST_DATA.large);
+    /* eslint-enable n/no-sync */
+
+    it('decompresses an AsyncIterable', async () => {
+      const iterator = InflateAuto.decompressIterable(
+        generateChunks(compressed, 3),
+      );
+      assert.deepStrictEqual(await collect(iterator), TEST_DATA.large);
+    });
+
+    it('decompresses an Iterable', async () => {
+      const chunks = [compressed.subarray(0, 5), compressed.subarray(5)];
+      assert.deepStrictEqual(
+        await collect(InflateAuto.decompressIterable(chunks)),
+        TEST_DATA.large,
+      );
+    });
+
+    it('decompresses a Buffer as a single chunk', async () => {
+      assert.deepStrictEqual(
+        await collect(InflateAuto.decompressIterable(compressed)),
+        TEST_DATA.large,
+      );
+    });
+
+    it('decompresses a Readable', async () => {
+      const iterator = InflateAuto.decompressIterable(
+        stream.Readable.from([compressed]),
+      );
+      assert.deepStrictEqual(await collect(iterator), TEST_DATA.large);
+    });
+
+    it('has format of the data once detected', async () => {
+      const iterator = InflateAuto.decompressIterable([compressed]);
+      assert.strictEqual(iterator.format, null);
+      await collect(iterator);
+      assert.strictEqual(iterator.format, zlib.Gunzip);
+    });
+
+    it('passes options to InflateAuto', async () => {
+      const iterator = InflateAuto.decompressIterable(
+        [TEST_DATA.normal],
+        { defaultFormat: InflateAuto.Identity },
+      );
+      assert.deepStrictEqual(await collect(iterator), TEST_DATA.normal);
+      assert.strictEqual(iterator.format, InflateAuto.Identity);
+    });
+
+    it('throws decompression errors', async () => {
+      const iterator =
+        InflateAuto.decompressIterable([compressed.subarray(0, -1)]);
+      await assert.rejects(collect(iterator), { code: 'Z_BUF_ERROR' });
+    });
+
+    it('throws errors from source', async () => {
+      const errTest = new Error('test');
+      async function* generateError() {
+        yield compressed.subarray(0, 5);
+        throw errTest;
+      }
+      const iterator = InflateAuto.decompressIterable(generateError());
+      await assert.rejects(collect(iterator), errTest);
+    });
+
+    it('closes source if iteration stops early', async () => {
+      let finished = false;
+      async function* generateForever() {
+        try {
+          for (;;) {
+            yield TEST_DATA.normal;
+          }
+        } finally {
+          finished = true;
+        }
+      }
+      const iterator = InflateAuto.decompressIterable(
+        generateForever(),
+        { defaultFormat: InflateAuto.Identity, detectors: [] },
+      );
+      // eslint-disable-next-line no-unreachable-loop
+      for await (const chunk of iterator) {
+        assert(chunk.length > 0);
+        break;
+      }
+      await new Promise(setImmediate);
+      assert.strictEqual(finished, true);
+    });
+
+    for (const source of [undefined, null, 1, {}]) {
+      it(`throws TypeError for source ${inspect(source)}`, () => {
+        assert.throws(
+          () => InflateAuto.decompressIterable(source),
+          { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' },
+        );
+      });
+    }
+  });
+
+  describe('#flush()', () => {
+    // To prevent deadlocks of callers waiting for flush before writing
+    it('calls its callback before format detection', (done) => {
+      const auto = new InflateAuto();
+      auto.on('error', done);
+      auto.flush(done);
+    });
+  });
+
+  describe('#getFormat()', () => {
+    it('returns null before format detection', () => {
+      const inflateAuto = new InflateAuto();
+      assert.strictEqual(inflateAuto.getFormat(), null);
+    });
+  });
+
+  /* eslint-disable n/no-sync */
+  describe('.detectors', () => {
+    describe('.detectDeflate()', () => {
+      const { detectDeflate } = InflateAuto.detectors;
+      const normalCompressed = zlib.deflateSync(TEST_DATA.normal);
+      // Header with FDICT and DICTID 0x12345678
+      const dictHeader = Buffer.from('78bb12345678', 'hex');
+
+      it('returns Inflate for zlib data', () => {
+        assert.strictEqual(detectDeflate(normalCompressed), zlib.Inflate);
+      });
+
+      it('returns undefined for first byte of zlib data', () => {
+        assert.strictEqual(
+          detectDeflate(normalCompressed.subarray(0, 1)),
+          undefined,
+        );
+      });
+
+      it('returns null for invalid FCHECK', () => {
+        assert.strictEqual(detectDeflate(Buffer.from([0x78, 0x9D])), null);
+      });
+
+      it('returns null for CINFO greater than 7', () => {
+        // 0x88 0x1C has CM 8 and valid FCHECK
+        assert.strictEqual(detectDeflate(Buffer.from([0x88, 0x1C])), null);
+      });
+
+      it('returns null for FDICT without dictionary', () => {
+        assert.strictEqual(detectDeflate(dictHeader), null);
+        assert.strictEqual(detectDeflate(dictHeader, {}), null);
+      });
+
+      it('returns Inflate for FDICT with dictionary', () => {
+        const opts = { dictionary: TEST_DATA.normal };
+        assert.strictEqual(
+          detectDeflate(dictHeader.subarray(0, 2), opts),
+          zlib.Inflate,
+        );
+      });
+
+      it('returns undefined for FDICT without DICTID', () => {
+        const opts = { dictionaryResolver: neverCalled };
+        assert.strictEqual(
+          detectDeflate(dictHeader.subarray(0, 5), opts),
+          undefined,
+        );
+      });
+
+      it('passes DICTID to dictionaryResolver', () => {
+        const dictIds = [];
+        const opts = {
+          dictionaryResolver: (dictId) => {
+            dictIds.push(dictId);
+            return TEST_DATA.normal;
+          },
+        };
+        const Format = detectDeflate(dictHeader, opts);
+        assert.deepStrictEqual(dictIds, [0x12345678]);
+        assert.strictEqual(Object.getPrototypeOf(Format), zlib.Inflate);
+      });
+
+      it('returns null if dictionaryResolver returns null', () => {
+        const opts = { dictionaryResolver: () => null };
+        assert.strictEqual(detectDeflate(dictHeader, opts), null);
+      });
+    });
+
+    describe('.detectBrotli()', () => {
+      const { detectBrotli } = InflateAuto.detectors;
+      const largeData = Buffer.from('Brotli test data. '.repeat(100));
+      const largeCompressed = zlib.brotliCompressSync(largeData);
+      const normalCompressed = zlib.brotliCompressSync(TEST_DATA.normal);
+
+      it('is not a default detector', () => {
+        const auto = new InflateAuto();
+        assert(!auto._detectors.includes(detectBrotli));
+      });
+
+      it('returns BrotliDecompress for Brotli data', () => {
+        assert.strictEqual(
+          detectBrotli(largeCompressed),
+          zlib.BrotliDecompress,
+        );
+      });
+
+      it('returns BrotliDecompress for complete short Brotli data', () => {
+        assert.strictEqual(
+          detectBrotli(normalCompressed),
+          zlib.BrotliDecompress,
+        );
+      });
+
+      it('returns undefined for truncated short Brotli data', () => {
+        assert.strictEqual(
+          detectBrotli(normalCompressed.subarray(0, 5)),
+          undefined,
+        );
+      });
+
+      it('returns null for reserved WBITS value', () => {
+        assert.strictEqual(detectBrotli(Buffer.from([0x11, 0, 0, 0])), null);
+      });
+
+      // Data which does not compress, so it is stored in uncompressed
+      // meta-blocks which can not be validated without the complete stream
+      const incompressible = Buffer.concat(
+        Array.from(
+          { length: 20 },
+          (_, i) => createHash('sha512').update(String(i)).digest(),
+        ),
+      );
+      const incompressibleCompressed =
+        zlib.brotliCompressSync(incompressible);
+
+      it('returns BrotliDecompress for complete uncompressed Brotli', () => {
+        assert.strictEqual(
+          detectBrotli(incompressibleCompressed),
+          zlib.BrotliDecompress,
+        );
+      });
+
+      it('returns undefined for truncated uncompressed Brotli', () => {
+        assert.strictEqual(
+          detectBrotli(incompressibleCompressed.subarray(0, -1)),
+          undefined,
+        );
+      });
+
+      const lines = Array.from(
+        { length: 100 },
+        (_, i) => `line ${i + 1} of the text`,
+      );
+      const text = Buffer.from(lines.join('\n'));
+
+      it('does not return BrotliDecompress for text', () => {
+        assert.notStrictEqual(detectBrotli(text), zlib.BrotliDecompress);
+      });
+
+      it('rarely returns BrotliDecompress for random data', () => {
+        // Random data is occasionally valid Brotli, so allow up to 1%.
+        let detected = 0;
+        for (let i = 0; i < 500; i += 1) {
+          const random = Buffer.concat(
+            Array.from(
+              { length: 10 },
+              (_, j) => createHash('sha512').update(`${i},${j}`).digest(),
+            ),
+          );
+          if (detectBrotli(random) === zlib.BrotliDecompress) {
+            detected += 1;
+          }
+        }
+        assert(detected <= 5, `detected ${detected} of 500`);
+      });
+
+      it('uses defaultFormat for text', () => {
+        const result = InflateAuto.inflateAutoSync(text, {
+          defaultFormat: InflateAuto.Identity,
+          detectors: [detectBrotli],
+        });
+        assert.deepStrictEqual(result, text);
+      });
+
+      for (const format of SUPPORTED_FORMATS) {
+        it(`returns null for ${format.Compress.name} data`, () => {
+          assert.strictEqual(
+            detectBrotli(format.compressSync(largeData)),
+            null,
+          );
+        });
+      }
+
+      it('can be used with default detectors', (done) => {
+        const detectors = [
+          InflateAuto.detectors.detectDeflate,
+          InflateAuto.detectors.detectGzip,
+          detectBrotli,
+        ];
+        InflateAuto.inflateAuto(
+          largeCompressed,
+          { detectors },
+          (err, result) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(result, largeData);
+            done();
+          },
+        );
+      });
+
+      it('can be used synchronously', () => {
+        const result = InflateAuto.inflateAutoSync(normalCompressed, {
+          detectors: [detectBrotli],
+        });
+        assert.deepStrictEqual(result, TEST_DATA.normal);
+      });
+    });
+
+    describe('.detectGzip()', () => {
+      const { detectGzip } = InflateAuto.detectors;
+      const strict = { strictGzipHeader: true };
+      const normalCompressed = zlib.gzipSync(TEST_DATA.normal);
+      // Header with FHCRC, FEXTRA, FNAME, and FCOMMENT, followed by the
+      // data and trailer from normalCompressed
+      const fieldsHeader = Buffer.concat([
+        Buffer.from('1f8b081e0000000000ff', 'hex'),
+        Buffer.from('0300616263', 'hex'),
+        Buffer.from('name\0comment\0'),
+      ]);
+      const headerCrc = Buffer.alloc(2);
+      // eslint-disable-next-line no-bitwise
+      headerCrc.writeUInt16LE(crc32(0, fieldsHeader) & 0xFFFF);
+      const fieldsCompressed = Buffer.concat([
+        fieldsHeader,
+        headerCrc,
+        normalCompressed.subarray(10),
+      ]);
+
+      it('returns Gunzip for first 3 bytes by default', () => {
+        assert.strictEqual(
+          detectGzip(normalCompressed.subarray(0, 3)),
+          zlib.Gunzip,
+        );
+      });
+
+      it('returns Gunzip for reserved flags by default', () => {
+        assert.strictEqual(
+          detectGzip(Buffer.from('1f8b08e0', 'hex')),
+          zlib.Gunzip,
+        );
+      });
+
+      it('returns Gunzip for complete header if strict', () => {
+        assert.strictEqual(
+          detectGzip(normalCompressed.subarray(0, 10), strict),
+          zlib.Gunzip,
+        );
+      });
+
+      it('returns undefined for partial header if strict', () => {
+        assert.strictEqual(
+          detectGzip(normalCompressed.subarray(0, 9), strict),
+          undefined,
+        );
+      });
+
+      it('returns Gunzip for header with optional fields if strict', () => {
+        assert.strictEqual(detectGzip(fieldsCompressed, strict), zlib.Gunzip);
+      });
+
+      it('returns undefined for partial optional fields if strict', () => {
+        for (const end of [11, 14, 16, 21, 29]) {
+          assert.strictEqual(
+            detectGzip(fieldsCompressed.subarray(0, end), strict),
+            undefined,
+            `for ${end} bytes`,
+          );
+        }
+      });
+
+      it('returns null for reserved flags if strict', () => {
+        const corrupt = Buffer.from(normalCompressed);
+        corrupt[3] = 0x20;
+        assert.strictEqual(detectGzip(corrupt, strict), null);
+      });
+
+      it('returns null for incorrect header CRC if strict', () => {
+        const corrupt = Buffer.from(fieldsCompressed);
+        corrupt[fieldsHeader.length] += 1;
+        assert.strictEqual(detectGzip(corrupt, strict), null);
+      });
+
+      it('returns null for other data if strict', () => {
+        const other = Buffer.from('1f8b09', 'hex');
+        assert.strictEqual(detectGzip(other, strict), null);
+      });
+
+      it('decompresses header with optional fields if strict', () => {
+        assert.deepStrictEqual(
+          InflateAuto.inflateAutoSync(fieldsCompressed, strict),
+          TEST_DATA.normal,
+        );
+      });
+    });
+
+    describe('.detectDeflateRaw()', () => {
+      const { detectDeflateRaw } = InflateAuto.detectors;
+      const dynamicData = Buffer.from(
+        JSON.stringify(Array.from({ length: 1000 }, (v, i) => i)),
+      );
+      // Large non-repetitive data is compressed with dynamic Huffman codes
+      const dynamicCompressed = zlib.deflateRawSync(dynamicData);
+      // Short data is compressed with fixed Huffman codes
+      const fixedCompressed = zlib.deflateRawSync(TEST_DATA.normal);
+      const storedCompressed =
+        zlib.deflateRawSync(TEST_DATA.normal, { level: 0 });
+
+      it('is not a default detector', () => {
+        const auto = new InflateAuto();
+        assert(!auto._detectors.includes(detectDeflateRaw));
+      });
+
+      it('returns InflateRaw for dynamic Huffman block', () => {
+        assert.strictEqual(
+          detectDeflateRaw(dynamicCompressed),
+          zlib.InflateRaw,
+        );
+      });
+
+      it('returns InflateRaw for fixed Huffman block', () => {
+        assert.strictEqual(detectDeflateRaw(fixedCompressed), zlib.InflateRaw);
+      });
+
+      it('returns InflateRaw for stored block', () => {
+        assert.strictEqual(detectDeflateRaw(storedCompressed), zlib.InflateRaw);
+      });
+
+      it('returns undefined for partial dynamic Huffman block header', () => {
+        assert.strictEqual(
+          detectDeflateRaw(dynamicCompressed.subarray(0, 4)),
+          undefined,
+        );
+      });
+
+      it('returns undefined for partial stored block header', () => {
+        assert.strictEqual(
+          detectDeflateRaw(storedCompressed.subarray(0, 3)),
+          undefined,
+        );
+      });
+
+      it('returns null for reserved block type', () => {
+        assert.strictEqual(detectDeflateRaw(Buffer.from([0x07])), null);
+      });
+
+      it('returns null for stored block with invalid NLEN', () => {
+        const corrupt = Buffer.from(storedCompressed);
+        corrupt[3] += 1;
+        assert.strictEqual(detectDeflateRaw(corrupt), null);
+      });
+
+      it('returns null for too many length codes', () => {
+        // BTYPE 2, HLIT 30
+        assert.strictEqual(
+          detectDeflateRaw(Buffer.from([0xF4, 0x00, 0x00])),
+          null,
+        );
+      });
+
+      it('returns null for incomplete code length code', () => {
+        // BTYPE 2, HLIT 0, HDIST 0, HCLEN 0, code length code lengths 0
+        assert.strictEqual(
+          detectDeflateRaw(Buffer.from([0x04, 0x00, 0x00, 0x00, 0x00])),
+          null,
+        );
+      });
+
+      it('returns null for text', () => {
+        assert.strictEqual(
+          detectDeflateRaw(Buffer.from('hello world')),
+          null,
+        );
+      });
+
+      it('rejects other data when defaultFormat is false', () => {
+        const opts = {
+          defaultFormat: false,
+          detectors: [
+            InflateAuto.detectors.detectDeflate,
+            InflateAuto.detectors.detectGzip,
+            detectDeflateRaw,
+          ],
+        };
+        const text = Buffer.from('hello world');
+        assert.throws(
+          () => InflateAuto.inflateAutoSync(text, opts),
+          { message: 'data did not match any supported formats' },
+        );
+        assert.deepStrictEqual(
+          InflateAuto.inflateAutoSync(dynamicCompressed, opts),
+          dynamicData,
+        );
+      });
+    });
+
+    describe('.detectZstd()', () => {
+      const { detectZstd } = InflateAuto.detectors;
+      // zstd -c --no-check <<<'uncompressed data' (without newline)
+      const normalCompressed = Buffer.from(
+        '28b52ffd0058890000756e636f6d707265737365642064617461',
+        'hex',
+      );
+      const skippableFrame = Buffer.from('5a2a4d1802000000abcd', 'hex');
+
+      /** Calls a function with zlib.ZstdDecompress removed.
+       *
+       * @private
+       */
+      function withoutZstd(fn) {
+        /* eslint-disable n/no-unsupported-features/node-builtins */
+        const descriptor =
+          Object.getOwnPropertyDescriptor(zlib, 'ZstdDecompress');
+        zlib.ZstdDecompress = undefined;
+        try {
+          return fn();
+        } finally {
+          if (descriptor) {
+            Object.defineProperty(zlib, 'ZstdDecompress', descriptor);
+          } else {
+            delete zlib.ZstdDecompress;
+          }
+        }
+        /* eslint-enable n/no-unsupported-features/node-builtins */
+      }
+
+      it('returns undefined for partial frame magic', () => {
+        for (const data of [normalCompressed, skippableFrame]) {
+          for (let len = 1; len < 4; len += 1) {
+            assert.strictEqual(detectZstd(data.subarray(0, len)), undefined);
+          }
+        }
+      });
+
+      it('returns null for non-Zstandard data', () => {
+        assert.strictEqual(detectZstd(Buffer.from('28b52ffe', 'hex')), null);
+        assert.strictEqual(detectZstd(Buffer.from('602a4d18', 'hex')), null);
+        assert.strictEqual(detectZstd(TEST_DATA.normal), null);
+      });
+
+      it('throws ERR_FORMAT_NOT_SUPPORTED without zlib.ZstdDecompress', () => {
+        for (const data of [normalCompressed, skippableFrame]) {
+          assert.throws(
+            () => withoutZstd(() => detectZstd(data)),
+            (err) => err.code === 'ERR_FORMAT_NOT_SUPPORTED',
+          );
+        }
+      });
+
+      it('reports unsupported error instead of default format', () => {
+        const detectors = [
+          InflateAuto.detectors.detectDeflate,
+          InflateAuto.detectors.detectGzip,
+          detectZstd,
+        ];
+        assert.throws(
+          () => withoutZstd(
+            () => InflateAuto.inflateAutoSync(normalCompressed, { detectors }),
+          ),
+          (err) => err.code === 'ERR_FORMAT_NOT_SUPPORTED'
+            && /Zstandard/.test(err.message),
+        );
+      });
+
+      it('prefers other matching detectors to unsupported error', () => {
+        const detectors = [
+          detectZstd,
+          () => stream.PassThrough,
+        ];
+        const result = withoutZstd(
+          () => InflateAuto.inflateAutoSync(normalCompressed, { detectors }),
+        );
+        assert.deepStrictEqual(result, normalCompressed);
+      });
+
+      // eslint-disable-next-line n/no-unsupported-features/node-builtins
+      const { ZstdDecompress } = zlib;
+      if (ZstdDecompress) {
+        it('returns ZstdDecompress for Zstandard frame', () => {
+          assert.strictEqual(detectZstd(normalCompressed), ZstdDecompress);
+        });
+
+        it('returns ZstdDecompress for skippable frame', () => {
+          assert.strictEqual(detectZstd(skippableFrame), ZstdDecompress);
+        });
+
+        it('decompresses Zstandard data', (done) => {
+          InflateAuto.inflateAuto(
+            normalCompressed,
+            { detectors: [detectZstd] },
+            (err, result) => {
+              assert.ifError(err);
+              assert.deepStrictEqual(result, TEST_DATA.normal);
+              done();
+            },
+          );
+        });
+      } else {
+        it('emits ERR_FORMAT_NOT_SUPPORTED for Zstandard data', (done) => {
+          InflateAuto.inflateAuto(
+            normalCompressed,
+            { detectors: [detectZstd] },
+            (err) => {
+              assert.strictEqual(err && err.code, 'ERR_FORMAT_NOT_SUPPORTED');
+              done();
+            },
+          );
+        });
+      }
+    });
+
+    // Formats decoded by classes in this package, with data for the tests of
+    // their detectors.  Tests specific to one format are in tests().
+    const DECODER_FORMATS = [
+      {
+        detector: 'detectBzip2',
+        Decompress: InflateAuto.Bunzip2,
+        name: 'bzip2',
+        // printf 'uncompressed data' | bzip2
+        compressed: Buffer.from(
+          '425a683931415926535937be7798000008118040002e03de0020003100d00100'
+          + '26329083d72071e06f0a7c5dc914e14240def9de60',
+          'hex',
+        ),
+        headerLength: 10,
+        other: [
+          // Invalid block size
+          Buffer.from('BZh0'),
+          // Invalid block magic
+          Buffer.from('BZh91AY&SX'),
+        ],
+        tests() {
+          it('returns Bunzip2 for empty bzip2 data', () => {
+            // printf '' | bzip2
+            const emptyCompressed =
+              Buffer.from('425a683917724538509000000000', 'hex');
+            assert.strictEqual(
+              InflateAuto.detectors.detectBzip2(emptyCompressed),
+              InflateAuto.Bunzip2,
+            );
+          });
+        },
+      },
+      {
+        detector: 'detectXz',
+        Decompress: InflateAuto.Unxz,
+        name: 'xz',
+        // printf 'uncompressed data' | xz
+        compressed: Buffer.from(
+          'fd377a585a000004e6d6b44604c01511210116000000000000000000b218dc5f'
+          + '010010756e636f6d70726573736564206461746100000000921d45d0a799f5'
+          + '19000131116b926b8c1fb6f37d010000000004595a',
+          'hex',
+        ),
+        headerLength: 6,
+        other: [Buffer.from('fd377a585a01', 'hex')],
+      },
+      {
+        detector: 'detectCompress',
+        Decompress: InflateAuto.Uncompress,
+        name: 'compress',
+        // printf 'uncompressed data' | compress
+        compressed: Buffer.from(
+          '1f9d9075dc8c79d3068e9c3273e6942103824c183a6100',
+          'hex',
+        ),
+        headerLength: 3,
+        other: [
+          // Invalid maximum code size
+          Buffer.from('1f9d91', 'hex'),
+          Buffer.from('1f9df0', 'hex'),
+          Buffer.from('1f8b08', 'hex'),
+        ],
+        // Code 258 when next entry is 257
+        invalid: Buffer.from('1f9d9061040200', 'hex'),
+        error: { code: 'Z_DATA_ERROR', message: 'invalid code' },
+      },
+      {
+        detector: 'detectPack',
+        Decompress: InflateAuto.Unpack,
+        name: 'pack',
+        // printf 'uncompressed data' | pack
+        compressed: Buffer.from(
+          '1f1e000000110500000309006164732063656d6e6f70727475029323c1fe7875'
+          + '9a10',
+          'hex',
+        ),
+        headerLength: 2,
+        other: [Buffer.from('1f9d90', 'hex')],
+      },
+      {
+        detector: 'detectOldGzip',
+        Decompress: InflateAuto.OldGunzip,
+        name: 'old gzip',
+        // printf 'uncompressed data' | gzip with magic number 1F 9E
+        compressed: Buffer.from(
+          '1f9e08000000000000032bcd4bcecf2d284a2d2e4e4d5148492c490400efe745'
+          + 'd911000000',
+          'hex',
+        ),
+        headerLength: 3,
+        other: [Buffer.from('1f9e07', 'hex'), Buffer.from('1f8b08', 'hex')],
+      },
+      {
+        detector: 'detectLz4',
+        Decompress: InflateAuto.Unlz4,
+        name: 'LZ4 frame',
+        // printf 'uncompressed data' | lz4
+        compressed: Buffer.from(
+          '04224d186440a711000080756e636f6d7072657373656420646174610000000002'
+          + 'ceb0d6',
+          'hex',
+        ),
+        headerLength: 5,
+        other: [
+          // Unsupported frame version
+          Buffer.from('04224d1824', 'hex'),
+          // Skippable frames are not claimed, since they may be Zstandard
+          Buffer.from('502a4d18', 'hex'),
+        ],
+        tests() {
+          const { detectLz4 } = InflateAuto.detectors;
+          // printf 'uncompressed data' | lz4 -l
+          const legacyCompressed = Buffer.from(
+            '02214c1813000000f002756e636f6d707265737365642064617461',
+            'hex',
+          );
+
+          it('returns Unlz4 for LZ4 legacy frame', () => {
+            assert.strictEqual(detectLz4(legacyCompressed), InflateAuto.Unlz4);
+          });
+
+          it('returns undefined for partial legacy header', () => {
+            for (let len = 1; len < 4; len += 1) {
+              assert.strictEqual(
+                detectLz4(legacyCompressed.subarray(0, len)),
+                undefined,
+              );
+            }
+          });
+
+          it('decompresses legacy frame with inflateAutoSync', () => {
+            const result = InflateAuto.inflateAutoSync(legacyCompressed, {
+              detectors: [detectLz4],
+            });
+            assert.deepStrictEqual(result, TEST_DATA.normal);
+          });
+        },
+      },
+      {
+        detector: 'detectSnappy',
+        Decompress: InflateAuto.Unsnappy,
+        name: 'Snappy framed',
+        // Stream identifier and compressed chunk with a literal
+        compressed: Buffer.from(
+          'ff060000734e615070590017000065387a811140756e636f6d70726573736564'
+          + '2064617461',
+          'hex',
+        ),
+        headerLength: 10,
+        other: [Buffer.from('ff060000734e61507060', 'hex')],
+      },
+      {
+        detector: 'detectLzmaAlone',
+        Decompress: InflateAuto.Unlzma,
+        name: 'lzma',
+        // printf 'uncompressed data' | xz --format=lzma
+        compressed: Buffer.from(
+          '5d00008000ffffffffffffffff003a9b888e2665a766c3b83beafecdfd4b05cf'
+          + 'da2613fffcce6000',
+          'hex',
+        ),
+        headerLength: 13,
+        other: [],
+        // Truncated data is not an error, since the size is not declared
+        invalid: false,
+        tests(normalCompressed) {
+          const { detectLzmaAlone } = InflateAuto.detectors;
+
+          function withHeaderByte(offset, value) {
+            const data = Buffer.from(normalCompressed);
+            data[offset] = value;
+            return data;
+          }
+
+          it('returns Unlzma for header without data', () => {
+            assert.strictEqual(
+              detectLzmaAlone(normalCompressed.subarray(0, 13)),
+              InflateAuto.Unlzma,
+            );
+          });
+
+          it('returns Unlzma for 2^n + 2^(n-1) dictionary size', () => {
+            assert.strictEqual(
+              detectLzmaAlone(withHeaderByte(3, 0xC0)),
+              InflateAuto.Unlzma,
+            );
+          });
+
+          it('returns null for invalid properties', () => {
+            assert.strictEqual(detectLzmaAlone(withHeaderByte(0, 225)), null);
+          });
+
+          it('returns null for implausible dictionary size', () => {
+            assert.strictEqual(detectLzmaAlone(withHeaderByte(3, 0x81)), null);
+          });
+
+          it('returns null for implausible uncompressed size', () => {
+            assert.strictEqual(
+              detectLzmaAlone(withHeaderByte(12, 0x7F)),
+              null,
+            );
+          });
+
+          it('returns null for non-zero first range coder byte', () => {
+            assert.strictEqual(detectLzmaAlone(withHeaderByte(13, 1)), null);
+          });
+        },
+      },
+    ];
+
+    for (const format of DECODER_FORMATS) {
+      const {
+        Decompress,
+        compressed: normalCompressed,
+        error = { code: 'Z_BUF_ERROR' },
+        headerLength,
+        invalid = normalCompressed.subarray(0, -1),
+        name,
+      } = format;
+      const detect = InflateAuto.detectors[format.detector];
+      const detectors = [detect];
+
+      describe(`.${format.detector}()`, () => {
+        it(`returns ${Decompress.name} for ${name} data`, () => {
+          assert.strictEqual(detect(normalCompressed), Decompress);
+        });
+
+        it('returns undefined for partial header', () => {
+          for (let len = 1; len < headerLength; len += 1) {
+            assert.strictEqual(
+              detect(normalCompressed.subarray(0, len)),
+              undefined,
+              `for ${len} bytes`,
+            );
+          }
+        });
+
+        it('returns null for other data', () => {
+          for (const other of [...format.other, TEST_DATA.normal]) {
+            assert.strictEqual(detect(other), null, other.toString('hex'));
+          }
+        });
+
+        it('decompresses with inflateAuto', (done) => {
+          InflateAuto.inflateAuto(
+            normalCompressed,
+            { detectors },
+            (err, result) => {
+              assert.ifError(err);
+              assert.deepStrictEqual(result, TEST_DATA.normal);
+              done();
+            },
+          );
+        });
+
+        it('decompresses with inflateAutoSync', () => {
+          const result =
+            InflateAuto.inflateAutoSync(normalCompressed, { detectors });
+          assert.deepStrictEqual(result, TEST_DATA.normal);
+        });
+
+        if (invalid) {
+          it('emits errors with inflateAutoSync', () => {
+            assert.throws(
+              () => InflateAuto.inflateAutoSync(invalid, { detectors }),
+              error,
+            );
+          });
+        }
+
+        if (format.tests) {
+          format.tests(normalCompressed);
+        }
+      });
+    }
+  });
+  /* eslint-enable n/no-sync */
 
   if (InflateAuto.prototype.params) {
     describe('#params()', () => {
@@ -0,0 +1,133 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const OldGunzip = require('../lib/old-gunzip.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+// Tests synchronous decompression using _processChunk
+/* eslint-disable n/no-sync */
+
+// printf 'uncompressed data' | gzip with magic number 1F 9E
+const normalCompressed = Buffer.from(
+  '1f9e08000000000000032bcd4bcecf2d284a2d2e4e4d5148492c490400efe745d911000000',
+  'hex',
+);
+const normalData = Buffer.from('uncompressed data');
+const largeData = Buffer.from('abcdefghij'.repeat(20000));
+const largeCompressed = zlib.gzipSync(largeData);
+largeCompressed[1] = 0x9E;
+
+const { decompress } = makeDecompress(OldGunzip);
+
+describe('OldGunzip', () => {
+  it('decompresses data in a single write', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses data in 1-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(normalCompressed, 1), normalData);
+  });
+
+  it('does not modify written data', async () => {
+    const compressed = Buffer.from(normalCompressed);
+    await decompress(compressed, Infinity);
+    assert.deepStrictEqual(compressed, normalCompressed);
+  });
+
+  it('decompresses data with current gzip magic number', async () => {
+    const gzipped = zlib.gzipSync(normalData);
+    assert.deepStrictEqual(await decompress(gzipped, 1), normalData);
+  });
+
+  it('decompresses data larger than chunkSize', async () => {
+    assert.deepStrictEqual(
+      await decompress(largeCompressed, 1000),
+      largeData,
+    );
+  });
+
+  it('errors on invalid header', async () => {
+    await assert.rejects(
+      decompress(Buffer.from('not gzip data'), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on incorrect checksum', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // CRC-32 precedes the 4-byte length at the end
+    corrupt[corrupt.length - 8] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('errors on incorrect length', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[corrupt.length - 4] += 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect length check' },
+    );
+  });
+
+  // Truncated in the magic number, header, compressed data, checksum, and
+  // length of normalCompressed
+  for (const length of [1, 5, 15, 31, 35]) {
+    it(`errors on data truncated to ${length} bytes`, async () => {
+      await assert.rejects(
+        decompress(normalCompressed.subarray(0, length), Infinity),
+        { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+      );
+    });
+  }
+
+  it('can be #reset()', async () => {
+    const oldGunzip = new OldGunzip();
+    // zlib may not be reset while a write is in progress
+    await new Promise((resolve, reject) => {
+      oldGunzip.write(
+        normalCompressed.subarray(0, 5),
+        (err) => (err ? reject(err) : resolve()),
+      );
+    });
+    oldGunzip.reset();
+    const chunks = [];
+    oldGunzip.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      oldGunzip.on('error', reject);
+      oldGunzip.on('end', resolve);
+      oldGunzip.end(normalCompressed);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), normalData);
+  });
+
+  describe('#_processChunk()', () => {
+    it('decompresses synchronously', () => {
+      const oldGunzip = new OldGunzip();
+      assert.deepStrictEqual(
+        oldGunzip._processChunk(normalCompressed, zlib.constants.Z_FINISH),
+        normalData,
+      );
+    });
+
+    it('decompresses data larger than chunkSize synchronously', () => {
+      const oldGunzip = new OldGunzip();
+      assert.deepStrictEqual(
+        oldGunzip._processChunk(largeCompressed, zlib.constants.Z_FINISH),
+        largeData,
+      );
+    });
+  });
+});
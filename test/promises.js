@@ -0,0 +1,111 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const InflateAuto = require('../index.js');
+const promises = require('../promises.js');
+
+const data = Buffer.from('uncompressed data');
+/* eslint-disable n/no-sync */
+const gzipData = zlib.gzipSync(data);
+const deflateData = zlib.deflateSync(data);
+/* eslint-enable n/no-sync */
+
+describe('promises', () => {
+  it('is InflateAuto.promises', () => {
+    assert.strictEqual(promises, InflateAuto.promises);
+  });
+
+  describe('.inflateAuto()', () => {
+    it('resolves to data, format, and header', async () => {
+      const result = await promises.inflateAuto(gzipData);
+      assert.deepStrictEqual(result.data, data);
+      assert.strictEqual(result.format, zlib.Gunzip);
+      assert.strictEqual(result.header.headerLength, 10);
+      assert.strictEqual(result.trailing, undefined);
+    });
+
+    it('resolves to trailing data with trailingData emit', async () => {
+      const trailing = Buffer.from('trailing');
+      const result = await promises.inflateAuto(
+        Buffer.concat([deflateData, trailing]),
+        { trailingData: 'emit' },
+      );
+      assert.deepStrictEqual(result.data, data);
+      assert.strictEqual(result.format, zlib.Inflate);
+      assert.deepStrictEqual(result.trailing, trailing);
+    });
+
+    it('resolves to data without header', async () => {
+      const result = await promises.inflateAuto(
+        data,
+        { defaultFormat: InflateAuto.Identity },
+      );
+      assert.deepStrictEqual(result.data, data);
+      assert.strictEqual(result.format, InflateAuto.Identity);
+      assert.strictEqual(result.header, undefined);
+    });
+
+    it('ignores info option', async () => {
+      const result = await promises.inflateAuto(gzipData, { info: true });
+      assert.deepStrictEqual(result.data, data);
+    });
+
+    it('rejects with stream errors', async () => {
+      await assert.rejects(
+        promises.inflateAuto(gzipData.subarray(0, -1)),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('rejects with typed InflateAuto errors', async () => {
+      await assert.rejects(
+        promises.inflateAuto(gzipData, { maxOutputLength: 1 }),
+        { code: 'ERR_INFLATE_AUTO_OUTPUT_LIMIT' },
+      );
+    });
+
+    it('rejects with AbortError if signal already aborted', async () => {
+      const reason = new Error('test');
+      await assert.rejects(
+        promises.inflateAuto(gzipData, { signal: AbortSignal.abort(reason) }),
+        { name: 'AbortError', code: 'ABORT_ERR', cause: reason },
+      );
+    });
+
+    it('rejects with AbortError if signal aborted during inflate', async () => {
+      const controller = new AbortController();
+      const promise = promises.inflateAuto(
+        gzipData,
+        { signal: controller.signal },
+      );
+      controller.abort();
+      await assert.rejects(
+        promise,
+        { name: 'AbortError', code: 'ABORT_ERR' },
+      );
+    });
+
+    it('resolves if signal is not aborted', async () => {
+      const controller = new AbortController();
+      const result = await promises.inflateAuto(
+        gzipData,
+        { signal: controller.signal },
+      );
+      assert.deepStrictEqual(result.data, data);
+    });
+
+    it('rejects with TypeError for non-AbortSignal signal', async () => {
+      await assert.rejects(
+        promises.inflateAuto(gzipData, { signal: {} }),
+        { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' },
+      );
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const Uncompress = require('../lib/uncompress.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+// Tests synchronous decompression using _processChunk
+/* eslint-disable n/no-sync */
+
+// printf 'uncompressed data' | compress
+const normalCompressed =
+  Buffer.from('1f9d9075dc8c79d3068e9c3273e6942103824c183a6100', 'hex');
+const normalData = Buffer.from('uncompressed data');
+// printf 'abcabcabcabcabc' | compress -C
+const oldCompressed = Buffer.from('1f9d1061c48c012830e0c081', 'hex');
+const oldData = Buffer.from('abcabcabcabcabc');
+// 33000 'a' bytes with maximum code size 9, which increases the code size
+// to 10 bits, then clears the table once it is full
+const clearCompressed = Buffer.from(
+  '1f9d8961020a1c48b0a0c18308132a5cc8b0a1c38710234a9c48b1a2c58b18336adcc8b1a3'
+  + 'c78f20438a1c49b2a4c9932853aa5cc9b2a5cb973063ca9c49b3a6cd9b3873eadcc9b3a7'
+  + 'cf9f40830a1d4ab4a8d1a348932a5dcab4a9d3a750a34a9d4ab5aad5ab58b36addcab5ab'
+  + 'd7af60c38a1d4bb6acd9b368d3aa5dcbb6addbb770e3ca9d4bb7aeddbb78f3eaddcbb7af'
+  + 'dfbf80030b1e4cb8b0e1c388132b5eccb8b1e3c790234b9e4cb9b2e5cb98336bdeccb9b3'
+  + 'e7cfa0438b1e4dbab4e9d3a853ab5ecdbab5ebd7b063cb9e4dbbb6eddbb873ebdecdbbb7'
+  + 'efdfc0830b1f4ebcb8f1e3c8932b5fcebcb9f3e7d0a34b9f4ebdbaf5ebd8b36bdfcebdbb'
+  + 'f7efe0c38b1f4fbebcf9f3e8d3ab5fcfbebdfbf7f0e3cb9f4fbfbefdfbf8f3ebdfcfbfbf'
+  + 'ffff0001000000000000000061020a1c48b0a0c18308132a5cc89021',
+  'hex',
+);
+const clearData = Buffer.alloc(33000, 'a');
+// 80200 'a' bytes as codes for 1 to 400 bytes, which increases the code
+// size to 10 bits
+const largeCompressed = Buffer.from(
+  '1f9d9061020a1c48b0a0c18308132a5cc8b0a1c38710234a9c48b1a2c58b18336adcc8b1a3'
+  + 'c78f20438a1c49b2a4c9932853aa5cc9b2a5cb973063ca9c49b3a6cd9b3873eadcc9b3a7cf'
+  + '9f40830a1d4ab4a8d1a348932a5dcab4a9d3a750a34a9d4ab5aad5ab58b36addcab5abd7af'
+  + '60c38a1d4bb6acd9b368d3aa5dcbb6addbb770e3ca9d4bb7aeddbb78f3eaddcbb7afdfbf80'
+  + '030b1e4cb8b0e1c388132b5eccb8b1e3c790234b9e4cb9b2e5cb98336bdeccb9b3e7cfa043'
+  + '8b1e4dbab4e9d3a853ab5ecdbab5ebd7b063cb9e4dbbb6eddbb873ebdecdbbb7efdfc0830b'
+  + '1f4ebcb8f1e3c8932b5fcebcb9f3e7d0a34b9f4ebdbaf5ebd8b36bdfcebdbbf7efe0c38b1f'
+  + '4fbebcf9f3e8d3ab5fcfbebdfbf7f0e3cb9f4fbfbefdfbf8f3ebdfcfbfbfffff000628e080'
+  + '041668e0810826a8e0820c36e8e083104628e184145668e1851866a8e1861c76e8e1872086'
+  + '28e288249668e28928a6a8e28a2cb6e8e28b30c628e38c34d668e38d38e6a8e38e3cf6e8e3'
+  + '8f400629e490441669e4914826a9e4924c36e9e493504629e594545669e5955866a9e5965c'
+  + '76e9e597608629e698649669e69968a6a9e69a6cb6e9e69b70c629e79c74d669e79d78e6a9'
+  + 'e79e7cf6e9e79f80062ae8a084166ae8a18826aae8a28c36eae8a3',
+  'hex',
+);
+const largeData = Buffer.alloc(80200, 'a');
+
+const {
+  checkHighWaterMark,
+  decompress,
+  decompressSync,
+} = makeDecompress(Uncompress);
+
+describe('Uncompress', () => {
+  it('decompresses data in a single write', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses data in 1-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(normalCompressed, 1), normalData);
+  });
+
+  it('decompresses code size increase and CLEAR in 7-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(clearCompressed, 7), clearData);
+  });
+
+  it('decompresses data without block mode', async () => {
+    assert.deepStrictEqual(await decompress(oldCompressed, 1), oldData);
+  });
+
+  it('decompresses empty data', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed.subarray(0, 3), Infinity),
+      Buffer.alloc(0),
+    );
+  });
+
+  it('decompresses data larger than output buffer', async () => {
+    assert.deepStrictEqual(await decompress(largeCompressed, 100), largeData);
+  });
+
+  it('splits output into chunkSize pieces', async () => {
+    const uncompress = new Uncompress({ chunkSize: 1024 });
+    const chunks = [];
+    uncompress.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      uncompress.on('error', reject);
+      uncompress.on('end', resolve);
+      uncompress.end(clearCompressed);
+    });
+    assert(chunks.every((chunk) => chunk.length <= 1024));
+    assert.deepStrictEqual(Buffer.concat(chunks), clearData);
+  });
+
+  it('honors highWaterMark', async () => {
+    await checkHighWaterMark(clearCompressed, clearData);
+  });
+
+  it('errors on invalid header', async () => {
+    await assert.rejects(
+      decompress(Buffer.from('not compress data'), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on invalid maximum code size', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[2] = 0x91;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid maximum code size' },
+    );
+  });
+
+  it('errors on code not yet in table', async () => {
+    // Code 258 when next entry is 257
+    const corrupt = Buffer.from('1f9d9061040200', 'hex');
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid code' },
+    );
+  });
+
+  it('errors on first code which is not a byte', async () => {
+    // Code 257 before any entries are defined
+    const corrupt = Buffer.from('1f9d900101', 'hex');
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid code' },
+    );
+  });
+
+  for (const length of [1, 2]) {
+    it(`errors on header truncated to ${length} bytes`, async () => {
+      await assert.rejects(
+        decompress(normalCompressed.subarray(0, length), Infinity),
+        { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+      );
+    });
+  }
+
+  it('returns data before truncated code', async () => {
+    // Format has no end marker, so truncation after the header is undetected
+    // 197 bytes after the header contain 175 9-bit codes, for 1 to 175 bytes
+    assert.deepStrictEqual(
+      await decompress(largeCompressed.subarray(0, 200), Infinity),
+      largeData.subarray(0, (175 * 176) / 2),
+    );
+  });
+
+  it('can be #reset()', async () => {
+    const uncompress = new Uncompress();
+    uncompress.write(clearCompressed.subarray(0, 4));
+    uncompress.reset();
+    const chunks = [];
+    uncompress.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      uncompress.on('error', reject);
+      uncompress.on('end', resolve);
+      uncompress.end(normalCompressed);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), normalData);
+  });
+
+  describe('#_processChunk()', () => {
+    it('decompresses synchronously', () => {
+      assert.deepStrictEqual(decompressSync(clearCompressed), clearData);
+    });
+
+    it('decompresses data larger than output buffer synchronously', () => {
+      assert.deepStrictEqual(decompressSync(largeCompressed), largeData);
+    });
+
+    it('throws on truncated header with Z_FINISH', () => {
+      assert.throws(
+        () => decompressSync(normalCompressed.subarray(0, 2)),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('returns available data with Z_SYNC_FLUSH', () => {
+      assert.deepStrictEqual(
+        decompressSync(
+          normalCompressed.subarray(0, 12),
+          zlib.constants.Z_SYNC_FLUSH,
+        ),
+        // 9 bytes contain 8 9-bit codes, each for a single byte
+        normalData.subarray(0, 8),
+      );
+    });
+  });
+});
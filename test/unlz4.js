@@ -0,0 +1,379 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const { xxh32 } = require('../lib/checksums.js');
+const Unlz4 = require('../lib/unlz4.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+// Tests synchronous decompression using _processChunk
+/* eslint-disable n/no-sync */
+// Frames are constructed using the bit flags in the frame descriptor
+/* eslint-disable no-bitwise */
+
+// printf 'uncompressed data' | lz4
+const normalCompressed = Buffer.from(
+  '04224d186440a711000080756e636f6d7072657373656420646174610000000002ceb0d6',
+  'hex',
+);
+const normalData = Buffer.from('uncompressed data');
+// printf 'uncompressed data' | lz4 -l
+const legacyCompressed = Buffer.from(
+  '02214c1813000000f002756e636f6d707265737365642064617461',
+  'hex',
+);
+// printf '' | lz4
+const emptyCompressed = Buffer.from('04224d186440a700000000055dcc02', 'hex');
+
+// Frame descriptor flags
+const FLAG_VERSION = 0x40;
+const FLAG_BLOCK_INDEPENDENT = 0x20;
+const FLAG_BLOCK_CHECKSUM = 0x10;
+const FLAG_CONTENT_SIZE = 0x08;
+const FLAG_CONTENT_CHECKSUM = 0x04;
+
+// Block which decodes to 'abcdefghij' (literals only)
+const literalBlock = Buffer.from('a06162636465666768696a', 'hex');
+// Block which decodes to 'abcdefghij' from the previous block (10-byte match
+// at offset 10) followed by 'k'
+const matchBlock = Buffer.from('060a00106b', 'hex');
+const linkedData = Buffer.from('abcdefghijabcdefghijk');
+
+/** Creates an LZ4 frame with a 64KiB maximum block size.
+ *
+ * @param {number} flags Frame descriptor flags (FLG byte).
+ * @param {!Array<!Buffer>} blocks Compressed blocks.
+ * @param {!Buffer=} content Decompressed content (for content size and
+ * content checksum).
+ * @returns {!Buffer} LZ4 frame.
+ */
+function createFrame(flags, blocks, content) {
+  const descriptor = [flags, 0x40];
+  if (flags & FLAG_CONTENT_SIZE) {
+    const contentSize = Buffer.alloc(8);
+    contentSize.writeUInt32LE(content.length);
+    descriptor.push(...contentSize);
+  }
+  descriptor.push((xxh32(Buffer.from(descriptor)) >>> 8) & 0xFF);
+
+  const parts = [Buffer.from('04224d18', 'hex'), Buffer.from(descriptor)];
+  for (const block of blocks) {
+    const blockSize = Buffer.alloc(4);
+    blockSize.writeUInt32LE(block.length);
+    parts.push(blockSize, block);
+    if (flags & FLAG_BLOCK_CHECKSUM) {
+      const checksum = Buffer.alloc(4);
+      checksum.writeUInt32LE(xxh32(block));
+      parts.push(checksum);
+    }
+  }
+
+  parts.push(Buffer.alloc(4));
+  if (flags & FLAG_CONTENT_CHECKSUM) {
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32LE(xxh32(content));
+    parts.push(checksum);
+  }
+
+  return Buffer.concat(parts);
+}
+
+const linkedCompressed = createFrame(
+  FLAG_VERSION | FLAG_BLOCK_CHECKSUM | FLAG_CONTENT_SIZE
+  | FLAG_CONTENT_CHECKSUM,
+  [literalBlock, matchBlock],
+  linkedData,
+);
+const independentCompressed = createFrame(
+  FLAG_VERSION | FLAG_BLOCK_INDEPENDENT,
+  Array.from({ length: 20 }, () => literalBlock),
+);
+const independentData = Buffer.from('abcdefghij'.repeat(20));
+
+/** Creates a block which decodes to a repeating 'abcdefghij' pattern using a
+ * match at offset 10, followed by the literals 'fghij'.
+ *
+ * @param {!Buffer} literals Literals before the match.  The data preceding
+ * the match must end with 'abcdefghij'.
+ * @param {number} length Decompressed length of the block, which must end
+ * the pattern (i.e. be a multiple of 10 with 10 literals or none).
+ * @returns {!Buffer} Compressed block.
+ */
+function createRepeatBlock(literals, length) {
+  // Match length after the 4-byte minimum and 15 in the token
+  const extraLength = length - literals.length - 5 - 4 - 15;
+  return Buffer.from([
+    (literals.length << 4) | 0x0F,
+    ...literals,
+    10,
+    0,
+    ...Array.from({ length: Math.floor(extraLength / 255) }, () => 255),
+    extraLength % 255,
+    0x50,
+    ...Buffer.from('fghij'),
+  ]);
+}
+
+// Linked blocks which decode to more data than the 64KiB window
+const largeCompressed = createFrame(
+  FLAG_VERSION | FLAG_CONTENT_CHECKSUM,
+  [
+    createRepeatBlock(Buffer.from('abcdefghij'), 60000),
+    createRepeatBlock(Buffer.alloc(0), 60000),
+    createRepeatBlock(Buffer.alloc(0), 60000),
+  ],
+  Buffer.from('abcdefghij'.repeat(18000)),
+);
+const largeData = Buffer.from('abcdefghij'.repeat(18000));
+
+const {
+  checkHighWaterMark,
+  decompress,
+  decompressSync,
+} = makeDecompress(Unlz4);
+
+describe('Unlz4', () => {
+  it('decompresses data in a single write', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses data in 1-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(normalCompressed, 1), normalData);
+  });
+
+  it('decompresses empty frame', async () => {
+    assert.deepStrictEqual(
+      await decompress(emptyCompressed, Infinity),
+      Buffer.alloc(0),
+    );
+  });
+
+  it('decompresses legacy frame', async () => {
+    assert.deepStrictEqual(
+      await decompress(legacyCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses linked blocks with checksums', async () => {
+    assert.deepStrictEqual(
+      await decompress(linkedCompressed, 3),
+      linkedData,
+    );
+  });
+
+  it('decompresses independent blocks', async () => {
+    const compressed = createFrame(
+      FLAG_VERSION | FLAG_BLOCK_INDEPENDENT,
+      [literalBlock, literalBlock],
+    );
+    assert.deepStrictEqual(
+      await decompress(compressed, Infinity),
+      Buffer.from('abcdefghijabcdefghij'),
+    );
+  });
+
+  it('decompresses linked blocks larger than the window', async () => {
+    assert.deepStrictEqual(
+      await decompress(largeCompressed, 1000),
+      largeData,
+    );
+  });
+
+  it('decompresses concatenated and skippable frames', async () => {
+    const skippable = Buffer.from('532a4d1803000000616263', 'hex');
+    const concatenated = Buffer.concat([
+      normalCompressed,
+      skippable,
+      legacyCompressed,
+      emptyCompressed,
+      linkedCompressed,
+    ]);
+    assert.deepStrictEqual(
+      await decompress(concatenated, 5),
+      Buffer.concat([normalData, normalData, linkedData]),
+    );
+  });
+
+  it('ignores trailing garbage', async () => {
+    const garbage = Buffer.from('garbage');
+    assert.deepStrictEqual(
+      await decompress(Buffer.concat([normalCompressed, garbage]), Infinity),
+      normalData,
+    );
+  });
+
+  it('honors highWaterMark', async () => {
+    await checkHighWaterMark(independentCompressed, independentData);
+  });
+
+  it('errors on invalid header', async () => {
+    await assert.rejects(
+      decompress(Buffer.from('not lz4 data'), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on incorrect header checksum', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[6] += 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on match before start of independent block', async () => {
+    const compressed = createFrame(
+      FLAG_VERSION | FLAG_BLOCK_INDEPENDENT,
+      [literalBlock, matchBlock],
+    );
+    await assert.rejects(
+      decompress(compressed, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid match offset' },
+    );
+  });
+
+  it('errors on incorrect block checksum', async () => {
+    const corrupt = Buffer.from(linkedCompressed);
+    // Checksum of first block follows 7-byte header, 8-byte content size,
+    // 4-byte block size, and 11-byte block
+    corrupt[30] ^= 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect block check' },
+    );
+  });
+
+  it('errors on incorrect content checksum', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[corrupt.length - 1] ^= 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('errors on incorrect content size', async () => {
+    const compressed = createFrame(
+      FLAG_VERSION | FLAG_CONTENT_SIZE,
+      [literalBlock],
+      linkedData,
+    );
+    await assert.rejects(
+      decompress(compressed, Infinity),
+      {
+        code: 'Z_DATA_ERROR',
+        message: 'content size does not match header',
+      },
+    );
+  });
+
+  // Truncated in the magic number, frame descriptor, content size, block
+  // size, block data, block checksum, end mark, and content checksum of
+  // linkedCompressed
+  for (const length of [2, 6, 10, 17, 25, 32, 40, 45, 49, 53]) {
+    it(`errors on data truncated to ${length} bytes`, async () => {
+      await assert.rejects(
+        decompress(linkedCompressed.subarray(0, length), Infinity),
+        { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+      );
+    });
+  }
+
+  it('errors on unsupported frame version', async () => {
+    await assert.rejects(
+      decompress(createFrame(0, [literalBlock]), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'unsupported frame version' },
+    );
+  });
+
+  it('errors on block larger than the maximum block size', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // Block size follows the 7-byte header.  Maximum is 64KiB.
+    corrupt.writeUInt32LE(64 * 1024 + 1, 7);
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'block exceeds maximum size' },
+    );
+  });
+
+  it('errors on truncated data', async () => {
+    await assert.rejects(
+      decompress(normalCompressed.subarray(0, -1), Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  it('errors on truncated legacy block', async () => {
+    await assert.rejects(
+      decompress(legacyCompressed.subarray(0, -1), Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  it('does not error on truncated data with Z_SYNC_FLUSH', async () => {
+    const truncated = Buffer.concat([
+      normalCompressed,
+      normalCompressed.subarray(0, 20),
+    ]);
+    assert.deepStrictEqual(
+      await decompress(
+        truncated,
+        Infinity,
+        { finishFlush: zlib.constants.Z_SYNC_FLUSH },
+      ),
+      normalData,
+    );
+  });
+
+  it('can be #reset()', async () => {
+    const unlz4 = new Unlz4();
+    unlz4.write(normalCompressed.subarray(0, 20));
+    unlz4.reset();
+    const chunks = [];
+    unlz4.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      unlz4.on('error', reject);
+      unlz4.on('end', resolve);
+      unlz4.end(normalCompressed);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), normalData);
+  });
+
+  describe('#_processChunk()', () => {
+    it('decompresses synchronously', () => {
+      assert.deepStrictEqual(decompressSync(linkedCompressed), linkedData);
+    });
+
+    it('decompresses data larger than the window synchronously', () => {
+      assert.deepStrictEqual(decompressSync(largeCompressed), largeData);
+    });
+
+    it('throws on truncated data with Z_FINISH', () => {
+      assert.throws(
+        () => decompressSync(linkedCompressed.subarray(0, -1)),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('returns available data with Z_SYNC_FLUSH', () => {
+      assert.deepStrictEqual(
+        decompressSync(
+          linkedCompressed.subarray(0, -10),
+          zlib.constants.Z_SYNC_FLUSH,
+        ),
+        linkedData.subarray(0, 10),
+      );
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const Unlzma = require('../lib/unlzma.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+// Tests synchronous decompression using _processChunk
+/* eslint-disable n/no-sync */
+
+// printf 'uncompressed data' | xz --format=lzma
+const normalCompressed = Buffer.from(
+  '5d00008000ffffffffffffffff003a9b888e2665a766c3b83beafecdfd4b05cfda2613fffc'
+  + 'ce6000',
+  'hex',
+);
+const normalData = Buffer.from('uncompressed data');
+// normalCompressed with uncompressed size 17 in the header
+const sizedCompressed = Buffer.concat([
+  Buffer.from('5d000080001100000000000000', 'hex'),
+  normalCompressed.subarray(13),
+]);
+// printf '' | xz --format=lzma
+const emptyCompressed =
+  Buffer.from('5d00008000ffffffffffffffff0083fffbffffc0000000', 'hex');
+// python3 -c "print('abcdefghij'*2000,end='')" \
+//   | xz --format=lzma --lzma1=dict=4KiB
+const smallDictCompressed = Buffer.from(
+  '5d00100000ffffffffffffffff00309888983ecbe26f34b352b73046111cd3e4d363f4dd2d'
+  + '4092a4a96357b6033b217e06eae7679f95f1bb53cc6ea748c86626a30487599a0984bab3'
+  + 'f27bdb2537103de58383ffff28c40000',
+  'hex',
+);
+const smallDictData = Buffer.from('abcdefghij'.repeat(2000));
+// python3 -c "print('abcdefghij'*20000,end='')" | xz --format=lzma
+// Larger than the output decoded by each call, with matches which cross it.
+const largeCompressed = Buffer.from(
+  '5d00008000ffffffffffffffff00309888983ecbe26f34b352b73046111cd3e4d363f4dd2d'
+  + '4092a4a96357b6033b217e06eae7679f95f1bb53cc6ea748c86626a30487599a0984bab3'
+  + 'f27bdb2537bda25944808b1e8fa29bc79a57cc3a3bcfd151c7a9430b18918856ac997b0c'
+  + 'b323cf4c047dd57af0a15bb9e2f3ffff5eec0000',
+  'hex',
+);
+const largeData = Buffer.from('abcdefghij'.repeat(20000));
+// largeCompressed with its uncompressed size in the header
+const largeSizedCompressed = Buffer.from(largeCompressed);
+largeSizedCompressed.writeBigUInt64LE(BigInt(largeData.length), 5);
+
+const {
+  checkHighWaterMark,
+  decompress,
+  decompressSync,
+} = makeDecompress(Unlzma);
+
+describe('Unlzma', () => {
+  it('decompresses data in a single write', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses data in 1-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(normalCompressed, 1), normalData);
+  });
+
+  it('decompresses data larger than dictionary in 7-byte writes', async () => {
+    assert.deepStrictEqual(
+      await decompress(smallDictCompressed, 7),
+      smallDictData,
+    );
+  });
+
+  it('decompresses data larger than output size in one write', async () => {
+    assert.deepStrictEqual(
+      await decompress(largeCompressed, Infinity),
+      largeData,
+    );
+  });
+
+  it('decompresses sized data larger than output size', async () => {
+    assert.deepStrictEqual(
+      await decompress(largeSizedCompressed, Infinity),
+      largeData,
+    );
+  });
+
+  it('decompresses empty data', async () => {
+    assert.deepStrictEqual(
+      await decompress(emptyCompressed, Infinity),
+      Buffer.alloc(0),
+    );
+  });
+
+  it('honors highWaterMark', async () => {
+    await checkHighWaterMark(smallDictCompressed, smallDictData);
+  });
+
+  it('stops at declared uncompressed size', async () => {
+    assert.deepStrictEqual(
+      await decompress(sizedCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('stops at smaller declared uncompressed size', async () => {
+    const compressed = Buffer.from(sizedCompressed);
+    compressed[5] = 4;
+    assert.deepStrictEqual(
+      await decompress(compressed, Infinity),
+      normalData.subarray(0, 4),
+    );
+  });
+
+  it('ignores data after end marker', async () => {
+    const garbage = Buffer.from('garbage');
+    assert.deepStrictEqual(
+      await decompress(Buffer.concat([normalCompressed, garbage]), Infinity),
+      normalData,
+    );
+  });
+
+  it('errors on end marker before declared size', async () => {
+    const compressed = Buffer.from(sizedCompressed);
+    compressed[5] = 18;
+    await assert.rejects(
+      decompress(compressed, Infinity),
+      {
+        code: 'Z_DATA_ERROR',
+        message: 'uncompressed size does not match header',
+      },
+    );
+  });
+
+  it('errors on invalid properties', async () => {
+    const compressed = Buffer.from(normalCompressed);
+    compressed[0] = 225;
+    await assert.rejects(
+      decompress(compressed, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid LZMA properties' },
+    );
+  });
+
+  it('errors on truncated data', async () => {
+    await assert.rejects(
+      decompress(normalCompressed.subarray(0, -1), Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  it('errors on truncated header', async () => {
+    await assert.rejects(
+      decompress(normalCompressed.subarray(0, 10), Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  // Truncated in the properties, dictionary size, uncompressed size, range
+  // coder initialization, and LZMA data
+  for (const length of [1, 3, 9, 15, 25]) {
+    it(`errors on data truncated to ${length} bytes`, async () => {
+      await assert.rejects(
+        decompress(normalCompressed.subarray(0, length), Infinity),
+        { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+      );
+    });
+  }
+
+  it('errors on invalid uncompressed size', async () => {
+    const compressed = Buffer.from(normalCompressed);
+    compressed.writeBigUInt64LE(2n ** 60n, 5);
+    await assert.rejects(
+      decompress(compressed, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid uncompressed size' },
+    );
+  });
+
+  it('errors on invalid range coder initialization', async () => {
+    const compressed = Buffer.from(normalCompressed);
+    // First byte of range coded data, after the 13-byte header, must be 0
+    compressed[13] = 1;
+    await assert.rejects(
+      decompress(compressed, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid range coder initialization' },
+    );
+  });
+
+  it('errors on declared size larger than data', async () => {
+    const compressed = Buffer.from(largeSizedCompressed);
+    compressed.writeBigUInt64LE(BigInt(largeData.length + 1), 5);
+    await assert.rejects(
+      decompress(compressed, Infinity),
+      {
+        code: 'Z_DATA_ERROR',
+        message: 'uncompressed size does not match header',
+      },
+    );
+  });
+
+  it('does not error on truncated data with Z_SYNC_FLUSH', async () => {
+    const data = await decompress(
+      smallDictCompressed.subarray(0, -10),
+      Infinity,
+      { finishFlush: zlib.constants.Z_SYNC_FLUSH },
+    );
+    assert.deepStrictEqual(data, smallDictData.subarray(0, data.length));
+  });
+
+  it('can be #reset()', async () => {
+    const unlzma = new Unlzma();
+    unlzma.write(normalCompressed.subarray(0, 20));
+    unlzma.reset();
+    const chunks = [];
+    unlzma.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      unlzma.on('error', reject);
+      unlzma.on('end', resolve);
+      unlzma.end(normalCompressed);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), normalData);
+  });
+
+  describe('#_processChunk()', () => {
+    it('decompresses synchronously', () => {
+      assert.deepStrictEqual(
+        decompressSync(smallDictCompressed),
+        smallDictData,
+      );
+    });
+
+    it('decompresses data larger than output size synchronously', () => {
+      assert.deepStrictEqual(decompressSync(largeCompressed), largeData);
+      assert.deepStrictEqual(decompressSync(largeSizedCompressed), largeData);
+    });
+
+    it('throws on truncated data with Z_FINISH', () => {
+      assert.throws(
+        () => decompressSync(smallDictCompressed.subarray(0, -1)),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('returns available data with Z_SYNC_FLUSH', () => {
+      const data = decompressSync(
+        smallDictCompressed.subarray(0, 40),
+        zlib.constants.Z_SYNC_FLUSH,
+      );
+      assert(data.length > 0);
+      assert.deepStrictEqual(data, smallDictData.subarray(0, data.length));
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const Unpack = require('../lib/unpack.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+// Tests synchronous decompression using _processChunk
+/* eslint-disable n/no-sync */
+
+// printf 'uncompressed data' | pack
+const normalCompressed = Buffer.from(
+  '1f1e000000110500000309006164732063656d6e6f70727475029323c1fe78759a10',
+  'hex',
+);
+const normalData = Buffer.from('uncompressed data');
+// Fibonacci frequencies, which produce codes of length 1 to 10
+const skewData = Buffer.from([
+  'a'.repeat(55),
+  'b'.repeat(34),
+  'c'.repeat(21),
+  'd'.repeat(13),
+  'e'.repeat(8),
+  'f'.repeat(5),
+  'g'.repeat(3),
+  'h'.repeat(2),
+  'i',
+  'j',
+].join(''));
+const skewCompressed = Buffer.from(
+  '1f1e0000008f0a0101010101010101010061626364656667686a69fffffffffffffeaaaaaa'
+  + 'aaaaaaaaaaa4924924924924924444444444444421084210841041041020408080800010'
+  + '04',
+  'hex',
+);
+
+// 100000 'a' bytes with 1-bit code 1 for 'a', 00 for 'b', and 01 for the
+// end-of-block code
+const largeCompressed = Buffer.concat([
+  Buffer.from('1f1e000186a00201006162', 'hex'),
+  Buffer.alloc(100000 / 8, 0xFF),
+  Buffer.from([0x40]),
+]);
+const largeData = Buffer.alloc(100000, 'a');
+
+const {
+  checkHighWaterMark,
+  decompress,
+  decompressSync,
+} = makeDecompress(Unpack);
+
+describe('Unpack', () => {
+  it('decompresses data in a single write', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses data in 1-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(normalCompressed, 1), normalData);
+  });
+
+  it('decompresses long codes in 7-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(skewCompressed, 7), skewData);
+  });
+
+  it('decompresses data larger than chunkSize', async () => {
+    assert.deepStrictEqual(
+      await decompress(largeCompressed, 10000),
+      largeData,
+    );
+  });
+
+  it('ignores trailing garbage', async () => {
+    const garbage = Buffer.from('garbage');
+    assert.deepStrictEqual(
+      await decompress(Buffer.concat([normalCompressed, garbage]), Infinity),
+      normalData,
+    );
+  });
+
+  it('honors highWaterMark', async () => {
+    await checkHighWaterMark(skewCompressed, skewData);
+  });
+
+  it('errors on invalid header', async () => {
+    await assert.rejects(
+      decompress(Buffer.from('not pack data'), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  for (const maxLength of [0, 26]) {
+    it(`errors on maximum code length ${maxLength}`, async () => {
+      const corrupt = Buffer.from(normalCompressed);
+      corrupt[6] = maxLength;
+      await assert.rejects(
+        decompress(corrupt, Infinity),
+        { code: 'Z_DATA_ERROR', message: 'invalid maximum code length' },
+      );
+    });
+  }
+
+  it('errors on code not in incomplete tree', async () => {
+    // 2-bit codes for 'a' and end-of-block, so no code starts with 1
+    const corrupt = Buffer.from('1f1e0000000002000061800000', 'hex');
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid code' },
+    );
+  });
+
+  it('errors on too many leaves', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // Leaves of length 1
+    corrupt[7] = 3;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'too many leaves in Huffman tree' },
+    );
+  });
+
+  it('errors on incorrect length', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[5] += 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect length check' },
+    );
+  });
+
+  it('errors on truncated data', async () => {
+    await assert.rejects(
+      decompress(normalCompressed.subarray(0, -1), Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  // Truncated in the magic number, original length, leaf counts, literals,
+  // and codes of normalCompressed
+  for (const length of [1, 4, 6, 10, 15, 28]) {
+    it(`errors on data truncated to ${length} bytes`, async () => {
+      await assert.rejects(
+        decompress(normalCompressed.subarray(0, length), Infinity),
+        { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+      );
+    });
+  }
+
+  it('can be #reset()', async () => {
+    const unpack = new Unpack();
+    unpack.write(normalCompressed.subarray(0, 10));
+    unpack.reset();
+    const chunks = [];
+    unpack.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      unpack.on('error', reject);
+      unpack.on('end', resolve);
+      unpack.end(normalCompressed);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), normalData);
+  });
+
+  describe('#_processChunk()', () => {
+    it('decompresses synchronously', () => {
+      assert.deepStrictEqual(decompressSync(skewCompressed), skewData);
+    });
+
+    it('decompresses data larger than chunkSize synchronously', () => {
+      assert.deepStrictEqual(decompressSync(largeCompressed), largeData);
+    });
+
+    it('throws on truncated data with Z_FINISH', () => {
+      assert.throws(
+        () => decompressSync(skewCompressed.subarray(0, -1)),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('returns available data with Z_SYNC_FLUSH', () => {
+      // Header is 27 bytes, followed by 1-bit codes for 'a'
+      assert.deepStrictEqual(
+        decompressSync(
+          skewCompressed.subarray(0, 29),
+          zlib.constants.Z_SYNC_FLUSH,
+        ),
+        skewData.subarray(0, 16),
+      );
+    });
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const { crc32c } = require('../lib/checksums.js');
+const Unsnappy = require('../lib/unsnappy.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+// Tests synchronous decompression using _processChunk
+/* eslint-disable n/no-sync */
+
+const streamIdentifier = Buffer.from('ff060000734e61507059', 'hex');
+// Stream identifier and compressed chunk with a literal
+const normalCompressed = Buffer.from(
+  'ff060000734e615070590017000065387a811140756e636f6d70726573736564206461'
+  + '7461',
+  'hex',
+);
+const normalData = Buffer.from('uncompressed data');
+// Stream identifier and uncompressed chunk
+const uncompressedCompressed = Buffer.from(
+  'ff060000734e615070590115000065387a81756e636f6d707265737365642064617461',
+  'hex',
+);
+// Stream identifier and compressed chunk with a literal and copies with
+// 1-byte and 2-byte offsets (some overlapping)
+const copyCompressed = Buffer.from(
+  'ff060000734e61507059001c0000abb25c59c801246162636465666768696afe0a00fe0a00'
+  + 'd60a00110a',
+  'hex',
+);
+const copyData = Buffer.from('abcdefghij'.repeat(20));
+
+/** Creates a compressed chunk which decodes to a repeating 'abcdefghij'
+ * pattern using a literal followed by copies with 2-byte offsets.
+ *
+ * @param {number} length Decompressed length of the chunk (at most 16383).
+ * @returns {!Buffer} Compressed chunk, with header and masked checksum.
+ */
+function createRepeatChunk(length) {
+  const data = Buffer.from('abcdefghij'.repeat(Math.ceil(length / 10)))
+    .subarray(0, length);
+  // Uncompressed length as a 2-byte varint, then 10-byte literal
+  const block = [
+    (length & 0x7F) | 0x80, // eslint-disable-line no-bitwise
+    length >>> 7, // eslint-disable-line no-bitwise
+    (10 - 1) << 2, // eslint-disable-line no-bitwise
+    ...data.subarray(0, 10),
+  ];
+  for (let pos = 10; pos < length; pos += 64) {
+    const copyLength = Math.min(64, length - pos);
+    // eslint-disable-next-line no-bitwise
+    block.push(((copyLength - 1) << 2) | 0x02, 10, 0);
+  }
+
+  const crc = crc32c(0, data);
+  // Chunk type 0 followed by 24-bit length and masked CRC-32C
+  const header = Buffer.alloc(8);
+  header.writeUIntLE(block.length + 4, 1, 3);
+  header.writeUInt32LE(
+    // eslint-disable-next-line no-bitwise
+    (((crc >>> 15) | (crc << 17)) + 0xA282EAD8) >>> 0,
+    4,
+  );
+  return Buffer.concat([header, Buffer.from(block)]);
+}
+
+// Stream with chunks which decode to more data than the 64KiB block size
+const largeCompressed = Buffer.concat([
+  streamIdentifier,
+  ...Array.from({ length: 6 }, () => createRepeatChunk(12000)),
+]);
+const largeData = Buffer.from('abcdefghij'.repeat(7200));
+
+const {
+  checkHighWaterMark,
+  decompress,
+  decompressSync,
+} = makeDecompress(Unsnappy);
+
+describe('Unsnappy', () => {
+  it('decompresses data in a single write', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses data in 1-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(normalCompressed, 1), normalData);
+  });
+
+  it('decompresses copies in 7-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(copyCompressed, 7), copyData);
+  });
+
+  it('decompresses data larger than the block size', async () => {
+    assert.deepStrictEqual(
+      await decompress(largeCompressed, 1000),
+      largeData,
+    );
+  });
+
+  it('decompresses uncompressed chunk', async () => {
+    assert.deepStrictEqual(
+      await decompress(uncompressedCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses empty stream', async () => {
+    assert.deepStrictEqual(
+      await decompress(streamIdentifier, Infinity),
+      Buffer.alloc(0),
+    );
+  });
+
+  it('decompresses concatenated streams', async () => {
+    const concatenated = Buffer.concat([
+      normalCompressed,
+      copyCompressed,
+      uncompressedCompressed,
+    ]);
+    assert.deepStrictEqual(
+      await decompress(concatenated, 5),
+      Buffer.concat([normalData, copyData, normalData]),
+    );
+  });
+
+  it('skips padding and reserved skippable chunks', async () => {
+    const skippable = Buffer.concat([
+      normalCompressed,
+      Buffer.from('fe030000000000', 'hex'),
+      Buffer.from('80000000', 'hex'),
+      Buffer.from('fd0200006162', 'hex'),
+      uncompressedCompressed.subarray(streamIdentifier.length),
+    ]);
+    assert.deepStrictEqual(
+      await decompress(skippable, 3),
+      Buffer.concat([normalData, normalData]),
+    );
+  });
+
+  it('honors highWaterMark', async () => {
+    await checkHighWaterMark(copyCompressed, copyData);
+  });
+
+  it('errors on invalid header', async () => {
+    await assert.rejects(
+      decompress(Buffer.from('not snappy data'), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on chunk before stream identifier', async () => {
+    await assert.rejects(
+      decompress(normalCompressed.subarray(streamIdentifier.length), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on reserved unskippable chunk', async () => {
+    const reserved = Buffer.concat([
+      normalCompressed,
+      Buffer.from('020100000000', 'hex'),
+    ]);
+    await assert.rejects(
+      decompress(reserved, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'unsupported chunk type' },
+    );
+  });
+
+  it('errors on incorrect checksum', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[14] += 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('errors on incorrect checksum of uncompressed chunk', async () => {
+    const corrupt = Buffer.from(uncompressedCompressed);
+    corrupt[14] += 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('errors on uncompressed chunk larger than block size', async () => {
+    const corrupt = Buffer.from(uncompressedCompressed);
+    // 24-bit chunk length after the chunk type.  Maximum is 64KiB + checksum.
+    corrupt.writeUIntLE(65536 + 5, 11, 3);
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'chunk exceeds maximum size' },
+    );
+  });
+
+  it('errors on chunk shorter than checksum', async () => {
+    const corrupt = Buffer.concat([
+      streamIdentifier,
+      Buffer.from('000200000000', 'hex'),
+    ]);
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid chunk length' },
+    );
+  });
+
+  it('errors on invalid copy offset', async () => {
+    const corrupt = Buffer.from(copyCompressed);
+    // Offset of the first copy, after the 10-byte literal
+    corrupt[32] = 11;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid copy offset' },
+    );
+  });
+
+  it('errors on data which does not match uncompressed length', async () => {
+    const corrupt = Buffer.from(copyCompressed);
+    // Uncompressed length, after 10-byte identifier and 8-byte chunk header
+    corrupt[18] += 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid block data' },
+    );
+  });
+
+  // Truncated in the stream identifier, chunk header, checksum, uncompressed
+  // length, and literal of normalCompressed
+  for (const length of [3, 8, 12, 16, 18, 30]) {
+    it(`errors on data truncated to ${length} bytes`, async () => {
+      await assert.rejects(
+        decompress(normalCompressed.subarray(0, length), Infinity),
+        { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+      );
+    });
+  }
+
+  it('errors on truncated data', async () => {
+    await assert.rejects(
+      decompress(normalCompressed.subarray(0, -1), Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  it('errors on truncated skippable chunk', async () => {
+    const truncated = Buffer.concat([
+      normalCompressed,
+      Buffer.from('fe0300000000', 'hex'),
+    ]);
+    await assert.rejects(
+      decompress(truncated, Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  it('does not error on truncated data with Z_SYNC_FLUSH', async () => {
+    const truncated = Buffer.concat([
+      normalCompressed,
+      copyCompressed.subarray(0, 20),
+    ]);
+    assert.deepStrictEqual(
+      await decompress(
+        truncated,
+        Infinity,
+        { finishFlush: zlib.constants.Z_SYNC_FLUSH },
+      ),
+      normalData,
+    );
+  });
+
+  it('can be #reset()', async () => {
+    const unsnappy = new Unsnappy();
+    unsnappy.write(normalCompressed.subarray(0, 20));
+    unsnappy.reset();
+    const chunks = [];
+    unsnappy.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      unsnappy.on('error', reject);
+      unsnappy.on('end', resolve);
+      unsnappy.end(normalCompressed);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), normalData);
+  });
+
+  describe('#_processChunk()', () => {
+    it('decompresses synchronously', () => {
+      assert.deepStrictEqual(decompressSync(copyCompressed), copyData);
+    });
+
+    it('decompresses data larger than the block size synchronously', () => {
+      assert.deepStrictEqual(decompressSync(largeCompressed), largeData);
+    });
+
+    it('throws on truncated data with Z_FINISH', () => {
+      assert.throws(
+        () => decompressSync(copyCompressed.subarray(0, -1)),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('returns available data with Z_SYNC_FLUSH', () => {
+      const truncated = Buffer.concat([
+        normalCompressed,
+        copyCompressed.subarray(0, 30),
+      ]);
+      assert.deepStrictEqual(
+        decompressSync(truncated, zlib.constants.Z_SYNC_FLUSH),
+        normalData,
+      );
+    });
+  });
+});
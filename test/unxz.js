@@ -0,0 +1,372 @@
+/**
+ * @copyright Copyright 2026 Kevin Locke <kevin@kevinlocke.name>
+ * @license MIT
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+
+const { crc32 } = require('../lib/checksums.js');
+const Unxz = require('../lib/unxz.js');
+const makeDecompress = require('../test-lib/decompress.js');
+
+// Tests synchronous decompression using _processChunk
+/* eslint-disable n/no-sync */
+
+// printf 'uncompressed data' | xz
+const normalCompressed = Buffer.from(
+  'fd377a585a000004e6d6b44604c01511210116000000000000000000b218dc5f010010756e'
+  + '636f6d70726573736564206461746100000000921d45d0a799f519000131116b926b8c1f'
+  + 'b6f37d010000000004595a',
+  'hex',
+);
+const normalData = Buffer.from('uncompressed data');
+// printf 'uncompressed data' | xz -C crc32
+const crc32Compressed = Buffer.from(
+  'fd377a585a0000016922de3604c01511210116000000000000000000b218dc5f010010756e'
+  + '636f6d70726573736564206461746100000000efe745d900012d1136cf1c6a9042990d01'
+  + '0000000001595a',
+  'hex',
+);
+// printf 'uncompressed data' | xz -C sha256
+const sha256Compressed = Buffer.from(
+  'fd377a585a00000ae1fb0ca104c01511210116000000000000000000b218dc5f010010756e'
+  + '636f6d7072657373656420646174610000000031eaa47c0c0d0cb6242b759c2d28db2615'
+  + 'c349c6687169beb3b7022aae9388c20001491195618d6b189b4b9a01000000000a595a',
+  'hex',
+);
+// printf '' | xz
+const emptyCompressed = Buffer.from(
+  'fd377a585a000004e6d6b446000000001cdf44211fb6f37d010000000004595a',
+  'hex',
+);
+// python3 -c "print('abcdefghij'*2000,end='')" | xz
+const lzmaCompressed = Buffer.from(
+  'fd377a585a000004e6d6b44604c04da09c01210116000000000000000031cafce04e1f0045'
+  + '5d00309888983ecbe26f34b352b73046111cd3e4d363f4dd2d4092a4a96357b6033b217e'
+  + '06eae7679f95f1bb53cc6ea748c86626a30487599a0984bab3f27bdb25371037d5ee0000'
+  + '000000540c5c914d7d2c40000169a09c010000f221dd6ab1c467fb020000000004595a',
+  'hex',
+);
+const lzmaData = Buffer.from('abcdefghij'.repeat(2000));
+// python3 -c "print('abcdefghij'*2000,end='')" | xz --lzma2=dict=4KiB
+const smallDictCompressed = Buffer.from(
+  'fd377a585a000004e6d6b44603c04da09c012101000000003a63ca0de04e1f00455d003098'
+  + '88983ecbe26f34b352b73046111cd3e4d363f4dd2d4092a4a96357b6033b217e06eae767'
+  + '9f95f1bb53cc6ea748c86626a30487599a0984bab3f27bdb25371037d5ee000000000054'
+  + '0c5c914d7d2c40000165a09c01000089e11f1db1c467fb020000000004595a',
+  'hex',
+);
+// python3 -c "print('abcdefghij'*20000,end='')" | xz
+// Larger than the output decoded by each call.
+const largeCompressed = Buffer.from(
+  'fd377a585a000004e6d6b44604c075c09a0c210116000000000000003b591f4ee30d3f006d'
+  + '5d00309888983ecbe26f34b352b73046111cd3e4d363f4dd2d4092a4a96357b6033b217e'
+  + '06eae7679f95f1bb53cc6ea748c86626a30487599a0984bab3f27bdb2537bda25944808b'
+  + '1e8fa29bc79a57cc3a3bcfd151c7a9430b18918856ac997b0cb323cf4c047dd57af0a15b'
+  + '07000000000000bfc513373cacb7fb00019101c09a0c00a7a47302b1c467fb0200000000'
+  + '04595a',
+  'hex',
+);
+const largeData = Buffer.from('abcdefghij'.repeat(20000));
+// printf 'uncompressed data' | xz --x86 --lzma2
+const x86Compressed = Buffer.from(
+  'fd377a585a000004e6d6b44604c11511040021011600000000000000dc05bb80010010756e'
+  + '636f6d70726573736564206461746100000000921d45d0a799f519000131116b926b8c1f'
+  + 'b6f37d010000000004595a',
+  'hex',
+);
+
+const {
+  checkHighWaterMark,
+  decompress,
+  decompressSync,
+} = makeDecompress(Unxz);
+
+describe('Unxz', () => {
+  it('decompresses data in a single write', async () => {
+    assert.deepStrictEqual(
+      await decompress(normalCompressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses data in 1-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(normalCompressed, 1), normalData);
+  });
+
+  it('decompresses LZMA chunks in 7-byte writes', async () => {
+    assert.deepStrictEqual(await decompress(lzmaCompressed, 7), lzmaData);
+  });
+
+  it('decompresses data larger than the dictionary', async () => {
+    assert.deepStrictEqual(
+      await decompress(smallDictCompressed, Infinity),
+      lzmaData,
+    );
+  });
+
+  it('decompresses data larger than output size', async () => {
+    assert.deepStrictEqual(
+      await decompress(largeCompressed, Infinity),
+      largeData,
+    );
+  });
+
+  it('decompresses empty stream', async () => {
+    assert.deepStrictEqual(
+      await decompress(emptyCompressed, Infinity),
+      Buffer.alloc(0),
+    );
+  });
+
+  it('verifies CRC32 check', async () => {
+    assert.deepStrictEqual(
+      await decompress(crc32Compressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('verifies SHA-256 check', async () => {
+    assert.deepStrictEqual(
+      await decompress(sha256Compressed, Infinity),
+      normalData,
+    );
+  });
+
+  it('decompresses concatenated streams with padding', async () => {
+    const concatenated = Buffer.concat([
+      normalCompressed,
+      Buffer.alloc(8),
+      emptyCompressed,
+      lzmaCompressed,
+    ]);
+    assert.deepStrictEqual(
+      await decompress(concatenated, 5),
+      Buffer.concat([normalData, lzmaData]),
+    );
+  });
+
+  it('ignores trailing garbage', async () => {
+    const garbage = Buffer.from('garbage');
+    assert.deepStrictEqual(
+      await decompress(Buffer.concat([normalCompressed, garbage]), Infinity),
+      normalData,
+    );
+  });
+
+  it('splits output into chunkSize pieces', async () => {
+    const unxz = new Unxz({ chunkSize: 1024 });
+    const chunks = [];
+    unxz.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      unxz.on('error', reject);
+      unxz.on('end', resolve);
+      unxz.end(lzmaCompressed);
+    });
+    assert(chunks.every((chunk) => chunk.length <= 1024));
+    assert.deepStrictEqual(Buffer.concat(chunks), lzmaData);
+  });
+
+  it('honors highWaterMark', async () => {
+    await checkHighWaterMark(lzmaCompressed, lzmaData);
+  });
+
+  it('errors on invalid header', async () => {
+    await assert.rejects(
+      decompress(Buffer.from('not xz data'), Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on unsupported filter', async () => {
+    await assert.rejects(
+      decompress(x86Compressed, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'unsupported filter chain' },
+    );
+  });
+
+  it('errors on truncated data', async () => {
+    await assert.rejects(
+      decompress(normalCompressed.subarray(0, -1), Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  // Truncated in the stream header, block header, LZMA2 data, block padding,
+  // check, index, and stream footer of normalCompressed
+  for (const length of [6, 10, 20, 40, 54, 60, 70, 80]) {
+    it(`errors on data truncated to ${length} bytes`, async () => {
+      await assert.rejects(
+        decompress(normalCompressed.subarray(0, length), Infinity),
+        { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+      );
+    });
+  }
+
+  it('errors on incorrect stream header CRC32', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[8] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect header check' },
+    );
+  });
+
+  it('errors on incorrect block header CRC32', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // CRC32 is the last 4 bytes of the 20-byte block header
+    corrupt[28] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect block header check' },
+    );
+  });
+
+  it('errors on incomplete stream padding', async () => {
+    const padded = Buffer.concat([normalCompressed, Buffer.alloc(3)]);
+    await assert.rejects(
+      decompress(padded, Infinity),
+      { code: 'Z_BUF_ERROR', message: 'unexpected end of file' },
+    );
+  });
+
+  it('errors on incorrect CRC64 check', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // Check follows 12-byte stream header, 20-byte block header,
+    // 21-byte LZMA2 data, and 3 bytes of block padding.
+    corrupt[56] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('errors on incorrect CRC32 check', async () => {
+    const corrupt = Buffer.from(crc32Compressed);
+    corrupt[56] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('errors on incorrect SHA-256 check', async () => {
+    const corrupt = Buffer.from(sha256Compressed);
+    corrupt[56] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect data check' },
+    );
+  });
+
+  it('errors on corrupt LZMA data', async () => {
+    const corrupt = Buffer.from(lzmaCompressed);
+    // Modify byte of LZMA2 chunk
+    corrupt[40] ^= 0x10; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR' },
+    );
+  });
+
+  it('errors on index which does not match blocks', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // Uncompressed size in the index record follows 8-byte CRC64 check,
+    // index indicator, record count, and unpadded size.
+    corrupt[67] += 1;
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'index does not match blocks' },
+    );
+  });
+
+  it('errors on incorrect index CRC32', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // CRC32 is the last 4 bytes of the 8-byte index before the footer
+    corrupt[68] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect index check' },
+    );
+  });
+
+  it('errors on incorrect stream footer CRC32', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    corrupt[72] ^= 1; // eslint-disable-line no-bitwise
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'incorrect footer check' },
+    );
+  });
+
+  it('errors on stream footer flags which do not match header', async () => {
+    const corrupt = Buffer.from(normalCompressed);
+    // Change the check type in the footer to CRC32 and update its CRC32
+    corrupt[81] = 1;
+    corrupt.writeUInt32LE(crc32(0, corrupt.subarray(76, 82)), 72);
+    await assert.rejects(
+      decompress(corrupt, Infinity),
+      { code: 'Z_DATA_ERROR', message: 'invalid stream footer' },
+    );
+  });
+
+  it('does not error on truncated data with Z_SYNC_FLUSH', async () => {
+    const truncated = Buffer.concat([
+      normalCompressed,
+      normalCompressed.subarray(0, 20),
+    ]);
+    assert.deepStrictEqual(
+      await decompress(
+        truncated,
+        Infinity,
+        { finishFlush: zlib.constants.Z_SYNC_FLUSH },
+      ),
+      normalData,
+    );
+  });
+
+  it('can be #reset()', async () => {
+    const unxz = new Unxz();
+    unxz.write(normalCompressed.subarray(0, 20));
+    unxz.reset();
+    const chunks = [];
+    unxz.on('data', (chunk) => { chunks.push(chunk); });
+    await new Promise((resolve, reject) => {
+      unxz.on('error', reject);
+      unxz.on('end', resolve);
+      unxz.end(normalCompressed);
+    });
+    assert.deepStrictEqual(Buffer.concat(chunks), normalData);
+  });
+
+  describe('#_processChunk()', () => {
+    it('decompresses synchronously', () => {
+      assert.deepStrictEqual(decompressSync(lzmaCompressed), lzmaData);
+    });
+
+    it('decompresses data larger than output size synchronously', () => {
+      assert.deepStrictEqual(decompressSync(largeCompressed), largeData);
+    });
+
+    it('throws on truncated data with Z_FINISH', () => {
+      assert.throws(
+        () => decompressSync(lzmaCompressed.subarray(0, -1)),
+        { code: 'Z_BUF_ERROR' },
+      );
+    });
+
+    it('returns available data with Z_SYNC_FLUSH', () => {
+      const truncated = Buffer.concat([
+        normalCompressed,
+        lzmaCompressed.subarray(0, 30),
+      ]);
+      assert.deepStrictEqual(
+        decompressSync(truncated, zlib.constants.Z_SYNC_FLUSH),
+        normalData,
+      );
+    });
+  });
+});